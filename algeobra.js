@@ -439,7 +439,7 @@ class Roots {
      * @param {Number} a quadratic coefficient
      * @param {Number} b linear coefficient
      * @param {Number} c constant coefficient
-     * @returns {Number[]} An array containing all real roots
+     * @returns {Array<Number[]>} An array containing all complex roots as entries [a,b]
      */
     static solveQuadraticComplex(a, b, c, eps = 1E-10) {
         if (Math.abs(a) < eps) {
@@ -461,7 +461,7 @@ class Roots {
         }
 
         const root = Math.sqrt(discr);
-        return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+        return [cNum((-b + root) / (2 * a)), cNum((-b - root) / (2 * a))];
     }
 
     /**
@@ -753,6 +753,26 @@ const TYPE_ARC = "arc";
  * Type specifier for a ellipse type
  */
 const TYPE_ELLIPSE = "ellipse";
+/**
+ * Type specifier for a parabola type
+ */
+const TYPE_PARABOLA = "parabola";
+/**
+ * Type specifier for a hyperbola type
+ */
+const TYPE_HYPERBOLA = "hyperbola";
+/**
+ * Type specifier for a function graph type
+ */
+const TYPE_FUNCTION_GRAPH = "functionGraph";
+/**
+ * Type specifier for a parametric curve type
+ */
+const TYPE_PARAMETRIC_CURVE = "parametricCurve";
+/**
+ * Type specifier for an implicit curve type
+ */
+const TYPE_IMPLICIT_CURVE = "implicitCurve";
 /**
  * Type specifier for a Bezier curve type
  */
@@ -761,6 +781,14 @@ const TYPE_BEZIER = "bezier";
  * Type specifier for a Bezier spline type
  */
 const TYPE_BEZIER_SPLINE = "bezSpline";
+/**
+ * Type specifier for a rational Bezier curve type
+ */
+const TYPE_RATIONAL_BEZIER = "rationalBezier";
+/**
+ * Type specifier for a NURBS curve type
+ */
+const TYPE_NURBS = "nurbs";
 /**
  * Type specifier for a text type
  */
@@ -1084,6 +1112,584 @@ function subdivideBezierAdaptive(points, eps = 1) {
     return output;
 }
 
+/**
+ * Converts control points with weights into homogeneous coordinates {x: w*x, y: w*y, w: w}
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} weights The weights
+ * @returns {Array<{x:Number, y:Number, w:Number}>} The homogeneous control points
+ */
+function convertToHomogeneousPoints(points, weights) {
+    return points.map((p, i) => {
+        const w = weights[i] ?? 1;
+        return { x: p.x * w, y: p.y * w, w };
+    });
+}
+
+/**
+ * Converts homogeneous control points {x: w*x, y: w*y, w: w} back into points and weights
+ * @param {Array<{x:Number, y:Number, w:Number}>} hpoints The homogeneous control points
+ * @returns {{points: Array<{x:Number, y:Number}>, weights: Number[]}} The control points and weights
+ */
+function convertFromHomogeneousPoints(hpoints) {
+    return {
+        points: hpoints.map(h => vVec2(h.x / h.w, h.y / h.w)),
+        weights: hpoints.map(h => h.w),
+    };
+}
+
+/**
+ * Linear interpolation of homogeneous points
+ * @param {{x:Number, y:Number, w:Number}} a The first point
+ * @param {{x:Number, y:Number, w:Number}} b The second point
+ * @param {Number} t The interpolation parameter
+ * @returns {{x:Number, y:Number, w:Number}} The interpolated point
+ */
+function lerpHomogeneous(a, b, t) {
+    const s = 1 - t;
+    return { x: s * a.x + t * b.x, y: s * a.y + t * b.y, w: s * a.w + t * b.w };
+}
+
+/**
+ * Computes a point on a Bezier curve with homogeneous control points without projecting it
+ * @param {Array<{x:Number, y:Number, w:Number}>} hpoints The homogeneous control points
+ * @param {Number} t The curve parameter
+ * @returns {{x:Number, y:Number, w:Number}} The homogeneous point on the curve
+ */
+function deCasteljauHomogeneous(hpoints, t) {
+    // to override values
+    hpoints = [...hpoints];
+    const n = hpoints.length - 1;
+    for (let j = 1; j <= n; j++) {
+        for (let i = 0; i <= n - j; i++) {
+            hpoints[i] = lerpHomogeneous(hpoints[i], hpoints[i + 1], t);
+        }
+    }
+    return hpoints[0];
+}
+
+/**
+ * Computes a point on a rational Bezier curve using the de Casteljau algorithm in homogeneous coordinates
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} weights The weights of the control points
+ * @param {Number} t The curve parameter
+ * @returns {{x:Number, y:Number}} The point on the curve
+ */
+function deCasteljauRational(points, weights, t) {
+    const h = deCasteljauHomogeneous(convertToHomogeneousPoints(points, weights), t);
+    return vVec2(h.x / h.w, h.y / h.w);
+}
+
+/**
+ * Computes the derivative of a rational Bezier curve
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} weights The weights of the control points
+ * @param {Number} t The curve parameter
+ * @returns {{x:Number, y:Number}} The derivative at t
+ */
+function calcRationalBezierDerivative(points, weights, t) {
+    const n = points.length - 1;
+    if (n < 1) {
+        return vVec2(0, 0);
+    }
+    const hpoints = convertToHomogeneousPoints(points, weights);
+    // derivative of the homogeneous curve
+    const dpoints = [];
+    for (let i = 0; i < n; i++) {
+        const a = hpoints[i];
+        const b = hpoints[i + 1];
+        dpoints.push({ x: n * (b.x - a.x), y: n * (b.y - a.y), w: n * (b.w - a.w) });
+    }
+    // c = a / w => c' = (a' - w' c) / w
+    const h = deCasteljauHomogeneous(hpoints, t);
+    const dh = deCasteljauHomogeneous(dpoints, t);
+    const c = vVec2(h.x / h.w, h.y / h.w);
+    return vVec2((dh.x - dh.w * c.x) / h.w, (dh.y - dh.w * c.y) / h.w);
+}
+
+/**
+ * Creates two new sets of control points and weights, such that the left set creates the given rational Bezier curve up to the parameter t, while the right set creates the rest of the original curve.
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} weights The weights of the control points
+ * @param {Number} t The curve parameter
+ * @returns {{left: {points: Array<{x:Number, y:Number}>, weights: Number[]}, right: {points: Array<{x:Number, y:Number}>, weights: Number[]}}} The subdivided curve control points and weights
+ */
+function subdivideRationalBezierControlPoints(points, weights, t) {
+    const { left, right } = subdivideHomogeneousControlPoints(convertToHomogeneousPoints(points, weights), t);
+    return { left: convertFromHomogeneousPoints(left), right: convertFromHomogeneousPoints(right) };
+}
+
+/**
+ * Subdivides Bezier control points given in homogeneous coordinates
+ * @param {Array<{x:Number, y:Number, w:Number}>} hpoints The homogeneous control points
+ * @param {Number} t The curve parameter
+ * @returns {{left: Array<{x:Number, y:Number, w:Number}>, right: Array<{x:Number, y:Number, w:Number}>}} The subdivided homogeneous control points
+ */
+function subdivideHomogeneousControlPoints(hpoints, t) {
+    // to override values
+    hpoints = [...hpoints];
+    if (hpoints.length === 1) {
+        return { left: hpoints, right: hpoints };
+    }
+    const left = [hpoints[0]];
+    const right = [hpoints[hpoints.length - 1]];
+    const n = hpoints.length - 1;
+    for (let j = 1; j <= n; j++) {
+        for (let i = 0; i <= n - j; i++) {
+            hpoints[i] = lerpHomogeneous(hpoints[i], hpoints[i + 1], t);
+        }
+        left.push(hpoints[0]);
+        right.push(hpoints[n - j]);
+    }
+
+    return { left, right: right.reverse() };
+}
+
+/**
+ * Subdivides a rational Bezier curve in such a way, that the points can be drawn as line segments that do not differ more from the curve than the given error parameter.
+ * This works the same as subdivideBezierAdaptive and requires positive weights, so that the curve lies in the convex hull of its control points
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} weights The weights of the control points
+ * @param {Number} [eps] Subdivision error parameter
+ * @param {Object} [options]
+ * @param {Number} [options.maxDepth] The maximum number of subdivisions
+ * @returns {Array<{x:Number, y:Number}>} The subdivided curve
+ */
+function subdivideRationalBezierAdaptive(points, weights, eps = 1, { maxDepth = 16 } = {}) {
+    if (points.length < 3) {
+        return points;
+    }
+    const queue = [[convertToHomogeneousPoints(points, weights), 0]];
+    // we always draw the first point and each subdivision only adds its end
+    const output = [points[0]];
+
+    const eps2 = eps * eps;
+    while (queue.length > 0) {
+        const [h, depth] = queue.pop();
+        const { points: p } = convertFromHomogeneousPoints(h);
+
+        // check, if the control polygon can be approximated by a line
+        const p0 = p[0];
+        const pn = p[p.length - 1];
+        const v = vSub(pn, p0);
+        const l2 = vLen2(v);
+
+        let isLinear = true;
+        for (let i = 1; i < p.length - 1; i++) {
+            const qp0 = vSub(p[i], p0);
+            const proj = vDot(qp0, v);
+            // point may lie outside of line interval, but is still on the infinite line
+            if (proj < 0 || proj > l2) {
+                isLinear = false;
+                break;
+            }
+            // squared distance to the line by the pythagorean theorem
+            const d2 = l2 > 0 ? vLen2(qp0) - proj * proj / l2 : vLen2(qp0);
+            if (d2 > eps2) {
+                isLinear = false;
+                break;
+            }
+        }
+
+        // the depth limit guards against weights, that let the curve go to infinity
+        if (isLinear || depth >= maxDepth) {
+            // we only output the final point, since we already processed the beginning
+            output.push(pn);
+        } else {
+            const { left, right } = subdivideHomogeneousControlPoints(h, 0.5);
+            // push right interval first, so left one is computed earlier
+            queue.push([right, depth + 1]);
+            queue.push([left, depth + 1]);
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Computes a clamped uniform knot vector, so that a B-spline curve starts and ends at its first and last control points
+ * @param {Number} numPoints The number of control points
+ * @param {Number} degree The degree of the curve
+ * @returns {Number[]} The knot vector in [0,1] with numPoints + degree + 1 entries
+ */
+function calcClampedUniformKnots(numPoints, degree) {
+    const knots = [];
+    const numInner = Math.max(0, numPoints - degree - 1);
+    for (let i = 0; i <= degree; i++) {
+        knots.push(0);
+    }
+    for (let i = 1; i <= numInner; i++) {
+        knots.push(i / (numInner + 1));
+    }
+    for (let i = 0; i <= degree; i++) {
+        knots.push(1);
+    }
+    return knots;
+}
+
+/**
+ * Computes the parameter domain of a NURBS curve
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @returns {Number[]} The domain [uMin, uMax]
+ */
+function calcNurbsDomain(nurbs) {
+    const { knots, degree, points } = nurbs;
+    return [knots[degree], knots[points.length]];
+}
+
+/**
+ * Finds the index k of the knot span [knots[k], knots[k+1]) that contains the given parameter.
+ * Parameters outside of the domain are mapped to the first or last non-empty span
+ * @param {Number[]} knots The knot vector
+ * @param {Number} degree The degree of the curve
+ * @param {Number} numPoints The number of control points
+ * @param {Number} u The curve parameter
+ * @returns {Number} The knot span index
+ */
+function findNurbsKnotSpan(knots, degree, numPoints, u) {
+    const n = numPoints - 1;
+    if (u >= knots[n + 1]) {
+        // the end is included in the last non-empty span
+        let k = n;
+        while (k > degree && knots[k] >= knots[n + 1]) {
+            k--;
+        }
+        return k;
+    }
+    if (u <= knots[degree]) {
+        let k = degree;
+        while (k < n && knots[k + 1] <= knots[degree]) {
+            k++;
+        }
+        return k;
+    }
+    // binary search for knots[k] <= u < knots[k+1]
+    let lo = degree;
+    let hi = n + 1;
+    while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (u < knots[mid]) {
+            hi = mid;
+        } else {
+            lo = mid;
+        }
+    }
+    return lo;
+}
+
+/**
+ * Evaluates a B-spline curve with homogeneous control points using the de Boor algorithm
+ * @param {Array<{x:Number, y:Number, w:Number}>} hpoints The homogeneous control points
+ * @param {Number[]} knots The knot vector
+ * @param {Number} degree The degree of the curve
+ * @param {Number} u The curve parameter
+ * @returns {{x:Number, y:Number, w:Number}} The homogeneous point on the curve
+ */
+function deBoorHomogeneous(hpoints, knots, degree, u) {
+    const k = findNurbsKnotSpan(knots, degree, hpoints.length, u);
+    const d = [];
+    for (let j = 0; j <= degree; j++) {
+        d.push(hpoints[j + k - degree]);
+    }
+    for (let r = 1; r <= degree; r++) {
+        for (let j = degree; j >= r; j--) {
+            const i = j + k - degree;
+            const denom = knots[i + degree - r + 1] - knots[i];
+            const alpha = denom > 0 ? (u - knots[i]) / denom : 0;
+            d[j] = lerpHomogeneous(d[j - 1], d[j], alpha);
+        }
+    }
+    return d[degree];
+}
+
+/**
+ * Computes a point on a NURBS curve
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @param {Number} u The curve parameter in the curve's domain
+ * @returns {{x:Number, y:Number}} The point on the curve
+ */
+function calcNurbsPoint(nurbs, u) {
+    const { points, weights, knots, degree } = nurbs;
+    const h = deBoorHomogeneous(convertToHomogeneousPoints(points, weights), knots, degree, u);
+    return vVec2(h.x / h.w, h.y / h.w);
+}
+
+/**
+ * Computes the derivative of a NURBS curve
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @param {Number} u The curve parameter in the curve's domain
+ * @returns {{x:Number, y:Number}} The derivative at u
+ */
+function calcNurbsDerivative(nurbs, u) {
+    const { points, weights, knots, degree } = nurbs;
+    const n = points.length - 1;
+    if (degree < 1 || n < 1) {
+        return vVec2(0, 0);
+    }
+    const hpoints = convertToHomogeneousPoints(points, weights);
+    // the derivative of the homogeneous curve is a B-spline of one degree less
+    const dpoints = [];
+    for (let i = 0; i < n; i++) {
+        const denom = knots[i + degree + 1] - knots[i + 1];
+        const s = denom > 0 ? degree / denom : 0;
+        const a = hpoints[i];
+        const b = hpoints[i + 1];
+        dpoints.push({ x: s * (b.x - a.x), y: s * (b.y - a.y), w: s * (b.w - a.w) });
+    }
+    const h = deBoorHomogeneous(hpoints, knots, degree, u);
+    const dh = deBoorHomogeneous(dpoints, knots.slice(1, -1), degree - 1, u);
+    // c = a / w => c' = (a' - w' c) / w
+    const c = vVec2(h.x / h.w, h.y / h.w);
+    return vVec2((dh.x - dh.w * c.x) / h.w, (dh.y - dh.w * c.y) / h.w);
+}
+
+/**
+ * Inserts a knot into a NURBS curve without changing its shape (Boehm's algorithm)
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @param {Number} u The parameter of the new knot in the curve's domain
+ * @returns {Object} The refined NURBS curve of type TYPE_NURBS
+ */
+function insertNurbsKnot(nurbs, u) {
+    const { points, weights, knots, degree } = nurbs;
+    const hpoints = convertToHomogeneousPoints(points, weights);
+    const k = findNurbsKnotSpan(knots, degree, points.length, u);
+
+    const result = [];
+    for (let i = 0; i <= points.length; i++) {
+        if (i <= k - degree) {
+            result.push(hpoints[i]);
+        } else if (i > k) {
+            result.push(hpoints[i - 1]);
+        } else {
+            const denom = knots[i + degree] - knots[i];
+            const alpha = denom > 0 ? (u - knots[i]) / denom : 0;
+            result.push(lerpHomogeneous(hpoints[i - 1], hpoints[i], alpha));
+        }
+    }
+    const newKnots = [...knots];
+    newKnots.splice(k + 1, 0, u);
+
+    return makeNurbs({ ...convertFromHomogeneousPoints(result), knots: newKnots, degree });
+}
+
+/**
+ * Splits a NURBS curve into rational Bezier segments by inserting knots until each inner knot has a multiplicity equal to the degree
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @returns {Array<{points: Array<{x:Number, y:Number}>, weights: Number[], uMin: Number, uMax: Number}>} The rational Bezier segments and the parameter intervals they cover
+ */
+function convertNurbsToRationalBeziers(nurbs) {
+    const { degree } = nurbs;
+    const [uMin, uMax] = calcNurbsDomain(nurbs);
+
+    let current = nurbs;
+    const values = [...new Set(nurbs.knots.filter(u => u >= uMin && u <= uMax))];
+    for (const u of values) {
+        let multiplicity = current.knots.filter(v => v === u).length;
+        for (; multiplicity < degree; multiplicity++) {
+            current = insertNurbsKnot(current, u);
+        }
+    }
+
+    // each non-empty knot span now corresponds to a rational Bezier curve
+    const { points, weights, knots } = current;
+    const result = [];
+    for (let k = degree; k < points.length; k++) {
+        if (knots[k] >= knots[k + 1] || knots[k] < uMin || knots[k + 1] > uMax) {
+            continue;
+        }
+        result.push({
+            points: points.slice(k - degree, k + 1),
+            weights: weights.slice(k - degree, k + 1),
+            uMin: knots[k],
+            uMax: knots[k + 1],
+        });
+    }
+    return result;
+}
+
+/**
+ * Computes a NURBS representation of an ellipse or arc.
+ * The curve is split into pieces of at most 90 degrees, each of which is an exact rational quadratic segment
+ * @param {Object} obj The object of type TYPE_ELLIPSE or TYPE_ARC
+ * @returns {Object} The NURBS curve of type TYPE_NURBS
+ */
+function convertEllipseToNurbs(obj) {
+    let { center, startAngle, endAngle } = obj;
+    let rx, ry, rotation;
+    if (obj.type === TYPE_ARC) {
+        rx = ry = obj.r;
+        rotation = 0;
+    } else {
+        ({ rx, ry, rotation } = obj);
+    }
+    // in the case of the circle wrapping over, just add 2pi to take care of that
+    if (startAngle > endAngle) {
+        endAngle += 2.0 * Math.PI;
+    }
+    const da = endAngle - startAngle;
+    const num = Math.max(1, Math.ceil(da / (0.5 * Math.PI) - 1E-10));
+    const step = da / num;
+    // the middle control point lies at the intersection of the end tangents
+    const wm = Math.cos(0.5 * step);
+
+    const c = Math.cos(rotation);
+    const s = Math.sin(rotation);
+    const point = (a, r) => {
+        const lx = rx * r * Math.cos(a);
+        const ly = ry * r * Math.sin(a);
+        return vVec2(center.x + c * lx - s * ly, center.y + s * lx + c * ly);
+    };
+
+    const points = [point(startAngle, 1)];
+    const weights = [1];
+    const knots = [0, 0, 0];
+    for (let i = 0; i < num; i++) {
+        const a0 = startAngle + i * step;
+        points.push(point(a0 + 0.5 * step, 1 / wm), point(a0 + step, 1));
+        weights.push(wm, 1);
+        knots.push((i + 1) / num, (i + 1) / num);
+    }
+    // the last knot has multiplicity 3 to clamp the end
+    knots.push(1);
+
+    return makeNurbs({ points, weights, knots, degree: 2 });
+}
+
+/**
+ * Computes a uniform knot vector. In contrast to calcClampedUniformKnots, the curve will in general not pass through its first and last control points
+ * @param {Number} numPoints The number of control points
+ * @param {Number} degree The degree of the curve
+ * @returns {Number[]} The knot vector in [0,1] with numPoints + degree + 1 entries
+ */
+function calcUniformKnots(numPoints, degree) {
+    const num = numPoints + degree;
+    const knots = [];
+    for (let i = 0; i <= num; i++) {
+        knots.push(i / num);
+    }
+    return knots;
+}
+
+/**
+ * Computes a point on a B-spline curve using the de Boor algorithm
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} knots The knot vector with points.length + degree + 1 entries
+ * @param {Number} degree The degree of the curve
+ * @param {Number} u The curve parameter in [knots[degree], knots[points.length]]
+ * @returns {{x:Number, y:Number}} The point on the curve
+ */
+function deBoor(points, knots, degree, u) {
+    return calcNurbsPoint(makeNurbs({ points, knots, degree }), u);
+}
+
+/**
+ * Inserts a knot into a B-spline curve without changing its shape (Boehm's algorithm)
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} knots The knot vector with points.length + degree + 1 entries
+ * @param {Number} degree The degree of the curve
+ * @param {Number} u The parameter of the new knot in [knots[degree], knots[points.length]]
+ * @returns {{points: Array<{x:Number, y:Number}>, knots: Number[]}} The new control points and knots
+ */
+function insertBSplineKnot(points, knots, degree, u) {
+    const nurbs = insertNurbsKnot(makeNurbs({ points, knots, degree }), u);
+    return { points: nurbs.points, knots: nurbs.knots };
+}
+
+/**
+ * Evaluates the blossom (polar form) of the polynomial piece of a B-spline curve on a given knot span.
+ * This is the de Boor algorithm with a different parameter in each step. Using the same parameter everywhere results in the curve point
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} knots The knot vector
+ * @param {Number} degree The degree of the curve
+ * @param {Number} k The index of the knot span of the polynomial piece
+ * @param {Number[]} args The degree many blossom arguments
+ * @returns {{x:Number, y:Number}} The blossom value
+ */
+function calcBSplineBlossom(points, knots, degree, k, args) {
+    const d = [];
+    for (let j = 0; j <= degree; j++) {
+        d.push(points[j + k - degree]);
+    }
+    for (let r = 1; r <= degree; r++) {
+        for (let j = degree; j >= r; j--) {
+            const i = j + k - degree;
+            const denom = knots[i + degree - r + 1] - knots[i];
+            const alpha = denom > 0 ? (args[r - 1] - knots[i]) / denom : 0;
+            d[j] = vLerp(d[j - 1], d[j], alpha);
+        }
+    }
+    return d[degree];
+}
+
+/**
+ * Raises the degree of a B-spline curve by one without changing its shape.
+ * The multiplicity of each knot is increased by one, so the continuity at the knots stays the same.
+ * The resulting knot vector is clamped to the domain of the original curve
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} knots The knot vector with points.length + degree + 1 entries
+ * @param {Number} degree The degree of the curve
+ * @returns {{points: Array<{x:Number, y:Number}>, knots: Number[], degree: Number}} The control points, knots and degree of the elevated curve
+ */
+function elevateBSplineDegree(points, knots, degree) {
+    const uMin = knots[degree];
+    const uMax = knots[points.length];
+    const newDegree = degree + 1;
+
+    const newKnots = [];
+    for (let i = 0; i <= newDegree; i++) {
+        newKnots.push(uMin);
+    }
+    for (const u of new Set(knots.filter(v => v > uMin && v < uMax))) {
+        const multiplicity = knots.filter(v => v === u).length;
+        for (let i = 0; i <= multiplicity; i++) {
+            newKnots.push(u);
+        }
+    }
+    for (let i = 0; i <= newDegree; i++) {
+        newKnots.push(uMax);
+    }
+
+    const numPoints = newKnots.length - newDegree - 1;
+    const newPoints = [];
+    for (let i = 0; i < numPoints; i++) {
+        // find a non-empty knot span of the domain, on which the i-th basis function is defined
+        let k = Math.max(i, newDegree);
+        const kMax = Math.min(i + newDegree, numPoints - 1);
+        while (k < kMax && !(newKnots[k] < newKnots[k + 1])) {
+            k++;
+        }
+        // the same polynomial piece of the original curve
+        const kOld = findNurbsKnotSpan(knots, degree, points.length, 0.5 * (newKnots[k] + newKnots[k + 1]));
+
+        // the blossom of the elevated polynomial is the average of the original blossom leaving out each argument once
+        const args = newKnots.slice(i + 1, i + newDegree + 1);
+        let q = vVec2(0, 0);
+        for (let j = 0; j < newDegree; j++) {
+            const subArgs = args.filter((_, idx) => idx !== j);
+            q = vAdd(q, calcBSplineBlossom(points, knots, degree, kOld, subArgs));
+        }
+        newPoints.push(vScale(q, 1 / newDegree));
+    }
+
+    return { points: newPoints, knots: newKnots, degree: newDegree };
+}
+
+/**
+ * Converts a B-spline curve into a Bezier spline by inserting knots until each inner knot has a multiplicity equal to the degree.
+ * The Bezier spline consists of one segment per non-empty knot span in the curve's domain
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} knots The knot vector with points.length + degree + 1 entries
+ * @param {Number} degree The degree of the curve
+ * @returns {Object} The Bezier spline of type TYPE_BEZIER_SPLINE
+ */
+function convertBSplineToBezierSpline(points, knots, degree) {
+    const result = [];
+    for (const segment of convertNurbsToRationalBeziers(makeNurbs({ points, knots, degree }))) {
+        // consecutive segments share their end points
+        result.push(...(result.length > 0 ? segment.points.slice(1) : segment.points));
+    }
+    return makeBezierSpline({ points: result, degree });
+}
+
 /**
  * Creates a Boolean type object of type TYPE_BOOLEAN
  * Any object that has the following fields can be treated as a Boolean value:
@@ -1241,15 +1847,20 @@ function makeLineStrip({
 /**
  * Creates a Polygon type object of type TYPE_POLYGON
  * Any object that has the following fields can be treated as a Polygon value:
- * { points : Array<{x:Number,y:Number}>, type = TYPE_POLYGON }
+ * { points : Array<{x:Number,y:Number}>, holes?: Array<Array<{x:Number,y:Number}>>, type = TYPE_POLYGON }
+ * Holes are considered by region operations, such as polygon booleans, area, perimeter, centroid, winding numbers and point-in-region tests, and when drawing.
+ * Curve operations, such as curve points and intersections, only use the outer points
  * @param {Array<{x:Number,y:Number}>} points The polygon points
- * @returns {{points : Array<{x:Number,y:Number}>, type: String}}
+ * @param {Array<Array<{x:Number,y:Number}>>} [holes] The points of the holes cut out of the polygon
+ * @returns {{points : Array<{x:Number,y:Number}>, holes: Array<Array<{x:Number,y:Number}>>, type: String}}
  */
 function makePolygon({
-    points = []
+    points = [],
+    holes = [],
 } = {}) {
     return {
         points,
+        holes,
         type: TYPE_POLYGON
     };
 }
@@ -1288,6 +1899,52 @@ function makeBezierSpline({
         type: TYPE_BEZIER_SPLINE
     };
 }
+/**
+ * Creates a rational Bezier curve type object of type TYPE_RATIONAL_BEZIER
+ * Any object that has the following fields can be treated as a rational Bezier curve value:
+ * { points : Array<{x:Number,y:Number}>, weights: Number[], degree: Number, type = TYPE_RATIONAL_BEZIER }
+ * @param {Array<{x:Number,y:Number}>} points The Bezier control points
+ * @param {Number[]} [weights] The positive weights of the control points. Missing weights default to 1
+ * @returns {{points : Array<{x:Number,y:Number}>, weights: Number[], degree: Number, type: String}}
+ */
+function makeRationalBezier({
+    points = [],
+    weights = [],
+} = {}) {
+    return {
+        points,
+        weights: points.map((_, i) => weights[i] ?? 1),
+        degree: points.length - 1,
+        type: TYPE_RATIONAL_BEZIER
+    };
+}
+
+/**
+ * Creates a NURBS curve type object of type TYPE_NURBS
+ * Any object that has the following fields can be treated as a NURBS curve value:
+ * { points : Array<{x:Number,y:Number}>, weights: Number[], knots: Number[], degree: Number, type = TYPE_NURBS }
+ * The knot vector has to be non-decreasing and contain points.length + degree + 1 entries.
+ * The curve is defined for parameters in [knots[degree], knots[points.length]]
+ * @param {Array<{x:Number,y:Number}>} points The control points
+ * @param {Number[]} [weights] The positive weights of the control points. Missing weights default to 1
+ * @param {Number[]} [knots] The knot vector. If not specified, a clamped uniform knot vector is used
+ * @param {Number} degree The degree of the curve
+ * @returns {{points : Array<{x:Number,y:Number}>, weights: Number[], knots: Number[], degree: Number, type: String}}
+ */
+function makeNurbs({
+    points = [],
+    weights = [],
+    knots = null,
+    degree = 2,
+} = {}) {
+    return {
+        points,
+        weights: points.map((_, i) => weights[i] ?? 1),
+        knots: knots ?? calcClampedUniformKnots(points.length, degree),
+        degree,
+        type: TYPE_NURBS
+    };
+}
 /**
  * Creates an Arc type object of type TYPE_ARC
  * Any object that has the following fields can be treated as an Arc value:
@@ -1341,9 +1998,151 @@ function makeEllipse({
 }
 
 /**
- * Creates a Text type object of type TYPE_TEXT
- * Any object that has the following fields can be treated as an Text value:
- * { text : String, ref: {x:Number, y:Number}, type = TYPE_TEXT }
+ * Creates a Parabola type object of type TYPE_PARABOLA
+ * Any object that has the following fields can be treated as a Parabola value:
+ * { vertex: {x:Number, y:Number}, focalLength: Number, rotation: Number, tMin: Number, tMax: Number, type = TYPE_PARABOLA }
+ * 
+ * The parabola opens along its local x-axis. A point with parameter s is given by vertex + R(rotation) * [s^2 / (4 * focalLength), s]
+ * @param {{x:Number, y:Number}} vertex The vertex of the parabola
+ * @param {Number} focalLength The distance between vertex and focus
+ * @param {Number} rotation The rotation angle of the parabola (counterclockwise)
+ * @param {Number} tMin The minimum parameter, which is the local y-coordinate
+ * @param {Number} tMax The maximum parameter, which is the local y-coordinate
+ * @returns {{vertex: {x:Number, y:Number}, focalLength: Number, rotation: Number, tMin: Number, tMax: Number, type: String}}
+ */
+function makeParabola({
+    vertex = { x: 0, y: 0 },
+    focalLength = 1,
+    rotation = 0,
+    tMin = -10,
+    tMax = 10,
+} = {}) {
+    return {
+        vertex,
+        focalLength,
+        rotation,
+        tMin,
+        tMax,
+        type: TYPE_PARABOLA
+    };
+}
+
+/**
+ * Creates a Hyperbola type object of type TYPE_HYPERBOLA
+ * Any object that has the following fields can be treated as a Hyperbola value:
+ * { center: {x:Number, y:Number}, a: Number, b: Number, rotation: Number, branch: Number, tMin: Number, tMax: Number, type = TYPE_HYPERBOLA }
+ * 
+ * The foci lie on the local x-axis. A point with parameter s is given by center + R(rotation) * [branch * a * cosh(s), b * sinh(s)]
+ * @param {{x:Number, y:Number}} center The center of the hyperbola
+ * @param {Number} a The semi-major axis, the distance between center and vertex
+ * @param {Number} b The semi-minor axis
+ * @param {Number} rotation The rotation angle of the hyperbola (counterclockwise)
+ * @param {Number} branch Which branches to use. 1 for the one in local positive x-direction, -1 for the other one, 0 for both
+ * @param {Number} tMin The minimum parameter of each branch
+ * @param {Number} tMax The maximum parameter of each branch
+ * @returns {{center: {x:Number, y:Number}, a: Number, b: Number, rotation: Number, branch: Number, tMin: Number, tMax: Number, type: String}}
+ */
+function makeHyperbola({
+    center = { x: 0, y: 0 },
+    a = 1,
+    b = 1,
+    rotation = 0,
+    branch = 0,
+    tMin = -2,
+    tMax = 2,
+} = {}) {
+    return {
+        center,
+        a,
+        b,
+        rotation,
+        branch,
+        tMin,
+        tMax,
+        type: TYPE_HYPERBOLA
+    };
+}
+
+/**
+ * Creates a Function graph type object of type TYPE_FUNCTION_GRAPH
+ * Any object that has the following fields can be treated as a Function graph value:
+ * { f: function(Number) : Number, xMin: Number, xMax: Number, type = TYPE_FUNCTION_GRAPH }
+ * @param {function(Number) : Number} f The function y = f(x)
+ * @param {Number} xMin The start of the x-interval
+ * @param {Number} xMax The end of the x-interval
+ * @returns {{f: function(Number) : Number, xMin: Number, xMax: Number, type: String}}
+ */
+function makeFunctionGraph({
+    f = x => 0,
+    xMin = -10,
+    xMax = 10,
+} = {}) {
+    return {
+        f,
+        xMin,
+        xMax,
+        type: TYPE_FUNCTION_GRAPH
+    };
+}
+
+/**
+ * Creates a Parametric curve type object of type TYPE_PARAMETRIC_CURVE
+ * Any object that has the following fields can be treated as a Parametric curve value:
+ * { fx: function(Number) : Number, fy: function(Number) : Number, tMin: Number, tMax: Number, type = TYPE_PARAMETRIC_CURVE }
+ * @param {function(Number) : Number} fx The x-coordinate function x(t)
+ * @param {function(Number) : Number} fy The y-coordinate function y(t)
+ * @param {Number} tMin The start of the parameter interval
+ * @param {Number} tMax The end of the parameter interval
+ * @returns {{fx: function(Number) : Number, fy: function(Number) : Number, tMin: Number, tMax: Number, type: String}}
+ */
+function makeParametricCurve({
+    fx = t => t,
+    fy = t => 0,
+    tMin = 0,
+    tMax = 1,
+} = {}) {
+    return {
+        fx,
+        fy,
+        tMin,
+        tMax,
+        type: TYPE_PARAMETRIC_CURVE
+    };
+}
+
+/**
+ * Creates an Implicit curve type object of type TYPE_IMPLICIT_CURVE
+ * The curve consists of all points with f(x,y) = 0 inside of the given bounds.
+ * Any object that has the following fields can be treated as an Implicit curve value:
+ * { f: function(Number, Number) : Number, xMin: Number, xMax: Number, yMin: Number, yMax: Number, type = TYPE_IMPLICIT_CURVE }
+ * @param {function(Number, Number) : Number} f The function f(x,y)
+ * @param {Number} xMin The minimum x-coordinate of the bounds
+ * @param {Number} xMax The maximum x-coordinate of the bounds
+ * @param {Number} yMin The minimum y-coordinate of the bounds
+ * @param {Number} yMax The maximum y-coordinate of the bounds
+ * @returns {{f: function(Number, Number) : Number, xMin: Number, xMax: Number, yMin: Number, yMax: Number, type: String}}
+ */
+function makeImplicitCurve({
+    f = (x, y) => y,
+    xMin = -10,
+    xMax = 10,
+    yMin = -10,
+    yMax = 10,
+} = {}) {
+    return {
+        f,
+        xMin,
+        xMax,
+        yMin,
+        yMax,
+        type: TYPE_IMPLICIT_CURVE
+    };
+}
+
+/**
+ * Creates a Text type object of type TYPE_TEXT
+ * Any object that has the following fields can be treated as an Text value:
+ * { text : String, ref: {x:Number, y:Number}, type = TYPE_TEXT }
  * @param {String} text The text
  * @param {{x:Number, y:Number}} ref A point to which the text attaches to
  * @returns {{text : String, ref: {x:Number, y:Number}, type: String}}
@@ -2765,5544 +3564,12378 @@ function intersectEllipseEllipse(ellipse0, ellipse1, { eps = 1E-10 } = {}) {
 }
 
 /**
- * Computes the points on an arc going through a given point, if they exist. 
- * @param {{x:Number,y:Number}} p The point
- * @param {{x:Number,y:Number}} c The arc's center
- * @param {Number} r The arc's radius
- * @param {Object} options
- * @param {Number} options.angleMin The minimum first arc angle
- * @param {Number} options.angleMax The maximum first arc angle
- * @param {Number} options.eps The epsilon value used for comparisons
- * @returns {Array<{x:Number,y:Number}>} The tangent points
+ * Transforms points into the coordinate system of a conic section given by its center and rotation
+ * @param {Array<{x:Number,y:Number}>} points The input points
+ * @param {{x:Number,y:Number}} center The center of the conic. For parabolas, this is the vertex
+ * @param {Number} rotation The conic rotation
+ * @param {Boolean} isVector Whether the given points are vectors. If so, they are not translated
+ * @returns {Array<{x:Number,y:Number}>} The transformed points
  */
-function calcCirclePointTangentPoints(p, c, r, { angleMin = 0, angleMax = 2.0 * Math.PI,
-    eps = 1E-10
-} = {}) {
-    // find tangent points: q_i
-    // vector t = q_i - p is perpendicular to radius vector v = q_i - c
-    // this forms a right triangle with the center and the point
-    // therefore we can find |t| via pythagoras
-    // |t|^ + |v|^2 = |p-c|^2 => |t|^ + r^2 = |p-c|^2 => |t|^2  = |p-c|^2 - r^2
-    // from that we can make a circle with radius |t| around p and intersect that with the given circle
-    // calling the intersect function will handle the ranges of the arc
+function convertPointToLocalConic(points, center, rotation, isVector = false) {
+    const ca = Math.cos(-rotation);
+    const sa = Math.sin(-rotation);
+    if (!isVector) {
+        points = points.map(p => vSub(p, center));
+    }
+    return points.map(p => vRotate(p, -rotation, ca, sa));
+}
 
-    const t2 = vLen2(vSub(p, c)) - r * r;
-    const t = Math.sqrt(t2);
+/**
+ * Transforms points from the coordinate system of a conic section given by its center and rotation to world
+ * @param {Array<{x:Number,y:Number}>} points The input points
+ * @param {{x:Number,y:Number}} center The center of the conic. For parabolas, this is the vertex
+ * @param {Number} rotation The conic rotation
+ * @param {Boolean} isVector Whether the given points are vectors. If so, they are not translated
+ * @returns {Array<{x:Number,y:Number}>} The transformed points
+ */
+function convertPointFromLocalConic(points, center, rotation, isVector = false) {
+    const ca = Math.cos(rotation);
+    const sa = Math.sin(rotation);
+    points = points.map(p => vRotate(p, rotation, ca, sa));
+    if (!isVector) {
+        points = points.map(p => vAdd(p, center));
+    }
+    return points;
+}
 
-    return intersectArcArc(c, r, p, t, {
-        angleMinA: angleMin, angleMaxA: angleMax,
-        eps
-    });
+/**
+ * Computes the branch signs used by a hyperbola
+ * @param {{branch: Number}} hyperbola The hyperbola
+ * @returns {Number[]} The branch signs. Either [1], [-1] or [1,-1]
+ */
+function getHyperbolaBranches(hyperbola) {
+    const { branch } = hyperbola;
+    if (branch > 0) {
+        return [1];
+    } else if (branch < 0) {
+        return [-1];
+    }
+    return [1, -1];
+}
+
+/**
+ * Converts a curve parameter in [0,1] to a branch and local parameter of a hyperbola.
+ * If both branches are used, the first half of the parameter range belongs to the positive branch
+ * @param {{branch: Number, tMin: Number, tMax: Number}} hyperbola The hyperbola
+ * @param {Number} t The curve parameter
+ * @returns {{branch: Number, s: Number}} The branch sign and local parameter
+ */
+function calcHyperbolaLocalParam(hyperbola, t) {
+    const branches = getHyperbolaBranches(hyperbola);
+    const n = branches.length;
+    t *= n;
+    const idx = Math.max(0, Math.min(n - 1, Math.floor(t)));
+    t -= idx;
+
+    const { tMin, tMax } = hyperbola;
+    return { branch: branches[idx], s: tMin + t * (tMax - tMin) };
 }
 
+/**
+ * Converts a branch and local parameter of a hyperbola to a curve parameter in [0,1].
+ * This is the inverse of @see{calcHyperbolaLocalParam}
+ * @param {{branch: Number, tMin: Number, tMax: Number}} hyperbola The hyperbola
+ * @param {Number} branch The branch sign
+ * @param {Number} s The local parameter
+ * @returns {Number} The curve parameter
+ */
+function calcHyperbolaCurveParam(hyperbola, branch, s) {
+    const branches = getHyperbolaBranches(hyperbola);
+    const idx = Math.max(0, branches.indexOf(Math.sign(branch)));
+    const { tMin, tMax } = hyperbola;
+    return (idx + (s - tMin) / (tMax - tMin)) / branches.length;
+}
 
 /**
- * Checks whether a point's direction lies in the angle range specified by the given arc
- * @param {{x:Number,y:Number}} p The point
- * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc The arc
- * @returns True, if the point is valid, false otherwise
+ * Computes the implicit equation A x^2 + B xy + C y^2 + D x + E y + F = 0 of a conic section.
+ * Supported types are arcs, ellipses, parabolas and hyperbolas. Angle or parameter ranges are ignored
+ * @param {Object} obj The conic object
+ * @returns {{A:Number, B:Number, C:Number, D:Number, E:Number, F:Number}} The coefficients
  */
-function isPointDirectionValidOnArc(p, arc) {
+function calcConicImplicit(obj) {
+    const type = obj.type;
+
+    // local equation is m0 x^2 + m1 y^2 + g0 x + h = 0
+    let m0, m1, g0 = 0, h, center, rotation;
+    if (type === TYPE_ARC) {
+        m0 = m1 = 1 / (obj.r * obj.r);
+        h = -1;
+        center = obj.center;
+        rotation = 0;
+    } else if (type === TYPE_ELLIPSE) {
+        m0 = 1 / (obj.rx * obj.rx);
+        m1 = 1 / (obj.ry * obj.ry);
+        h = -1;
+        ({ center, rotation } = obj);
+    } else if (type === TYPE_PARABOLA) {
+        m0 = 0;
+        m1 = 1;
+        g0 = -4 * obj.focalLength;
+        h = 0;
+        center = obj.vertex;
+        rotation = obj.rotation;
+    } else if (type === TYPE_HYPERBOLA) {
+        m0 = 1 / (obj.a * obj.a);
+        m1 = -1 / (obj.b * obj.b);
+        h = -1;
+        ({ center, rotation } = obj);
+    } else {
+        throw new Error(`Expected conic section, got ${type}`);
+    }
 
-    const prel = vSub(p, arc.center);
+    // with local coordinates l = R^T (p - c), the quadratic form is transformed by N = R M R^T
+    const c = Math.cos(rotation);
+    const s = Math.sin(rotation);
+    const n00 = m0 * c * c + m1 * s * s;
+    const n01 = (m0 - m1) * c * s;
+    const n11 = m0 * s * s + m1 * c * c;
+    // linear part R g
+    const kx = g0 * c;
+    const ky = g0 * s;
 
-    return isPointInAngleRange({
-        x: prel.x,
-        y: prel.y
-    }, arc.startAngle, arc.endAngle);
+    const { x: cx, y: cy } = center;
+    return {
+        A: n00,
+        B: 2 * n01,
+        C: n11,
+        D: kx - 2 * (n00 * cx + n01 * cy),
+        E: ky - 2 * (n01 * cx + n11 * cy),
+        F: n00 * cx * cx + 2 * n01 * cx * cy + n11 * cy * cy - kx * cx - ky * cy + h,
+    };
 }
 
 /**
- * Computes the points on two arc's outer tangents, if they exist. 
- * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The first arc
- * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The second arc
+ * Computes a rational quadratic parametrization x(w) / q(w), y(w) / q(w) of a parabola or one hyperbola branch.
+ * Polynomials are given as coefficient arrays in ascending order.
+ * For a parabola, w is the local parameter. For a hyperbola, w = exp(s), where s is the local parameter
+ * @param {Object} obj The parabola or hyperbola
+ * @param {Number} [branch] The branch sign for hyperbolas
+ * @returns {{x: Number[], y: Number[], q: Number[]}} The polynomials
+ */
+function calcConicRationalParam(obj, branch = 1) {
+    const c = Math.cos(obj.rotation);
+    const s = Math.sin(obj.rotation);
+    if (obj.type === TYPE_PARABOLA) {
+        // local point is [w^2 / (4f), w]
+        const { vertex, focalLength } = obj;
+        const f4 = 4 * focalLength;
+        return {
+            x: [vertex.x, -s, c / f4],
+            y: [vertex.y, c, s / f4],
+            q: [1, 0, 0],
+        };
+    } else if (obj.type === TYPE_HYPERBOLA) {
+        // cosh(s) = (w^2 + 1) / (2w), sinh(s) = (w^2 - 1) / (2w)
+        const { center, a, b } = obj;
+        const ba = branch * a;
+        return {
+            x: [c * ba + s * b, 2 * center.x, c * ba - s * b],
+            y: [s * ba - c * b, 2 * center.y, s * ba + c * b],
+            q: [0, 2, 0],
+        };
+    }
+    throw new Error(`Expected parabola or hyperbola, got ${obj.type}`);
+}
+
+/**
+ * Computes the parameters at which a rational quadratic curve fulfills the implicit equation of a conic section.
+ * See @see{calcConicRationalParam} and @see{calcConicImplicit}
+ * @param {{x: Number[], y: Number[], q: Number[]}} param The curve as polynomials x(w) / q(w), y(w) / q(w) of at most degree 2
+ * @param {{A:Number, B:Number, C:Number, D:Number, E:Number, F:Number}} implicit The implicit conic
  * @param {Object} options
+ * @param {Number} options.wMin The minimum curve parameter
+ * @param {Number} options.wMax The maximum curve parameter
  * @param {Number} options.eps The epsilon value used for comparisons
- * @returns {Array<{x:Number,y:Number}>} The tangent points. They come in pairs of point on first arc and point on second arc
+ * @returns {Array<{x:Number, y:Number, w:Number}>} The intersection points with their parameters
  */
-function calcOuterTangentPoints(arc0, arc1, {
-    eps = 1E-10
-} = {}) {
-
-    let switched = false;
-    // order to have arc0 be the larger one
-    if (arc1.r > arc0.r) {
-        [arc0, arc1] = [arc1, arc0];
-        switched = true;
+function intersectRationalQuadraticImplicit(param, implicit, { wMin = -Infinity, wMax = Infinity, eps = 1E-10 } = {}) {
+    const mult = (p, q) => {
+        const r = [0, 0, 0, 0, 0];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                r[i + j] += (p[i] ?? 0) * (q[j] ?? 0);
+            }
+        }
+        return r;
+    };
+    const { x, y, q } = param;
+    const { A, B, C, D, E, F } = implicit;
+
+    // plug into implicit equation multiplied by q^2:
+    // A x^2 + B xy + C y^2 + D xq + E yq + F q^2 = 0
+    const terms = [
+        [A, mult(x, x)], [B, mult(x, y)], [C, mult(y, y)],
+        [D, mult(x, q)], [E, mult(y, q)], [F, mult(q, q)],
+    ];
+    const poly = [0, 0, 0, 0, 0];
+    for (const [f, p] of terms) {
+        for (let i = 0; i < 5; i++) {
+            poly[i] += f * p[i];
+        }
     }
 
-    const v = vSub(arc1.center, arc0.center);
-    const hypotenuse = vLen(v);
-    const r3 = arc0.r - arc1.r;
-
-    let arg = r3 / hypotenuse;
-    if (Math.abs(arg) > 1 + eps) {
-        // No tangents can be found
+    // normalize, so the leading coefficient checks are relative
+    const scale = Math.max(...poly.map(Math.abs));
+    if (scale < eps) {
+        // curve lies on the conic or everything is degenerate
         return [];
     }
-    arg = Math.min(1, Math.max(-1, arg));
-
-    const phi = Math.acos(arg);
-    const phi0 = Math.atan2(v.y, v.x);
-    const phi1 = phi0 + phi;
-    const phi2 = phi0 - phi;
-
-    const pPolar0 = vPolar(1, phi1);
-    const pPolar1 = vPolar(1, phi2);
-
-    const points = [];
-
-    // first tangent
-    points.push(vAdd(vScale(pPolar0, arc0.r), arc0.center));
-    points.push(vAdd(vScale(pPolar0, arc1.r), arc1.center));
+    for (let i = 0; i < 5; i++) {
+        poly[i] /= scale;
+    }
 
-    points.push(vAdd(vScale(pPolar1, arc0.r), arc0.center));
-    points.push(vAdd(vScale(pPolar1, arc1.r), arc1.center));
+    const roots = solveQuarticComplex(poly[4], poly[3], poly[2], poly[1], poly[0], eps);
 
-    // filter
+    const evalPoly = (p, w) => ((((p[4] ?? 0) * w + (p[3] ?? 0)) * w + (p[2] ?? 0)) * w + p[1]) * w + p[0];
     const result = [];
+    for (const r of roots) {
+        // double roots at tangent points are numerically slightly complex
+        if (Math.abs(cImag(r)) > 1E-6 * Math.max(1, Math.abs(cReal(r)))) {
+            continue;
+        }
+        let w = cReal(r);
 
-    for (let i = 0; i < points.length; i += 2) {
-        let p0 = points[i + 0];
-        let p1 = points[i + 1];
+        // polish the root with a few Newton steps
+        const dpoly = [poly[1], 2 * poly[2], 3 * poly[3], 4 * poly[4]];
+        for (let i = 0; i < 3; i++) {
+            const dw = evalPoly(dpoly, w);
+            if (Math.abs(dw) < eps) {
+                break;
+            }
+            w -= evalPoly(poly, w) / dw;
+        }
 
-        if (!isPointDirectionValidOnArc(p0, arc0) || !isPointDirectionValidOnArc(p1, arc1)) {
+        if (w < wMin - eps || w > wMax + eps) {
             continue;
         }
 
-        if (switched) {
-            [p0, p1] = [p1, p0];
+        const qw = evalPoly(q, w);
+        if (Math.abs(qw) < eps) {
+            continue;
         }
-        result.push(p0, p1);
+
+        if (result.some(v => Math.abs(v.w - w) < 1E-7 * Math.max(1, Math.abs(w)))) {
+            continue;
+        }
+        result.push({ x: evalPoly(x, w) / qw, y: evalPoly(y, w) / qw, w });
     }
     return result;
+}
 
+/**
+ * Checks whether a point on a conic section lies in the conic's angle or parameter range.
+ * Supported types are arcs, ellipses, parabolas and hyperbolas
+ * @param {Object} obj The conic object
+ * @param {{x:Number, y:Number}} p The point, which is assumed to lie on the conic
+ * @param {Number} eps The epsilon value used for comparisons
+ * @returns {Boolean} True, if the point lies in the range, false otherwise
+ */
+function isPointInConicRange(obj, p, eps = 1E-10) {
+    const type = obj.type;
+    if (type === TYPE_ARC) {
+        return isPointDirectionValidOnArc(p, obj);
+    } else if (type === TYPE_ELLIPSE) {
+        const [q] = convertPointToLocalEllipse([p], obj.center, obj.rotation, obj.rx, obj.ry);
+        return isAngleInRange(calcAngle(q.x, q.y), obj.startAngle, obj.endAngle);
+    } else if (type === TYPE_PARABOLA) {
+        const [q] = convertPointToLocalConic([p], obj.vertex, obj.rotation);
+        return q.y >= obj.tMin - eps && q.y <= obj.tMax + eps;
+    } else if (type === TYPE_HYPERBOLA) {
+        const [q] = convertPointToLocalConic([p], obj.center, obj.rotation);
+        if (obj.branch !== 0 && Math.sign(q.x) !== Math.sign(obj.branch)) {
+            return false;
+        }
+        const s = Math.asinh(q.y / obj.b);
+        return s >= obj.tMin - eps && s <= obj.tMax + eps;
+    }
+    throw new Error(`Expected conic section, got ${type}`);
 }
 
 /**
- * Computes the points on two arc's inner tangents, if they exist. 
- * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The first arc
- * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The second arc
+ * Computes the intersections of a parabola or hyperbola with another object.
+ * Supported types for the other object are lines, vectors, line strips, polygons, Bezier curves and splines up to degree 2,
+ * arcs, ellipses, parabolas and hyperbolas
+ * @param {Object} conic The parabola or hyperbola
+ * @param {Object} obj The other object
  * @param {Object} options
  * @param {Number} options.eps The epsilon value used for comparisons
- * @returns {Array<{x:Number,y:Number}>} The tangent points. They come in pairs of point on first arc and point on second arc
+ * @returns {Array<{x:Number,y:Number}>} The intersections
  */
-function calcInnerTangentPoints(arc0, arc1, {
-    eps = 1E-10
-} = {}) {
+function intersectConicObject(conic, obj, { eps = 1E-10 } = {}) {
+    const implicit = calcConicImplicit(conic);
 
-    let switched = false;
-    // order to have arc0 be the larger one
-    if (arc1.r > arc0.r) {
-        [arc0, arc1] = [arc1, arc0];
-        switched = true;
+    const intersectSegment = (param, wMin, wMax) => {
+        return intersectRationalQuadraticImplicit(param, implicit, { wMin, wMax, eps })
+            .filter(p => isPointInConicRange(conic, p, eps))
+            .map(({ x, y }) => ({ x, y }));
+    };
+    const lineParam = (p0, p1) => ({
+        x: [p0.x, p1.x - p0.x, 0],
+        y: [p0.y, p1.y - p0.y, 0],
+        q: [1, 0, 0]
+    });
+    const bezierParam = (points) => {
+        if (points.length === 2) {
+            return lineParam(points[0], points[1]);
+        } else if (points.length === 3) {
+            const [q0, q1, q2] = convertQuadraticBezierToParamBase(...points);
+            return {
+                x: [q0.x, q1.x, q2.x],
+                y: [q0.y, q1.y, q2.y],
+                q: [1, 0, 0]
+            };
+        }
+        throw new Error(`Intersection with bezier only defined up to degree 2, got ${points.length - 1}`);
+    };
+
+    const type = obj.type;
+    if (type === TYPE_LINE) {
+        return intersectSegment(lineParam(obj.p0, obj.p1),
+            obj.leftOpen ? -Infinity : 0,
+            obj.rightOpen ? Infinity : 1);
+    } else if (type === TYPE_VECTOR) {
+        return intersectSegment(lineParam(obj.ref, vAdd(obj.ref, obj)), 0, 1);
+    } else if (type === TYPE_LINE_STRIP || type === TYPE_POLYGON) {
+        const { points } = obj;
+        const num = type === TYPE_POLYGON ? points.length : points.length - 1;
+        const result = [];
+        for (let i = 0; i < num; i++) {
+            result.push(...intersectSegment(lineParam(points[i], points[(i + 1) % points.length]), 0, 1));
+        }
+        return result;
+    } else if (type === TYPE_BEZIER) {
+        if (obj.points.length < 2) {
+            return [];
+        }
+        return intersectSegment(bezierParam(obj.points), 0, 1);
+    } else if (type === TYPE_BEZIER_SPLINE) {
+        const { points, degree } = obj;
+        const num = numSegmentsBezierSpline(points, degree);
+        const result = [];
+        for (let i = 0; i < num; i++) {
+            result.push(...intersectSegment(bezierParam(getBezierSplineSegment(points, degree, i)), 0, 1));
+        }
+        return result;
+    } else if (type === TYPE_ARC || type === TYPE_ELLIPSE || type === TYPE_PARABOLA || type === TYPE_HYPERBOLA) {
+        // plug the conic into the implicit form of the other object
+        const objImplicit = calcConicImplicit(obj);
+        const result = [];
+        const branches = conic.type === TYPE_HYPERBOLA ? getHyperbolaBranches(conic) : [1];
+        for (const branch of branches) {
+            const param = calcConicRationalParam(conic, branch);
+            let wMin = conic.tMin;
+            let wMax = conic.tMax;
+            if (conic.type === TYPE_HYPERBOLA) {
+                wMin = Math.exp(wMin);
+                wMax = Math.exp(wMax);
+            }
+            const points = intersectRationalQuadraticImplicit(param, objImplicit, { wMin, wMax, eps })
+                .filter(p => isPointInConicRange(obj, p, eps));
+            result.push(...points.map(({ x, y }) => ({ x, y })));
+        }
+        return result;
     }
+    throw new Error(`Intersection of ${conic.type} with ${type} not supported`);
+}
 
-    const v = vSub(arc1.center, arc0.center);
-    const hypotenuse = vLen(v);
-    const r3 = arc0.r + arc1.r;
+/**
+ * Computes the implicit equation A x^2 + B xy + C y^2 + D x + E y + F = 0 of the conic section through five points
+ * @param {Array<{x:Number,y:Number}>} points The five points
+ * @param {Number} eps The epsilon value used for comparisons
+ * @returns {{A:Number, B:Number, C:Number, D:Number, E:Number, F:Number} | null} The coefficients or null, if the conic is not unique
+ */
+function calcConicFromPoints(points, eps = 1E-10) {
+    if (points.length !== 5) {
+        throw new Error(`Expected 5 points, got ${points.length}`);
+    }
 
-    const phi0 = Math.atan2(v.y, v.x);
-    let arg = r3 / hypotenuse;
-    if (Math.abs(arg) > 1 + eps) {
-        // No tangents can be found
-        return [];
+    // center and scale points for a better conditioned system
+    const mean = vScale(points.reduce((acc, p) => vAdd(acc, p), vVec2(0, 0)), 1 / 5);
+    const scale = Math.max(...points.map(p => vLen(vSub(p, mean))));
+    if (scale < eps) {
+        return null;
     }
-    arg = Math.min(1, Math.max(-1, arg));
-    const phi = Math.asin(arg) - Math.PI / 2;
-    const phi1 = phi0 + phi;
-    const phi2 = phi0 - phi;
+    const local = points.map(p => vScale(vSub(p, mean), 1 / scale));
 
-    const pPolar0 = vPolar(1, phi1);
-    const pPolar1 = vPolar(1, phi2);
+    // each point gives a row [x^2, xy, y^2, x, y, 1]
+    const m = local.map(({ x, y }) => [x * x, x * y, y * y, x, y, 1]);
 
-    const points = [];
+    // gaussian elimination with partial pivoting
+    const pivotCols = [];
+    let row = 0;
+    for (let col = 0; col < 6 && row < 5; col++) {
+        let maxRow = row;
+        for (let i = row + 1; i < 5; i++) {
+            if (Math.abs(m[i][col]) > Math.abs(m[maxRow][col])) {
+                maxRow = i;
+            }
+        }
+        if (Math.abs(m[maxRow][col]) < 1E-9) {
+            continue;
+        }
+        [m[row], m[maxRow]] = [m[maxRow], m[row]];
+        for (let i = 0; i < 5; i++) {
+            if (i === row) {
+                continue;
+            }
+            const f = m[i][col] / m[row][col];
+            for (let j = col; j < 6; j++) {
+                m[i][j] -= f * m[row][j];
+            }
+        }
+        pivotCols.push(col);
+        row++;
+    }
 
-    // first tangent
-    points.push(vAdd(vScale(pPolar0, arc0.r), arc0.center));
-    points.push(vAdd(vScale(vPolar(1, phi1 + Math.PI), arc1.r), arc1.center));
+    if (pivotCols.length < 5) {
+        // more than one conic through the points
+        return null;
+    }
 
-    points.push(vAdd(vScale(pPolar1, arc0.r), arc0.center));
-    points.push(vAdd(vScale(vPolar(1, phi2 + Math.PI), arc1.r), arc1.center));
+    // the single free variable is set to 1
+    const freeCol = [0, 1, 2, 3, 4, 5].find(c => !pivotCols.includes(c));
+    const v = new Array(6).fill(0);
+    v[freeCol] = 1;
+    for (let i = 0; i < 5; i++) {
+        v[pivotCols[i]] = -m[i][freeCol] / m[i][pivotCols[i]];
+    }
 
-    // filter
-    const result = [];
+    // transform back from local coordinates x' = (x - mean) / scale
+    const [a, b, c, d, e, f] = v;
+    const s2 = scale * scale;
+    const A = a / s2;
+    const B = b / s2;
+    const C = c / s2;
+    const D = d / scale;
+    const E = e / scale;
+    const { x: mx, y: my } = mean;
+    return {
+        A, B, C,
+        D: D - 2 * A * mx - B * my,
+        E: E - 2 * C * my - B * mx,
+        F: A * mx * mx + B * mx * my + C * my * my - D * mx - E * my + f,
+    };
+}
 
-    for (let i = 0; i < points.length; i += 2) {
-        let p0 = points[i + 0];
-        let p1 = points[i + 1];
+/**
+ * Converts the implicit equation A x^2 + B xy + C y^2 + D x + E y + F = 0 of a conic section into an ellipse, parabola or hyperbola.
+ * Parabolas and hyperbolas use the given parameter range, ellipses are closed
+ * @param {{A:Number, B:Number, C:Number, D:Number, E:Number, F:Number}} implicit The coefficients
+ * @param {Object} options
+ * @param {Number} options.tMin The minimum parameter for parabolas and hyperbolas
+ * @param {Number} options.tMax The maximum parameter for parabolas and hyperbolas
+ * @param {Number} options.eps The epsilon value used for comparisons. Coefficients are normalized before comparing
+ * @returns {Object | null} The conic of type TYPE_ELLIPSE, TYPE_PARABOLA or TYPE_HYPERBOLA or null, if the conic is degenerate
+ */
+function convertImplicitToConic(implicit, { tMin = undefined, tMax = undefined, eps = 1E-9 } = {}) {
+    let { A, B, C, D, E, F } = implicit;
+    const scale = Math.max(Math.abs(A), Math.abs(B), Math.abs(C), Math.abs(D), Math.abs(E), Math.abs(F));
+    if (scale === 0) {
+        return null;
+    }
+    [A, B, C, D, E, F] = [A, B, C, D, E, F].map(v => v / scale);
 
-        if (!isPointDirectionValidOnArc(p0, arc0) || !isPointDirectionValidOnArc(p1, arc1)) {
-            continue;
+    // rotate to remove the mixed term
+    let theta = 0.5 * Math.atan2(B, A - C);
+    const rotated = (theta) => {
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        return {
+            a: A * c * c + B * c * s + C * s * s,
+            c: A * s * s - B * c * s + C * c * c,
+            d: D * c + E * s,
+            e: -D * s + E * c,
+        };
+    };
+
+    let { a, c, d, e } = rotated(theta);
+    if (Math.abs(a) < eps && Math.abs(c) < eps) {
+        return null;
+    }
+
+    // parabolas are handled with the vanishing quadratic term in local x
+    if (Math.abs(c) < Math.abs(a)) {
+        const r = rotated(theta + Math.PI / 2);
+        if (Math.abs(r.a) < eps) {
+            theta += Math.PI / 2;
+            ({ a, c, d, e } = r);
         }
+    }
 
-        if (switched) {
-            [p0, p1] = [p1, p0];
+    if (Math.abs(a) < eps) {
+        // c y^2 + d x + e y + F = 0 <=> (y - y0)^2 = 4f (x - x0)
+        if (Math.abs(d) < eps) {
+            return null;
         }
-        result.push(p0, p1);
+        const f4 = -d / c;
+        const y0 = -e / (2 * c);
+        const k = e * e / (4 * c * c) - F / c;
+        const x0 = -k / f4;
+
+        let focalLength = f4 / 4;
+        let rotation = theta;
+        if (focalLength < 0) {
+            focalLength = -focalLength;
+            rotation += Math.PI;
+        }
+        const [vertex] = convertPointFromLocalConic([vVec2(x0, y0)], vVec2(0, 0), theta);
+        return makeParabola({ vertex: makePoint(vertex), focalLength, rotation: normalizeAngle(rotation), tMin, tMax });
     }
-    return result;
 
+    // central conic a (x - x0)^2 + c (y - y0)^2 = -F0
+    const x0 = -d / (2 * a);
+    const y0 = -e / (2 * c);
+    const F0 = F - a * x0 * x0 - c * y0 * y0;
+    if (Math.abs(F0) < eps) {
+        // point or pair of lines
+        return null;
+    }
+    const [c0] = convertPointFromLocalConic([vVec2(x0, y0)], vVec2(0, 0), theta);
+    const center = makePoint(c0);
+
+    const rx2 = -F0 / a;
+    const ry2 = -F0 / c;
+    if (rx2 > 0 && ry2 > 0) {
+        return makeEllipse({ center, rx: Math.sqrt(rx2), ry: Math.sqrt(ry2), rotation: normalizeAngle(theta) });
+    } else if (rx2 < 0 && ry2 < 0) {
+        // imaginary ellipse
+        return null;
+    }
+
+    if (rx2 > 0) {
+        return makeHyperbola({ center, a: Math.sqrt(rx2), b: Math.sqrt(-ry2), rotation: normalizeAngle(theta), tMin, tMax });
+    }
+    return makeHyperbola({ center, a: Math.sqrt(ry2), b: Math.sqrt(-rx2), rotation: normalizeAngle(theta + Math.PI / 2), tMin, tMax });
 }
 
 /**
- * Computes the number of segments of a Bezier spline where each consecutive segment uses the last point of the previous one
- * @param {Array<{x:Number,y:Number}>} points The control points
- * @param {Number} degree The Bezier degree
- * @returns {Number} The number of segments
+ * Computes the control points of a quadratic Bezier curve that exactly represents a parabola
+ * @param {Object} parabola The parabola of type TYPE_PARABOLA
+ * @returns {Array<{x:Number,y:Number}>} The three control points
  */
-function numSegmentsBezierSpline(points, degree) {
-    if ((points.length - (degree + 1)) % degree !== 0) {
-        throw new Error("Wrong number of input points");
-    }
+function convertParabolaToBezier(parabola) {
+    const { vertex, focalLength, rotation, tMin, tMax } = parabola;
+    const f4 = 4 * focalLength;
+    // the inner control point is the intersection of the tangents at the ends
+    const local = [
+        vVec2(tMin * tMin / f4, tMin),
+        vVec2(tMin * tMax / f4, 0.5 * (tMin + tMax)),
+        vVec2(tMax * tMax / f4, tMax),
+    ];
+    return convertPointFromLocalConic(local, vertex, rotation);
+}
 
-    if (degree === 1) {
-        return points.length - 1;
+/**
+ * Samples the branches of a hyperbola into line strips
+ * @param {Object} hyperbola The hyperbola of type TYPE_HYPERBOLA
+ * @param {Number} numSegments The number of line segments per branch
+ * @returns {Array<Array<{x:Number,y:Number}>>} The points of each branch
+ */
+function sampleHyperbola(hyperbola, numSegments = 64) {
+    const { center, a, b, rotation, tMin, tMax } = hyperbola;
+    return getHyperbolaBranches(hyperbola).map(branch => {
+        const local = [];
+        for (let i = 0; i <= numSegments; i++) {
+            const s = tMin + (tMax - tMin) * i / numSegments;
+            local.push(vVec2(branch * a * Math.cosh(s), b * Math.sinh(s)));
+        }
+        return convertPointFromLocalConic(local, center, rotation);
+    });
+}
+
+/**
+ * Computes the derivative of a function numerically with central differences
+ * @param {function(Number) : Number} f The function
+ * @param {Number} x The position
+ * @param {Number} [h] The step size. If not given, it is chosen relative to x
+ * @returns {Number} The approximated derivative
+ */
+function calcFunctionDerivative(f, x, h = undefined) {
+    h = h ?? 1E-5 * Math.max(1, Math.abs(x));
+    return (f(x + h) - f(x - h)) / (2 * h);
+}
+
+/**
+ * Finds the roots of a function in an interval.
+ * The interval is sampled uniformly and each sign change is refined by bisection.
+ * Sign changes caused by poles are discarded
+ * @param {function(Number) : Number} g The function
+ * @param {Number} a The start of the interval
+ * @param {Number} b The end of the interval
+ * @param {Object} options
+ * @param {Number} options.numSamples The number of uniform samples. Roots closer than the sample distance might be missed
+ * @param {Number} options.maxIterations The maximum number of bisection steps
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Number[]} The roots
+ */
+function calcFunctionRoots(g, a, b, { numSamples = 256, maxIterations = 64, eps = 1E-10 } = {}) {
+    const roots = [];
+    const addRoot = (x) => {
+        if (!roots.some(r => Math.abs(r - x) < 1E-9 * Math.max(1, Math.abs(x)))) {
+            roots.push(x);
+        }
+    };
+
+    let x0 = a;
+    let g0 = g(a);
+    if (Math.abs(g0) < eps) {
+        addRoot(x0);
+    }
+    for (let i = 1; i <= numSamples; i++) {
+        const x1 = a + (b - a) * i / numSamples;
+        const g1 = g(x1);
+
+        if (Math.abs(g1) < eps) {
+            addRoot(x1);
+        } else if (Number.isFinite(g0) && Number.isFinite(g1) && Math.abs(g0) >= eps && g0 * g1 < 0) {
+            let lo = x0;
+            let hi = x1;
+            let glo = g0;
+            for (let j = 0; j < maxIterations; j++) {
+                const m = 0.5 * (lo + hi);
+                const gm = g(m);
+                if (gm * glo > 0) {
+                    lo = m;
+                    glo = gm;
+                } else {
+                    hi = m;
+                }
+            }
+            const r = 0.5 * (lo + hi);
+            // at a pole, the value grows instead of vanishing
+            if (Math.abs(g(r)) <= Math.min(Math.abs(g0), Math.abs(g1))) {
+                addRoot(r);
+            }
+        }
+
+        x0 = x1;
+        g0 = g1;
     }
-    // This should be right
-    // The first spline part adds deg+1 points
-    // as the next point shares its first with the last, only deg points are added
-    // this leads to the total number of points: deg + 1 + i*deg, where i is the number of additional points
-    // if deg > 1, we can do integer division: 
-    // div(deg + 1 + i*deg, deg) = div(deg,deg) + div(1,deg) + div(i*deg,deg) 
-    //  = 1 + 0 + i = 1 + i
-    // There is probably a nicer formula including deg = 1...
-    return Math.floor(points.length / degree);
+    return roots;
 }
+// nodes and weights of already requested Gauss-Legendre rules
+const GAUSS_LEGENDRE_RULES = new Map();
 
 /**
- * Computes the segment i of a Bezier spline where each consecutive segment uses the last point of the previous one
- * @param {Array<{x:Number,y:Number}>} points The control points
- * @param {Number} degree The Bezier degree
- * @param {Number} i The index of the segment
- * @returns {Array<{x:Number,y:Number}>} The segments
+ * Computes the nodes and weights of the Gauss-Legendre quadrature rule on the interval [-1,1].
+ * A rule with n nodes integrates polynomials up to degree 2n-1 exactly.
+ * The nodes are exactly symmetric and the weights are normalized to sum up to 2, so constants are integrated without rounding errors
+ * @param {Number} n The number of nodes
+ * @returns {{nodes: Number[], weights: Number[]}} The nodes and weights
  */
-function getBezierSplineSegment(points, degree, i) {
-    if ((points.length - (degree + 1)) % degree !== 0) {
-        throw new Error("Wrong number of input points");
+function calcGaussLegendreRule(n) {
+    if (GAUSS_LEGENDRE_RULES.has(n)) {
+        return GAUSS_LEGENDRE_RULES.get(n);
+    }
+    const nodes = new Array(n);
+    const weights = new Array(n);
+    // the roots are symmetric, so only half of them need to be computed
+    for (let i = 0; i < Math.ceil(n / 2); i++) {
+        // initial guess for the i-th root of the Legendre polynomial P_n, refined by Newton's method
+        let x = Math.cos(Math.PI * (i + 0.75) / (n + 0.5));
+        let dp = 1;
+        for (let k = 0; k < 100; k++) {
+            // evaluate P_n and its derivative with the three-term recurrence
+            let p0 = 1;
+            let p1 = x;
+            for (let j = 2; j <= n; j++) {
+                const p2 = ((2 * j - 1) * x * p1 - (j - 1) * p0) / j;
+                p0 = p1;
+                p1 = p2;
+            }
+            dp = n * (x * p1 - p0) / (x * x - 1);
+            const dx = p1 / dp;
+            x -= dx;
+            if (Math.abs(dx) < 1E-15) {
+                break;
+            }
+        }
+        nodes[i] = x;
+        nodes[n - 1 - i] = -x;
+        weights[i] = weights[n - 1 - i] = 2 / ((1 - x * x) * dp * dp);
     }
-    const offset = i * degree;
-    const result = new Array(degree + 1);
-    for (let j = 0; j <= degree; j++) {
-        result[j] = points[offset + j];
+    if (n % 2 === 1) {
+        nodes[(n - 1) / 2] = 0;
+    }
+    // the weights sum up to the interval length, which removes rounding errors when integrating constants
+    const sum = weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < n; i++) {
+        weights[i] *= 2 / sum;
     }
+    const rule = { nodes, weights };
+    GAUSS_LEGENDRE_RULES.set(n, rule);
+    return rule;
+}
 
-    return result;
+/**
+ * Integrates a function over an interval with a Gauss-Legendre quadrature rule
+ * @param {function(Number) : Number} f The function
+ * @param {Number} a The start of the interval
+ * @param {Number} b The end of the interval
+ * @param {Number} [n] The number of nodes
+ * @returns {Number} The approximated integral
+ */
+function integrateGaussLegendre(f, a, b, n = 8) {
+    const { nodes, weights } = calcGaussLegendreRule(n);
+    const h = 0.5 * (b - a);
+    const m = 0.5 * (a + b);
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        sum += weights[i] * f(m + h * nodes[i]);
+    }
+    return h * sum;
 }
 
 /**
- * Currently implemented default intersections
- * 
- * Brackets indicate additional information. 
- * For Bezier, this will list the maximum degree for which the intersection is defined.
- * 
- * Line: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse
- * Vector: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse
- * Arc: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier spline(mag deg 2), Ellipse
- * Line strip: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse
- * Polygon: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse
- * Bezier: Line (max deg 4), Vector (max deg 4), Arc (max deg 2), Line strip (max deg 4), Polygon(max deg 4), Bezier (deg A * deg B < 5), Bezier spline(deg A * deg B < 5), Ellipse (max deg 2)
- * Bezier spline: Line (max deg 4), Vector (max deg 4), Arc (max deg 2), Line strip (max deg 4), Polygon(max deg 4), Bezier (deg A * deg B < 5) , Bezier spline(deg A * deg B < 5), Ellipse (max deg 2)
- * Ellipse: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier spline(mag deg 2), Ellipse
+ * Integrates a function over an interval with adaptive Gauss-Legendre quadrature.
+ * Intervals are halved until the integral does not change more than the tolerance when computed on both halves.
+ * The tolerance is relative to the integral of |f|, so the relative accuracy of areas, perimeters and lengths does not depend on the size of the geometry.
+ * Integrals of functions with cancelling signs may thus have a larger relative error than eps.
+ * Subdivision stops at non-finite values
+ * @param {function(Number) : Number} f The function
+ * @param {Number} a The start of the interval
+ * @param {Number} b The end of the interval
+ * @param {Object} options
+ * @param {Number} options.eps The tolerance relative to the integral of the absolute function value
+ * @param {Number} options.n The number of nodes of the quadrature rule used on each interval
+ * @param {Number} options.maxDepth The maximum number of subdivisions
+ * @returns {Number} The approximated integral
  */
-class IntersectionRegistry {
+function integrateAdaptive(f, a, b, { eps = 1E-12, n = 8, maxDepth = 20 } = {}) {
+    const integrate = (a, b, whole, eps, depth) => {
+        const m = 0.5 * (a + b);
+        const left = integrateGaussLegendre(f, a, m, n);
+        const right = integrateGaussLegendre(f, m, b, n);
+        // non-finite values can't be refined
+        if (depth >= maxDepth || !Number.isFinite(left + right) || Math.abs(left + right - whole) <= eps) {
+            return left + right;
+        }
+        return integrate(a, m, left, 0.5 * eps, depth + 1) + integrate(m, b, right, 0.5 * eps, depth + 1);
+    };
+    const scale = Math.abs(integrateGaussLegendre(x => Math.abs(f(x)), a, b, n));
+    return integrate(a, b, integrateGaussLegendre(f, a, b, n), eps * scale, 0);
+}
 
-    static intersectors = {};
 
-    /**
-     * 
-     * @param {String} typeA The type of the first object
-     * @param {String} typeB The type of the second object
-     * @param {function(Object,Object) : Array<{x:Number, y:Number}> | null} intersector The intersection function taking objects of the specified types and returning intersections. May also return null, if none exist
-     * @param {Boolean} addReverse If true, an additional function with swapped arguments (if they are different) is added automatically
-     */
-    static setIntersector(typeA, typeB, intersector, addReverse = true) {
+/**
+ * Samples a function graph adaptively into line strips.
+ * Intervals are subdivided until the graph deviates less than the tolerance from a straight line. 
+ * The line strips are split at non-finite values and at deviations or jumps that can't be resolved at the maximum depth, which are taken as discontinuities
+ * @param {Object} graph The function graph of type TYPE_FUNCTION_GRAPH
+ * @param {Object} options
+ * @param {Number} options.xMin The minimum visible x-coordinate
+ * @param {Number} options.xMax The maximum visible x-coordinate
+ * @param {Number} options.yMin The minimum visible y-coordinate. Used for detecting discontinuities
+ * @param {Number} options.yMax The maximum visible y-coordinate. Used for detecting discontinuities
+ * @param {Number} options.tolerance The maximum allowed deviation from a straight line
+ * @param {Number} options.minSamples The number of initial uniform intervals
+ * @param {Number} options.maxDepth The maximum number of subdivisions of each initial interval
+ * @returns {Array<Array<{x:Number,y:Number}>>} The points of each continuous part
+ */
+function sampleFunctionGraph(graph, {
+    xMin = -Infinity, xMax = Infinity,
+    yMin = -Infinity, yMax = Infinity,
+    tolerance = 1E-3,
+    minSamples = 32,
+    maxDepth = 10,
+} = {}) {
+    const { f } = graph;
+    const a = Math.max(graph.xMin, xMin);
+    const b = Math.min(graph.xMax, xMax);
+    if (!(a < b)) {
+        return [];
+    }
 
-        const k1 = IntersectionRegistry.intersectors[typeA] ?? {};
-        k1[typeB] = intersector;
+    // jumps larger than the visible height are treated as discontinuities
+    const h = yMax - yMin;
+    const jump = Number.isFinite(h) ? h : Infinity;
+    // values far outside of the visible area are clamped
+    const yLow = Number.isFinite(h) ? yMin - h : -Infinity;
+    const yHigh = Number.isFinite(h) ? yMax + h : Infinity;
 
-        IntersectionRegistry.intersectors[typeA] = k1;
+    const segments = [];
+    let current = [];
+    const endSegment = () => {
+        if (current.length > 1) {
+            segments.push(current);
+        }
+        current = [];
+    };
+    const push = (x, y) => {
+        if (!Number.isFinite(y)) {
+            endSegment();
+            return;
+        }
+        current.push({ x, y: Math.min(yHigh, Math.max(yLow, y)) });
+    };
 
-        if (typeA !== typeB && addReverse) {
-            const reverse = (b, a) => intersector(a, b);
+    // adds all points in (x0, x1]
+    const subdivide = (x0, y0, x1, y1, depth) => {
+        const xm = 0.5 * (x0 + x1);
+        const ym = f(xm);
+        const finite = Number.isFinite(y0) && Number.isFinite(y1) && Number.isFinite(ym);
+        const unresolved = finite && (Math.abs(y1 - y0) > jump || Math.abs(ym - 0.5 * (y0 + y1)) > tolerance);
+        if (depth < maxDepth) {
+            if (!finite || unresolved) {
+                subdivide(x0, y0, xm, ym, depth + 1);
+                subdivide(xm, ym, x1, y1, depth + 1);
+                return;
+            }
+        } else if (unresolved) {
+            // still not resolved at the finest level
+            endSegment();
+        }
+        push(x1, y1);
+    };
 
-            const k2 = IntersectionRegistry.intersectors[typeB] ?? {};
-            k2[typeA] = reverse;
+    let x0 = a;
+    let y0 = f(a);
+    push(x0, y0);
+    for (let i = 1; i <= minSamples; i++) {
+        const x1 = a + (b - a) * i / minSamples;
+        const y1 = f(x1);
+        subdivide(x0, y0, x1, y1, 0);
+        x0 = x1;
+        y0 = y1;
+    }
+    endSegment();
 
-            IntersectionRegistry.intersectors[typeB] = k2;
+    return segments;
+}
+
+/**
+ * Computes the intersections of a function graph with another object.
+ * Supported types for the other object are lines, vectors, line strips, polygons and function graphs.
+ * Roots are found numerically, see @see{calcFunctionRoots}
+ * @param {Object} graph The function graph of type TYPE_FUNCTION_GRAPH
+ * @param {Object} obj The other object
+ * @param {Object} options
+ * @param {Number} options.numSamples The number of uniform samples used for finding roots
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The intersections
+ */
+function intersectFunctionGraphObject(graph, obj, { numSamples = 256, eps = 1E-10 } = {}) {
+    const { f, xMin, xMax } = graph;
+
+    const intersectLine = (p0, p1, minA, maxA) => {
+        const d = vSub(p1, p0);
+        if (Math.abs(d.x) < eps) {
+            // vertical line
+            const x = p0.x;
+            if (x < xMin || x > xMax || Math.abs(d.y) < eps) {
+                return [];
+            }
+            const y = f(x);
+            const u = (y - p0.y) / d.y;
+            if (!Number.isFinite(y) || u < minA || u > maxA) {
+                return [];
+            }
+            return [{ x, y }];
+        }
+
+        // restrict the interval to the line's range
+        const xa = p0.x + minA * d.x;
+        const xb = p0.x + maxA * d.x;
+        const a = Math.max(xMin, Math.min(xa, xb));
+        const b = Math.min(xMax, Math.max(xa, xb));
+        if (a > b) {
+            return [];
+        }
+        const slope = d.y / d.x;
+        const lineY = x => p0.y + (x - p0.x) * slope;
+        const roots = calcFunctionRoots(x => f(x) - lineY(x), a, b, { numSamples, eps });
+        return roots.map(x => ({ x, y: f(x) }));
+    };
+
+    const type = obj.type;
+    if (type === TYPE_LINE) {
+        return intersectLine(obj.p0, obj.p1,
+            obj.leftOpen ? -Infinity : 0,
+            obj.rightOpen ? Infinity : 1);
+    } else if (type === TYPE_VECTOR) {
+        return intersectLine(obj.ref, vAdd(obj.ref, obj), 0, 1);
+    } else if (type === TYPE_LINE_STRIP || type === TYPE_POLYGON) {
+        const { points } = obj;
+        const num = type === TYPE_POLYGON ? points.length : points.length - 1;
+        const result = [];
+        for (let i = 0; i < num; i++) {
+            result.push(...intersectLine(points[i], points[(i + 1) % points.length], 0, 1));
+        }
+        return result;
+    } else if (type === TYPE_FUNCTION_GRAPH) {
+        const a = Math.max(xMin, obj.xMin);
+        const b = Math.min(xMax, obj.xMax);
+        if (a > b) {
+            return [];
         }
+        const roots = calcFunctionRoots(x => f(x) - obj.f(x), a, b, { numSamples, eps });
+        return roots.map(x => ({ x, y: f(x) }));
     }
+    throw new Error(`Intersection of ${graph.type} with ${type} not supported`);
+}
 
-    /**
-     * Get the intersector for the given types
-     * @param {String} typeA The type of the first object
-     * @param {String} typeB The type of the second object
-     * @returns {undefined | function(Object,Object) : Array<{x:Number, y:Number}> | null} The intersector, if it exists
-     */
-    static getIntersector(typeA, typeB) {
-        const k1 = IntersectionRegistry.intersectors[typeA] ?? {};
-        return k1[typeB];
+/**
+ * Computes a point on a parametric curve
+ * @param {Object} curve The parametric curve of type TYPE_PARAMETRIC_CURVE
+ * @param {Number} s The parameter in the curve's own interval
+ * @returns {{x:Number,y:Number}} The point
+ */
+function calcParametricCurvePoint(curve, s) {
+    return vVec2(curve.fx(s), curve.fy(s));
+}
+
+/**
+ * Computes the derivative of a parametric curve numerically
+ * @param {Object} curve The parametric curve of type TYPE_PARAMETRIC_CURVE
+ * @param {Number} s The parameter in the curve's own interval
+ * @returns {{x:Number,y:Number}} The derivative
+ */
+function calcParametricCurveDerivative(curve, s) {
+    return vVec2(calcFunctionDerivative(curve.fx, s), calcFunctionDerivative(curve.fy, s));
+}
+
+/**
+ * Samples a parametric curve adaptively into line strips.
+ * Intervals are subdivided until the curve deviates less than the tolerance from a straight line. 
+ * The line strips are split at non-finite values
+ * @param {Object} curve The parametric curve of type TYPE_PARAMETRIC_CURVE
+ * @param {Object} options
+ * @param {Number} options.tolerance The maximum allowed deviation from a straight line
+ * @param {Number} options.minSamples The number of initial uniform intervals
+ * @param {Number} options.maxDepth The maximum number of subdivisions of each initial interval
+ * @returns {Array<Array<{x:Number,y:Number}>>} The points of each continuous part
+ */
+function sampleParametricCurve(curve, {
+    tolerance = 1E-3,
+    minSamples = 64,
+    maxDepth = 8,
+} = {}) {
+    const { tMin, tMax } = curve;
+    if (!(tMin < tMax)) {
+        return [];
     }
 
-    /**
-     * Computes the intersection of two typed objects
-     * @param {{type : String}} a The first object with a type
-     * @param {{type : String}} b The second object with a type
-     * @returns {Array<{x:Number, y:Number}> | null} The intersections, if they exist.  May also return null, if none exist
-     */
-    static intersect(a, b) {
+    const isFinitePoint = p => Number.isFinite(p.x) && Number.isFinite(p.y);
 
-        const typeA = a.type;
-        const typeB = b.type;
+    const segments = [];
+    let current = [];
+    const push = (p) => {
+        if (!isFinitePoint(p)) {
+            if (current.length > 1) {
+                segments.push(current);
+            }
+            current = [];
+            return;
+        }
+        current.push(p);
+    };
 
-        const inter = IntersectionRegistry.getIntersector(typeA, typeB);
+    // adds all points in (s0, s1]
+    const subdivide = (s0, p0, s1, p1, depth) => {
+        if (depth < maxDepth) {
+            const sm = 0.5 * (s0 + s1);
+            const pm = calcParametricCurvePoint(curve, sm);
+            const finite = isFinitePoint(p0) && isFinitePoint(p1) && isFinitePoint(pm);
+            // distance of the middle point to the chord
+            const d = vSub(p1, p0);
+            const len = vLen(d);
+            const dev = len > 0 ? Math.abs(vDot(normal2D(d), vSub(pm, p0))) / len : vLen(vSub(pm, p0));
+            // the length check catches curves that go back and forth
+            if (!finite || dev > tolerance || vLen(vSub(pm, p0)) > len) {
+                subdivide(s0, p0, sm, pm, depth + 1);
+                subdivide(sm, pm, s1, p1, depth + 1);
+                return;
+            }
+        }
+        push(p1);
+    };
 
-        return inter(a, b);
+    let s0 = tMin;
+    let p0 = calcParametricCurvePoint(curve, s0);
+    push(p0);
+    for (let i = 1; i <= minSamples; i++) {
+        const s1 = tMin + (tMax - tMin) * i / minSamples;
+        const p1 = calcParametricCurvePoint(curve, s1);
+        subdivide(s0, p0, s1, p1, 0);
+        s0 = s1;
+        p0 = p1;
+    }
+    if (current.length > 1) {
+        segments.push(current);
     }
 
-    static {
-        // Default intersectors
+    return segments;
+}
 
-        // Type order Line, Vector, Arc, Line strip, Polygon, Bezier, Bezier Spline, Ellipse
-        // For a slightly better overview, they will be sorted that way 
+/**
+ * Computes the parameters of the points on a parametric curve that are locally closest to a given point.
+ * The curve is sampled uniformly and each local minimum of the distance is refined by bisection
+ * @param {{x:Number,y:Number}} p The point
+ * @param {Object} curve The parametric curve of type TYPE_PARAMETRIC_CURVE
+ * @param {Object} options
+ * @param {Number} options.numSamples The number of uniform samples
+ * @param {Number} options.maxIterations The maximum number of bisection steps
+ * @returns {Array<{s:Number, d2:Number}>} The parameters in the curve's own interval together with the squared distances
+ */
+function calcParametricCurveClosestParams(p, curve, { numSamples = 256, maxIterations = 64 } = {}) {
+    const { tMin, tMax } = curve;
+    const dist2 = s => {
+        const d = vLen2(vSub(calcParametricCurvePoint(curve, s), p));
+        return Number.isFinite(d) ? d : Infinity;
+    };
+    // the derivative of the squared distance up to a factor of 2
+    const g = s => vDot(vSub(calcParametricCurvePoint(curve, s), p), calcParametricCurveDerivative(curve, s));
 
-        // ---------
-        // Line
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_LINE, TYPE_LINE, (a, b) => {
-            const p = intersectLines(a.p0, a.p1, b.p0, b.p1, {
-                minA: a.leftOpen ? -Infinity : 0,
-                maxA: a.rightOpen ? Infinity : 1,
-                minB: b.leftOpen ? -Infinity : 0,
-                maxB: b.rightOpen ? Infinity : 1
-            });
+    const ds = (tMax - tMin) / numSamples;
+    const d2 = [];
+    for (let i = 0; i <= numSamples; i++) {
+        d2.push(dist2(tMin + i * ds));
+    }
 
-            if (!p) {
-                return null;
+    const result = [];
+    for (let i = 0; i <= numSamples; i++) {
+        const prev = i > 0 ? d2[i - 1] : Infinity;
+        const next = i < numSamples ? d2[i + 1] : Infinity;
+        if (!Number.isFinite(d2[i]) || d2[i] > prev || d2[i] > next) {
+            continue;
+        }
+
+        let s = tMin + i * ds;
+        // refine the minimum with a sign change of the derivative
+        let lo = Math.max(tMin, s - ds);
+        let hi = Math.min(tMax, s + ds);
+        let glo = g(lo);
+        if (glo < 0 && g(hi) > 0) {
+            for (let j = 0; j < maxIterations; j++) {
+                const m = 0.5 * (lo + hi);
+                const gm = g(m);
+                if (gm * glo > 0) {
+                    lo = m;
+                    glo = gm;
+                } else {
+                    hi = m;
+                }
+            }
+            const sr = 0.5 * (lo + hi);
+            if (dist2(sr) < d2[i]) {
+                s = sr;
             }
+        }
 
-            return makePoint({
-                ...p
-            });
-        });
-        // ---------
-        // Vector
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_VECTOR, TYPE_LINE, (a, b) => {
-            const v = vAdd(a.ref, a);
-            const p = intersectLines(a.ref, v, b.p0, b.p1, {
-                minA: 0,
-                maxA: 1,
-                minB: b.leftOpen ? -Infinity : 0,
-                maxB: b.rightOpen ? Infinity : 1
-            });
+        if (!result.some(r => Math.abs(r.s - s) < 1E-12 * Math.max(1, Math.abs(s)))) {
+            result.push({ s, d2: dist2(s) });
+        }
+    }
+    return result;
+}
 
-            if (!p) {
-                return null;
-            }
+/**
+ * Computes the intersections of a parametric curve with another object.
+ * As a generic fallback, the curve is split into line segments, which are intersected with the other object.
+ * Segments with intersections are subdivided further until they are close enough to the curve.
+ * Any type, for which an intersection with a line segment is registered in the IntersectionRegistry, is supported. 
+ * Two parametric curves are intersected by refining the intersections of their line segments with Newton iterations.
+ * Tangential intersections are only approximated and might be missed
+ * @param {Object} curve The parametric curve of type TYPE_PARAMETRIC_CURVE
+ * @param {Object} obj The other object
+ * @param {Object} options
+ * @param {Number} options.numSegments The number of line segments used for finding intersections
+ * @param {Number} options.maxIterations The maximum number of Newton iterations
+ * @param {Number} options.tolerance The subdivision stops, when a segment deviates less than this value from the curve
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The intersections
+ */
+function intersectParametricCurveObject(curve, obj, { numSegments = 128, maxIterations = 16, tolerance = 1E-10, eps = 1E-10 } = {}) {
+    const sampleUniform = (c) => {
+        const params = [];
+        const points = [];
+        for (let i = 0; i <= numSegments; i++) {
+            const s = c.tMin + (c.tMax - c.tMin) * i / numSegments;
+            params.push(s);
+            points.push(calcParametricCurvePoint(c, s));
+        }
+        return { params, points };
+    };
+    const clamp = (s, c) => Math.min(c.tMax, Math.max(c.tMin, s));
+    const isFinitePoint = p => Number.isFinite(p.x) && Number.isFinite(p.y);
 
-            return makePoint({
-                ...p
-            });
-        });
-        IntersectionRegistry.setIntersector(TYPE_VECTOR, TYPE_VECTOR, (a, b) => {
-            const v = vAdd(a.ref, a);
-            const w = vAdd(b.ref, b);
-            const p = intersectLines(a.ref, v, b.ref, w, {
-                minA: 0,
-                maxA: 1,
-                minB: 0,
-                maxB: 1
-            });
+    const result = [];
+    const addResult = (p, minDist = 0) => {
+        if (!isFinitePoint(p)) {
+            return;
+        }
+        minDist = Math.max(minDist, 1E-8 * Math.max(1, vLen(p)));
+        if (!result.some(q => vLen(vSub(p, q)) < minDist)) {
+            result.push(p);
+        }
+    };
 
-            if (!p) {
-                return null;
-            }
+    const { params, points } = sampleUniform(curve);
 
-            return makePoint({
-                ...p
-            });
-        });
-        // ---------
-        // Arc
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_ARC, TYPE_LINE, (a, b) => {
-            const p = intersectLineArc(b.p0, b.p1, { x: a.center.x, y: a.center.y }, a.r, {
-                minA: b.leftOpen ? -Infinity : 0,
-                maxA: b.rightOpen ? Infinity : 1,
-                angleMin: a.startAngle,
-                angleMax: a.endAngle,
-            });
+    if (obj.type === TYPE_PARAMETRIC_CURVE) {
+        const { params: paramsB, points: pointsB } = sampleUniform(obj);
+        for (let i = 0; i < numSegments; i++) {
+            for (let j = 0; j < numSegments; j++) {
+                const hit = intersectLines(points[i], points[i + 1], pointsB[j], pointsB[j + 1], {
+                    minA: 0, maxA: 1, minB: 0, maxB: 1, eps
+                });
+                if (!hit) {
+                    continue;
+                }
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
-                result.push(makePoint({ ...p[i] }));
+                let s = params[i] + hit.ua * (params[i + 1] - params[i]);
+                let u = paramsB[j] + hit.ub * (paramsB[j + 1] - paramsB[j]);
+                let converged = false;
+                // Newton iterations for curve(s) - obj(u) = 0
+                for (let k = 0; k < maxIterations; k++) {
+                    const f = vSub(calcParametricCurvePoint(curve, s), calcParametricCurvePoint(obj, u));
+                    const da = calcParametricCurveDerivative(curve, s);
+                    const db = vScale(calcParametricCurveDerivative(obj, u), -1);
+                    const det = da.x * db.y - da.y * db.x;
+                    if (Math.abs(det) < eps) {
+                        break;
+                    }
+                    const dsn = (f.x * db.y - f.y * db.x) / det;
+                    const dun = (da.x * f.y - da.y * f.x) / det;
+                    s = clamp(s - dsn, curve);
+                    u = clamp(u - dun, obj);
+                    if (Math.abs(dsn) + Math.abs(dun) < eps) {
+                        converged = true;
+                        break;
+                    }
+                }
+                // fall back to the approximation, if the refinement fails
+                addResult(converged ? calcParametricCurvePoint(curve, s) : vVec2(hit.x, hit.y));
             }
+        }
+        return result;
+    }
 
-            return result;
+    if (!IntersectionRegistry.getIntersector(TYPE_LINE, obj.type)) {
+        throw new Error(`Intersection of ${curve.type} with ${obj.type} not supported`);
+    }
+    // intersectors may return null, a single point or an array
+    const toArray = r => !r ? [] : (Array.isArray(r) ? r : [r]);
+    // limits the work for curves that overlap the object
+    let budget = 64 * numSegments;
+    const intersectSegment = (p0, p1) => toArray(IntersectionRegistry.intersect(makeLine({ p0, p1 }), obj));
+    // subdivide segments with intersections until they are close enough to the curve
+    const refine = (s0, p0, s1, p1, hits) => {
+        const sm = 0.5 * (s0 + s1);
+        const pm = calcParametricCurvePoint(curve, sm);
+        const d = vSub(p1, p0);
+        const len = vLen(d);
+        let h0 = [];
+        let h1 = [];
+        if (isFinitePoint(pm) && len > 0 && budget > 0 &&
+            Math.abs(vDot(normal2D(d), vSub(pm, p0))) / len > tolerance) {
+            budget--;
+            h0 = intersectSegment(p0, pm);
+            h1 = intersectSegment(pm, p1);
+        }
+        if (h0.length === 0 && h1.length === 0) {
+            // hits closer than the segment length can't be distinguished
+            hits.forEach(h => addResult(vVec2(h.x, h.y), len));
+            return;
+        }
+        if (h0.length > 0) {
+            refine(s0, p0, sm, pm, h0);
+        }
+        if (h1.length > 0) {
+            refine(sm, pm, s1, p1, h1);
+        }
+    };
 
+    for (let i = 0; i < numSegments; i++) {
+        const p0 = points[i];
+        const p1 = points[i + 1];
+        if (!isFinitePoint(p0) || !isFinitePoint(p1)) {
+            continue;
+        }
+        const hits = intersectSegment(p0, p1);
+        if (hits.length > 0) {
+            refine(params[i], p0, params[i + 1], p1, hits);
+        }
+    }
+    return result;
+}
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_ARC, TYPE_VECTOR, (a, b) => {
-            const v = vAdd(b.ref, b);
-            const p = intersectLineArc(b.ref, v,
-                a.center, a.r, {
-                minA: 0,
-                maxA: 1,
-                angleMin: a.startAngle,
-                angleMax: a.endAngle
-            });
+/**
+ * Computes the gradient of a function of two variables numerically with central differences
+ * @param {function(Number, Number) : Number} f The function
+ * @param {Number} x The x-coordinate
+ * @param {Number} y The y-coordinate
+ * @returns {{x:Number,y:Number}} The approximated gradient
+ */
+function calcImplicitGradient(f, x, y) {
+    const hx = 1E-5 * Math.max(1, Math.abs(x));
+    const hy = 1E-5 * Math.max(1, Math.abs(y));
+    return vVec2((f(x + hx, y) - f(x - hx, y)) / (2 * hx), (f(x, y + hy) - f(x, y - hy)) / (2 * hy));
+}
 
-            return p.map(v => makePoint({
-                ...v
-            }));
+/**
+ * Moves a point onto an implicit curve with Newton iterations along the gradient
+ * @param {Object} curve The implicit curve of type TYPE_IMPLICIT_CURVE
+ * @param {{x:Number,y:Number}} p The start point
+ * @param {Object} options
+ * @param {Number} options.maxIterations The maximum number of iterations
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {{x:Number,y:Number}} The projected point. If the iteration fails, the last valid point is returned
+ */
+function projectPointImplicitCurve(curve, p, { maxIterations = 16, eps = 1E-12 } = {}) {
+    const { f } = curve;
+    let q = p;
+    for (let i = 0; i < maxIterations; i++) {
+        const v = f(q.x, q.y);
+        if (!Number.isFinite(v)) {
+            break;
+        }
+        const g = calcImplicitGradient(f, q.x, q.y);
+        const g2 = vLen2(g);
+        if (!(g2 > eps)) {
+            break;
+        }
+        const step = vScale(g, v / g2);
+        q = vSub(q, step);
+        if (vLen(step) < eps) {
+            break;
+        }
+    }
+    return q;
+}
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_ARC, TYPE_ARC, (a, b) => {
-            const p = intersectArcArc(a.center, a.r, b.center, b.r, {
-                angleMinA: a.startAngle, angleMaxA: a.endAngle,
-                angleMinB: b.startAngle, angleMaxB: b.endAngle,
-            });
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
-                result.push(makePoint({ ...p[i] }));
-            }
+/**
+ * Traces an implicit curve f(x,y) = 0 into line strips with marching squares. 
+ * The region is the intersection of the given one and the curve bounds.
+ * The curve points on the grid edges are refined numerically. Sign changes caused by poles are discarded.
+ * Unbounded regions can't be traced and result in no line strips
+ * @param {Object} curve The implicit curve of type TYPE_IMPLICIT_CURVE
+ * @param {Object} options
+ * @param {Number} options.xMin The minimum x-coordinate of the region
+ * @param {Number} options.xMax The maximum x-coordinate of the region
+ * @param {Number} options.yMin The minimum y-coordinate of the region
+ * @param {Number} options.yMax The maximum y-coordinate of the region
+ * @param {Number} options.resolution The number of grid cells along the longer side of the region
+ * @param {Number} options.maxIterations The maximum number of refinement steps for each curve point
+ * @returns {Array<Array<{x:Number,y:Number}>>} The line strips. Closed curves have the same first and last point
+ */
+function traceImplicitCurve(curve, {
+    xMin = -Infinity, xMax = Infinity,
+    yMin = -Infinity, yMax = Infinity,
+    resolution = 128,
+    maxIterations = 16,
+} = {}) {
+    const { f } = curve;
+    const x0 = Math.max(curve.xMin, xMin);
+    const x1 = Math.min(curve.xMax, xMax);
+    const y0 = Math.max(curve.yMin, yMin);
+    const y1 = Math.min(curve.yMax, yMax);
+    if (!(x0 < x1) || !(y0 < y1) || !Number.isFinite(x1 - x0) || !Number.isFinite(y1 - y0)) {
+        return [];
+    }
 
-            return result;
+    // square cells
+    const cellSize = Math.max(x1 - x0, y1 - y0) / resolution;
+    const nx = Math.max(1, Math.ceil((x1 - x0) / cellSize));
+    const ny = Math.max(1, Math.ceil((y1 - y0) / cellSize));
+    const dx = (x1 - x0) / nx;
+    const dy = (y1 - y0) / ny;
 
-        });
-        // ---------
-        // Line strip
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_LINE, (a, b) => {
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
+    const values = new Array((nx + 1) * (ny + 1));
+    for (let j = 0; j <= ny; j++) {
+        for (let i = 0; i <= nx; i++) {
+            values[j * (nx + 1) + i] = f(x0 + i * dx, y0 + j * dy);
+        }
+    }
+    const value = (i, j) => values[j * (nx + 1) + i];
+    const vertex = (i, j) => vVec2(x0 + i * dx, y0 + j * dy);
 
-            const { p0, p1 } = b;
+    // curve points on the grid edges
+    // horizontal edges from (i,j) to (i+1,j) are stored first, followed by vertical edges from (i,j) to (i,j+1)
+    const numHorizontal = nx * (ny + 1);
+    const edgePoints = new Map();
+    const edgePoint = (id, ia, ja, ib, jb) => {
+        if (edgePoints.has(id)) {
+            return edgePoints.get(id);
+        }
+        let a = vertex(ia, ja);
+        let b = vertex(ib, jb);
+        let fa = value(ia, ja);
+        let fb = value(ib, jb);
+        const fMin = Math.min(Math.abs(fa), Math.abs(fb));
+        // regula falsi with the Illinois modification
+        let p = vLerp(a, b, fa / (fa - fb));
+        let side = 0;
+        for (let k = 0; k < maxIterations; k++) {
+            const t = fa / (fa - fb);
+            p = vLerp(a, b, t);
+            const fp = f(p.x, p.y);
+            if (fp === 0 || !Number.isFinite(fp)) {
+                break;
+            }
+            if (Math.sign(fp) === Math.sign(fa)) {
+                a = p;
+                fa = fp;
+                if (side === -1) {
+                    fb *= 0.5;
+                }
+                side = -1;
+            } else {
+                b = p;
+                fb = fp;
+                if (side === 1) {
+                    fa *= 0.5;
+                }
+                side = 1;
+            }
+        }
+        // at a pole, the value grows instead of vanishing
+        const result = Math.abs(f(p.x, p.y)) <= fMin ? p : null;
+        edgePoints.set(id, result);
+        return result;
+    };
 
-            const intersections = intersectorApplyToLineSegments(
-                (q0, q1) => {
-                    return intersectLines(p0, p1, q0, q1, {
-                        minA: b.leftOpen ? -Infinity : 0,
-                        maxA: b.rightOpen ? Infinity : 1,
-                        minB: 0,
-                        maxB: 1,
-                    })
-                }, a.points, { wrapPoints: false }
-            );
+    const segments = [];
+    for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+            const v = [value(i, j), value(i + 1, j), value(i + 1, j + 1), value(i, j + 1)];
+            if (!v.every(Number.isFinite)) {
+                continue;
+            }
+            const s = v.map(vi => vi >= 0);
+            // edges: bottom, right, top, left. Corner k lies between edges k-1 and k
+            const crossing = [s[0] !== s[1], s[1] !== s[2], s[3] !== s[2], s[0] !== s[3]];
+            const numCrossing = crossing.filter(c => c).length;
+            if (numCrossing === 0) {
+                continue;
+            }
+            const edges = [
+                () => edgePoint(j * nx + i, i, j, i + 1, j),
+                () => edgePoint(numHorizontal + j * (nx + 1) + i + 1, i + 1, j, i + 1, j + 1),
+                () => edgePoint((j + 1) * nx + i, i, j + 1, i + 1, j + 1),
+                () => edgePoint(numHorizontal + j * (nx + 1) + i, i, j, i, j + 1),
+            ];
+            const ids = [
+                j * nx + i,
+                numHorizontal + j * (nx + 1) + i + 1,
+                (j + 1) * nx + i,
+                numHorizontal + j * (nx + 1) + i,
+            ];
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
+            let pairs;
+            if (numCrossing === 2) {
+                const [e0, e1] = [0, 1, 2, 3].filter(k => crossing[k]);
+                pairs = [[e0, e1]];
+            } else {
+                // saddle: the center decides, which corners are separated
+                const c = f(x0 + (i + 0.5) * dx, y0 + (j + 0.5) * dy);
+                const corners = (c >= 0) === s[0] ? [1, 3] : [0, 2];
+                pairs = corners.map(k => [(k + 3) % 4, k]);
+            }
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_VECTOR, (a, b) => {
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
+            for (const [ea, eb] of pairs) {
+                const pa = edges[ea]();
+                const pb = edges[eb]();
+                if (pa && pb) {
+                    segments.push([ids[ea], ids[eb]]);
+                }
+            }
+        }
+    }
 
-            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
-            const intersections = intersectorApplyToLineSegments(
-                (q0, q1) => {
-                    return intersectLines(p0, p1, q0, q1, {
-                        minA: 0,
-                        maxA: 1,
-                        minB: 0,
-                        maxB: 1,
-                    })
-                }, a.points, { wrapPoints: false }
-            );
+    // join the segments at their shared edge points
+    const adjacent = new Map();
+    segments.forEach(([a, b], idx) => {
+        for (const id of [a, b]) {
+            if (!adjacent.has(id)) {
+                adjacent.set(id, []);
+            }
+            adjacent.get(id).push(idx);
+        }
+    });
+    const used = new Array(segments.length).fill(false);
+    const walk = (id, ids) => {
+        while (true) {
+            const next = adjacent.get(id).find(idx => !used[idx]);
+            if (next === undefined) {
+                return;
+            }
+            used[next] = true;
+            const [a, b] = segments[next];
+            id = a === id ? b : a;
+            ids.push(id);
+        }
+    };
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
+    const result = [];
+    for (let idx = 0; idx < segments.length; idx++) {
+        if (used[idx]) {
+            continue;
+        }
+        used[idx] = true;
+        const [a, b] = segments[idx];
+        const forward = [a, b];
+        walk(b, forward);
+        const backward = [];
+        if (forward[forward.length - 1] !== a) {
+            walk(a, backward);
+        }
+        const ids = [...backward.reverse(), ...forward];
+        result.push(ids.map(id => edgePoints.get(id)));
+    }
+    return result;
+}
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_ARC, (a, b) => {
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
+/**
+ * Computes the intersections of an implicit curve with another object.
+ * Lines are clipped to the curve bounds. 
+ * Objects that can be evaluated with @see{DefCurvePoint} are handled by finding the roots of f along the object's curve parameter.
+ * Two implicit curves are intersected by tracing the first one and refining the found points with Newton iterations
+ * @param {Object} curve The implicit curve of type TYPE_IMPLICIT_CURVE
+ * @param {Object} obj The other object
+ * @param {Object} options
+ * @param {Number} options.numSamples The number of uniform samples used for finding roots
+ * @param {Number} options.resolution The resolution used for tracing the first implicit curve
+ * @param {Number} options.maxIterations The maximum number of Newton iterations
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The intersections
+ */
+function intersectImplicitCurveObject(curve, obj, { numSamples = 256, resolution = 128, maxIterations = 16, eps = 1E-10 } = {}) {
+    const { f, xMin, xMax, yMin, yMax } = curve;
+    const inBounds = p => p.x >= xMin && p.x <= xMax && p.y >= yMin && p.y <= yMax;
 
-            const { points } = a;
-            const intersections = intersectorApplyToLineSegments((pi, pj) => {
-                return intersectLineArc(pi, pj, b.center, b.r, {
-                    angleMin: b.startAngle,
-                    angleMax: b.endAngle,
-                    minA: 0, maxA: 1,
-                });
-            }, points, { wrapPoints: false });
+    const result = [];
+    const addResult = (p) => {
+        if (!Number.isFinite(p.x) || !Number.isFinite(p.y) || !inBounds(p)) {
+            return;
+        }
+        if (!result.some(q => vLen(vSub(p, q)) < 1E-8 * Math.max(1, vLen(p)))) {
+            result.push(p);
+        }
+    };
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
+    const intersectLine = (p0, p1, minA, maxA) => {
+        const d = vSub(p1, p0);
+        // clip the parameter range to the bounds
+        for (const [o, v, lo, hi] of [[p0.x, d.x, xMin, xMax], [p0.y, d.y, yMin, yMax]]) {
+            if (Math.abs(v) < eps) {
+                if (o < lo || o > hi) {
+                    return;
+                }
+                continue;
+            }
+            const ta = (lo - o) / v;
+            const tb = (hi - o) / v;
+            minA = Math.max(minA, Math.min(ta, tb));
+            maxA = Math.min(maxA, Math.max(ta, tb));
+        }
+        if (minA > maxA) {
+            return;
+        }
+        const g = t => {
+            const q = vAdd(p0, vScale(d, t));
+            return f(q.x, q.y);
+        };
+        for (const t of calcFunctionRoots(g, minA, maxA, { numSamples, eps })) {
+            addResult(vAdd(p0, vScale(d, t)));
+        }
+    };
 
+    const type = obj.type;
+    if (type === TYPE_LINE) {
+        intersectLine(obj.p0, obj.p1, obj.leftOpen ? -Infinity : 0, obj.rightOpen ? Infinity : 1);
+    } else if (type === TYPE_VECTOR) {
+        intersectLine(obj.ref, vAdd(obj.ref, obj), 0, 1);
+    } else if (type === TYPE_LINE_STRIP || type === TYPE_POLYGON) {
+        const { points } = obj;
+        const num = type === TYPE_POLYGON ? points.length : points.length - 1;
+        for (let i = 0; i < num; i++) {
+            intersectLine(points[i], points[(i + 1) % points.length], 0, 1);
+        }
+    } else if (type === TYPE_IMPLICIT_CURVE) {
+        const strips = traceImplicitCurve(curve, {
+            xMin: obj.xMin, xMax: obj.xMax, yMin: obj.yMin, yMax: obj.yMax, resolution
         });
-        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_LINE_STRIP, (a, b) => {
-
-            const { points: points0 } = a;
-            const { points: points1 } = b;
+        for (const points of strips) {
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                const ga = obj.f(a.x, a.y);
+                const gb = obj.f(b.x, b.y);
+                if (!(ga * gb <= 0)) {
+                    continue;
+                }
+                let p = ga === gb ? a : vLerp(a, b, ga / (ga - gb));
+                // Newton iterations for f(p) = 0 and obj.f(p) = 0
+                for (let k = 0; k < maxIterations; k++) {
+                    const fa = f(p.x, p.y);
+                    const fb = obj.f(p.x, p.y);
+                    const da = calcImplicitGradient(f, p.x, p.y);
+                    const db = calcImplicitGradient(obj.f, p.x, p.y);
+                    const det = da.x * db.y - da.y * db.x;
+                    if (Math.abs(det) < eps) {
+                        break;
+                    }
+                    const step = vVec2((fa * db.y - fb * da.y) / det, (da.x * fb - db.x * fa) / det);
+                    p = vSub(p, step);
+                    if (vLen(step) < eps) {
+                        break;
+                    }
+                }
+                if (p.x >= obj.xMin && p.x <= obj.xMax && p.y >= obj.yMin && p.y <= obj.yMax) {
+                    addResult(p);
+                }
+            }
+        }
+    } else {
+        // evaluate along the curve parameter
+        const g = t => {
+            const q = DefCurvePoint.curvePoint(obj, t);
+            return q === INVALID ? NaN : f(q.x, q.y);
+        };
+        for (const t of calcFunctionRoots(g, 0, 1, { numSamples, eps })) {
+            addResult(DefCurvePoint.curvePoint(obj, t));
+        }
+    }
+    return result;
+}
 
-            const intersections = intersectorApplyToLineSegments(
-                (p0, p1) => {
-                    return intersectorApplyToLineSegments(
-                        (q0, q1) => {
-                            return intersectLines(p0, p1, q0, q1, {
-                                minA: 0, maxA: 1,
-                                minB: 0, maxB: 1,
-                            });
-                        }, points0, { wrapPoints: false });
-                }, points1, { wrapPoints: false }
-            );
-
-            return intersections.map(v => makePoint({
-                ...v
-            }));
-        });
-        // ---------
-        // Polygon
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_LINE, (a, b) => {
-
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
-
-            const { points } = a;
+/**
+ * Creates a parametric curve that evaluates the given rational Bezier curve for t in [0,1]
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number[]} weights The weights of the control points
+ * @returns {Object} The parametric curve of type TYPE_PARAMETRIC_CURVE
+ */
+function convertRationalBezierToParametric(points, weights) {
+    return makeParametricCurve({
+        fx: t => deCasteljauRational(points, weights, t).x,
+        fy: t => deCasteljauRational(points, weights, t).y,
+        tMin: 0,
+        tMax: 1,
+    });
+}
 
-            const intersections = intersectorApplyToLineSegments(
-                (p0, p1) => {
-                    return intersectLines(p0, p1, b.p0, b.p1, {
-                        minB: b.leftOpen ? -Infinity : 0,
-                        maxB: b.rightOpen ? Infinity : 1,
-                        minA: 0, maxA: 1,
-                    })
-                }, points, { wrapPoints: true }
-            );
+/**
+ * Creates a parametric curve that evaluates the given NURBS curve over its domain
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @returns {Object} The parametric curve of type TYPE_PARAMETRIC_CURVE
+ */
+function convertNurbsToParametric(nurbs) {
+    const [tMin, tMax] = calcNurbsDomain(nurbs);
+    return makeParametricCurve({
+        fx: u => calcNurbsPoint(nurbs, u).x,
+        fy: u => calcNurbsPoint(nurbs, u).y,
+        tMin,
+        tMax,
+    });
+}
+/**
+ * Computes the curve parameters in [0,1], at which a curve switches between separately parameterized pieces, such as the segments of a line strip.
+ * The curve may not be smooth at these parameters.
+ * Supported are the curve types of DefCurvePoint
+ * @param {Object} obj The curve object
+ * @returns {Number[]} The sorted parameters, including 0 and 1
+ */
+function calcCurvePieceParams(obj) {
+    const uniform = n => Array.from({ length: n + 1 }, (_, i) => i / n);
+    const { type } = obj;
+    if (type === TYPE_LINE_STRIP) {
+        return uniform(Math.max(1, obj.points.length - 1));
+    } else if (type === TYPE_POLYGON) {
+        return uniform(Math.max(1, obj.points.length));
+    } else if (type === TYPE_BEZIER_SPLINE) {
+        return uniform(Math.max(1, numSegmentsBezierSpline(obj.points, obj.degree)));
+    } else if (type === TYPE_HYPERBOLA) {
+        return uniform(getHyperbolaBranches(obj).length);
+    } else if (type === TYPE_NURBS) {
+        const [uMin, uMax] = calcNurbsDomain(obj);
+        const inner = obj.knots.filter(u => u > uMin && u < uMax).map(u => (u - uMin) / (uMax - uMin));
+        return [0, ...new Set(inner), 1];
+    }
+    return [0, 1];
+}
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
-        });
-        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_VECTOR, (a, b) => {
+/**
+ * Computes the derivative of a curve point with respect to the curve parameter t in [0,1], as used by DefCurvePoint.
+ * Supported are the curve types of DefCurvePoint
+ * @param {Object} obj The curve object
+ * @param {Number} t The curve parameter
+ * @returns {{x:Number, y:Number} | null} The derivative or null, if it does not exist
+ */
+function calcCurveDerivative(obj, t) {
+    const result = DefCurveTangent.curveTangentRef(obj, t);
+    if (!result) {
+        return null;
+    }
+    const { type } = obj;
+    // the tangents are computed with respect to the local parameters, so scale them by the change of the local parameter
+    let scale = 1;
+    if (type === TYPE_ARC || type === TYPE_ELLIPSE) {
+        let { startAngle, endAngle } = obj;
+        if (startAngle > endAngle) {
+            endAngle += 2.0 * Math.PI;
+        }
+        scale = endAngle - startAngle;
+    } else if (type === TYPE_PARABOLA || type === TYPE_PARAMETRIC_CURVE) {
+        scale = obj.tMax - obj.tMin;
+    } else if (type === TYPE_HYPERBOLA) {
+        scale = getHyperbolaBranches(obj).length * (obj.tMax - obj.tMin);
+    } else if (type === TYPE_FUNCTION_GRAPH) {
+        scale = obj.xMax - obj.xMin;
+    } else if (type === TYPE_LINE_STRIP) {
+        scale = obj.points.length - 1;
+    } else if (type === TYPE_POLYGON) {
+        scale = obj.points.length;
+    } else if (type === TYPE_BEZIER_SPLINE) {
+        scale = numSegmentsBezierSpline(obj.points, obj.degree);
+    } else if (type === TYPE_NURBS) {
+        const [uMin, uMax] = calcNurbsDomain(obj);
+        scale = uMax - uMin;
+    }
+    return vScale(result.v, scale);
+}
 
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
+/**
+ * Computes the length of a curve between two curve parameters.
+ * The curve parameters are the same as for DefCurvePoint.
+ * Supported are the curve types of DefCurvePoint
+ * @param {Object} obj The curve object
+ * @param {Object} [options]
+ * @param {Number} [options.tMin] The start parameter
+ * @param {Number} [options.tMax] The end parameter
+ * @returns {Number} The length
+ */
+function calcCurveLength(obj, { tMin = 0, tMax = 1 } = {}) {
+    if (tMin > tMax) {
+        [tMin, tMax] = [tMax, tMin];
+    }
+    const speed = t => {
+        const d = calcCurveDerivative(obj, t);
+        return d ? vLen(d) : NaN;
+    };
+    let length = 0;
+    const params = calcCurvePieceParams(obj);
+    for (let i = 0; i + 1 < params.length; i++) {
+        const a = Math.max(tMin, params[i]);
+        const b = Math.min(tMax, params[i + 1]);
+        if (a < b) {
+            length += integrateAdaptive(speed, a, b);
+        }
+    }
+    return length;
+}
 
-            const { points } = a;
-            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
+/**
+ * Computes the curve parameter, at which the curve has the given length measured from its start.
+ * This can be used to parameterize a curve by arc length.
+ * Lengths outside of the curve's range are clamped.
+ * Supported are the curve types of DefCurvePoint
+ * @param {Object} obj The curve object
+ * @param {Number} length The length along the curve
+ * @param {Object} [options]
+ * @param {Boolean} [options.normalized] If true, the length is given as a fraction of the total curve length
+ * @param {Number} [options.maxIterations] The maximum number of iterations to find the parameter
+ * @param {Number} [options.eps] The epsilon value used for comparisons, relative to the curve length
+ * @returns {Number} The curve parameter
+ */
+function calcCurveParamFromLength(obj, length, { normalized = false, maxIterations = 64, eps = 1E-12 } = {}) {
+    const speed = t => {
+        const d = calcCurveDerivative(obj, t);
+        return d ? vLen(d) : NaN;
+    };
+    const params = calcCurvePieceParams(obj);
+    const lengths = [];
+    for (let i = 0; i + 1 < params.length; i++) {
+        lengths.push(integrateAdaptive(speed, params[i], params[i + 1]));
+    }
+    const total = lengths.reduce((a, b) => a + b, 0);
+    if (normalized) {
+        length *= total;
+    }
+    if (!(length > 0)) {
+        return 0;
+    }
 
-            const intersections = intersectorApplyToLineSegments(
-                (q0, q1) => {
-                    return intersectLines(p0, p1, q0, q1, {
-                        minB: 0,
-                        maxB: 1,
-                        minA: 0, maxA: 1,
-                    })
-                }, points, { wrapPoints: true }
-            );
+    let remaining = length;
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining > lengths[i]) {
+            remaining -= lengths[i];
+            continue;
+        }
+        // find the parameter with Newton's method, falling back to bisection when leaving the bracket
+        const a = params[i];
+        let lo = a;
+        let hi = params[i + 1];
+        let t = lengths[i] > 0 ? a + (hi - a) * remaining / lengths[i] : a;
+        for (let j = 0; j < maxIterations; j++) {
+            const g = integrateAdaptive(speed, a, t) - remaining;
+            if (Math.abs(g) <= eps * Math.max(1, total)) {
+                break;
+            }
+            if (g > 0) {
+                hi = t;
+            } else {
+                lo = t;
+            }
+            let tn = t - g / speed(t);
+            if (!(tn > lo && tn < hi)) {
+                tn = 0.5 * (lo + hi);
+            }
+            t = tn;
+        }
+        return t;
+    }
+    return 1;
+}
+/**
+ * Computes the signed curvature of a curve.
+ * The curvature is positive, if the curve turns left (counter-clockwise) and negative, if it turns right.
+ * The center of curvature is the center of the osculating circle and lies on the left for positive curvature.
+ * Lines, arcs, ellipses, Bezier curves and splines are computed exactly, other curves use numerical derivatives.
+ * Supported are the curve types of DefCurvePoint
+ * @param {Object} obj The curve object
+ * @param {Number} t The curve parameter
+ * @returns {{curvature: Number, center: {x:Number, y:Number} | null, ref: {x:Number, y:Number}, v: {x:Number, y:Number}} | null} The curvature and center of curvature together with the curve point and the tangent or null, if the curvature does not exist. The center is null for vanishing curvature
+ */
+function calcCurveCurvature(obj, t) {
+    const { type } = obj;
+    const result = DefCurveTangent.curveTangentRef(obj, t);
+    if (!result) {
+        return null;
+    }
+    const { v, ref } = result;
+    const withCenter = curvature => {
+        let center = vAdd(ref, vScale(normal2D(v), 1 / (vLen(v) * curvature)));
+        if (!Number.isFinite(center.x) || !Number.isFinite(center.y)) {
+            center = null;
+        }
+        return { curvature, center, ref, v };
+    };
+    const cross = (d1, d2) => {
+        const l = vLen(d1);
+        return withCenter((d1.x * d2.y - d1.y * d2.x) / (l * l * l));
+    };
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
-        });
-        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_ARC, (a, b) => {
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
+    if (type === TYPE_LINE || type === TYPE_VECTOR || type === TYPE_LINE_STRIP || type === TYPE_POLYGON) {
+        return withCenter(0);
+    } else if (type === TYPE_ARC) {
+        return withCenter(1 / obj.r);
+    } else if (type === TYPE_ELLIPSE) {
+        const { rx, ry, rotation } = obj;
+        let { startAngle, endAngle } = obj;
+        if (startAngle > endAngle) {
+            endAngle += 2.0 * Math.PI;
+        }
+        const a = startAngle + t * (endAngle - startAngle);
+        // the second derivative is [-rx cos(a), -ry sin(a)], so the cross product with the tangent is rx * ry
+        return cross(v, vRotate(vVec2(-rx * Math.cos(a), -ry * Math.sin(a)), rotation));
+    } else if (type === TYPE_BEZIER || type === TYPE_BEZIER_SPLINE) {
+        let { points } = obj;
+        let s = t;
+        if (type === TYPE_BEZIER_SPLINE) {
+            const numSegs = numSegmentsBezierSpline(points, obj.degree);
+            const idx = findSegmentIndex(numSegs, t);
+            points = getBezierSplineSegment(points, obj.degree, idx);
+            s = t * numSegs - idx;
+        }
+        const d1 = calcBezierPointsDerivative(points);
+        const d2 = calcBezierPointsDerivative(d1);
+        return cross(deCasteljau(d1, s), d2.length > 0 ? deCasteljau(d2, s) : vVec2(0, 0));
+    }
+
+    // numerical derivatives within the smooth piece containing t
+    const params = calcCurvePieceParams(obj);
+    const i = Math.max(0, Math.min(params.length - 2, params.findIndex(u => u > t) - 1));
+    const a = params[i];
+    const b = params[i + 1];
+    const h = 1E-4 * (b - a);
+    const point = u => DefCurvePoint.curvePoint(obj, u);
+    const isValid = qs => qs.every(q => q !== INVALID && Number.isFinite(q.x) && Number.isFinite(q.y));
+    if (t - h >= a && t + h <= b) {
+        // central differences
+        const q = [point(t - h), point(t), point(t + h)];
+        if (!isValid(q)) {
+            return null;
+        }
+        const d1 = vScale(vSub(q[2], q[0]), 0.5 / h);
+        const d2 = vScale(vAdd(vSub(q[0], vScale(q[1], 2)), q[2]), 1 / (h * h));
+        return cross(d1, d2);
+    }
+    // one-sided differences of second order pointing into the piece
+    const dir = t - h < a ? 1 : -1;
+    const q = [0, 1, 2, 3].map(k => point(t + dir * k * h));
+    if (!isValid(q)) {
+        return null;
+    }
+    const d1 = vScale(vAdd(vAdd(vScale(q[0], -3), vScale(q[1], 4)), vScale(q[2], -1)), dir * 0.5 / h);
+    const d2 = vScale(vAdd(vAdd(vScale(q[0], 2), vScale(q[1], -5)), vAdd(vScale(q[2], 4), vScale(q[3], -1))), 1 / (h * h));
+    return cross(d1, d2);
+}
 
-            const { points } = a;
+/**
+ * Samples the evolute of a curve, which is the curve of its centers of curvature.
+ * The evolute is split, where the curvature vanishes or changes its sign and where the curve consists of separately parameterized pieces, such as the segments of a Bezier spline.
+ * Supported are the curve types of DefCurvePoint
+ * @param {Object} obj The curve object
+ * @param {Object} [options]
+ * @param {Number} [options.numSamples] The number of samples along the whole curve
+ * @returns {Array<Array<{x:Number, y:Number}>>} The points of each continuous part
+ */
+function sampleCurveEvolute(obj, { numSamples = 256 } = {}) {
+    const parts = [];
+    const params = calcCurvePieceParams(obj);
+    for (let i = 0; i + 1 < params.length; i++) {
+        const a = params[i];
+        const b = params[i + 1];
+        const n = Math.max(1, Math.ceil(numSamples * (b - a)));
+        let current = [];
+        let sign = 0;
+        for (let j = 0; j <= n; j++) {
+            let t = a + (b - a) * j / n;
+            if (j === n && b < 1) {
+                // the start of the next piece belongs to the next piece
+                t -= 1E-9 * (b - a);
+            }
+            const result = calcCurveCurvature(obj, t);
+            const c = result?.center;
+            const s = result ? Math.sign(result.curvature) : 0;
+            if (!c || s !== sign) {
+                if (current.length > 1) {
+                    parts.push(current);
+                }
+                current = [];
+            }
+            sign = s;
+            if (c) {
+                current.push(c);
+            }
+        }
+        if (current.length > 1) {
+            parts.push(current);
+        }
+    }
+    return parts;
+}
 
-            const intersections = intersectorApplyToLineSegments(
-                (p0, p1) => {
-                    return intersectLineArc(p0, p1, b.center, b.r, {
-                        minA: 0, maxA: 1,
-                        angleMin: b.startAngle,
-                        angleMax: b.endAngle
-                    })
-                }, points, { wrapPoints: true }
-            );
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
 
-        });
+/**
+ * Computes the intersections of a line and a rational Bezier curve.
+ * Multiplying the line equation with the curve's weight function results in a polynomial in Bernstein form.
+ * Its roots are computed exactly with the Bezier line intersection up to degree 4 and numerically for higher degrees
+ * @param {{x:Number,y:Number}} a0 The first line point
+ * @param {{x:Number,y:Number}} a1 The second line point
+ * @param {Array<{x:Number,y:Number}>} points The control points
+ * @param {Number[]} weights The weights of the control points
+ * @param {Object} options
+ * @param {Number} options.minA The minimum parameter of the line. For a segment, that is 0
+ * @param {Number} options.maxA The maximum parameter of the line. For a segment, that is 1
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The intersections
+ */
+function intersectLineRationalBezier(a0, a1, points, weights, {
+    minA = -Infinity, maxA = Infinity,
+    eps = 1E-10
+} = {}) {
+    const n = points.length - 1;
+    if (n < 0) {
+        return [];
+    }
+    const [a, b, c] = calcLineImplicit(a0, a1);
+    // w(t) * l(c(t)) = sum_i B_i(t) w_i l(p_i)
+    const coeffs = points.map((p, i) => weights[i] * (a * p.x + b * p.y + c));
+    const scale = Math.max(...coeffs.map(Math.abs));
+    if (scale < eps) {
+        // curve lies on the line
+        return [];
+    }
 
-        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_LINE_STRIP, (a, b) => {
-            const { points: points0 } = a;
-            const { points: points1 } = b;
+    let ts;
+    if (n === 0) {
+        ts = [];
+    } else if (n <= 4) {
+        // the Bezier curve with control points (i/n, coeffs_i) is the graph of the polynomial,
+        // so its intersections with the x-axis are located at the roots
+        const graph = coeffs.map((v, i) => vVec2(i / n, v / scale));
+        const roots = intersectLineBezier(vVec2(0, 0), vVec2(1, 0), graph, { eps });
+        ts = (Array.isArray(roots) ? roots : (roots ? [roots] : [])).map(p => p.x);
+    } else {
+        const graph = coeffs.map(v => vVec2(v / scale, 0));
+        ts = calcFunctionRoots(t => deCasteljau(graph, t).x, 0, 1, { eps });
+    }
 
+    const result = [];
+    for (const t of ts) {
+        if (t < 0 || t > 1) {
+            continue;
+        }
+        const p = deCasteljauRational(points, weights, t);
 
-            const intersections = intersectorApplyToLineSegments(
-                (p0, p1) => {
-                    return intersectorApplyToLineSegments(
-                        (q0, q1) => {
-                            return intersectLines(p0, p1, q0, q1, {
-                                minA: 0, maxA: 1,
-                                minB: 0, maxB: 1,
-                            });
-                        }, points0, { wrapPoints: true });
-                }, points1, { wrapPoints: false }
-            );
+        // check if param is on line
+        const tl = calcParamOnLine(a0, a1, p);
+        if (tl < minA || tl > maxA) {
+            continue;
+        }
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
+        result.push(p);
+    }
+    return result;
+}
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_POLYGON, (a, b) => {
+/**
+ * Computes the intersections of a rational Bezier curve with another object.
+ * Lines and conics (for curves up to degree 2) are intersected exactly, polynomial curves use the Bezier intersections, if possible.
+ * All other objects are intersected numerically with the parametric curve routines
+ * @param {Object} curve The rational Bezier curve of type TYPE_RATIONAL_BEZIER
+ * @param {Object} obj The object to intersect with
+ * @param {Object} options
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The intersections
+ */
+function intersectRationalBezierObject(curve, obj, { eps = 1E-10 } = {}) {
+    const { points, weights } = curve;
+    const degree = points.length - 1;
+    if (degree < 1) {
+        return [];
+    }
 
-            const { points: points0 } = a;
-            const { points: points1 } = b;
+    const intersectSegment = (p0, p1, minA, maxA) => intersectLineRationalBezier(p0, p1, points, weights, {
+        minA, maxA, eps
+    });
 
-            const intersections = intersectorApplyToLineSegments(
-                (p0, p1) => {
-                    return intersectorApplyToLineSegments(
-                        (q0, q1) => {
-                            return intersectLines(p0, p1, q0, q1, {
-                                minA: 0, maxA: 1,
-                                minB: 0, maxB: 1,
-                            });
-                        }, points0, { wrapPoints: true });
-                }, points1, { wrapPoints: true }
-            );
+    const type = obj.type;
+    if (type === TYPE_NURBS) {
+        return intersectNurbsObject(obj, curve, { eps });
+    } else if (type === TYPE_LINE) {
+        return intersectSegment(obj.p0, obj.p1, obj.leftOpen ? -Infinity : 0, obj.rightOpen ? Infinity : 1);
+    } else if (type === TYPE_VECTOR) {
+        return intersectSegment(obj.ref, vAdd(obj.ref, obj), 0, 1);
+    } else if (type === TYPE_LINE_STRIP || type === TYPE_POLYGON) {
+        const { points: objPoints } = obj;
+        const num = type === TYPE_POLYGON ? objPoints.length : objPoints.length - 1;
+        const result = [];
+        for (let i = 0; i < num; i++) {
+            result.push(...intersectSegment(objPoints[i], objPoints[(i + 1) % objPoints.length], 0, 1));
+        }
+        return result;
+    } else if (degree <= 2 &&
+        (type === TYPE_ARC || type === TYPE_ELLIPSE || type === TYPE_PARABOLA || type === TYPE_HYPERBOLA)) {
+        // homogeneous coordinates in the power basis
+        const h = convertToHomogeneousPoints(points, weights);
+        const power = degree === 1 ?
+            (v0, v1) => [v0, v1 - v0, 0] :
+            (v0, v1, v2) => [v0, 2 * (v1 - v0), v0 - 2 * v1 + v2];
+        const param = {
+            x: power(...h.map(v => v.x)),
+            y: power(...h.map(v => v.y)),
+            q: power(...h.map(v => v.w)),
+        };
+        return intersectRationalQuadraticImplicit(param, calcConicImplicit(obj), { wMin: 0, wMax: 1, eps })
+            .filter(p => isPointInConicRange(obj, p, eps))
+            .map(({ x, y }) => vVec2(x, y));
+    } else if (type === TYPE_BEZIER || type === TYPE_BEZIER_SPLINE) {
+        const w0 = weights[0];
+        const isPolynomial = weights.every(w => Math.abs(w - w0) <= eps * Math.abs(w0));
+        if (isPolynomial && degree * obj.degree <= 4) {
+            const p = IntersectionRegistry.intersect(makeBezier({ points }), obj);
+            return !p ? [] : (Array.isArray(p) ? p : [p]);
+        }
+    }
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
-        });
-        // ---------
-        // Bezier
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_LINE, (a, b) => {
-            const p = intersectLineBezier(b.p0, b.p1, a.points, {
-                minA: b.leftOpen ? -Infinity : 0,
-                maxA: b.rightOpen ? Infinity : 1,
-            });
+    const other = type === TYPE_RATIONAL_BEZIER ? convertRationalBezierToParametric(obj.points, obj.weights) : obj;
+    return intersectParametricCurveObject(convertRationalBezierToParametric(points, weights), other, { eps });
+}
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
-                result.push(makePoint({ ...p[i] }));
+/**
+ * Computes the intersections of a NURBS curve with another object.
+ * The curve is split into rational Bezier segments, which are intersected with intersectRationalBezierObject
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @param {Object} obj The object to intersect with
+ * @param {Object} options
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The intersections
+ */
+function intersectNurbsObject(nurbs, obj, { eps = 1E-10 } = {}) {
+    const result = [];
+    for (const { points, weights } of convertNurbsToRationalBeziers(nurbs)) {
+        const p = intersectRationalBezierObject(makeRationalBezier({ points, weights }), obj, { eps });
+        for (const q of p) {
+            // neighboring segments share their end points
+            if (!result.some(r => vLen(vSub(q, r)) < 1E-8 * Math.max(1, vLen(q)))) {
+                result.push(q);
             }
+        }
+    }
+    return result;
+}
 
-            return result;
-
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_VECTOR, (a, b) => {
-
-            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
-
-            const p = intersectLineBezier(p0, p1, a.points, {
-                minA: 0,
-                maxA: 1,
-            });
-
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
-                result.push(makePoint({ ...p[i] }));
-            }
+/**
+ * Computes the points on an arc going through a given point, if they exist. 
+ * @param {{x:Number,y:Number}} p The point
+ * @param {{x:Number,y:Number}} c The arc's center
+ * @param {Number} r The arc's radius
+ * @param {Object} options
+ * @param {Number} options.angleMin The minimum first arc angle
+ * @param {Number} options.angleMax The maximum first arc angle
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The tangent points
+ */
+function calcCirclePointTangentPoints(p, c, r, { angleMin = 0, angleMax = 2.0 * Math.PI,
+    eps = 1E-10
+} = {}) {
+    // find tangent points: q_i
+    // vector t = q_i - p is perpendicular to radius vector v = q_i - c
+    // this forms a right triangle with the center and the point
+    // therefore we can find |t| via pythagoras
+    // |t|^ + |v|^2 = |p-c|^2 => |t|^ + r^2 = |p-c|^2 => |t|^2  = |p-c|^2 - r^2
+    // from that we can make a circle with radius |t| around p and intersect that with the given circle
+    // calling the intersect function will handle the ranges of the arc
 
-            return result;
+    const t2 = vLen2(vSub(p, c)) - r * r;
+    const t = Math.sqrt(t2);
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_ARC, (a, b) => {
-            const p = intersectArcBezier(b.center, b.r, a.points, {
-                angleMin: b.startAngle,
-                angleMax: b.endAngle
-            });
+    return intersectArcArc(c, r, p, t, {
+        angleMinA: angleMin, angleMaxA: angleMax,
+        eps
+    });
+}
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
-                result.push(makePoint({ ...p[i] }));
-            }
 
-            return result;
+/**
+ * Checks whether a point's direction lies in the angle range specified by the given arc
+ * @param {{x:Number,y:Number}} p The point
+ * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc The arc
+ * @returns True, if the point is valid, false otherwise
+ */
+function isPointDirectionValidOnArc(p, arc) {
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_LINE_STRIP, (a, b) => {
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
+    const prel = vSub(p, arc.center);
 
-            const { points: pointsBezier } = a;
+    return isPointInAngleRange({
+        x: prel.x,
+        y: prel.y
+    }, arc.startAngle, arc.endAngle);
+}
 
-            const intersections = intersectorApplyToLineSegments(
-                (p0, p1) => {
-                    return intersectLineBezier(p0, p1, pointsBezier, {
-                        minA: 0,
-                        maxA: 1,
-                    })
-                }, b.points, { wrapPoints: false }
-            );
+/**
+ * Computes the points on two arc's outer tangents, if they exist. 
+ * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The first arc
+ * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The second arc
+ * @param {Object} options
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The tangent points. They come in pairs of point on first arc and point on second arc
+ */
+function calcOuterTangentPoints(arc0, arc1, {
+    eps = 1E-10
+} = {}) {
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
+    let switched = false;
+    // order to have arc0 be the larger one
+    if (arc1.r > arc0.r) {
+        [arc0, arc1] = [arc1, arc0];
+        switched = true;
+    }
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_POLYGON, (a, b) => {
-            // could be optimized with precomputed bounds and stuff
-            // for now, naive implementation
+    const v = vSub(arc1.center, arc0.center);
+    const hypotenuse = vLen(v);
+    const r3 = arc0.r - arc1.r;
 
-            const { points: pointsBezier } = a;
+    let arg = r3 / hypotenuse;
+    if (Math.abs(arg) > 1 + eps) {
+        // No tangents can be found
+        return [];
+    }
+    arg = Math.min(1, Math.max(-1, arg));
 
-            const intersections = intersectorApplyToLineSegments(
-                (p0, p1) => {
-                    return intersectLineBezier(p0, p1, pointsBezier, {
-                        minA: 0,
-                        maxA: 1,
-                    })
-                }, b.points, { wrapPoints: true }
-            );
+    const phi = Math.acos(arg);
+    const phi0 = Math.atan2(v.y, v.x);
+    const phi1 = phi0 + phi;
+    const phi2 = phi0 - phi;
 
-            return intersections.map(v => makePoint({
-                ...v
-            }));
+    const pPolar0 = vPolar(1, phi1);
+    const pPolar1 = vPolar(1, phi2);
 
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_BEZIER, (a, b) => {
+    const points = [];
 
-            const p = intersectBezierBezier(a.points, b.points, {
-            });
+    // first tangent
+    points.push(vAdd(vScale(pPolar0, arc0.r), arc0.center));
+    points.push(vAdd(vScale(pPolar0, arc1.r), arc1.center));
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
-                result.push(makePoint({ ...p[i] }));
-            }
+    points.push(vAdd(vScale(pPolar1, arc0.r), arc0.center));
+    points.push(vAdd(vScale(pPolar1, arc1.r), arc1.center));
 
-            return result;
+    // filter
+    const result = [];
 
-        });
-        // ---------
-        // Bezier spline
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_LINE, (a, b) => {
+    for (let i = 0; i < points.length; i += 2) {
+        let p0 = points[i + 0];
+        let p1 = points[i + 1];
 
-            const { points, degree } = a;
-            if ((points.length - (degree + 1)) % degree !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+        if (!isPointDirectionValidOnArc(p0, arc0) || !isPointDirectionValidOnArc(p1, arc1)) {
+            continue;
+        }
 
-            const intersections = [];
-            const lPoints = new Array(degree + 1);
-            for (let i = 0; i < points.length - 1; i += degree) {
-                for (let j = 0; j < degree + 1; j++) {
-                    lPoints[j] = points[i + j];
-                }
-                const p = intersectLineBezier(b.p0, b.p1, lPoints, {
-                    minA: b.leftOpen ? -Infinity : 0,
-                    maxA: b.rightOpen ? Infinity : 1,
-                });
-                if (p) {
-                    if (Array.isArray(p)) {
-                        intersections.push(...p);
-                    } else {
-                        intersections.push(p);
-                    }
-                }
-            }
+        if (switched) {
+            [p0, p1] = [p1, p0];
+        }
+        result.push(p0, p1);
+    }
+    return result;
 
-            return intersections.map(v => makePoint(v));
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_VECTOR, (a, b) => {
+}
 
-            const { points, degree } = a;
-            if ((points.length - (degree + 1)) % degree !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+/**
+ * Computes the points on two arc's inner tangents, if they exist. 
+ * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The first arc
+ * @param {{r:Number, startAngle:Number, endAngle: Number, center: {x:Number,y:Number}}} arc0 The second arc
+ * @param {Object} options
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {Array<{x:Number,y:Number}>} The tangent points. They come in pairs of point on first arc and point on second arc
+ */
+function calcInnerTangentPoints(arc0, arc1, {
+    eps = 1E-10
+} = {}) {
 
-            const intersections = [];
-            const lPoints = new Array(degree + 1);
-            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
-            for (let i = 0; i < points.length - 1; i += degree) {
-                for (let j = 0; j < degree + 1; j++) {
-                    lPoints[j] = points[i + j];
-                }
-                const p = intersectLineBezier(p0, p1, lPoints, {
-                    minA: b.leftOpen ? -Infinity : 0,
-                    maxA: b.rightOpen ? Infinity : 1,
-                });
-                if (p) {
-                    if (Array.isArray(p)) {
-                        intersections.push(...p);
-                    } else {
-                        intersections.push(p);
-                    }
-                }
-            }
+    let switched = false;
+    // order to have arc0 be the larger one
+    if (arc1.r > arc0.r) {
+        [arc0, arc1] = [arc1, arc0];
+        switched = true;
+    }
 
-            return intersections.map(v => makePoint(v));
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_ARC, (a, b) => {
+    const v = vSub(arc1.center, arc0.center);
+    const hypotenuse = vLen(v);
+    const r3 = arc0.r + arc1.r;
 
-            const { points, degree } = a;
-            if ((points.length - (degree + 1)) % degree !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+    const phi0 = Math.atan2(v.y, v.x);
+    let arg = r3 / hypotenuse;
+    if (Math.abs(arg) > 1 + eps) {
+        // No tangents can be found
+        return [];
+    }
+    arg = Math.min(1, Math.max(-1, arg));
+    const phi = Math.asin(arg) - Math.PI / 2;
+    const phi1 = phi0 + phi;
+    const phi2 = phi0 - phi;
 
-            const intersections = [];
-            const lPoints = new Array(degree + 1);
-            const { center, r, startAngle, endAngle } = b;
-            for (let i = 0; i < points.length - 1; i += degree) {
-                for (let j = 0; j < degree + 1; j++) {
-                    lPoints[j] = points[i + j];
-                }
-                const p = intersectArcBezier(center, r, lPoints, {
-                    angleMin: startAngle, angleMax: endAngle
-                });
+    const pPolar0 = vPolar(1, phi1);
+    const pPolar1 = vPolar(1, phi2);
 
-                if (p) {
-                    if (Array.isArray(p)) {
-                        intersections.push(...p);
-                    } else {
-                        intersections.push(p);
-                    }
-                }
-            }
+    const points = [];
 
-            return intersections.map(v => makePoint(v));
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_LINE_STRIP, (a, b) => {
+    // first tangent
+    points.push(vAdd(vScale(pPolar0, arc0.r), arc0.center));
+    points.push(vAdd(vScale(vPolar(1, phi1 + Math.PI), arc1.r), arc1.center));
 
-            const { points, degree } = a;
-            if ((points.length - (degree + 1)) % degree !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+    points.push(vAdd(vScale(pPolar1, arc0.r), arc0.center));
+    points.push(vAdd(vScale(vPolar(1, phi2 + Math.PI), arc1.r), arc1.center));
 
-            const intersections = [];
-            const lPoints = new Array(degree + 1);
-            for (let i = 0; i < points.length - 1; i += degree) {
-                for (let j = 0; j < degree + 1; j++) {
-                    lPoints[j] = points[i + j];
-                }
-                const p = intersectorApplyToLineSegments(
-                    (p0, p1) => {
-                        return intersectLineBezier(p0, p1, lPoints, {
-                            minA: 0,
-                            maxA: 1,
-                        })
-                    }, b.points, { wrapPoints: false }
-                );
+    // filter
+    const result = [];
 
-                if (p) {
-                    if (Array.isArray(p)) {
-                        intersections.push(...p);
-                    } else {
-                        intersections.push(p);
-                    }
-                }
-            }
+    for (let i = 0; i < points.length; i += 2) {
+        let p0 = points[i + 0];
+        let p1 = points[i + 1];
 
-            return intersections.map(v => makePoint(v));
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_POLYGON, (a, b) => {
+        if (!isPointDirectionValidOnArc(p0, arc0) || !isPointDirectionValidOnArc(p1, arc1)) {
+            continue;
+        }
 
-            const { points, degree } = a;
-            if ((points.length - (degree + 1)) % degree !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+        if (switched) {
+            [p0, p1] = [p1, p0];
+        }
+        result.push(p0, p1);
+    }
+    return result;
 
-            const intersections = [];
-            const lPoints = new Array(degree + 1);
-            for (let i = 0; i < points.length - 1; i += degree) {
-                for (let j = 0; j < degree + 1; j++) {
-                    lPoints[j] = points[i + j];
-                }
-                const p = intersectorApplyToLineSegments(
-                    (p0, p1) => {
-                        return intersectLineBezier(p0, p1, lPoints, {
-                            minA: 0,
-                            maxA: 1,
-                        })
-                    }, b.points, { wrapPoints: true }
-                );
+}
 
-                if (p) {
-                    if (Array.isArray(p)) {
-                        intersections.push(...p);
-                    } else {
-                        intersections.push(p);
-                    }
-                }
-            }
+/**
+ * Computes the index of the segment of a piecewise curve containing the curve parameter t in [0,1].
+ * The end of the curve belongs to the last segment. Parameters outside of [0,1] map to the first or last segment, which extrapolates them
+ * @param {Number} numSegments The number of segments
+ * @param {Number} t The curve parameter
+ * @returns {Number} The segment index
+ */
+function findSegmentIndex(numSegments, t) {
+    return Math.max(0, Math.min(numSegments - 1, Math.floor(numSegments * t)));
+}
 
-            return intersections.map(v => makePoint(v));
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_BEZIER, (a, b) => {
+/**
+ * Computes the number of segments of a Bezier spline where each consecutive segment uses the last point of the previous one
+ * @param {Array<{x:Number,y:Number}>} points The control points
+ * @param {Number} degree The Bezier degree
+ * @returns {Number} The number of segments
+ */
+function numSegmentsBezierSpline(points, degree) {
+    if ((points.length - (degree + 1)) % degree !== 0) {
+        throw new Error("Wrong number of input points");
+    }
 
-            const { points, degree } = a;
-            if ((points.length - (degree + 1)) % degree !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+    if (degree === 1) {
+        return points.length - 1;
+    }
+    // This should be right
+    // The first spline part adds deg+1 points
+    // as the next point shares its first with the last, only deg points are added
+    // this leads to the total number of points: deg + 1 + i*deg, where i is the number of additional points
+    // if deg > 1, we can do integer division: 
+    // div(deg + 1 + i*deg, deg) = div(deg,deg) + div(1,deg) + div(i*deg,deg) 
+    //  = 1 + 0 + i = 1 + i
+    // There is probably a nicer formula including deg = 1...
+    return Math.floor(points.length / degree);
+}
 
-            const intersections = [];
-            const lPoints = new Array(degree + 1);
-            for (let i = 0; i < points.length - 1; i += degree) {
-                for (let j = 0; j < degree + 1; j++) {
-                    lPoints[j] = points[i + j];
-                }
-                const p = intersectBezierBezier(b.points, lPoints, {});
-                if (p) {
-                    if (Array.isArray(p)) {
-                        intersections.push(...p);
-                    } else {
-                        intersections.push(p);
-                    }
-                }
-            }
+/**
+ * Computes the segment i of a Bezier spline where each consecutive segment uses the last point of the previous one
+ * @param {Array<{x:Number,y:Number}>} points The control points
+ * @param {Number} degree The Bezier degree
+ * @param {Number} i The index of the segment
+ * @returns {Array<{x:Number,y:Number}>} The segments
+ */
+function getBezierSplineSegment(points, degree, i) {
+    if ((points.length - (degree + 1)) % degree !== 0) {
+        throw new Error("Wrong number of input points");
+    }
+    const offset = i * degree;
+    const result = new Array(degree + 1);
+    for (let j = 0; j <= degree; j++) {
+        result[j] = points[offset + j];
+    }
 
-            return intersections.map(v => makePoint(v));
-        });
-        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_BEZIER_SPLINE, (a, b) => {
+    return result;
+}
 
-            const { points: points0, degree: degree0 } = a;
-            const { points: points1, degree: degree1 } = b;
-            if ((points0.length - (degree0 + 1)) % degree0 !== 0) {
-                throw new Error("Wrong number of input points");
-            }
-            if ((points1.length - (degree1 + 1)) % degree1 !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+/**
+ * Currently implemented default intersections
+ * 
+ * Brackets indicate additional information. 
+ * For Bezier, this will list the maximum degree for which the intersection is defined.
+ * 
+ * Line: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Vector: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Arc: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier spline(mag deg 2), Ellipse, Parabola, Hyperbola, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Line strip: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Polygon: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Bezier: Line (max deg 4), Vector (max deg 4), Arc (max deg 2), Line strip (max deg 4), Polygon(max deg 4), Bezier (deg A * deg B < 5), Bezier spline(deg A * deg B < 5), Ellipse (max deg 2), Parabola (max deg 2), Hyperbola (max deg 2), Parametric curve (max deg 4), Implicit curve, Rational Bezier (max deg 4), NURBS (max deg 4)
+ * Bezier spline: Line (max deg 4), Vector (max deg 4), Arc (max deg 2), Line strip (max deg 4), Polygon(max deg 4), Bezier (deg A * deg B < 5) , Bezier spline(deg A * deg B < 5), Ellipse (max deg 2), Parabola (max deg 2), Hyperbola (max deg 2), Parametric curve (max deg 4), Implicit curve, Rational Bezier (max deg 4), NURBS (max deg 4)
+ * Ellipse: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier spline(mag deg 2), Ellipse, Parabola, Hyperbola, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Parabola: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier spline(mag deg 2), Ellipse, Parabola, Hyperbola, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Hyperbola: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier spline(mag deg 2), Ellipse, Parabola, Hyperbola, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Function graph: Line, Vector, Line strip, Polygon, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Parametric curve: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Implicit curve: Line, Vector, Arc, Line strip, Polygon, Bezier, Bezier spline, Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * Rational Bezier: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ * NURBS: Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 4), Bezier spline(mag deg 4), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ */
+class IntersectionRegistry {
 
-            const intersections = [];
-            const lPoints0 = new Array(degree0 + 1);
-            const lPoints1 = new Array(degree1 + 1);
-            for (let i = 0; i < points0.length - 1; i += degree0) {
-                for (let j = 0; j < degree0 + 1; j++) {
-                    lPoints0[j] = points0[i + j];
-                }
+    static intersectors = {};
 
-                for (let k = 0; k < points1.length - 1; k += degree1) {
-                    for (let j = 0; j < degree1 + 1; j++) {
-                        lPoints1[j] = points1[k + j];
-                    }
-                    // TODO exclude endpoints?
-                    const p = intersectBezierBezier(lPoints0, lPoints1, {});
-                    if (p) {
-                        if (Array.isArray(p)) {
-                            intersections.push(...p);
-                        } else {
-                            intersections.push(p);
-                        }
-                    }
-                }
+    /**
+     * 
+     * @param {String} typeA The type of the first object
+     * @param {String} typeB The type of the second object
+     * @param {function(Object,Object) : Array<{x:Number, y:Number}> | null} intersector The intersection function taking objects of the specified types and returning intersections. May also return null, if none exist
+     * @param {Boolean} addReverse If true, an additional function with swapped arguments (if they are different) is added automatically
+     */
+    static setIntersector(typeA, typeB, intersector, addReverse = true) {
 
-            }
+        const k1 = IntersectionRegistry.intersectors[typeA] ?? {};
+        k1[typeB] = intersector;
 
-            return intersections.map(v => makePoint(v));
-        });
-        // ---------
-        // Ellipse
-        // ---------
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_LINE, (a, b) => {
-            // convert line into local ellipse coordinates
-            let lpoints = [b.p0, b.p1];
-            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+        IntersectionRegistry.intersectors[typeA] = k1;
 
-            const arcInter = IntersectionRegistry.getIntersector(TYPE_LINE, TYPE_ARC);
-            const localLine = makeLine({ p0: lpoints[0], p1: lpoints[1] });
-            const unitArc = makeArc({
-                r: 1, startAngle: a.startAngle,
-                endAngle: a.endAngle, center: { x: 0, y: 0 }
-            });
-            let p = arcInter(localLine, unitArc);
+        if (typeA !== typeB && addReverse) {
+            const reverse = (b, a) => intersector(a, b);
 
-            // restore points
-            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+            const k2 = IntersectionRegistry.intersectors[typeB] ?? {};
+            k2[typeA] = reverse;
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+            IntersectionRegistry.intersectors[typeB] = k2;
+        }
+    }
 
-                result.push(makePoint({ ...p[i] }));
-            }
+    /**
+     * Get the intersector for the given types
+     * @param {String} typeA The type of the first object
+     * @param {String} typeB The type of the second object
+     * @returns {undefined | function(Object,Object) : Array<{x:Number, y:Number}> | null} The intersector, if it exists
+     */
+    static getIntersector(typeA, typeB) {
+        const k1 = IntersectionRegistry.intersectors[typeA] ?? {};
+        return k1[typeB];
+    }
 
-            return result;
-        });
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_VECTOR, (a, b) => {
-            // convert line into local ellipse coordinates
-            let lpoints = [b.ref, vAdd(b.ref, b)];
-            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+    /**
+     * Computes the intersection of two typed objects
+     * @param {{type : String}} a The first object with a type
+     * @param {{type : String}} b The second object with a type
+     * @returns {Array<{x:Number, y:Number}> | null} The intersections, if they exist.  May also return null, if none exist
+     */
+    static intersect(a, b) {
 
-            const arcInter = IntersectionRegistry.getIntersector(TYPE_LINE, TYPE_ARC);
-            const localLine = makeLine({ p0: lpoints[0], p1: lpoints[1] });
-            const unitArc = makeArc({
-                r: 1, startAngle: a.startAngle,
-                endAngle: a.endAngle, center: { x: 0, y: 0 }
+        const typeA = a.type;
+        const typeB = b.type;
+
+        const inter = IntersectionRegistry.getIntersector(typeA, typeB);
+
+        return inter(a, b);
+    }
+
+    static {
+        // Default intersectors
+
+        // Type order Line, Vector, Arc, Line strip, Polygon, Bezier, Bezier Spline, Ellipse, Parabola, Hyperbola
+        // For a slightly better overview, they will be sorted that way 
+
+        // ---------
+        // Line
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_LINE, TYPE_LINE, (a, b) => {
+            const p = intersectLines(a.p0, a.p1, b.p0, b.p1, {
+                minA: a.leftOpen ? -Infinity : 0,
+                maxA: a.rightOpen ? Infinity : 1,
+                minB: b.leftOpen ? -Infinity : 0,
+                maxB: b.rightOpen ? Infinity : 1
             });
-            let p = arcInter(localLine, unitArc);
 
-            // restore points
-            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+            if (!p) {
+                return null;
+            }
+
+            return makePoint({
+                ...p
+            });
+        });
+        // ---------
+        // Vector
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_VECTOR, TYPE_LINE, (a, b) => {
+            const v = vAdd(a.ref, a);
+            const p = intersectLines(a.ref, v, b.p0, b.p1, {
+                minA: 0,
+                maxA: 1,
+                minB: b.leftOpen ? -Infinity : 0,
+                maxB: b.rightOpen ? Infinity : 1
+            });
+
+            if (!p) {
+                return null;
+            }
+
+            return makePoint({
+                ...p
+            });
+        });
+        IntersectionRegistry.setIntersector(TYPE_VECTOR, TYPE_VECTOR, (a, b) => {
+            const v = vAdd(a.ref, a);
+            const w = vAdd(b.ref, b);
+            const p = intersectLines(a.ref, v, b.ref, w, {
+                minA: 0,
+                maxA: 1,
+                minB: 0,
+                maxB: 1
+            });
+
+            if (!p) {
+                return null;
+            }
+
+            return makePoint({
+                ...p
+            });
+        });
+        // ---------
+        // Arc
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_ARC, TYPE_LINE, (a, b) => {
+            const p = intersectLineArc(b.p0, b.p1, { x: a.center.x, y: a.center.y }, a.r, {
+                minA: b.leftOpen ? -Infinity : 0,
+                maxA: b.rightOpen ? Infinity : 1,
+                angleMin: a.startAngle,
+                angleMax: a.endAngle,
+            });
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_ARC, TYPE_VECTOR, (a, b) => {
+            const v = vAdd(b.ref, b);
+            const p = intersectLineArc(b.ref, v,
+                a.center, a.r, {
+                minA: 0,
+                maxA: 1,
+                angleMin: a.startAngle,
+                angleMax: a.endAngle
+            });
+
+            return p.map(v => makePoint({
+                ...v
+            }));
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_ARC, TYPE_ARC, (a, b) => {
+            const p = intersectArcArc(a.center, a.r, b.center, b.r, {
+                angleMinA: a.startAngle, angleMaxA: a.endAngle,
+                angleMinB: b.startAngle, angleMaxB: b.endAngle,
+            });
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+
+        });
+        // ---------
+        // Line strip
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_LINE, (a, b) => {
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const { p0, p1 } = b;
+
+            const intersections = intersectorApplyToLineSegments(
+                (q0, q1) => {
+                    return intersectLines(p0, p1, q0, q1, {
+                        minA: b.leftOpen ? -Infinity : 0,
+                        maxA: b.rightOpen ? Infinity : 1,
+                        minB: 0,
+                        maxB: 1,
+                    })
+                }, a.points, { wrapPoints: false }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_VECTOR, (a, b) => {
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
+            const intersections = intersectorApplyToLineSegments(
+                (q0, q1) => {
+                    return intersectLines(p0, p1, q0, q1, {
+                        minA: 0,
+                        maxA: 1,
+                        minB: 0,
+                        maxB: 1,
+                    })
+                }, a.points, { wrapPoints: false }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_ARC, (a, b) => {
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const { points } = a;
+            const intersections = intersectorApplyToLineSegments((pi, pj) => {
+                return intersectLineArc(pi, pj, b.center, b.r, {
+                    angleMin: b.startAngle,
+                    angleMax: b.endAngle,
+                    minA: 0, maxA: 1,
+                });
+            }, points, { wrapPoints: false });
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_LINE_STRIP, TYPE_LINE_STRIP, (a, b) => {
+
+            const { points: points0 } = a;
+            const { points: points1 } = b;
+
+            const intersections = intersectorApplyToLineSegments(
+                (p0, p1) => {
+                    return intersectorApplyToLineSegments(
+                        (q0, q1) => {
+                            return intersectLines(p0, p1, q0, q1, {
+                                minA: 0, maxA: 1,
+                                minB: 0, maxB: 1,
+                            });
+                        }, points0, { wrapPoints: false });
+                }, points1, { wrapPoints: false }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+        });
+        // ---------
+        // Polygon
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_LINE, (a, b) => {
+
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const { points } = a;
+
+            const intersections = intersectorApplyToLineSegments(
+                (p0, p1) => {
+                    return intersectLines(p0, p1, b.p0, b.p1, {
+                        minB: b.leftOpen ? -Infinity : 0,
+                        maxB: b.rightOpen ? Infinity : 1,
+                        minA: 0, maxA: 1,
+                    })
+                }, points, { wrapPoints: true }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+        });
+        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_VECTOR, (a, b) => {
+
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const { points } = a;
+            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
+
+            const intersections = intersectorApplyToLineSegments(
+                (q0, q1) => {
+                    return intersectLines(p0, p1, q0, q1, {
+                        minB: 0,
+                        maxB: 1,
+                        minA: 0, maxA: 1,
+                    })
+                }, points, { wrapPoints: true }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+        });
+        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_ARC, (a, b) => {
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const { points } = a;
+
+            const intersections = intersectorApplyToLineSegments(
+                (p0, p1) => {
+                    return intersectLineArc(p0, p1, b.center, b.r, {
+                        minA: 0, maxA: 1,
+                        angleMin: b.startAngle,
+                        angleMax: b.endAngle
+                    })
+                }, points, { wrapPoints: true }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+
+        });
+
+        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_LINE_STRIP, (a, b) => {
+            const { points: points0 } = a;
+            const { points: points1 } = b;
+
+
+            const intersections = intersectorApplyToLineSegments(
+                (p0, p1) => {
+                    return intersectorApplyToLineSegments(
+                        (q0, q1) => {
+                            return intersectLines(p0, p1, q0, q1, {
+                                minA: 0, maxA: 1,
+                                minB: 0, maxB: 1,
+                            });
+                        }, points0, { wrapPoints: true });
+                }, points1, { wrapPoints: false }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_POLYGON, TYPE_POLYGON, (a, b) => {
+
+            const { points: points0 } = a;
+            const { points: points1 } = b;
+
+            const intersections = intersectorApplyToLineSegments(
+                (p0, p1) => {
+                    return intersectorApplyToLineSegments(
+                        (q0, q1) => {
+                            return intersectLines(p0, p1, q0, q1, {
+                                minA: 0, maxA: 1,
+                                minB: 0, maxB: 1,
+                            });
+                        }, points0, { wrapPoints: true });
+                }, points1, { wrapPoints: true }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+        });
+        // ---------
+        // Bezier
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_LINE, (a, b) => {
+            const p = intersectLineBezier(b.p0, b.p1, a.points, {
+                minA: b.leftOpen ? -Infinity : 0,
+                maxA: b.rightOpen ? Infinity : 1,
+            });
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_VECTOR, (a, b) => {
+
+            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
+
+            const p = intersectLineBezier(p0, p1, a.points, {
+                minA: 0,
+                maxA: 1,
+            });
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_ARC, (a, b) => {
+            const p = intersectArcBezier(b.center, b.r, a.points, {
+                angleMin: b.startAngle,
+                angleMax: b.endAngle
+            });
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_LINE_STRIP, (a, b) => {
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const { points: pointsBezier } = a;
+
+            const intersections = intersectorApplyToLineSegments(
+                (p0, p1) => {
+                    return intersectLineBezier(p0, p1, pointsBezier, {
+                        minA: 0,
+                        maxA: 1,
+                    })
+                }, b.points, { wrapPoints: false }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_POLYGON, (a, b) => {
+            // could be optimized with precomputed bounds and stuff
+            // for now, naive implementation
+
+            const { points: pointsBezier } = a;
+
+            const intersections = intersectorApplyToLineSegments(
+                (p0, p1) => {
+                    return intersectLineBezier(p0, p1, pointsBezier, {
+                        minA: 0,
+                        maxA: 1,
+                    })
+                }, b.points, { wrapPoints: true }
+            );
+
+            return intersections.map(v => makePoint({
+                ...v
+            }));
+
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER, TYPE_BEZIER, (a, b) => {
+
+            const p = intersectBezierBezier(a.points, b.points, {
+            });
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+
+        });
+        // ---------
+        // Bezier spline
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_LINE, (a, b) => {
+
+            const { points, degree } = a;
+            if ((points.length - (degree + 1)) % degree !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            const intersections = [];
+            const lPoints = new Array(degree + 1);
+            for (let i = 0; i < points.length - 1; i += degree) {
+                for (let j = 0; j < degree + 1; j++) {
+                    lPoints[j] = points[i + j];
+                }
+                const p = intersectLineBezier(b.p0, b.p1, lPoints, {
+                    minA: b.leftOpen ? -Infinity : 0,
+                    maxA: b.rightOpen ? Infinity : 1,
+                });
+                if (p) {
+                    if (Array.isArray(p)) {
+                        intersections.push(...p);
+                    } else {
+                        intersections.push(p);
+                    }
+                }
+            }
+
+            return intersections.map(v => makePoint(v));
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_VECTOR, (a, b) => {
+
+            const { points, degree } = a;
+            if ((points.length - (degree + 1)) % degree !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            const intersections = [];
+            const lPoints = new Array(degree + 1);
+            const [p0, p1] = [b.ref, vAdd(b.ref, b)];
+            for (let i = 0; i < points.length - 1; i += degree) {
+                for (let j = 0; j < degree + 1; j++) {
+                    lPoints[j] = points[i + j];
+                }
+                const p = intersectLineBezier(p0, p1, lPoints, {
+                    minA: b.leftOpen ? -Infinity : 0,
+                    maxA: b.rightOpen ? Infinity : 1,
+                });
+                if (p) {
+                    if (Array.isArray(p)) {
+                        intersections.push(...p);
+                    } else {
+                        intersections.push(p);
+                    }
+                }
+            }
+
+            return intersections.map(v => makePoint(v));
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_ARC, (a, b) => {
+
+            const { points, degree } = a;
+            if ((points.length - (degree + 1)) % degree !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            const intersections = [];
+            const lPoints = new Array(degree + 1);
+            const { center, r, startAngle, endAngle } = b;
+            for (let i = 0; i < points.length - 1; i += degree) {
+                for (let j = 0; j < degree + 1; j++) {
+                    lPoints[j] = points[i + j];
+                }
+                const p = intersectArcBezier(center, r, lPoints, {
+                    angleMin: startAngle, angleMax: endAngle
+                });
+
+                if (p) {
+                    if (Array.isArray(p)) {
+                        intersections.push(...p);
+                    } else {
+                        intersections.push(p);
+                    }
+                }
+            }
+
+            return intersections.map(v => makePoint(v));
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_LINE_STRIP, (a, b) => {
+
+            const { points, degree } = a;
+            if ((points.length - (degree + 1)) % degree !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            const intersections = [];
+            const lPoints = new Array(degree + 1);
+            for (let i = 0; i < points.length - 1; i += degree) {
+                for (let j = 0; j < degree + 1; j++) {
+                    lPoints[j] = points[i + j];
+                }
+                const p = intersectorApplyToLineSegments(
+                    (p0, p1) => {
+                        return intersectLineBezier(p0, p1, lPoints, {
+                            minA: 0,
+                            maxA: 1,
+                        })
+                    }, b.points, { wrapPoints: false }
+                );
+
+                if (p) {
+                    if (Array.isArray(p)) {
+                        intersections.push(...p);
+                    } else {
+                        intersections.push(p);
+                    }
+                }
+            }
+
+            return intersections.map(v => makePoint(v));
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_POLYGON, (a, b) => {
+
+            const { points, degree } = a;
+            if ((points.length - (degree + 1)) % degree !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            const intersections = [];
+            const lPoints = new Array(degree + 1);
+            for (let i = 0; i < points.length - 1; i += degree) {
+                for (let j = 0; j < degree + 1; j++) {
+                    lPoints[j] = points[i + j];
+                }
+                const p = intersectorApplyToLineSegments(
+                    (p0, p1) => {
+                        return intersectLineBezier(p0, p1, lPoints, {
+                            minA: 0,
+                            maxA: 1,
+                        })
+                    }, b.points, { wrapPoints: true }
+                );
+
+                if (p) {
+                    if (Array.isArray(p)) {
+                        intersections.push(...p);
+                    } else {
+                        intersections.push(p);
+                    }
+                }
+            }
+
+            return intersections.map(v => makePoint(v));
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_BEZIER, (a, b) => {
+
+            const { points, degree } = a;
+            if ((points.length - (degree + 1)) % degree !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            const intersections = [];
+            const lPoints = new Array(degree + 1);
+            for (let i = 0; i < points.length - 1; i += degree) {
+                for (let j = 0; j < degree + 1; j++) {
+                    lPoints[j] = points[i + j];
+                }
+                const p = intersectBezierBezier(b.points, lPoints, {});
+                if (p) {
+                    if (Array.isArray(p)) {
+                        intersections.push(...p);
+                    } else {
+                        intersections.push(p);
+                    }
+                }
+            }
+
+            return intersections.map(v => makePoint(v));
+        });
+        IntersectionRegistry.setIntersector(TYPE_BEZIER_SPLINE, TYPE_BEZIER_SPLINE, (a, b) => {
+
+            const { points: points0, degree: degree0 } = a;
+            const { points: points1, degree: degree1 } = b;
+            if ((points0.length - (degree0 + 1)) % degree0 !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+            if ((points1.length - (degree1 + 1)) % degree1 !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            const intersections = [];
+            const lPoints0 = new Array(degree0 + 1);
+            const lPoints1 = new Array(degree1 + 1);
+            for (let i = 0; i < points0.length - 1; i += degree0) {
+                for (let j = 0; j < degree0 + 1; j++) {
+                    lPoints0[j] = points0[i + j];
+                }
+
+                for (let k = 0; k < points1.length - 1; k += degree1) {
+                    for (let j = 0; j < degree1 + 1; j++) {
+                        lPoints1[j] = points1[k + j];
+                    }
+                    // TODO exclude endpoints?
+                    const p = intersectBezierBezier(lPoints0, lPoints1, {});
+                    if (p) {
+                        if (Array.isArray(p)) {
+                            intersections.push(...p);
+                        } else {
+                            intersections.push(p);
+                        }
+                    }
+                }
+
+            }
+
+            return intersections.map(v => makePoint(v));
+        });
+        // ---------
+        // Ellipse
+        // ---------
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_LINE, (a, b) => {
+            // convert line into local ellipse coordinates
+            let lpoints = [b.p0, b.p1];
+            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+
+            const arcInter = IntersectionRegistry.getIntersector(TYPE_LINE, TYPE_ARC);
+            const localLine = makeLine({ p0: lpoints[0], p1: lpoints[1] });
+            const unitArc = makeArc({
+                r: 1, startAngle: a.startAngle,
+                endAngle: a.endAngle, center: { x: 0, y: 0 }
+            });
+            let p = arcInter(localLine, unitArc);
+
+            // restore points
+            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_VECTOR, (a, b) => {
+            // convert line into local ellipse coordinates
+            let lpoints = [b.ref, vAdd(b.ref, b)];
+            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+
+            const arcInter = IntersectionRegistry.getIntersector(TYPE_LINE, TYPE_ARC);
+            const localLine = makeLine({ p0: lpoints[0], p1: lpoints[1] });
+            const unitArc = makeArc({
+                r: 1, startAngle: a.startAngle,
+                endAngle: a.endAngle, center: { x: 0, y: 0 }
+            });
+            let p = arcInter(localLine, unitArc);
+
+            // restore points
+            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_ARC, (a, b) => {
+
+            const circleEllipse = makeEllipse({
+                center: b.center, rx: b.r, ry: b.r, startAngle: b.startAngle, endAngle: b.endAngle, rotation: 0
+            });
+            const p = intersectEllipseEllipse(a, circleEllipse);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_LINE_STRIP, (a, b) => {
+            // convert line into local ellipse coordinates
+            let lpoints = b.points;
+            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+
+            const arcInter = IntersectionRegistry.getIntersector(TYPE_LINE_STRIP, TYPE_ARC);
+            const localLineStrip = makeLineStrip({ points: lpoints });
+            const unitArc = makeArc({
+                r: 1, startAngle: a.startAngle,
+                endAngle: a.endAngle, center: { x: 0, y: 0 }
+            });
+            let p = arcInter(localLineStrip, unitArc);
+
+            // restore points
+            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_POLYGON, (a, b) => {
+            // convert line into local ellipse coordinates
+            let lpoints = b.points;
+            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+
+            const arcInter = IntersectionRegistry.getIntersector(TYPE_POLYGON, TYPE_ARC);
+            const localPolygon = makePolygon({ points: lpoints });
+            const unitArc = makeArc({
+                r: 1, startAngle: a.startAngle,
+                endAngle: a.endAngle, center: { x: 0, y: 0 }
+            });
+            let p = arcInter(localPolygon, unitArc);
+
+            // restore points
+            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_BEZIER, (a, b) => {
+            // convert line into local ellipse coordinates
+            // bezier curves are invariant to affine transforms, so we can do this
+            let lpoints = b.points;
+            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+
+            const inter = IntersectionRegistry.getIntersector(TYPE_BEZIER, TYPE_ARC);
+            const localBez = makeBezier({ points: lpoints });
+            const unitArc = makeArc({
+                r: 1, startAngle: a.startAngle,
+                endAngle: a.endAngle, center: { x: 0, y: 0 }
+            });
+            let p = inter(localBez, unitArc);
+
+            // restore points
+            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_BEZIER_SPLINE, (a, b) => {
+            // convert line into local ellipse coordinates
+            // bezier curves are invariant to affine transforms, so we can do this
+            let lpoints = b.points;
+            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+
+            const inter = IntersectionRegistry.getIntersector(TYPE_BEZIER_SPLINE, TYPE_ARC);
+            const localBez = makeBezierSpline({ points: lpoints, degree: b.degree });
+            const unitArc = makeArc({
+                r: 1, startAngle: a.startAngle,
+                endAngle: a.endAngle, center: { x: 0, y: 0 }
+            });
+            let p = inter(localBez, unitArc);
+
+            // restore points
+            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_ELLIPSE, (a, b) => {
+
+            const p = intersectEllipseEllipse(a, b);
+
+            const result = [];
+            for (let i = 0; i < p.length; i++) {
+
+                result.push(makePoint({ ...p[i] }));
+            }
+
+            return result;
+        });
+        // ---------
+        // Parabola and hyperbola
+        // ---------
+        for (const conicType of [TYPE_PARABOLA, TYPE_HYPERBOLA]) {
+            for (const type of [TYPE_LINE, TYPE_VECTOR, TYPE_ARC, TYPE_LINE_STRIP, TYPE_POLYGON,
+                TYPE_BEZIER, TYPE_BEZIER_SPLINE, TYPE_ELLIPSE, TYPE_PARABOLA, TYPE_HYPERBOLA]) {
+                IntersectionRegistry.setIntersector(conicType, type, (a, b) => {
+                    const p = intersectConicObject(a, b);
+                    return p.map(v => makePoint({ ...v }));
+                });
+            }
+        }
+        // ---------
+        // Function graph
+        // ---------
+        for (const type of [TYPE_LINE, TYPE_VECTOR, TYPE_LINE_STRIP, TYPE_POLYGON, TYPE_FUNCTION_GRAPH]) {
+            IntersectionRegistry.setIntersector(TYPE_FUNCTION_GRAPH, type, (a, b) => {
+                const p = intersectFunctionGraphObject(a, b);
+                return p.map(v => makePoint({ ...v }));
+            });
+        }
+        // ---------
+        // Parametric curve
+        // ---------
+        for (const type of [TYPE_LINE, TYPE_VECTOR, TYPE_ARC, TYPE_LINE_STRIP, TYPE_POLYGON,
+            TYPE_BEZIER, TYPE_BEZIER_SPLINE, TYPE_ELLIPSE, TYPE_PARABOLA, TYPE_HYPERBOLA, TYPE_FUNCTION_GRAPH,
+            TYPE_PARAMETRIC_CURVE]) {
+            IntersectionRegistry.setIntersector(TYPE_PARAMETRIC_CURVE, type, (a, b) => {
+                const p = intersectParametricCurveObject(a, b);
+                return p.map(v => makePoint({ ...v }));
+            });
+        }
+        // ---------
+        // Implicit curve
+        // ---------
+        for (const type of [TYPE_LINE, TYPE_VECTOR, TYPE_ARC, TYPE_LINE_STRIP, TYPE_POLYGON,
+            TYPE_BEZIER, TYPE_BEZIER_SPLINE, TYPE_ELLIPSE, TYPE_PARABOLA, TYPE_HYPERBOLA, TYPE_FUNCTION_GRAPH,
+            TYPE_PARAMETRIC_CURVE, TYPE_IMPLICIT_CURVE]) {
+            IntersectionRegistry.setIntersector(TYPE_IMPLICIT_CURVE, type, (a, b) => {
+                const p = intersectImplicitCurveObject(a, b);
+                return p.map(v => makePoint({ ...v }));
+            });
+        }
+        // ---------
+        // Rational Bezier and NURBS
+        // ---------
+        for (const type of [TYPE_LINE, TYPE_VECTOR, TYPE_ARC, TYPE_LINE_STRIP, TYPE_POLYGON,
+            TYPE_BEZIER, TYPE_BEZIER_SPLINE, TYPE_ELLIPSE, TYPE_PARABOLA, TYPE_HYPERBOLA, TYPE_FUNCTION_GRAPH,
+            TYPE_PARAMETRIC_CURVE, TYPE_RATIONAL_BEZIER, TYPE_NURBS]) {
+            IntersectionRegistry.setIntersector(TYPE_RATIONAL_BEZIER, type, (a, b) => {
+                const p = intersectRationalBezierObject(a, b);
+                return p.map(v => makePoint({ ...v }));
+            });
+            IntersectionRegistry.setIntersector(TYPE_NURBS, type, (a, b) => {
+                const p = intersectNurbsObject(a, b);
+                return p.map(v => makePoint({ ...v }));
+            });
+        }
+        for (const type of [TYPE_RATIONAL_BEZIER, TYPE_NURBS]) {
+            IntersectionRegistry.setIntersector(TYPE_IMPLICIT_CURVE, type, (a, b) => {
+                const p = intersectImplicitCurveObject(a, b);
+                return p.map(v => makePoint({ ...v }));
+            });
+        }
+    }
+}
+
+/**
+ * Computes the closest point on a line
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {{x:Number,y:Number}} a0 The first point of the first line
+ * @param {{x:Number,y:Number}} a1 The second point of the first line
+ * @param {Object} options
+ * @param {Number} options.minA The minimum parameter of the first line. For a segment, that is 0
+ * @param {Number} options.maxA The maximum parameter of the first line. For a segment, that is 1
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {{x: Number, y:Number}} The closest point on the given line
+ */
+function closestPointLine(p, a0, a1, { minA = -Infinity, maxA = Infinity,
+    eps = 1E-10
+} = {}) {
+    // project onto line and clamp with bounds
+
+    const dx = a1.x - a0.x;
+    const dy = a1.y - a0.y;
+
+    const d2 = dx * dx + dy * dy;
+    if (d2 < eps) {
+        // line is just a point
+        return { x: a0.x, y: a0.y, t: 0 };
+    }
+
+    let prelx = p.x - a0.x;
+    let prely = p.y - a0.y;
+
+    // dot(prel, d) = projection * |d|
+    let t = prelx * dx + prely * dy;
+
+    // divide by d^2 = projection / |d|
+    // when projection is |d|, this will be 1
+    t = t / d2;
+
+    // clamp sides
+    t = Math.min(maxA, Math.max(minA, t));
+
+    const cx = a0.x + t * dx;
+    const cy = a0.y + t * dy;
+
+    return {
+        x: cx, y: cy, t
+    };
+
+}
+
+/**
+ * Computes the closest point on an arc
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {{x:Number,y:Number}} c The arc center
+ * @param {Number} r The arc radius
+ * @param {Object} options
+ * @param {Number} options.minA The minimum parameter of the line. For a segment, that is 0
+ * @param {Number} options.maxA The maximum parameter of the line. For a segment, that is 1
+ * @param {Number} options.angleMin The minimum arc angle
+ * @param {Number} options.angleMax The maximum arc angle
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {{x:Number,y:Number}} The closest point
+ */
+function closestPointArc(p, c, r, { angleMin = 0, angleMax = 2.0 * Math.PI,
+    eps = 1E-10
+} = {}) {
+    // get closest point on circle first
+    const dx = p.x - c.x;
+    const dy = p.y - c.y;
+
+    const d2 = dx * dx + dy * dy;
+    // if we are in the middle, there are infinitely many closest points
+    // we choose the one in x dir
+
+    if (d2 < eps) {
+        return { x: c.x + r, y: c.y };
+    }
+    const d = Math.sqrt(d2);
+
+    const angle = calcAngle(dx, dy);
+
+    if (angle >= angleMin && angle < angleMax) {
+        // valid point, return
+        // closest point
+        const qx = c.x + dx * r / d;
+        const qy = c.y + dy * r / d;
+        return { x: qx, y: qy };
+    } else {
+        // point is outside valid range, so closest point is one the boundary points
+        const al = miminumAbsoluteDifferenceAngle(angle, angleMin);
+        const ar = miminumAbsoluteDifferenceAngle(angle, angleMax);
+
+        const minAngle = al < ar ? angleMin : angleMax;
+
+        // compute final point
+        const qx = c.x + r * Math.cos(minAngle);
+        const qy = c.y + r * Math.sin(minAngle);
+        return { x: qx, y: qy };
+
+    }
+
+}
+/**
+ * Computes the closest point on a Bezier curves. 
+ * For such a point to be exactly computable, the degree of the curve must not exceed 2
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Array<{x:Number,y:Number}>} points The Bezier control points
+ * @param {Object} options
+ * @param {Number} options.eps The epsilon value used for comparisons
+ * @returns {{x:Number,y:Number}} The closest point. If multiple such points exist, one is chosen
+ */
+function closestPointBezier(p, points, { eps = 1E-10 } = {}) {
+    const deg = points.length - 1;
+    if (deg < 0) {
+        throw new Error("No Bezier control points given");
+
+    }
+    if (deg > 2) {
+        throw new Error("Closest Bezier point only defined for up to degree 2");
+    }
+
+    if (deg === 0) {
+        // curve is a point
+        return points[0];
+    }
+
+    if (deg === 1) {
+        // curve is a line
+        return closestPointLine(p, points[0], points[1], {
+            minA: 0, maxA: 1, eps
+        });
+    }
+
+    // closest point on quadratic bezier
+    let [q0, q1, q2] = convertQuadraticBezierToParamBase(...points);
+    // quadratic bezier is: (1-t)^2 p0 + 2(1-t)t p1 + t^2 p2
+    // we will plug this into x^2 + y^2 - r^2 = 0 to get a quartic equation in t
+    // but for that we will center on the circle center
+
+    let { x: a_0, y: b_0 } = q0;
+    let { x: a_1, y: b_1 } = q1;
+    let { x: a_2, y: b_2 } = q2;
+
+    const { x, y } = p;
+    // solve by d/dt|p-bez(t)|^2 = 0
+    // this results in a cubic polynomial with the following terms for powers of t:
+
+    // m_0 + t m_1 + t^2 m_2 + t^3 m_3
+    // ----------
+    // 'Term for power 1: m_0
+    // 2*a_0*a_1 - 2*a_1*x + 2*b_0*b_1 - 2*b_1*y
+    const m_0 = 2 * a_0 * a_1 - 2 * a_1 * x + 2 * b_0 * b_1 - 2 * b_1 * y;
+    // ----------
+    // Term for power t: m_1
+    // 4*a_0*a_2 + 2*a_1 * a_1 - 4*a_2*x + 4*b_0*b_2 + 2*b_1 * b_1 - 4*b_2*y
+    const m_1 = 4 * a_0 * a_2 + 2 * a_1 * a_1 - 4 * a_2 * x + 4 * b_0 * b_2 + 2 * b_1 * b_1 - 4 * b_2 * y;
+    // ----------
+    // Term for power t^2: m_2
+    // 6*a_1*a_2 + 6*b_1*b_2
+    const m_2 = 6 * a_1 * a_2 + 6 * b_1 * b_2;
+    // ----------
+    // Term for power t^3: m_3
+    // 4*a_2 * a_2 + 4*b_2 * b_2
+    const m_3 = 4 * a_2 * a_2 + 4 * b_2 * b_2;
+
+    // solve polynomial
+    const roots = solveCubicComplex(m_3, m_2, m_1, m_0, eps);
+
+    let minDist = Infinity;
+    let minP = null;
+    // we could also check the second derivative for its sign, 
+    // but in this case it seems faster/easier to read to just calculate the smallest distance
+    // TODO: Maybe return multiple solutions if they have the same distance
+    for (const tc of roots) {
+        if (Math.abs(cImag(tc)) > eps) {
+            // complex solution
+            continue;
+        }
+        let t = cReal(tc);
+
+        // clamp t at the boundary points
+        t = Math.min(1, Math.max(0, t));
+        let pt = q2;
+        pt = vAdd(vScale(pt, t), q1);
+        pt = vAdd(vScale(pt, t), q0);
+
+        const d2 = vLen2(vSub(pt, p));
+        if (d2 < minDist) {
+            minDist = d2;
+            minP = pt;
+        }
+    }
+
+    return minP;
+}
+
+/**
+ * Computes the closest point on a parabola
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Object} parabola The parabola of type TYPE_PARABOLA
+ * @returns {{x:Number,y:Number}} The closest point. If multiple such points exist, one is chosen
+ */
+function closestPointParabola(p, parabola) {
+    const { vertex, focalLength: f, rotation, tMin, tMax } = parabola;
+    const [q] = convertPointToLocalConic([p], vertex, rotation);
+
+    // the difference to the point [s^2/(4f), s] is perpendicular to the tangent [s/(2f), 1]
+    // (s^2/(4f) - qx) s/(2f) + s - qy = 0 <=> s^3 + s(8f^2 - 4f qx) - 8f^2 qy = 0
+    const roots = solveCubicComplex(1, 0, 8 * f * f - 4 * f * q.x, -8 * f * f * q.y);
+
+    const candidates = [tMin, tMax];
+    for (const r of roots) {
+        if (Math.abs(cImag(r)) > 1E-6) {
+            continue;
+        }
+        candidates.push(Math.min(tMax, Math.max(tMin, cReal(r))));
+    }
+
+    let minDist = Infinity;
+    let minS = tMin;
+    for (const s of candidates) {
+        const d2 = vLen2(vSub(vVec2(s * s / (4 * f), s), q));
+        if (d2 < minDist) {
+            minDist = d2;
+            minS = s;
+        }
+    }
+
+    const [c] = convertPointFromLocalConic([vVec2(minS * minS / (4 * f), minS)], vertex, rotation);
+    return c;
+}
+
+/**
+ * Computes the closest point on a hyperbola
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Object} hyperbola The hyperbola of type TYPE_HYPERBOLA
+ * @returns {{x:Number,y:Number}} The closest point. If multiple such points exist, one is chosen
+ */
+function closestPointHyperbola(p, hyperbola) {
+    const { center, a, b, rotation, tMin, tMax } = hyperbola;
+    const [q] = convertPointToLocalConic([p], center, rotation);
+
+    let minDist = Infinity;
+    let minP = null;
+    for (const branch of getHyperbolaBranches(hyperbola)) {
+        // the difference to the point [branch a cosh(s), b sinh(s)] is perpendicular to the tangent
+        // (a^2 + b^2) sinh(s) cosh(s) - branch a qx sinh(s) - b qy cosh(s) = 0
+        // substituting u = exp(s) and multiplying with 4u^2 gives a quartic in u
+        const c = a * a + b * b;
+        const ax = 2 * branch * a * q.x;
+        const by = 2 * b * q.y;
+        const roots = solveQuarticComplex(c, -(ax + by), 0, ax - by, -c);
+
+        const candidates = [tMin, tMax];
+        for (const r of roots) {
+            const u = cReal(r);
+            if (Math.abs(cImag(r)) > 1E-6 || u <= 0) {
+                continue;
+            }
+            candidates.push(Math.min(tMax, Math.max(tMin, Math.log(u))));
+        }
+
+        for (const s of candidates) {
+            const ps = vVec2(branch * a * Math.cosh(s), b * Math.sinh(s));
+            const d2 = vLen2(vSub(ps, q));
+            if (d2 < minDist) {
+                minDist = d2;
+                minP = ps;
+            }
+        }
+    }
+
+    const [cp] = convertPointFromLocalConic([minP], center, rotation);
+    return cp;
+}
+
+/**
+ * Computes the closest point on a function graph.
+ * The graph is sampled uniformly and the best sample is refined with a golden section search
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Object} graph The function graph of type TYPE_FUNCTION_GRAPH
+ * @param {Object} options
+ * @param {Number} options.numSamples The number of uniform samples
+ * @param {Number} options.maxIterations The maximum number of refinement steps
+ * @returns {{x:Number,y:Number} | null} The closest point or null, if the function has no finite values at the samples
+ */
+function closestPointFunctionGraph(p, graph, { numSamples = 256, maxIterations = 64 } = {}) {
+    const { f, xMin, xMax } = graph;
+    const dist2 = x => {
+        const d = (x - p.x) * (x - p.x) + (f(x) - p.y) * (f(x) - p.y);
+        return Number.isFinite(d) ? d : Infinity;
+    };
+
+    const dx = (xMax - xMin) / numSamples;
+    let minIdx = -1;
+    let minDist = Infinity;
+    for (let i = 0; i <= numSamples; i++) {
+        const d = dist2(xMin + i * dx);
+        if (d < minDist) {
+            minDist = d;
+            minIdx = i;
+        }
+    }
+    if (minIdx < 0) {
+        return null;
+    }
+
+    // golden section search in the neighborhood of the best sample
+    const phi = (Math.sqrt(5) - 1) / 2;
+    let a = Math.max(xMin, xMin + (minIdx - 1) * dx);
+    let b = Math.min(xMax, xMin + (minIdx + 1) * dx);
+    let c = b - phi * (b - a);
+    let d = a + phi * (b - a);
+    for (let i = 0; i < maxIterations; i++) {
+        if (dist2(c) < dist2(d)) {
+            b = d;
+        } else {
+            a = c;
+        }
+        c = b - phi * (b - a);
+        d = a + phi * (b - a);
+    }
+
+    let x = 0.5 * (a + b);
+    if (dist2(x) > minDist) {
+        x = xMin + minIdx * dx;
+    }
+    return { x, y: f(x) };
+}
+
+/**
+ * Computes the closest point on a parametric curve.
+ * See @see{calcParametricCurveClosestParams}
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Object} curve The parametric curve of type TYPE_PARAMETRIC_CURVE
+ * @returns {{x:Number,y:Number} | null} The closest point or null, if the curve has no finite points at the samples
+ */
+function closestPointParametricCurve(p, curve) {
+    let minS = null;
+    let minDist = Infinity;
+    for (const { s, d2 } of calcParametricCurveClosestParams(p, curve)) {
+        if (d2 < minDist) {
+            minDist = d2;
+            minS = s;
+        }
+    }
+    if (minS === null) {
+        return null;
+    }
+    return calcParametricCurvePoint(curve, minS);
+}
+
+/**
+ * Computes the closest point on a rational Bezier curve.
+ * Polynomial curves up to degree 2 are handled exactly by closestPointBezier, otherwise the point is found numerically
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Array<{x:Number,y:Number}>} points The control points
+ * @param {Number[]} weights The weights of the control points
+ * @returns {{x:Number,y:Number} | null} The closest point, if it exists
+ */
+function closestPointRationalBezier(p, points, weights) {
+    if (points.length === 0) {
+        return null;
+    }
+    const w0 = weights[0];
+    if (points.length <= 3 && weights.every(w => Math.abs(w - w0) <= 1E-10 * Math.abs(w0))) {
+        return closestPointBezier(p, points);
+    }
+    return closestPointParametricCurve(p, convertRationalBezierToParametric(points, weights));
+}
+
+/**
+ * Computes the closest point on a NURBS curve numerically
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Object} nurbs The NURBS curve of type TYPE_NURBS
+ * @returns {{x:Number,y:Number} | null} The closest point, if it exists
+ */
+function closestPointNurbs(p, nurbs) {
+    let dmin = Infinity;
+    let pmin = null;
+    // the segments are smooth, so the numerical search doesn't have to deal with kinks at the knots
+    for (const { points, weights } of convertNurbsToRationalBeziers(nurbs)) {
+        const c = closestPointRationalBezier(p, points, weights);
+        if (!c) {
+            continue;
+        }
+        const d2 = vLen2(vSub(p, c));
+        if (d2 < dmin) {
+            dmin = d2;
+            pmin = c;
+        }
+    }
+    return pmin;
+}
+
+/**
+ * Computes the closest point on an implicit curve.
+ * The curve is traced with @see{traceImplicitCurve} in a square window around the point, which grows until it contains a curve point closer than its half size.
+ * The closest point on the resulting line strips is refined on the actual curve with Newton iterations
+ * @param {{x:Number,y:Number}} p The input point
+ * @param {Object} curve The implicit curve of type TYPE_IMPLICIT_CURVE
+ * @param {Object} options
+ * @param {Number} options.resolution The resolution used for tracing the curve in each window
+ * @param {Number} options.maxIterations The maximum number of Newton iterations
+ * @param {Number} options.maxWindows The maximum number of traced windows
+ * @returns {{x:Number,y:Number} | null} The closest point or null, if no curve points were found
+ */
+function closestPointImplicitCurve(p, curve, { resolution = 64, maxIterations = 16, maxWindows = 10 } = {}) {
+    const { xMin, xMax, yMin, yMax } = curve;
+    const boundsSize = Math.max(xMax - xMin, yMax - yMin);
+    // unbounded curves start with a window relative to the point's magnitude
+    let r = Number.isFinite(boundsSize) ? boundsSize / 8 : Math.max(1, vLen(p));
+    let minDist = Infinity;
+    let q = null;
+    for (let k = 0; k < maxWindows && Number.isFinite(r); k++) {
+        minDist = Infinity;
+        q = null;
+        const strips = traceImplicitCurve(curve, {
+            xMin: p.x - r, xMax: p.x + r, yMin: p.y - r, yMax: p.y + r, resolution
+        });
+        for (const points of strips) {
+            for (let i = 0; i < points.length - 1; i++) {
+                const c = closestPointLine(p, points[i], points[i + 1], { minA: 0, maxA: 1 });
+                const d = vLen2(vSub(c, p));
+                if (d < minDist) {
+                    minDist = d;
+                    q = vVec2(c.x, c.y);
+                }
+            }
+        }
+        const covered = p.x - r <= xMin && p.x + r >= xMax && p.y - r <= yMin && p.y + r >= yMax;
+        if (q) {
+            const d = Math.sqrt(minDist);
+            // all points closer than q lie in the current window
+            if (d <= r || covered) {
+                break;
+            }
+            r = d;
+        } else if (covered) {
+            break;
+        } else {
+            r *= 4;
+        }
+    }
+    if (!q) {
+        return null;
+    }
+
+    // Newton iterations for the closest point conditions: q lies on the curve and p - q is parallel to the gradient
+    const { f } = curve;
+    const cond = (x, y) => {
+        const g = calcImplicitGradient(f, x, y);
+        return vVec2(f(x, y), (p.x - x) * g.y - (p.y - y) * g.x);
+    };
+    q = projectPointImplicitCurve(curve, q);
+    for (let i = 0; i < maxIterations; i++) {
+        const c = cond(q.x, q.y);
+        const h = 1E-6 * Math.max(1, vLen(q));
+        const cx = vScale(vSub(cond(q.x + h, q.y), cond(q.x - h, q.y)), 1 / (2 * h));
+        const cy = vScale(vSub(cond(q.x, q.y + h), cond(q.x, q.y - h)), 1 / (2 * h));
+        const det = cx.x * cy.y - cy.x * cx.y;
+        if (!(Math.abs(det) > 0)) {
+            break;
+        }
+        const step = vVec2((c.x * cy.y - cy.x * c.y) / det, (cx.x * c.y - c.x * cx.y) / det);
+        const next = vSub(q, step);
+        if (!Number.isFinite(next.x) || !Number.isFinite(next.y)) {
+            break;
+        }
+        q = next;
+        if (vLen(step) < 1E-12 * Math.max(1, vLen(q))) {
+            break;
+        }
+    }
+    return q;
+}
+
+/**
+ * Registry for closest point operations on types
+ * Currently supported:
+ * 
+ * Point, Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier Curve (max deg 2), Ellipse, Parabola, Hyperbola, Function graph, Parametric curve, Implicit curve, Rational Bezier, NURBS
+ */
+class ClosestPointRegistry {
+    static closest = {};
+
+
+    /**
+     * Set the closest point function for a given type
+     * @param {String} type The object type
+     * @param {function({x:Number, y:Number}) : {x:Number, y:Number}} closestPoint Function computing the closest point for the given type
+     */
+    static setClosestPointFunction(type, closestPoint) {
+        ClosestPointRegistry[type] = closestPoint;
+    }
+    /**
+    * Get the closest point function for a given type
+    * @param {String} type The object type
+    * @returns {undefined | function({x:Number, y:Number}) : {x:Number, y:Number}} Function computing the closest point for the given type, if it exists
+    */
+    static getClosestPointFunction(type) {
+        return ClosestPointRegistry[type];
+    }
+
+    /**
+     * Compute the closest point for the given point and object
+     * @param {{x:Number, y:Number}} p The input point
+     * @param {{type: String}} obj The typed object
+     * @returns {{x:Number, y:Number}} The closest point
+     */
+    static closestPoint(p, obj) {
+
+        const type = obj.type;
+
+        const cl = ClosestPointRegistry.getClosestPointFunction(type);
+
+        return cl(p, obj);
+    }
+
+    static {
+        // closest point on a point is just that point
+        ClosestPointRegistry.setClosestPointFunction(TYPE_POINT, (p, obj) => {
+            return obj;
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_LINE, (p, obj) => {
+            const c = closestPointLine(p, obj.p0, obj.p1, {
+                minA: obj.leftOpen ? -Infinity : 0,
+                maxA: obj.rightOpen ? Infinity : 1,
+            });
+
+            return makePoint({ ...c });
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_VECTOR, (p, obj) => {
+            const v = vAdd(obj.ref, obj);
+            const c = closestPointLine(p, obj.ref, v, {
+                minA: 0,
+                maxA: 1,
+            });
+
+            return makePoint(c);
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_ARC, (p, obj) => {
+            const c = closestPointArc(p, obj.center, obj.r, {
+                angleMin: obj.startAngle,
+                angleMax: obj.endAngle
+            });
+
+            return makePoint({ ...c });
+        });
+
+        ClosestPointRegistry.setClosestPointFunction(TYPE_LINE_STRIP, (p, obj) => {
+            const { points } = obj;
+
+            let dmin = Infinity;
+            let pmin = null;
+            const n = points.length - 1;
+            for (let i = 0; i < n; i++) {
+                const pi = points[i];
+                const pj = points[i + 1];
+
+                const c = closestPointLine(p, pi, pj, {
+                    minA: 0,
+                    maxA: 1,
+                });
+
+                const d2 = vLen2(vSub(p, c));
+                if (d2 < dmin) {
+                    dmin = d2;
+                    pmin = c;
+                }
+            }
+
+
+            return makePoint({ ...pmin, d2: dmin });
+        });
+
+        ClosestPointRegistry.setClosestPointFunction(TYPE_POLYGON, (p, obj) => {
+            const { points } = obj;
+
+            let dmin = Infinity;
+            let pmin = null;
+            const n = points.length;
+            for (let i = 0; i < n; i++) {
+                const pi = points[i];
+                const pj = points[(i + 1) % points.length];
+
+                const c = closestPointLine(p, pi, pj, {
+                    minA: 0,
+                    maxA: 1,
+                });
+
+                const d2 = vLen2(vSub(p, c));
+                if (d2 < dmin) {
+                    dmin = d2;
+                    pmin = c;
+                }
+            }
+
+            return makePoint({ ...pmin, d2: dmin });
+        });
+
+        ClosestPointRegistry.setClosestPointFunction(TYPE_BEZIER, (p, obj) => {
+            const c = closestPointBezier(p, obj.points, {});
+            if (!c) {
+                return INVALID;
+            }
+            return makePoint(c);
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_BEZIER_SPLINE, (p, obj) => {
+            const { points, degree } = obj;
+            if ((points.length - (degree + 1)) % degree !== 0) {
+                throw new Error("Wrong number of input points");
+            }
+
+            let dmin = Infinity;
+            let pmin = null;
+
+            const lPoints = new Array(degree + 1);
+            for (let i = 0; i < points.length - 1; i += degree) {
+                for (let j = 0; j < degree + 1; j++) {
+                    lPoints[j] = points[i + j];
+                }
+                const c = closestPointBezier(p, lPoints, {});
+                if (!c) {
+                    continue;
+                }
+                const d2 = vLen2(vSub(p, c));
+                if (d2 < dmin) {
+                    dmin = d2;
+                    pmin = c;
+                }
+            }
+
+            return pmin ? makePoint(pmin) : INVALID;
+        });
+
+        ClosestPointRegistry.setClosestPointFunction(TYPE_ELLIPSE, (p, obj) => {
+            const [q] = convertPointToLocalEllipse([p], obj.center, obj.rotation, obj.rx, obj.ry);
+
+            // closest point to unice circle
+            let c = closestPointArc(q, { x: 0, y: 0 }, 1, {
+                angleMin: obj.startAngle,
+                angleMax: obj.endAngle
+            });
+
+            [c] = convertPointFromLocalEllipse([c], obj.center, obj.rotation, obj.rx, obj.ry);
+            return makePoint({ ...c });
+        });
+
+        ClosestPointRegistry.setClosestPointFunction(TYPE_PARABOLA, (p, obj) => {
+            return makePoint({ ...closestPointParabola(p, obj) });
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_HYPERBOLA, (p, obj) => {
+            return makePoint({ ...closestPointHyperbola(p, obj) });
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_FUNCTION_GRAPH, (p, obj) => {
+            const c = closestPointFunctionGraph(p, obj);
+            return c ? makePoint({ ...c }) : null;
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_PARAMETRIC_CURVE, (p, obj) => {
+            const c = closestPointParametricCurve(p, obj);
+            return c ? makePoint({ ...c }) : null;
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_IMPLICIT_CURVE, (p, obj) => {
+            const c = closestPointImplicitCurve(p, obj);
+            return c ? makePoint({ ...c }) : null;
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_RATIONAL_BEZIER, (p, obj) => {
+            const c = closestPointRationalBezier(p, obj.points, obj.weights);
+            return c ? makePoint({ ...c }) : null;
+        });
+        ClosestPointRegistry.setClosestPointFunction(TYPE_NURBS, (p, obj) => {
+            const c = closestPointNurbs(p, obj);
+            return c ? makePoint({ ...c }) : null;
+        });
+    }
+}
+
+
+/**
+ * Computes the normal form of a plane.
+ * For a point p, you can compute whether it lies on the plane as: p.x * plane.x + p.y * plane.y + plane.d = 0
+ * @param {{x:Number,y:Number}} p A point on the plane
+ * @param {{x:Number,y:Number}} n The plane normal
+ * @returns {{x:Number,y:Number, d:Number}} The plane
+ */
+function computePlane(p, n) {
+
+    return {
+        x: n.x,
+        y: n.y,
+        d: -Vec2.dot(p, n)
+    };
+}
+/**
+ * Clip a polygon at a plane.
+ * The plane normal defines inside and outside. Points of the polygon that are outside are clipped.
+ * A plane can be created by the @see {@link computePlane} function, where you can see how it is defined.
+ * @param {Array<{x:Number, y:Number}>} points The polygon points
+ * @param {{x:Number, y:Number, d: Number}} plane The plane to clip at.
+ * @returns {Array<{x:Number, y:Number}>} The clipped polygon
+ */
+function clipPolygonAtPlane(points, plane) {
+
+    // Implementation of a step of the Sutherland-Hodgman algorithm
+    const pl = plane;
+    const output = [];
+
+    const size = points.length;
+    for (let i = 0; i < size; i++) {
+
+        const cur = points[i];
+        const ip = (i - 1 + points.length) % points.length;
+        const prev = points[ip];
+
+        // compute distance
+        const dc = Vec2.dot(pl, cur) + pl.d;
+        const dp = Vec2.dot(pl, prev) + pl.d;
+
+        // cur inside
+        if (dc >= 0.0) {
+            // prev outside
+            if (dp < 0.0) {
+                // intersect prev -> cur
+
+                const t = dp / (dp - dc);
+                const p = Vec2.add(prev, Vec2.scale(Vec2.sub(cur, prev), t));
+
+                output.push(p);
+            }
+
+            output.push(cur);
+        } else if (dp >= 0.0) {
+            // cur outside, prev inside
+            // intersect prev->cur
+
+            const t = dp / (dp - dc);
+            const p = Vec2.add(prev, Vec2.scale(Vec2.sub(cur, prev), t));
+
+            output.push(p);
+        }
+    }
+
+    points = output;
+
+    return points;
+}
+
+/**
+ * Clips a polygon against another.
+ * The clip polygon must be convex, while the polygon to be clipped may be concave.
+ * The clip polygon should be defined counter-clockwise.
+ * @param {Array<{x:Number, y:Number}>} points 
+ * @param {Array<{x:Number, y:Number}>} clipPoints
+ * @returns {Array<{x:Number, y:Number}>} The clipped polygon
+ */
+function clipPolygonAtPolygon(points, clipPoints) {
+
+    for (let i = 0; i < clipPoints.length; i++) {
+        if (points.length < 3) {
+            points = [];
+            break;
+        }
+        const ip = (i + 1) % clipPoints.length;
+        const a = clipPoints[i];
+        const b = clipPoints[ip];
+
+        const v = Vec2.sub(b, a);
+        const n = Vec2.normal2D(v);
+        const plane = computePlane(a, n);
+        points = clipPolygonAtPlane(points, plane);
+
+    }
+
+    return points;
+}
+
+/**
+ * Computes the signed area of a polygon.
+ * The area is positive for counter-clockwise and negative for clockwise polygons
+ * @param {Array<{x:Number, y:Number}>} points The polygon points
+ * @returns {Number} The signed area
+ */
+function calcPolygonSignedArea(points) {
+    let a = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        a += p.x * q.y - q.x * p.y;
+    }
+    return 0.5 * a;
+}
+
+/**
+ * Computes the winding number of a closed polygon around a point.
+ * The winding number counts how often the polygon winds counter-clockwise around the point, clockwise turns are counted negatively
+ * @param {Array<{x:Number, y:Number}>} points The polygon points
+ * @param {{x:Number, y:Number}} p The point
+ * @returns {Number} The winding number
+ */
+function calcPolygonWindingNumber(points, p) {
+    let wn = 0;
+    const n = points.length;
+    for (let i = 0; i < n; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % n];
+        // > 0, if p is left of the line through a and b
+        const side = (b.x - a.x) * (p.y - a.y) - (p.x - a.x) * (b.y - a.y);
+        if (a.y <= p.y) {
+            // upward crossing with p left of the edge
+            if (b.y > p.y && side > 0) {
+                wn++;
+            }
+        } else if (b.y <= p.y && side < 0) {
+            // downward crossing with p right of the edge
+            wn--;
+        }
+    }
+    return wn;
+}
+
+/**
+ * Checks, whether a winding number belongs to the filled part of a region.
+ * The "positive" rule only fills counter-clockwise windings, which removes inverted parts, for example of offset polygons
+ * @param {Number} wn The winding number
+ * @param {String} fillRule The fill rule, either "nonzero", "evenodd" or "positive"
+ * @returns {Boolean} True, if the winding number is filled
+ */
+function isWindingNumberFilled(wn, fillRule) {
+    if (fillRule === "evenodd") {
+        return wn % 2 !== 0;
+    } else if (fillRule === "positive") {
+        return wn > 0;
+    }
+    return wn !== 0;
+}
+
+/**
+ * Checks, whether a point lies inside of a polygon, which may have holes.
+ * The polygon and holes are filled according to the fill rule and the holes are removed from the polygon
+ * @param {{points: Array<{x:Number, y:Number}>, holes?: Array<Array<{x:Number, y:Number}>>}} polygon The polygon
+ * @param {{x:Number, y:Number}} p The point
+ * @param {String} [fillRule] The fill rule, either "nonzero", "evenodd" or "positive"
+ * @returns {Boolean} True, if the point is inside
+ */
+function isPointInPolygonRegion(polygon, p, fillRule = "nonzero") {
+    const isFilled = points => isWindingNumberFilled(calcPolygonWindingNumber(points, p), fillRule);
+    return isFilled(polygon.points) && !(polygon.holes ?? []).some(isFilled);
+}
+
+/**
+ * Computes a boolean operation on two regions made up of polygons.
+ * The polygons may be concave, self-intersecting and have holes. Each region is the union of its polygons, which are filled according to the fill rule.
+ * All edges are split at their intersections and each piece is kept, if the result of the operation differs on its two sides.
+ * The pieces are then joined into the boundaries of the result.
+ * Outer boundaries are oriented counter-clockwise, holes clockwise.
+ * @param {Array<{points: Array<{x:Number, y:Number}>, holes?: Array<Array<{x:Number, y:Number}>>}>} polygonsA The polygons of the first region
+ * @param {Array<{points: Array<{x:Number, y:Number}>, holes?: Array<Array<{x:Number, y:Number}>>}>} polygonsB The polygons of the second region
+ * @param {String} operation The operation, one of "union", "intersection", "difference" (A without B) or "xor"
+ * @param {Object} [options]
+ * @param {String} [options.fillRule] The fill rule for the input polygons, either "nonzero", "evenodd" or "positive"
+ * @param {Number} [options.eps] The epsilon value used for comparisons, relative to the size of the input
+ * @returns {Array<{points: Array<{x:Number, y:Number}>, holes: Array<Array<{x:Number, y:Number}>>}>} The resulting polygons with holes
+ */
+function calcPolygonBoolean(polygonsA, polygonsB, operation, { fillRule = "nonzero", eps = 1E-10 } = {}) {
+    const ops = {
+        union: (a, b) => a || b,
+        intersection: (a, b) => a && b,
+        difference: (a, b) => a && !b,
+        xor: (a, b) => a !== b,
+    };
+    const op = ops[operation];
+    if (!op) {
+        throw new Error(`Unknown polygon boolean operation ${operation}`);
+    }
+
+    const isInside = (polygons, p) => polygons.some(poly => isPointInPolygonRegion(poly, p, fillRule));
+    const isInResult = p => op(isInside(polygonsA, p), isInside(polygonsB, p));
+
+    const rings = [...polygonsA, ...polygonsB].flatMap(poly => [poly.points, ...(poly.holes ?? [])]);
+    let extent = 0;
+    for (const ring of rings) {
+        for (const p of ring) {
+            extent = Math.max(extent, Math.abs(p.x), Math.abs(p.y));
+        }
+    }
+    const tol = eps * Math.max(1, extent);
+
+    // gather all edges
+    const edges = [];
+    for (const ring of rings) {
+        const n = ring.length;
+        if (n < 2) {
+            continue;
+        }
+        for (let i = 0; i < n; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % n];
+            if (vLen(vSub(b, a)) > tol) {
+                edges.push([a, b]);
+            }
+        }
+    }
+
+    // find all parameters, at which edges need to be split
+    const splits = edges.map(() => [0, 1]);
+    const addOnSegment = (p, i) => {
+        const [a, b] = edges[i];
+        const t = calcParamOnLine(a, b, p);
+        if (t > 0 && t < 1 && vLen(vSub(vLerp(a, b, t), p)) <= tol) {
+            splits[i].push(t);
+        }
+    };
+    for (let i = 0; i < edges.length; i++) {
+        const [a0, a1] = edges[i];
+        const da = vSub(a1, a0);
+        for (let j = i + 1; j < edges.length; j++) {
+            const [b0, b1] = edges[j];
+            const db = vSub(b1, b0);
+            const det = da.x * db.y - da.y * db.x;
+            if (Math.abs(det) > eps * vLen(da) * vLen(db)) {
+                // proper crossing
+                const d = vSub(b0, a0);
+                const ua = (d.x * db.y - d.y * db.x) / det;
+                const ub = (d.x * da.y - d.y * da.x) / det;
+                if (ua > 0 && ua < 1 && ub >= 0 && ub <= 1) {
+                    splits[i].push(ua);
+                }
+                if (ub > 0 && ub < 1 && ua >= 0 && ua <= 1) {
+                    splits[j].push(ub);
+                }
+            }
+            // end points touching the other edge, which also handles overlapping edges
+            addOnSegment(b0, i);
+            addOnSegment(b1, i);
+            addOnSegment(a0, j);
+            addOnSegment(a1, j);
+        }
+    }
+
+    // merge close vertices
+    const vertices = [];
+    const vertexId = p => {
+        for (let i = 0; i < vertices.length; i++) {
+            if (vLen(vSub(vertices[i], p)) <= tol) {
+                return i;
+            }
+        }
+        vertices.push(vVec2(p.x, p.y));
+        return vertices.length - 1;
+    };
+
+    // keep pieces with the result on exactly one side and orient them, so the result is on the left
+    const seen = new Set();
+    const outgoing = new Map();
+    for (let i = 0; i < edges.length; i++) {
+        const [a, b] = edges[i];
+        const ts = [...new Set(splits[i])].sort((x, y) => x - y);
+        for (let k = 0; k < ts.length - 1; k++) {
+            const i0 = vertexId(vLerp(a, b, ts[k]));
+            const i1 = vertexId(vLerp(a, b, ts[k + 1]));
+            if (i0 === i1) {
+                continue;
+            }
+            // overlapping edges result in the same piece
+            const key = i0 < i1 ? `${i0},${i1}` : `${i1},${i0}`;
+            if (seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            const p0 = vertices[i0];
+            const p1 = vertices[i1];
+            const d = vSub(p1, p0);
+            const len = vLen(d);
+            const offset = vScale(normal2D(d), Math.max(1E-7, 10 * tol / len));
+            const m = vLerp(p0, p1, 0.5);
+            const left = isInResult(vAdd(m, offset));
+            const right = isInResult(vSub(m, offset));
+            if (left === right) {
+                continue;
+            }
+            const [from, to] = left ? [i0, i1] : [i1, i0];
+            if (!outgoing.has(from)) {
+                outgoing.set(from, []);
+            }
+            outgoing.get(from).push({ from, to, used: false });
+        }
+    }
+
+    // join pieces into closed boundaries
+    const loops = [];
+    for (const list of outgoing.values()) {
+        for (const start of list) {
+            if (start.used) {
+                continue;
+            }
+            start.used = true;
+            const loop = [start.from];
+            let cur = start;
+            let closed = true;
+            while (cur.to !== start.from) {
+                const candidates = (outgoing.get(cur.to) ?? []).filter(e => !e.used);
+                if (candidates.length === 0) {
+                    closed = false;
+                    break;
+                }
+                // take the sharpest left turn, so touching boundaries are kept separate
+                const dIn = vSub(vertices[cur.to], vertices[cur.from]);
+                let next = null;
+                let maxAngle = -Infinity;
+                for (const e of candidates) {
+                    const dOut = vSub(vertices[e.to], vertices[e.from]);
+                    const angle = Math.atan2(dIn.x * dOut.y - dIn.y * dOut.x, vDot(dIn, dOut));
+                    if (angle > maxAngle) {
+                        maxAngle = angle;
+                        next = e;
+                    }
+                }
+                next.used = true;
+                loop.push(cur.to);
+                cur = next;
+            }
+            if (closed) {
+                loops.push(loop.map(i => vertices[i]));
+            }
+        }
+    }
+
+    const outer = [];
+    const holes = [];
+    for (let loop of loops) {
+        // remove the split points on straight edges
+        loop = loop.filter((p, i) => {
+            const a = loop[(i - 1 + loop.length) % loop.length];
+            const b = loop[(i + 1) % loop.length];
+            const u = vSub(p, a);
+            const v = vSub(b, p);
+            return Math.abs(u.x * v.y - u.y * v.x) > eps * vLen(u) * vLen(v) || vDot(u, v) < 0;
+        });
+        if (loop.length < 3) {
+            continue;
+        }
+        const area = calcPolygonSignedArea(loop);
+        if (area > 0) {
+            outer.push({ points: loop, holes: [], area });
+        } else if (area < 0) {
+            holes.push(loop);
+        }
+    }
+
+    // assign each hole to the smallest outer boundary containing it
+    for (const hole of holes) {
+        // the result lies left of the hole boundary
+        const d = vSub(hole[1], hole[0]);
+        const p = vAdd(vLerp(hole[0], hole[1], 0.5), vScale(normal2D(d), Math.max(1E-7, 10 * tol / vLen(d))));
+        let best = null;
+        for (const o of outer) {
+            if (calcPolygonWindingNumber(o.points, p) !== 0 && (!best || o.area < best.area)) {
+                best = o;
+            }
+        }
+        if (best) {
+            best.holes.push(hole);
+        }
+    }
+
+    return outer.map(({ points, holes }) => ({ points, holes }));
+}
+/**
+ * Checks, whether a polygon is simple, so none of its edges intersect or touch, except for consecutive edges at their shared vertex.
+ * Multiple rings, such as the outer boundary and holes of a polygon, may be given, in which case edges of different rings may not touch either
+ * @param {Array<Array<{x:Number, y:Number}>>} rings The point rings of the polygon
+ * @param {Number} [eps] The epsilon value used for comparisons, relative to the size of the input
+ * @returns {Boolean} True, if the polygon is simple, false otherwise
+ */
+function isPolygonSimple(rings, eps = 1E-10) {
+    let extent = 0;
+    const edges = [];
+    for (let r = 0; r < rings.length; r++) {
+        const ring = rings[r];
+        const n = ring.length;
+        if (n < 3) {
+            return false;
+        }
+        for (let i = 0; i < n; i++) {
+            extent = Math.max(extent, Math.abs(ring[i].x), Math.abs(ring[i].y));
+            edges.push({ a: ring[i], b: ring[(i + 1) % n], r, i, n });
+        }
+    }
+    const tol = eps * Math.max(1, extent);
+    const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const dist = (p, a, b) => vLen(vSub(closestPointLine(p, a, b, { minA: 0, maxA: 1, eps: 0 }), p));
+    // checks, whether p lies on the segment [a,b] but not at one of its end points
+    const isInside = (p, a, b) => {
+        const t = calcParamOnLine(a, b, p);
+        return t > 0 && t < 1 && dist(p, a, b) <= tol && vLen(vSub(p, a)) > tol && vLen(vSub(p, b)) > tol;
+    };
+
+    for (let i = 0; i < edges.length; i++) {
+        const e = edges[i];
+        for (let j = i + 1; j < edges.length; j++) {
+            const f = edges[j];
+            if (e.r === f.r && (f.i === (e.i + 1) % e.n || e.i === (f.i + 1) % f.n)) {
+                if (e.n === 3) {
+                    // consecutive in both directions, so only degenerate triangles overlap
+                    if (Math.abs(cross(e.a, e.b, f.i === (e.i + 1) % e.n ? f.b : f.a)) <= tol * vLen(vSub(e.b, e.a))) {
+                        return false;
+                    }
+                    continue;
+                }
+                // consecutive edges only overlap, if they fold back onto each other
+                const [first, second] = f.i === (e.i + 1) % e.n ? [e, f] : [f, e];
+                if (isInside(second.b, first.a, first.b) || isInside(first.a, second.a, second.b)) {
+                    return false;
+                }
+                continue;
+            }
+            const o1 = cross(e.a, e.b, f.a);
+            const o2 = cross(e.a, e.b, f.b);
+            const o3 = cross(f.a, f.b, e.a);
+            const o4 = cross(f.a, f.b, e.b);
+            if (o1 * o2 < 0 && o3 * o4 < 0) {
+                return false;
+            }
+            if (dist(f.a, e.a, e.b) <= tol || dist(f.b, e.a, e.b) <= tol ||
+                dist(e.a, f.a, f.b) <= tol || dist(e.b, f.a, f.b) <= tol) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Checks, whether a polygon is convex.
+ * Convex polygons are simple and turn in the same direction at each vertex. Collinear vertices are allowed
+ * @param {Array<{x:Number, y:Number}>} points The polygon points
+ * @param {Number} [eps] The epsilon value used for comparisons
+ * @returns {Boolean} True, if the polygon is convex, false otherwise
+ */
+function isPolygonConvex(points, eps = 1E-10) {
+    if (!isPolygonSimple([points], eps)) {
+        return false;
+    }
+    const n = points.length;
+    let sign = 0;
+    for (let i = 0; i < n; i++) {
+        const u = vSub(points[(i + 1) % n], points[i]);
+        const v = vSub(points[(i + 2) % n], points[(i + 1) % n]);
+        const c = u.x * v.y - u.y * v.x;
+        if (Math.abs(c) <= eps * vLen(u) * vLen(v)) {
+            continue;
+        }
+        if (sign !== 0 && Math.sign(c) !== sign) {
+            return false;
+        }
+        sign = Math.sign(c);
+    }
+    return sign !== 0;
+}
+
+/**
+ * Computes the boundary of a region as closed loops of rational Bezier pieces.
+ * Supported are polygons, arcs, ellipses, Bezier curves and splines, rational Bezier curves and NURBS. 
+ * Curves, that are not closed, such as arcs not spanning a full turn, are closed with a line segment between their end points.
+ * The holes of a polygon are oriented opposite to its outer boundary, so that their contributions to integrals over the boundary are subtracted
+ * @param {Object} obj The region object
+ * @returns {Array<Array<{points: Array<{x:Number, y:Number}>, weights: Number[]}>>} The boundary loops
+ */
+function calcRegionBoundary(obj) {
+    assertType(obj, TYPE_POLYGON, TYPE_ARC, TYPE_ELLIPSE, TYPE_BEZIER, TYPE_BEZIER_SPLINE, TYPE_RATIONAL_BEZIER, TYPE_NURBS);
+    const { type } = obj;
+    const ringToLoop = ring => ring.map((p, i) => ({ points: [p, ring[(i + 1) % ring.length]], weights: [1, 1] }));
+    if (type === TYPE_POLYGON) {
+        if (obj.points.length < 2) {
+            return [];
+        }
+        const orientation = Math.sign(calcPolygonSignedArea(obj.points));
+        const loops = [ringToLoop(obj.points)];
+        for (const hole of obj.holes ?? []) {
+            if (hole.length < 2) {
+                continue;
+            }
+            loops.push(ringToLoop(Math.sign(calcPolygonSignedArea(hole)) === orientation ? [...hole].reverse() : hole));
+        }
+        return loops;
+    }
+
+    let pieces;
+    if (type === TYPE_ARC || type === TYPE_ELLIPSE) {
+        pieces = convertNurbsToRationalBeziers(convertEllipseToNurbs(obj));
+    } else if (type === TYPE_NURBS) {
+        pieces = convertNurbsToRationalBeziers(obj);
+    } else if (type === TYPE_RATIONAL_BEZIER) {
+        pieces = [{ points: obj.points, weights: obj.weights }];
+    } else if (type === TYPE_BEZIER) {
+        pieces = [{ points: obj.points, weights: obj.points.map(() => 1) }];
+    } else {
+        const { points, degree } = obj;
+        pieces = [];
+        for (let i = 0; i + degree < points.length; i += degree) {
+            pieces.push({ points: points.slice(i, i + degree + 1), weights: new Array(degree + 1).fill(1) });
+        }
+    }
+    pieces = pieces.map(({ points, weights }) => ({ points, weights }));
+    if (pieces.length === 0) {
+        return [];
+    }
+
+    const start = pieces[0].points[0];
+    const lastPoints = pieces[pieces.length - 1].points;
+    const end = lastPoints[lastPoints.length - 1];
+    let extent = 0;
+    for (const { points } of pieces) {
+        for (const p of points) {
+            extent = Math.max(extent, Math.abs(p.x), Math.abs(p.y));
+        }
+    }
+    if (vLen(vSub(end, start)) > 1E-10 * Math.max(1, extent)) {
+        pieces.push({ points: [end, start], weights: [1, 1] });
+    }
+    return [pieces];
+}
+
+/**
+ * Computes the number of Gauss-Legendre nodes needed to exactly integrate boundary integrals over a polynomial piece
+ * @param {{points: Array<{x:Number, y:Number}>, weights: Number[]}} piece The boundary piece
+ * @returns {Number} The number of nodes or 0, if the piece is rational and can't be integrated exactly
+ */
+function calcBoundaryPieceNodes({ points, weights }) {
+    if (weights.some(w => w !== weights[0])) {
+        return 0;
+    }
+    // the integrands are polynomials of at most degree 3n - 1
+    return Math.max(1, Math.ceil(1.5 * (points.length - 1)));
+}
+
+/**
+ * Integrates a function along the boundary pieces of a region
+ * @param {Array<Array<{points: Array<{x:Number, y:Number}>, weights: Number[]}>>} loops The boundary loops
+ * @param {function({x:Number, y:Number}, {x:Number, y:Number}) : Number} f The integrand taking the curve point and derivative
+ * @returns {Number} The integral
+ */
+function integrateRegionBoundary(loops, f) {
+    let sum = 0;
+    for (const loop of loops) {
+        for (const { points, weights } of loop) {
+            const g = t => f(deCasteljauRational(points, weights, t), calcRationalBezierDerivative(points, weights, t));
+            const n = calcBoundaryPieceNodes({ points, weights });
+            sum += n > 0 ? integrateGaussLegendre(g, 0, 1, n) : integrateAdaptive(g, 0, 1);
+        }
+    }
+    return sum;
+}
+
+/**
+ * Computes the signed area of a region.
+ * The area is positive for counter-clockwise and negative for clockwise boundaries.
+ * See calcRegionBoundary for the supported types
+ * @param {Object} obj The region object
+ * @returns {Number} The signed area
+ */
+function calcRegionSignedArea(obj) {
+    if (obj.type === TYPE_POLYGON) {
+        const loops = calcRegionBoundary(obj);
+        return loops.reduce((sum, loop) => sum + calcPolygonSignedArea(loop.map(piece => piece.points[0])), 0);
+    }
+    // Green's theorem: A = 1/2 * int x dy - y dx
+    return 0.5 * integrateRegionBoundary(calcRegionBoundary(obj), (p, d) => p.x * d.y - p.y * d.x);
+}
+
+/**
+ * Computes the perimeter of a region, which is the length of all its boundaries.
+ * See calcRegionBoundary for the supported types
+ * @param {Object} obj The region object
+ * @returns {Number} The perimeter
+ */
+function calcRegionPerimeter(obj) {
+    let sum = 0;
+    for (const loop of calcRegionBoundary(obj)) {
+        for (const { points, weights } of loop) {
+            if (points.length === 2) {
+                sum += vLen(vSub(points[1], points[0]));
+            } else {
+                sum += integrateAdaptive(t => vLen(calcRationalBezierDerivative(points, weights, t)), 0, 1);
+            }
+        }
+    }
+    return sum;
+}
+
+/**
+ * Computes the centroid of a region.
+ * See calcRegionBoundary for the supported types
+ * @param {Object} obj The region object
+ * @returns {{x:Number, y:Number} | null} The centroid or null, if the region has no area
+ */
+function calcRegionCentroid(obj) {
+    const loops = calcRegionBoundary(obj);
+    // Green's theorem: A * cx = 1/2 int x^2 dy, A * cy = -1/2 int y^2 dx
+    const a = 0.5 * integrateRegionBoundary(loops, (p, d) => p.x * d.y - p.y * d.x);
+    // the area is compared relative to the size of the control point bounds
+    let min = vVec2(Infinity, Infinity);
+    let max = vVec2(-Infinity, -Infinity);
+    for (const { points } of loops.flat()) {
+        for (const p of points) {
+            min = vVec2(Math.min(min.x, p.x), Math.min(min.y, p.y));
+            max = vVec2(Math.max(max.x, p.x), Math.max(max.y, p.y));
+        }
+    }
+    const size = Math.max(max.x - min.x, max.y - min.y);
+    if (!(Math.abs(a) > 1E-12 * size * size)) {
+        return null;
+    }
+    const mx = 0.5 * integrateRegionBoundary(loops, (p, d) => p.x * p.x * d.y);
+    const my = -0.5 * integrateRegionBoundary(loops, (p, d) => p.y * p.y * d.x);
+    return vVec2(mx / a, my / a);
+}
+
+/**
+ * Computes the winding number of the boundary of a region around a point.
+ * Pieces are subdivided until the point lies outside of their control point bounds, so that the pieces can be replaced by line segments.
+ * See calcRegionBoundary for the supported types
+ * @param {Object} obj The region object
+ * @param {{x:Number, y:Number}} p The point
+ * @param {Object} [options]
+ * @param {Number} [options.maxDepth] The maximum number of subdivisions. Points closer to the boundary may be classified wrongly
+ * @returns {Number} The winding number
+ */
+function calcRegionWindingNumber(obj, p, { maxDepth = 32 } = {}) {
+    let angle = 0;
+    for (const loop of calcRegionBoundary(obj)) {
+        for (const { points, weights } of loop) {
+            const queue = [[convertToHomogeneousPoints(points, weights), 0]];
+            while (queue.length > 0) {
+                const [h, depth] = queue.pop();
+                const { points: q } = convertFromHomogeneousPoints(h);
+                const isOutside = q.every(qi => qi.x < p.x) || q.every(qi => qi.x > p.x) ||
+                    q.every(qi => qi.y < p.y) || q.every(qi => qi.y > p.y);
+                if (q.length === 2 || isOutside || depth >= maxDepth) {
+                    const a = vSub(q[0], p);
+                    const b = vSub(q[q.length - 1], p);
+                    angle += Math.atan2(a.x * b.y - a.y * b.x, vDot(a, b));
+                } else {
+                    const { left, right } = subdivideHomogeneousControlPoints(h, 0.5);
+                    queue.push([right, depth + 1], [left, depth + 1]);
+                }
+            }
+        }
+    }
+    // avoid -0 for small negative angles
+    return Math.round(angle / (2.0 * Math.PI)) || 0;
+}
+
+/**
+ * Checks, whether a point lies inside of a region.
+ * See calcRegionBoundary for the supported types
+ * @param {Object} obj The region object
+ * @param {{x:Number, y:Number}} p The point
+ * @param {String} [fillRule] The fill rule, either "nonzero", "evenodd" or "positive"
+ * @returns {Boolean} True, if the point is inside, false otherwise
+ */
+function isPointInRegion(obj, p, fillRule = "nonzero") {
+    if (obj.type === TYPE_POLYGON) {
+        return isPointInPolygonRegion(obj, p, fillRule);
+    }
+    return isWindingNumberFilled(calcRegionWindingNumber(obj, p), fillRule);
+}
+
+/**
+ * Approximates the boundary loops of a region by polygons
+ * @param {Object} obj The region object
+ * @param {Number} [tolerance] The maximum deviation of the polygons from the boundary, relative to the size of the region
+ * @returns {Array<Array<{x:Number, y:Number}>>} The polygon rings
+ */
+function flattenRegionBoundary(obj, tolerance = 1E-4) {
+    const loops = calcRegionBoundary(obj);
+    let extent = 0;
+    for (const loop of loops) {
+        for (const { points } of loop) {
+            for (const p of points) {
+                extent = Math.max(extent, Math.abs(p.x), Math.abs(p.y));
+            }
+        }
+    }
+    const eps = tolerance * Math.max(1, extent);
+    return loops.map(loop => {
+        const ring = [];
+        for (const { points, weights } of loop) {
+            // the first point is the last point of the previous piece
+            ring.push(...subdivideRationalBezierAdaptive(points, weights, eps).slice(1));
+        }
+        return ring;
+    });
+}
+
+/**
+ * Checks, whether a region is convex. Regions with holes are not convex.
+ * Curved boundaries are approximated by polygons.
+ * See calcRegionBoundary for the supported types
+ * @param {Object} obj The region object
+ * @returns {Boolean} True, if the region is convex, false otherwise
+ */
+function isRegionConvex(obj) {
+    const rings = flattenRegionBoundary(obj);
+    return rings.length === 1 && isPolygonConvex(rings[0]);
+}
+
+/**
+ * Checks, whether the boundary of a region is simple, so it does not intersect itself.
+ * Curved boundaries are approximated by polygons.
+ * See calcRegionBoundary for the supported types
+ * @param {Object} obj The region object
+ * @returns {Boolean} True, if the region is simple, false otherwise
+ */
+function isRegionSimple(obj) {
+    const rings = flattenRegionBoundary(obj);
+    return rings.length > 0 && isPolygonSimple(rings);
+}
+/**
+ * Computes the offset of a line strip or polygon at a signed distance.
+ * Positive distances move the points to the left of the direction of travel.
+ * At vertices, where the offset segments don't meet, they are connected with the given join. Where they overlap, they are cut at their intersection by default.
+ * Self-intersections caused by distances larger than features of the input are not removed. @see{bufferPolygon} removes them for polygon regions
+ * @param {Array<{x:Number, y:Number}>} points The points
+ * @param {Number} distance The signed distance
+ * @param {Object} [options]
+ * @param {Boolean} [options.closed] Whether the points form a closed polygon
+ * @param {String} [options.join] The join, one of "miter", "round" or "bevel"
+ * @param {Number} [options.miterLimit] The maximum ratio of the miter length to the distance. Longer miters are beveled
+ * @param {Number} [options.tolerance] The maximum deviation of round joins from a circular arc
+ * @param {Boolean} [options.cutInner] Whether overlapping offset segments are cut at their intersection.
+ * Otherwise they are connected through the original vertex, so that the overlap forms a loop winding against the offset
+ * @returns {Array<{x:Number, y:Number}>} The offset points
+ */
+function offsetLineStrip(points, distance, { closed = false, join = "miter", miterLimit = 10, tolerance = 1E-3, cutInner = true } = {}) {
+    // zero length segments have no direction
+    points = points.filter((p, i) => i === 0 || vLen(vSub(p, points[i - 1])) > 0);
+    if (closed && points.length > 1 && vLen(vSub(points[0], points[points.length - 1])) === 0) {
+        points = points.slice(0, -1);
+    }
+    const n = points.length;
+    if (n < 2 || distance === 0) {
+        return [...points];
+    }
+    const numSegs = closed ? n : n - 1;
+    const dirs = [];
+    for (let i = 0; i < numSegs; i++) {
+        dirs.push(vNormalize(vSub(points[(i + 1) % n], points[i])));
+    }
+    const offsetPoint = (p, dir) => vAdd(p, vScale(normal2D(dir), distance));
+
+    const result = [];
+    const r = Math.abs(distance);
+    const joinVertex = (p, u, v) => {
+        const a = offsetPoint(p, u);
+        const b = offsetPoint(p, v);
+        const sin = u.x * v.y - u.y * v.x;
+        const cos = vDot(u, v);
+        if (Math.abs(sin) < 1E-12 && cos > 0) {
+            // no turn
+            result.push(a);
+            return;
+        }
+        // the offset side is the outer side of the turn, if the curve turns away from it. Reversals have two outer sides
+        const isOuter = sin * distance < 0 || (Math.abs(sin) < 1E-12 && cos < 0);
+        // the offset lines intersect at the distance divided by the cosine of half the turning angle along the bisector
+        const halfCos = Math.sqrt(Math.max(0, 0.5 * (1 + cos)));
+        const miter = halfCos > 1E-12 ? vAdd(p, vScale(vNormalize(vAdd(normal2D(u), normal2D(v))), distance / halfCos)) : null;
+        if (!isOuter) {
+            if (cutInner && miter) {
+                result.push(miter);
+            } else {
+                result.push(a, p, b);
+            }
+        } else if (join === "miter" && miter && 1 / halfCos <= miterLimit) {
+            result.push(miter);
+        } else if (join === "round") {
+            const start = Math.atan2(a.y - p.y, a.x - p.x);
+            // the arc turns around the outside, which is opposite to the offset side
+            const angle = -Math.sign(distance) * Math.abs(Math.atan2(sin, cos));
+            const maxStep = r > tolerance ? 2 * Math.acos(1 - tolerance / r) : Math.PI;
+            const num = Math.max(1, Math.ceil(Math.abs(angle) / maxStep));
+            for (let k = 0; k <= num; k++) {
+                result.push(vAdd(p, vPolar(r, start + angle * k / num)));
+            }
+        } else {
+            result.push(a, b);
+        }
+    };
+
+    if (!closed) {
+        result.push(offsetPoint(points[0], dirs[0]));
+    }
+    for (let i = closed ? 0 : 1; i < n - (closed ? 0 : 1); i++) {
+        joinVertex(points[i], dirs[(i - 1 + numSegs) % numSegs], dirs[i % numSegs]);
+    }
+    if (!closed) {
+        result.push(offsetPoint(points[n - 1], dirs[numSegs - 1]));
+    }
+    return result;
+}
+
+/**
+ * Computes the region of all points with a signed distance to a polygon region.
+ * Positive distances grow the region, negative ones shrink it.
+ * The polygon and each hole are offset with @see{offsetLineStrip} and the result is cleaned up with @see{calcPolygonBoolean} using the "positive" fill rule.
+ * Inner corners are connected through their vertex, so that collapsed parts wind clockwise and are removed together with holes growing into each other or out of the polygon
+ * @param {{points: Array<{x:Number, y:Number}>, holes?: Array<Array<{x:Number, y:Number}>>}} polygon The polygon
+ * @param {Number} distance The signed distance
+ * @param {Object} [options]
+ * @param {String} [options.join] The join, one of "miter", "round" or "bevel"
+ * @param {Number} [options.miterLimit] The maximum ratio of the miter length to the distance. Longer miters are beveled
+ * @param {Number} [options.tolerance] The maximum deviation of round joins from a circular arc
+ * @returns {Array<{points: Array<{x:Number, y:Number}>, holes: Array<Array<{x:Number, y:Number}>>}>} The resulting polygons with holes. Empty, if nothing is left
+ */
+function bufferPolygon(polygon, distance, { join = "miter", miterLimit = 10, tolerance = 1E-3 } = {}) {
+    // orient all rings counter-clockwise, so that collapsed parts of their offsets wind clockwise
+    const ccw = ring => calcPolygonSignedArea(ring) < 0 ? [...ring].reverse() : ring;
+    const offsetRing = (ring, d) => offsetLineStrip(ccw(ring), d, { closed: true, join, miterLimit, tolerance, cutInner: false });
+    // growing the region moves the outer boundary to the right of its counter-clockwise ring and shrinks the holes
+    const buffered = {
+        points: offsetRing(polygon.points, -distance),
+        holes: (polygon.holes ?? []).map(h => offsetRing(h, distance)),
+    };
+    return calcPolygonBoolean([buffered], [], "union", { fillRule: "positive" });
+}
+
+/**
+ * Approximates the offset of a smooth curve at a signed distance by a cubic Bezier spline.
+ * Positive distances move the points to the left of the direction of travel.
+ * The curve is split until the cubic Hermite interpolation of each piece deviates less than the tolerance from the offset curve
+ * @param {function(Number) : {p: {x:Number, y:Number}, d1: {x:Number, y:Number}, d2: {x:Number, y:Number}}} evaluate Computes the point and first and second derivatives of the curve
+ * @param {Number} distance The signed distance
+ * @param {Object} [options]
+ * @param {Number} [options.tMin] The start parameter of the curve
+ * @param {Number} [options.tMax] The end parameter of the curve
+ * @param {Number} [options.tolerance] The maximum deviation from the offset curve
+ * @param {Number} [options.maxDepth] The maximum number of subdivisions
+ * @returns {Array<{x:Number, y:Number}>} The control points of the cubic Bezier spline
+ */
+function approximateOffsetCurve(evaluate, distance, { tMin = 0, tMax = 1, tolerance = 1E-3, maxDepth = 12 } = {}) {
+    // offset point and derivative, with o = p + d * N and N' = -k |p'| T this results in o' = p' (1 - d k)
+    const offset = t => {
+        const { p, d1, d2 } = evaluate(t);
+        const l = vLen(d1);
+        // at singular points, the tangent is given by the second derivative
+        const dir = l > 1E-12 ? vScale(d1, 1 / l) : vNormalizeIfNotZero(d2);
+        const k = l > 1E-12 ? (d1.x * d2.y - d1.y * d2.x) / (l * l * l) : 0;
+        return { o: vAdd(p, vScale(normal2D(dir), distance)), v: vScale(d1, 1 - distance * k) };
+    };
+
+    const result = [];
+    const fit = (a, oa, b, ob, depth) => {
+        const h = (b - a) / 3;
+        const c = [oa.o, vAdd(oa.o, vScale(oa.v, h)), vSub(ob.o, vScale(ob.v, h)), ob.o];
+        let isClose = true;
+        if (depth < maxDepth) {
+            for (const s of [0.25, 0.5, 0.75]) {
+                if (vLen(vSub(deCasteljau(c, s), offset(a + s * (b - a)).o)) > tolerance) {
+                    isClose = false;
+                    break;
+                }
+            }
+        }
+        if (isClose) {
+            result.push(c[1], c[2], c[3]);
+        } else {
+            const m = 0.5 * (a + b);
+            const om = offset(m);
+            fit(a, oa, m, om, depth + 1);
+            fit(m, om, b, ob, depth + 1);
+        }
+    };
+    const o0 = offset(tMin);
+    result.push(o0.o);
+    fit(tMin, o0, tMax, offset(tMax), 0);
+    return result;
+}
+
+/**
+ * Approximates the offset of a Bezier curve or spline at a signed distance by a cubic Bezier spline.
+ * Positive distances move the points to the left of the direction of travel.
+ * Where the segments of a spline don't meet smoothly, the gap between their offsets is bridged by a straight segment
+ * @param {Array<{x:Number, y:Number}>} points The control points
+ * @param {Number} distance The signed distance
+ * @param {Object} [options]
+ * @param {Number} [options.degree] The degree of the spline. If not given, the points are treated as a single Bezier curve
+ * @param {Number} [options.tolerance] The maximum deviation from the offset curve
+ * @returns {Array<{x:Number, y:Number}>} The control points of the cubic Bezier spline
+ */
+function offsetBezier(points, distance, { degree = points.length - 1, tolerance = 1E-3 } = {}) {
+    const result = [];
+    const numSegs = numSegmentsBezierSpline(points, degree);
+    for (let i = 0; i < numSegs; i++) {
+        const seg = getBezierSplineSegment(points, degree, i);
+        const d1 = calcBezierPointsDerivative(seg);
+        const d2 = calcBezierPointsDerivative(d1);
+        const evaluate = t => ({
+            p: deCasteljau(seg, t),
+            d1: deCasteljau(d1, t),
+            d2: d2.length > 0 ? deCasteljau(d2, t) : vVec2(0, 0),
+        });
+        const segResult = approximateOffsetCurve(evaluate, distance, { tolerance });
+        if (result.length > 0) {
+            const end = result[result.length - 1];
+            if (vLen(vSub(segResult[0], end)) > 0) {
+                // straight cubic segment
+                result.push(vLerp(end, segResult[0], 1 / 3), vLerp(end, segResult[0], 2 / 3), segResult[0]);
+            }
+            segResult.shift();
+        }
+        result.push(...segResult);
+    }
+    return result;
+}
+
+/**
+ * Approximates the offset of an ellipse at a signed distance by a cubic Bezier spline.
+ * Positive distances move the points away from the center
+ * @param {Object} ellipse The ellipse of type TYPE_ELLIPSE
+ * @param {Number} distance The signed distance
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance] The maximum deviation from the offset curve
+ * @returns {Array<{x:Number, y:Number}>} The control points of the cubic Bezier spline
+ */
+function offsetEllipse(ellipse, distance, { tolerance = 1E-3 } = {}) {
+    const { center, rx, ry, rotation } = ellipse;
+    let { startAngle, endAngle } = ellipse;
+    if (startAngle > endAngle) {
+        endAngle += 2.0 * Math.PI;
+    }
+    const evaluate = a => ({
+        p: DefCurvePoint.ellipsePoint(center, rx, ry, rotation, a),
+        d1: DefCurveTangent.ellipseTangent(rx, ry, rotation, a),
+        d2: vRotate(vVec2(-rx * Math.cos(a), -ry * Math.sin(a)), rotation),
+    });
+    // the ellipse turns counter-clockwise, so the outside is on the right
+    return approximateOffsetCurve(evaluate, -distance, { tMin: startAngle, tMax: endAngle, tolerance });
+}
+
+
+
+/**
+ * Checks whether an object is one of the types given
+ * @param {{type: String}} obj The dependency to check
+ * @param  {...String} types A number of types that the object should be one of
+ * @returns True, if the object is of the give type. Throws an error otherwise
+ */
+function assertType(obj, ...types) {
+    for (let type of types) {
+        // find matching type
+        if (obj.type === type) {
+            return;
+        }
+    }
+    throw new Error(`Expected type ${types.join(" | ")}, got ${obj.type}`);
+}
+
+/**
+ * Definition of a vector that can be constructed a number of ways
+ * A vector consists of x and y coordinates specifying its direction and length and a reference point to which it is attached to.
+ * While a mathematical vector is of course not bound to a specific point, this makes working with and displaying vectors easier
+ */
+class DefVector {
+    /**
+     * Constructor sets default values
+     * @param {Object} params
+     * @param {Number} params.x The default x coordinate
+     * @param {Number} params.y The default y coordinate
+     * @param {{x:Number, y:Number}} params.ref The point to which this vector is attached to
+     * @param {Boolean} params.normalize Whether or not this vector should be normalized
+     */
+    constructor({ x = 0, y = 0, ref = { x: 0, y: 0 }, normalize = false } = {}) {
+        this.x = x;
+        this.y = y;
+        this.ref = ref;
+        this.normalize = normalize;
+    }
+
+    /**
+     * Creates a new vector from the position vector of a point.
+     * @param {Object} params
+     * @param {Number | Object} [params.p] Either the index or value of a TYPE_POINT. The position
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPosition({ p, ref = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("pc", { p, ref, normalize });
+    }
+    /**
+     * Creates a new vector from another vector and reference position.
+     * If only a vector and no reference is given, the other vector's reference is used
+     * @param {Object} params
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @param {Number | Object} [params.v] Either the index or value of a TYPE_VECTOR. The vector
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromRefVector({ ref = EMPTY, v = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("rv", {
+            ref, v, normalize
+        });
+    }
+
+    /**
+     * Creates a new vector from individual values
+     * @param {Object} params
+     * @param {Number | Object} [params.x] Either the index or value of a TYPE_NUMBER. The x coordinate
+     * @param {Number | Object} [params.y] Either the index or value of a TYPE_NUMBER. The y coordinate
+     * @param {Number | Object} [params.refX] Either the index or value of a TYPE_NUMBER. The reference x coordinate
+     * @param {Number | Object} [params.refY] Either the index or value of a TYPE_NUMBER. The reference y coordinate
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCoordinates({ x = EMPTY, y = EMPTY, refX = EMPTY, refY = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("c", {
+            x, y, refX, refY, normalize
+        });
+    }
+
+    /**
+     * Creates a new vector from a line segment
+     * The vector will use the first line point as a reference and point to the second point
+     * @param {Number | Object} line  Either the index or value of a TYPE_LINE. The line
+     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromLineSegment(line, normalize = EMPTY) {
+        return CreateInfo.new("l", {
+            line, normalize
+        });
+    }
+    /**
+     * Creates a new vector from two points
+     * The vector will use the first point as a reference and point to the second point
+     * @param {Number | Object} p0  Either the index or value of a TYPE_POINT. The first point
+     * @param {Number | Object} p1  Either the index or value of a TYPE_POINT. The second point
+     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints(p0, p1, normalize = EMPTY) {
+        return CreateInfo.new("pp", {
+            p0, p1, normalize
+        });
+    }
+
+    /**
+     * Creates a new vector from polar coordinates
+     * @param {Object} params
+     * @param {Number | Object} params.polar Either the index or value of a TYPE_POLAR. The polar coordinate
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPolar({ polar, ref = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("pol", { polar, ref, normalize });
+    }
+
+    /**
+     * Computes the value of this definition
+     * @param {CreateInfo} createInfo 
+     * @returns {Object} The computed vector with type TYPE_VECTOR
+     */
+    compute(createInfo) {
+
+        const { dependencies } = createInfo;
+        let { x, y, ref, normalize } = this;
+
+
+        if (createInfo.name === "rv") {
+            const { ref: referencePoint, v: vector, normalize: normalizeN } = dependencies;
+
+            if (!isParamEmpty(referencePoint)) {
+                assertType(referencePoint, TYPE_POINT);
+                ref = referencePoint;
+            }
+            if (!isParamEmpty(vector)) {
+                assertType(vector, TYPE_VECTOR);
+                x = vector.x;
+                y = vector.y;
+            }
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else if (createInfo.name === "c") {
+            const { x: vx, y: vy, refX, refY, normalize: normalizeN } = dependencies;
+            if (!isParamEmpty(vx)) {
+                assertType(vx, TYPE_NUMBER);
+                x = vx.value;
+            }
+
+            if (!isParamEmpty(vy)) {
+                assertType(vy, TYPE_NUMBER);
+
+                y = vy.value;
+            }
+            if (!isParamEmpty(refX)) {
+                assertType(refX, TYPE_NUMBER);
+                ref.x = refX.value;
+            }
+            if (!isParamEmpty(refY)) {
+                assertType(refY, TYPE_NUMBER);
+
+                ref.y = refY.value;
+            }
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else if (createInfo.name === "pc") {
+            const { p, normalize: normalizeN, ref: refN } = dependencies;
+
+            if (!isParamEmpty(p)) {
+                assertType(p, TYPE_POINT);
+                x = p.x;
+                y = p.y;
+            }
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+
+            if (!isParamEmpty(refN)) {
+                assertType(refN, TYPE_POINT);
+                ref = refN;
+            }
+
+        } else if (createInfo.name === "l") {
+            const { line, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(line);
+            assertType(line, TYPE_LINE);
+
+            const { p0, p1 } = line;
+            ({ x, y } = vSub(p1, p0));
+            ref = p0;
+
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+
+        } else if (createInfo.name === "pp") {
+            const { p0, p1, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(p0, p1);
+            assertType(p0, TYPE_POINT);
+            assertType(p1, TYPE_POINT);
+
+            ref = p0;
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+
+
+            ({ x, y } = vSub(p1, p0));
+        } else if (createInfo.name === "pol") {
+            const { polar, ref: refN, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(polar);
+
+            assertType(polar, TYPE_POLAR);
+
+            const { r, alpha } = polar;
+            ({ x, y } = vPolar(r, alpha));
+
+            if (!isParamEmpty(refN)) {
+                assertType(refN, TYPE_POINT);
+                ref = refN;
+            }
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error(`No suitable parameters found to construct Vector`);
+        }
+
+        if (normalize) {
+            ({ x, y } = vNormalizeIfNotZero(vVec2(x, y)));
+        }
+        return makeVector({
+            x, y, ref
+        });
+    }
+}
+
+/**
+ * Easier access to some common vector operations.
+ * These could also easily be implemented by a DefFunc
+ */
+class DefVectorOps {
+
+    /**
+     * Attaches the second vector at the tip of the first. 
+     * The result is a vector that points from the first vector's reference point to the tip of the second.
+     * Optionally, a new reference point may be specified. 
+     * The result will be of type TYPE_VECTOR
+     * NOTE: This will be equivalent to adding the vectors and placing them at the reference, if they share the same reference point.
+     * 
+     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The first vector
+     * @param {Number | Object} b Either the index or value of a TYPE_VECTOR. The vector to be attached
+     * @param {Number | Object} [ref] Either the index or value of a TYPE_POINT. The new reference
+     * @returns {CreateInfo} The creation info
+     */
+    static fromAttach(a, b, ref = EMPTY) {
+        return CreateInfo.new("att", { a, b, ref });
+    }
+
+    /**
+     * Computes the dot product of two vectors.
+     * The result will be of type TYPE_NUMBER
+     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The first vector
+     * @param {Number | Object} b Either the index or value of a TYPE_VECTOR. The second vector
+     * @returns {CreateInfo} The creation info
+     */
+    static fromDot(a, b) {
+        return CreateInfo.new("dot", { a, b });
+    }
+
+    /**
+     * Negates the given vectors
+     * Optionally, the reference point can be switched to the old arrow tip, so the arrow overall stays in the same place
+     * The result will be of type TYPE_VECTOR
+     * 
+     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The vector
+     * @param {Boolean} [attachAtEndPoint] Whether or not the new vector will be attached at the old arrow tip
+     * @returns {CreateInfo} The creation info
+     */
+    static fromNegate(a, attachAtEndPoint = false) {
+        return CreateInfo.new("neg", { a }, { attachAtEndPoint });
+    }
+
+    /**
+     * Transforms a given vector by rotation and scaling
+     * Optionally, a new reference point may be specified. 
+     * The result will be of type TYPE_VECTOR
+     * 
+     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The vector
+     * @param {Object} params
+     * @param {Number | Object} [params.alpha] Either the index or value of a TYPE_NUMBER. The rotation angle
+     * @param {Number | Object} [params.scale] Either the index or value of a TYPE_NUMBER. The scaling factor
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized before scaling
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The new reference point
+     * @param {Object} [defaultValues]
+     * @param {Number} [defaultValues.alpha = 0] Default value for the rotation angle
+     * @param {Number} [defaultValues.scale = 1] Default value for the scaling factor
+     * @param {Number} [defaultValues.normalize = false] Default value for the normalization
+     * @returns {CreateInfo} The creation info
+     */
+    static fromTransform(a, { alpha = EMPTY, scale = EMPTY, normalize = EMPTY, ref = EMPTY, },
+        defaultValues = {}) {
+        const { alpha: alpha0 = 0, scale: scale0 = 1, normalize: normalize0 = false } = defaultValues;
+        return CreateInfo.new("tr", { a, alpha, scale, normalize, ref, }, {
+            alpha: alpha0, scale: scale0, normalize: normalize0
+        });
+    }
+
+    /**
+     * Computes the specified operation
+     * @param {CreateInfo} info The creation info
+     * @returns The result of the operation of the type specified for the different from methods
+     */
+    compute(info) {
+        const { dependencies, params } = info;
+
+        if (info.name === "att") {
+            const { a, b, ref } = dependencies;
+            assertExistsAndNotOptional(a, b);
+            assertType(a, TYPE_VECTOR);
+            assertType(b, TYPE_VECTOR);
+            const ab = Vec2.add(a, b);
+
+            let refp = a.ref;
+            if (!isParamEmpty(ref)) {
+                assertType(ref, TYPE_POINT);
+                refp = ref;
+            }
+
+            return makeVector({ x: ab.x, y: ab.y, ref: refp });
+        } else if (info.name === "dot") {
+            const { a, b } = dependencies;
+            assertExistsAndNotOptional(a, b);
+            assertType(a, TYPE_VECTOR);
+            assertType(b, TYPE_VECTOR);
+            const dot = Vec2.dot(a, b);
+
+            return makeNumber(dot);
+        } else if (info.name === "neg") {
+            const { a } = dependencies;
+            const { attachAtEndPoint } = params;
+            const v = Vec2.scale(a, -1);
+            let ref = a.ref;
+            if (attachAtEndPoint) {
+                ref = Vec2.add(ref, a);
+            }
+
+            return makeVector({ x: v.x, y: v.y, ref });
+        } else if (info.name === "tr") {
+            const { a, alpha: alpha0,
+                scale: scale0, normalize: normalize0, ref: ref0 } = dependencies;
+            let { alpha, scale, normalize } = params;
+
+            assertExistsAndNotOptional(a);
+            assertType(a, TYPE_VECTOR);
+
+            if (!isParamEmpty(alpha0)) {
+                assertType(alpha0, TYPE_NUMBER);
+                alpha = alpha0.value;
+            }
+
+            if (!isParamEmpty(scale0)) {
+                assertType(scale0, TYPE_NUMBER);
+                scale = scale0.value;
+            }
+
+            if (!isParamEmpty(normalize0)) {
+                assertType(normalize0, TYPE_BOOLEAN);
+                normalize = normalize0.value;
+            }
+
+            let ref = a.ref;
+
+            if (!isParamEmpty(ref0)) {
+                assertType(ref0, TYPE_POINT);
+                ref = ref0;
+            }
+
+            let vf = a;
+
+            if (normalize) {
+                vf = Vec2.normalizeIfNotZero(vf);
+            }
+            vf = Vec2.scale(vf, scale);
+            vf = Vec2.rotate(vf, alpha);
+
+            return makeVector({ x: vf.x, y: vf.y, ref });
+
+        } else {
+            throw new Error("No suitable constructor");
+        }
+
+    }
+}
+
+/**
+ * Definition of a coordinate system
+ * 
+ * Coordinte systems may be placed relative to other coordinate systems. They are specified by two local axes and a local origin.
+ * 
+ * When computing the value, the final coordinates of origin and axes will be in the same coordinate frame as the parent. 
+ * Thus, in  general, the result will be in world coordinates, as each parent, will itself be specified in its parent's system, until there is a system with no parent (implicit world coordinates)
+ * 
+ * This makes it easy to define vectors and points locally, with DefCoordSystemOps  and still use those resulting  vectors together with arbitrary other ones, without the issue if different coordinate frames
+ */
+class DefCoordSystem {
+
+    /**
+     * Creates a coordinate system structure for the given parameters
+     * If origin is not given, it defaults to the usual (0,0)
+     * If u is not given, it defaults to the usual x-axis (1,0)
+     * If v is not given, it defaults to the normal vector to u.
+     * @param {Object} [params]
+     * @param {{x:Number, y:Number}} [params.origin] The origin
+     * @param {{x:Number, y:Number}} [params.u] The first axis
+     * @param {{x:Number, y:Number}} [params.v] The second axis
+     * @returns {{origin: {x:Number, y:Number}, u: {x:Number, y:Number}, v: {x:Number, y:Number}}}
+     */
+    static createSystem({ origin, u, v } = {}) {
+        origin = origin ?? Vec2.vec2(0, 0);
+        // u needs to be specified, otherwise v is set back
+        if (!u) {
+            v = null;
+        }
+        u = u ?? Vec2.vec2(1, 0);
+        v = v ?? Vec2.normal2D(u);
+        return { origin, u, v };
+    }
+
+    /**
+     * Computes the contravariant basis for a given basis
+     * 
+     * As the basis vectors are not required to be normalized or orthogonal, the contravariant basis can be used to determine the coordinates of a vector in the given basis
+     * 
+     * @param {{x:Number, y:Number}} u The first axis
+     * @param {{x:Number, y:Number}} v The second axis
+     * @returns {{u: {x:Number, y:Number}, v: {x:Number, y:Number}}} The contravariant basis vectors
+     */
+    static computeContravariantBasis(u, v) {
+        const u2 = Vec2.len2(u);
+        const v2 = Vec2.len2(v);
+        const dotUV = Vec2.dot(u, v);
+        const a = 1 / (u2 * v2 - dotUV * dotUV);
+
+        const up = Vec2.add(Vec2.scale(u, a * v2), Vec2.scale(v, -a * dotUV));
+        const vp = Vec2.add(Vec2.scale(u, -a * dotUV), Vec2.scale(v, a * u2));
+
+        return { u: up, v: vp };
+    }
+    /**
+     * Computes the world coordinates of a vector specified in the local coordinates
+     * 
+     * As a vector has no position, this just depends on the axes
+     * 
+     * @param {{x:Number, y:Number}} coords The local coordintaes
+     * @param {Object} coordSystem
+     * @param {{x:Number, y:Number}} coordSystem.u The first axis
+     * @param {{x:Number, y:Number}} coordSystem.v The second axis
+     * @returns {{x:Number, y:Number}} The world vector
+     */
+    static vectorFromCoordSystem(coords, { u, v }) {
+        return Vec2.add(Vec2.scale(u, coords.x), Vec2.scale(v, coords.y));
+    }
+
+    /**
+     * Computes the world coordinates of a point specified in the local coordinates
+     * 
+     * @param {{x:Number, y:Number}} coords The local coordintaes
+     * @param {Object} coordSystem
+     * @param {{x:Number, y:Number}} coordSystem.origin The origin
+     * @param {{x:Number, y:Number}} coordSystem.u The first axis
+     * @param {{x:Number, y:Number}} coordSystem.v The second axis
+     * @returns {{x:Number, y:Number}} The world point
+     */
+    static pointFromCoordSystem(coords, { origin, u, v }) {
+        return Vec2.add(origin, Vec2.add(Vec2.scale(u, coords.x), Vec2.scale(v, coords.y)));
+    }
+
+    /**
+     * Computes, whether a coordinate system is right-handed
+     * @param {{x:Number, y:Number}} u The first axis
+     * @param {{x:Number, y:Number}} v The second axis
+     * @returns True, if the coordinate system is right-handed, otherwise false
+     */
+    static isRightHanded(u, v) {
+        // check whether the determinant of the matrix made up of both base cectors is non-negative
+        return u.x * v.y - u.y * v.x >= 0;
+    }
+
+    /**
+     * Default values
+     * @param {Object} [params]
+     * @param {{orign : {x:Number, y:Number}, u : {x:Number, y:Number}, v: {x:Number, y:Number}}} [params.local] The local coordinate system
+     * @param {{orign : {x:Number, y:Number}, u : {x:Number, y:Number}, v: {x:Number, y:Number}}} [params.prent] The parent coordinate system
+     */
+    constructor({ local = {}, parent = {} } = {}) {
+
+        this.local = local;
+        this.parent = parent;
+    }
+
+    /**
+     * Creates a coordinate system by specifying local origin and axes
+     * 
+     * If the first axis (u) is given, the second default value will be overriden by the given second axis (v) as well, even if that is empty.
+     * That means, if u is not given, v will also be set to empty and used the default values, if they are set.
+     * If v is empty, it will be computed as the normal to u.
+     * 
+     * When not given any values, the defaults are the usual coordinate axies with origin (0,0) and u = (1,0), v = (0,1)
+     * 
+     * @param {Object} [params]
+     * @param {Number | Object} [params.origin] Either the index or value of a TYPE_POINT. The local origin
+     * @param {Number | Object} [params.u] Either the index or value of a TYPE_VECTOR. The first axis
+     * @param {Number | Object} [params.v] Either the index or value of a TYPE_VECTOR. The second axis
+     * @param {Number | Object} [params.parent] Either the index or value of a TYPE_COORD_SYSTEM. The parent coordinate system
+     * @returns {CreateInfo} The creation info
+     */
+    static fromValues({ origin = EMPTY, u = EMPTY, v = EMPTY, parent = EMPTY } = {}) {
+        return CreateInfo.new("v", { origin, u, v, parent });
+    }
+
+    /**
+     * Creates a coordinate system by specifying a transformation of the local axes
+     * 
+     * @param {Object} [params]
+     * @param {Number | Object} [params.translation] Either the index or value of a TYPE_VECTOR. The translation of the origin
+     * @param {Number | Object} [params.rotation] Either the index or value of a TYPE_NUMBER. The rotation angle of the first axis
+     * @param {Number | Object} [params.scale] Either the index or value of either type TYPE_VECTOR or TYPE_NUMBER. The scaling factor
+     * @param {Number | Object} [params.parent] Either the index or value of a TYPE_COORD_SYSTEM. The parent coordinate system
+     * @param {Object} [defaultValues]
+     * @param {{x: Number, y:Number}} [defaultValues.translation] Default value for the translation
+     * @param {Number} [defaultValues.rotation] Default value for the rotation angle
+     * @param {Number | {x: Number, y:Number}} [defaultValues.scale] Default value for the scale
+     * @returns {CreateInfo} The creation info
+     */
+    static fromTransform({ translation = EMPTY, rotation = EMPTY, scale = EMPTY, parent = EMPTY }, defaultValues) {
+        const { translation: t = { x: 0, y: 0 }, rotation: rot = 0, scale: s = { x: 1, y: 1 } } = defaultValues;
+        return CreateInfo.new("t", { translation, rotation, scale, parent }, {
+            translation: t, rotation: rot, scale: s
+        });
+    }
+
+    /**
+     * Creates a coordinate system that consist of the same origin but the contravarint base vectors as the given system
+     * 
+     * @param {Number | Object} system Either the index or value of a TYPE_COORD_SYSTEM. The system which this one is based on
+     * @param {Number | Object} [parent] Either the index or value of a TYPE_COORD_SYSTEM. The parent coordinate system
+     * @returns {CreateInfo} The creation info
+     */
+    static fromContravariant(system, parent = EMPTY) {
+        return CreateInfo.new("c", { system, parent });
+    }
+
+    /**
+     * Computes the coordinate system
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} An object of type TYPE_COORD_SYSTEM
+     */
+    compute(info) {
+        const { dependencies, params } = info;
+
+        let { local, parent } = this;
+        // copy values so they can be overriden
+        local = Object.assign({}, local);
+        parent = Object.assign({}, parent);
+
+        if (info.name === "v") {
+            const { origin, u, v, parent: parent0 } = dependencies;
+
+            if (!isParamEmpty(origin)) {
+                assertType(origin, TYPE_POINT);
+                local.origin = origin;
+            }
+
+            if (!isParamEmpty(u)) {
+                assertType(u, TYPE_VECTOR);
+                local.u = u;
+            }
+            if (!isParamEmpty(v)) {
+                assertType(v, TYPE_VECTOR);
+                local.v = v;
+            } else {
+                local.v = null;
+            }
+
+            if (!isParamEmpty(parent0)) {
+                assertType(parent0, TYPE_COORD_SYSTEM);
+                parent = parent0;
+            }
+
+        } else if (info.name === "t") {
+            let { translation, rotation, scale } = params;
+            if (typeof scale === "number") {
+                scale = Vec2.vec2(scale, scale);
+            }
+            const { translation: t0, rotation: r0, scale: s0, parent: parent0 } = dependencies;
+
+            if (!isParamEmpty(t0)) {
+                assertType(t0, TYPE_VECTOR);
+                translation = t0;
+            }
+            if (!isParamEmpty(s0)) {
+                assertType(s0, TYPE_VECTOR, TYPE_NUMBER);
+                if (s0.type === TYPE_VECTOR) {
+                    scale = s0;
+                } else {
+                    scale = Vec2.vec2(s0.value, s0.value);
+                }
+            }
+
+            if (!isParamEmpty(r0)) {
+                assertType(r0, TYPE_NUMBER);
+                rotation = r0.value;
+            }
+
+            // compute T * R * S
+            let u = Vec2.vec2(scale.x, 0);
+            let v = Vec2.vec2(0, scale.y);
+            u = Vec2.rotate(u, rotation);
+            v = Vec2.rotate(v, rotation);
+            local.u = u;
+            local.v = v;
+            local.origin = translation;
+
+            if (!isParamEmpty(parent0)) {
+                assertType(parent0, TYPE_COORD_SYSTEM);
+                parent = parent0;
+            }
+        } else if (info.name === "c") {
+            const { origin, u, v, parent: parent0 } = dependencies;
+
+            if (!isParamEmpty(origin)) {
+                assertType(origin, TYPE_POINT);
+                local.origin = origin;
+            }
+
+            if (!isParamEmpty(u)) {
+                assertType(u, TYPE_VECTOR);
+                local.u = u;
+            }
+            if (!isParamEmpty(v)) {
+                assertType(v, TYPE_VECTOR);
+                local.v = v;
+            } else {
+                local.v = null;
+            }
+
+            if (!isParamEmpty(parent0)) {
+                assertType(parent0, TYPE_COORD_SYSTEM);
+                parent = parent0;
+            }
+
+            // we want to have everything in world space
+            // as the contravariant base vectors transform inversely to the covariant ones, we will do the computation here
+            local = DefCoordSystem.createSystem(local);
+            parent = DefCoordSystem.createSystem(parent);
+            const o = Vec2.add(parent.origin,
+                DefCoordSystem.vectorFromCoordSystem(local.origin, parent))
+            let uc = DefCoordSystem.vectorFromCoordSystem(local.u, parent);
+            let vc = DefCoordSystem.vectorFromCoordSystem(local.v, parent);
+
+            ({ u: uc, v: vc } = DefCoordSystem.computeContravariantBasis(uc, vc));
+            return makeCoordinateSystem(o, uc, vc);
+
+        } else if (info !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
+
+        // we do this geometrically by specifying the final axes as linear combinations of the parent
+        // a matrix view is the same, but might be easier to read/generalize
+
+        // compute the origin in the parent coordinates
+        // here, we always assume the parent to be specified in world coordinates
+        // this way, all vectors computed from this system can be treated the same way as other vectors
+        local = DefCoordSystem.createSystem(local);
+        parent = DefCoordSystem.createSystem(parent);
+        const origin = Vec2.add(parent.origin,
+            DefCoordSystem.vectorFromCoordSystem(local.origin, parent))
+        const u = DefCoordSystem.vectorFromCoordSystem(local.u, parent);
+        const v = DefCoordSystem.vectorFromCoordSystem(local.v, parent);
+
+        return makeCoordinateSystem(origin, u, v);
+    }
+}
+
+/**
+ * Some operations for working with coordinatae systems
+ */
+class DefCoordSystemOps {
+
+    /**
+     * Computes the world coordinates of a point defined in the given coordinate system
+     * 
+     * The resulting type is the same as the one of v
+     * 
+     * @param {Number | Object} v Either the index or value of TYPE_POINT or TYPE_VECTOR. The input point or vector
+     * @param {Number | Object} [system] Either the index or value of a TYPE_COORD_SYSTEM. The system in which the point or vector is defined in
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPointOrVec(v, coordSystem = EMPTY) {
+        return CreateInfo.new("v", { v, coordSystem });
+    }
+
+    /**
+     * Computes the local coordinates in the given coordinate system of a point defined in world space
+     * 
+     * The resulting type is the same as the one of v.
+     * 
+     * For vectors, the reference is transformed as well
+     * 
+     * @param {Number | Object} v Either the index or value of TYPE_POINT or TYPE_VECTOR. The input point or vector
+     * @param {Number | Object} [system] Either the index or value of a TYPE_COORD_SYSTEM. The system
+     * @returns {CreateInfo} The creation info
+     */
+    static fromToCoordinates(v, coordSystem = EMPTY) {
+        return CreateInfo.new("c", { v, coordSystem });
+    }
+
+    /**
+     * Computes, whether the given coordinte system is left or right-handed.
+     * 
+     * The resulting type is TYPE_BOOLEAN
+     * 
+     * @param {Number | Object} system Either the index or value of a TYPE_COORD_SYSTEM. The system
+     * @returns {CreateInfo} The creation info
+     */
+    static fromIsRightHanded(coordSystem) {
+        return CreateInfo.new("r", { coordSystem });
+    }
+
+    /**
+     * Computes the operation
+     * 
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} An object with a type dependent on the specified operation
+     */
+    compute(info) {
+        const { dependencies, params } = info;
+        if (info.name === "v") {
+            const { v, coordSystem } = dependencies;
+            assertExistsAndNotOptional(v);
+            assertType(v, TYPE_POINT, TYPE_VECTOR);
+
+            let cs = coordSystem;
+            if (!isParamEmpty(cs)) {
+                assertType(cs, TYPE_COORD_SYSTEM);
+            } else {
+                cs = DefCoordSystem.createSystem();
+            }
+
+            // coords relative to coord origin
+            let vw = DefCoordSystem.vectorFromCoordSystem(v, cs);
+            if (v.type === TYPE_POINT) {
+                vw = Vec2.add(vw, cs.origin);
+                return makePoint(vw);
+            } else {
+                let ref = DefCoordSystem.vectorFromCoordSystem(v.ref, cs);
+                ref = Vec2.add(cs.origin, ref);
+                return makeVector({ x: vw.x, y: vw.y, ref });
+            }
+        } else if (info.name === "c") {
+            const { v, coordSystem } = dependencies;
+            assertExistsAndNotOptional(v);
+            assertType(v, TYPE_POINT, TYPE_VECTOR);
+
+            let cs = coordSystem;
+            if (!isParamEmpty(cs)) {
+                assertType(cs, TYPE_COORD_SYSTEM);
+            } else {
+                cs = DefCoordSystem.createSystem();
+            }
+
+            // coordintes are computes with the covariant base
+            const { u: uc, v: vc } = DefCoordSystem.computeContravariantBasis(cs.u, cs.v);
+            let p = v;
+            if (v.type === TYPE_POINT) {
+                p = Vec2.sub(p, cs.origin);
+                let pu = Vec2.dot(p, uc);
+                let pv = Vec2.dot(p, vc);
+                return makePoint({ x: pu, y: pv });
+            } else {
+                let pu = Vec2.dot(p, uc);
+                let pv = Vec2.dot(p, vc);
+
+                let ref = Vec2.sub(v.ref, cs.origin);
+                let ru = Vec2.dot(ref, uc);
+                let rv = Vec2.dot(ref, vc);
+
+                return makeVector({
+                    x: pu, y: pv, ref: {
+                        x: ru, y: rv
+                    }
+                });
+            }
+
+        } else if (info.name === "r") {
+            const { coordSystem } = dependencies;
+            assertExistsAndNotOptional(coordSystem);
+            assertType(coordSystem, TYPE_COORD_SYSTEM);
+            return makeBoolean(DefCoordSystem.isRightHanded(coordSystem.u, coordSystem.v));
+        } else {
+            throw new Error("No suitable constructor");
+        }
+    }
+}
+/**
+ * Definition of a normal vector  that can be constructed in various ways. 
+ * A vector consists of x and y coordinates specifying its direction and length and a reference point to which it is attached to.
+ * While a mathematical vector is of course not bound to a specific point, this makes working with and displaying vectors easier
+ */
+class DefNormalVector {
+
+    /**
+     * Constructor sets default values
+     * @param {Object} params
+     * @param {{x:Number, y:Number}} params.ref The point to which this vector is attached to
+     * @param {Boolean} params.normalize Whether or not this vector should be normalized
+     */
+    constructor({
+        normalize = false,
+        ref = { x: 0, y: 0 },
+    } = {}) {
+        this.normalize = normalize;
+        this.ref = ref;
+    }
+
+    /**
+     * Creates a new normal vector from the position vector of a point.
+     * @param {Object} params
+     * @param {Number | Object} params.p Either the index or value of a TYPE_POINT. The position
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPointCoordinates({ p, ref = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("pc", { p, ref, normalize });
+    }
+
+    /**
+     * Creates a new normal vector from a line segment
+     * The vector will use the first line point as a reference and point to the second point
+     * @param {Number | Object} line  Either the index or value of a TYPE_LINE. The line
+     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromLine({ line, ref = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("l", { line, ref, normalize });
+    }
+    /**
+     * Creates a new normal vector from another vector.
+     * If only a vector and no reference is given, the other vector's reference is used
+     * @param {Object} params
+     * @param {Number | Object} params.v Either the index or value of a TYPE_VECTOR. The vector
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVector({ v, ref = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("v", { v, ref, normalize });
+    }
+
+    /**
+     * Creates a new normal vector from individual vector components
+     * @param {Object} params
+     * @param {Number | Object} params.x Either the index or value of a TYPE_NUMBER. The x coordinate
+     * @param {Number | Object} params.y Either the index or value of a TYPE_NUMBER. The y coordinate
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCoordinates({ x, y, ref = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("c", { x, y, ref, normalize });
+    }
+
+    /**
+     * Creates a new normal vector from two points
+     * The vector will use the first point as a reference and point to the second point
+     * @param {Object} params
+     * @param {Number | Object} params.p0  Either the index or value of a TYPE_POINT. The first point
+     * @param {Number | Object} params.p1  Either the index or value of a TYPE_POINT. The second point
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints({ p0, p1, ref = EMPTY, normalize = EMPTY }) {
+        return CreateInfo.new("pp", { p0, p1, ref, normalize });
+    }
+
+    /**
+     * Creates a normal at a point with respect to the given arc/circle.
+     * The point is the reference point as well.
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Number | Object} arc Either the index or value of a TYPE_ARC. The circle
+     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromArc(p, arc, normalize = EMPTY) {
+        return CreateInfo.new("arc", { p, arc, normalize });
+    }
+    /**
+     * Creates a normal at a point with respect to the given ellipse.
+     * The point is the reference point as well.
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
+     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromEllipse(p, ellipse, normalize = EMPTY) {
+        return CreateInfo.new("eli", { p, ellipse, normalize });
+    }
+
+    /**
+     * Computes the normal of a point with respect to a circle.
+     * Will be scaled according to 2 / r^2 [x,y]
+     * @param {{x:Number, y:Number}} p The point
+     * @param {{x:Number, y:Number}} center The circle center
+     * @param {Number} r The circle radius
+     * @returns {{x:Number, y:Number}} The circle normal
+     */
+    static circleNormal(p, center, r) {
+        // compute the normal
+        // implicit arc is (one version)
+        // x^2 / r^2 + y^2 / r^2 - 1 = 0   
+
+        // normal is the gradient
+        // 2 / r^2 [x, y]
+        p = vSub(p, center);
+        return vScale(p, 2 / (r * r));
+    }
+
+    /**
+     * Computes the normal of a point with respect to an ellipse.
+     * Will be scaled according to  [2x / rx^2 , 2y / ry^2]
+     * @param {{x:Number, y:Number}} p The point
+     * @param {{x:Number, y:Number}} center The ellipse center
+     * @param {Number} rx The ellipse x-eccentricity
+     * @param {Number} ry The ellipse y-eccentricity
+     * @param {Number} rotation The ellipse rotation
+     * @returns {{x:Number, y:Number}} The normal
+     */
+    static ellipseNormal(p, center, rx, ry, rotation) {
+        // unrotated ellipse is e(x,y) =  x^2 / a^2 +  y^2 / b^2 - 1 = 0
+        // we choose this version so the normal vectors resemble the length of polar coordinates
+        // normal = grad e = [2x / a^2 , 2y / b^2]
+
+        // to get (x,y), we just transform q into the local system (not unit circle)
+        // then we rotate the final result back
+
+        let q = vSub(p, center);
+        q = vRotate(q, -rotation);
+        let n = vVec2(2 * q.x / (rx * rx), 2 * q.y / (ry * ry));
+        // rotate
+        n = vRotate(n, rotation);
+
+        return n;
+    }
+
+    /**
+     * Computes the normal vector value
+     * @param {CreateInfo} createInfo The create information
+     * @returns {Object} The normal with type TYPE_VECTOR
+     */
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        let { normalize, ref } = this;
+
+        let n;
+        if (createInfo.name === "pc") {
+            const { p, ref: refp, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(p);
+            assertType(p, TYPE_POINT);
+
+            if (!isParamEmpty(refp)) {
+                assertType(refp, TYPE_POINT);
+                ref = refp;
+            }
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+
+            n = normal2D(p);
+
+        } else if (createInfo.name === "l") {
+            const { line, ref: refp, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(line);
+            assertType(line, TYPE_LINE);
+
+            const { p0, p1 } = line;
+
+            n = normal2D(vSub(p1, p0));
+            ref = p0;
+
+            if (!isParamEmpty(refp)) {
+                assertType(refp, TYPE_POINT);
+                ref = refp;
+            }
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else if (createInfo.name === "v") {
+            const { v, ref: refp, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(v);
+            assertType(v, TYPE_VECTOR);
+
+            n = normal2D(v);
+            ref = v.ref;
+
+            if (!isParamEmpty(refp)) {
+                assertType(refp, TYPE_POINT);
+                ref = refp;
+            }
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else if (createInfo.name === "c") {
+            const { x: xv, y: yv, ref: refp, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(xv, yv);
+            assertType(xv, TYPE_NUMBER);
+            assertType(yv, TYPE_NUMBER);
+
+            n = normal2D(vVec2(xv.val, yv.val));
+            if (!isParamEmpty(refp)) {
+                assertType(refp, TYPE_POINT);
+                ref = refp;
+            }
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else if (createInfo.name === "pp") {
+            const { p0, p1, ref: refp, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(p0, p1);
+            assertType(p0, TYPE_POINT);
+            assertType(p1, TYPE_POINT);
+
+            n = normal2D(vSub(p1, p0));
+            ref = p0;
+
+            if (!isParamEmpty(refp)) {
+                assertType(refp, TYPE_POINT);
+                ref = refp;
+            }
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else if (createInfo.name === "arc") {
+            const { p, arc, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(p, arc);
+            assertType(p, TYPE_POINT);
+            assertType(arc, TYPE_ARC);
+
+            const { r, center } = arc;
+
+            n = DefNormalVector.circleNormal(p, center, r);
+
+            ref = p;
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else if (createInfo.name === "eli") {
+            const { p, ellipse, normalize: normalizeN } = dependencies;
+            assertExistsAndNotOptional(p, ellipse);
+            assertType(p, TYPE_POINT);
+            assertType(ellipse, TYPE_ELLIPSE);
+
+            const { rx, ry, rotation, center } = ellipse;
+
+            n = DefNormalVector.ellipseNormal(p, center, rx, ry, rotation);
+
+            ref = p;
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+        } else {
+            throw new Error(`No suitable constructor found`);
+        }
+
+
+        if (normalize) {
+            n = vNormalizeIfNotZero(n);
+        }
+        return makeVector({ x: n.x, y: n.y, ref });
+
+    }
+}
+
+/**
+ * Definition of a perpendicular line going through a point
+ */
+class DefPerpendicularLine {
+
+    /**
+     * Creates a new perpendicular line from a vector or a line.
+     * The line will use the first point of a line or the vector reference as a point through which it goes
+     * @param {Object} params
+     * @param {Number | Object} params.v  Either the index or value of a TYPE_POINT | TYPE_LINE. The vector or line
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVectorsOrLine({ v, ref = EMPTY }) {
+        return CreateInfo.new("vl", { v, ref });
+    }
+    /**
+     * Computes the perpendicular line
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The line with TYPE_LINE
+     */
+    compute(createInfo) {
+
+        const { dependencies } = createInfo;
+
+        let ref = { x: 0, y: 0 };
+        let v = { x: 0, y: 0 };
+
+        if (createInfo.name === "vl") {
+            const { v: vn, ref: refn } = dependencies;
+            if (isParamEmpty(vn)) {
+                throw new Error(`Expected non-empty parameter`);
+            }
+            if (vn.type === TYPE_VECTOR) {
+                ref = vn.ref;
+                v = Object.assign({}, vn);
+            } else if (vn.type === TYPE_LINE) {
+                const { p0, p1 } = vn;
+                ref = p0;
+                v = vSub(p1, p0);
+            } else {
+                throw new Error(`Expected vector or line`);
+            }
+            if (!isParamEmpty(refn)) {
+                if (refn.type !== TYPE_POINT) {
+                    throw new Error(`Expected point`);
+                }
+                ref = refn;
+            }
+        } else {
+            throw new Error(`No suitable constructor found`);
+        }
+
+        const n = normal2D({ x: v.x, y: v.y });
+        const pn = vAdd(ref, n);
+        return makeLine({
+            p0: ref, p1: pn, leftOpen: true, rightOpen: true
+        });
+    }
+}
+/**
+ * Definition of a parallel line being a certain distance away from another
+ */
+class DefParallelLine {
+    /**
+     * Default values
+     * @param {Object} params
+     * @param {Number} distance The distance the parallel line should be displaced by
+     */
+    constructor({ distance = 1 } = {}) {
+        this.distance = distance;
+    }
+
+
+    #createFromRefDir(ref, dir, dist) {
+        const n = normal2D(dir);
+
+        // normalize n
+        const nl = vLen(n);
+        if (nl < 1E-10) {
+            return INVALID;
+        }
+        n.x /= nl;
+        n.y /= nl;
+
+        // move ref along n
+        const p0 = vAdd(ref, vScale(n, dist));
+
+        const p1 = vAdd(p0, dir);
+
+        return makeLine({
+            p0, p1, leftOpen: true, rightOpen: true
+        });
+    }
+
+    /**
+     * Creates a new parallel line from a vector or a line.
+     * @param {Object} params
+     * @param {Number | Object} params.v  Either the index or value of a TYPE_POINT | TYPE_LINE. The vector or line
+     * @param {Number | Object} [params.distance] Either the index or value of a TYPE_NUMBER. The distance to the input line or vector
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVectorsOrLine({
+        v, distance = EMPTY
+    }) {
+        return CreateInfo.new("vld", { v, distance });
+    }
+    /**
+     * Creates a new parallel line from a vector or a line.
+     * The line will use the first point of a line or the vector reference as a point through which it goes
+     * @param {Object} params
+     * @param {Number | Object} params.v  Either the index or value of a TYPE_POINT | TYPE_LINE. The vector or line
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVectorsOrLineRef({
+        v, ref = EMPTY
+    }) {
+        return CreateInfo.new("vlr", { v, ref });
+    }
+
+    /**
+     * Computes the parallel line
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} Parallel line of TYPE_LINE
+     */
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+
+        let { distance } = this;
+        let ref = { x: 0, y: 0 };
+        let v = { x: 0, y: 0 };
+
+        if (createInfo.name === "vlr") {
+            const { v: obj, ref: refn } = dependencies;
+
+            if (isParamEmpty(obj)) {
+                throw new Error(`Expected non-empty`);
+            }
+
+            if (obj.type === TYPE_VECTOR) {
+                v = obj;
+                ref = obj.ref;
+            } else if (obj.type === TYPE_LINE) {
+                const { p0, p1 } = obj;
+                v = vSub(p1, p0);
+                ref = p0;
+            } else {
+                throw new Error(`Expected vector or line`);
+            }
+
+            if (!isParamEmpty(refn)) {
+                if (refn.type !== TYPE_POINT) {
+                    throw new Error(`Expected point`);
+                }
+                ref = refn;
+                distance = 0;
+            }
+        } else if (createInfo.name === "vld") {
+            const { v: obj, distance: distancen } = dependencies;
+
+            if (isParamEmpty(obj)) {
+                throw new Error(`Expected non-empty`);
+            }
+
+            if (obj.type === TYPE_VECTOR) {
+                v = obj;
+                ref = obj.ref;
+            } else if (obj.type === TYPE_LINE) {
+                const { p0, p1 } = obj;
+                v = vSub(p1, p0);
+                ref = p0;
+            } else {
+                throw new Error(`Expected vector or line`);
+
+            }
+
+
+            if (!isParamEmpty(distancen)) {
+                if (distancen.type !== TYPE_NUMBER) {
+                    throw new Error(`Expected number`);
+                }
+                distance = distancen.value;
+            }
+        } else {
+            throw new Error("No suitable constructor found");
+        }
+
+        return this.#createFromRefDir(ref, v, distance);
+    }
+}
+
+/**
+ * Definition of the bisector of an angle.
+ * Both the internal bisector, that halves the angle, and the external one, perpendicular to it, are supported
+ */
+class DefAngleBisector {
+
+    /**
+     * Creates the bisector of an angle.
+     * The line starts at the angle's reference point
+     * @param {Number | Object} angle Either the index or value of a TYPE_ANGLE
+     * @param {Object} [params]
+     * @param {Boolean} [params.external] Whether to compute the external bisector
+     * @param {Number} [params.length] The distance between the two points of the resulting line
+     * @param {Boolean} [params.leftOpen] Whether the line extends to infinity from the angle's reference point
+     * @param {Boolean} [params.rightOpen] Whether the line extends to infinity from the second point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromAngle(angle, { external = false, length = 1, leftOpen = false, rightOpen = true } = {}) {
+        return CreateInfo.new("a", { angle }, { external, length, leftOpen, rightOpen });
+    }
+
+    /**
+     * Creates the bisector of the angle between two lines or vectors.
+     * The angle is measured counter-clockwise from the first to the second object as in @see{DefAngle.fromVectorsOrLines} and the line starts at the intersection of the objects.
+     * Parallel objects don't have a bisector
+     * @param {Number | Object} v0 Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]
+     * @param {Number | Object} v1 Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]
+     * @param {Object} [params]
+     * @param {Boolean} [params.external] Whether to compute the external bisector
+     * @param {Number} [params.length] The distance between the two points of the resulting line
+     * @param {Boolean} [params.leftOpen] Whether the line extends to infinity from the intersection
+     * @param {Boolean} [params.rightOpen] Whether the line extends to infinity from the second point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVectorsOrLines(v0, v1, { external = false, length = 1, leftOpen = false, rightOpen = true } = {}) {
+        return CreateInfo.new("vl", { v0, v1 }, { external, length, leftOpen, rightOpen });
+    }
+
+    /**
+     * Creates the bisector of the angle given by three points. The angle is measured counter-clockwise around the middle one
+     * as in @see{DefAngle.fromPoints}, where the line starts
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p2 Either the index or value of a TYPE_POINT
+     * @param {Object} [params]
+     * @param {Boolean} [params.external] Whether to compute the external bisector
+     * @param {Number} [params.length] The distance between the two points of the resulting line
+     * @param {Boolean} [params.leftOpen] Whether the line extends to infinity from the middle point
+     * @param {Boolean} [params.rightOpen] Whether the line extends to infinity from the second point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints(p0, p1, p2, { external = false, length = 1, leftOpen = false, rightOpen = true } = {}) {
+        return CreateInfo.new("ppp", { p0, p1, p2 }, { external, length, leftOpen, rightOpen });
+    }
+
+    /**
+     * Computes the direction of the bisector between two directions.
+     * The angle is measured counter-clockwise from the first to the second direction as in @see{DefAngle},
+     * so the bisector of an angle larger than 180° points away from the smaller angle
+     * @param {{x:Number, y:Number}} d0 The first direction
+     * @param {{x:Number, y:Number}} d1 The second direction
+     * @param {Boolean} [external] Whether to compute the direction of the external bisector
+     * @param {Number} [eps] The epsilon value to detect zero directions
+     * @returns {{x:Number, y:Number} | null} The normalized direction or null, if one of the directions is zero
+     */
+    static computeDirection(d0, d1, external = false, eps = 1E-10) {
+        const l0 = vLen(d0);
+        const l1 = vLen(d1);
+        if (l0 < eps || l1 < eps) {
+            return null;
+        }
+        const n0 = vScale(d0, 1 / l0);
+
+        let d = vRotate(n0, 0.5 * orientedAngle(d0, d1));
+        if (external) {
+            d = normal2D(d);
+        }
+        return d;
+    }
+
+    /**
+     * Computes the bisector
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The bisector of type TYPE_LINE or INVALID, if it is not defined
+     */
+    compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        const { external, length, leftOpen, rightOpen } = params;
+
+        let ref;
+        let dir;
+        if (createInfo.name === "a") {
+            const { angle } = dependencies;
+            assertExistsAndNotOptional(angle);
+            assertType(angle, TYPE_ANGLE);
+
+            ref = angle.ref;
+            dir = vPolar(1, angle.start + angle.value * 0.5);
+            if (external) {
+                dir = normal2D(dir);
+            }
+        } else if (createInfo.name === "vl") {
+            const { v0, v1 } = dependencies;
+            assertExistsAndNotOptional(v0, v1);
+            assertType(v0, TYPE_VECTOR, TYPE_LINE);
+            assertType(v1, TYPE_VECTOR, TYPE_LINE);
+
+            const [p0, d0] = v0.type === TYPE_LINE ? [v0.p0, vSub(v0.p1, v0.p0)] : [v0.ref, v0];
+            const [p1, d1] = v1.type === TYPE_LINE ? [v1.p0, vSub(v1.p1, v1.p0)] : [v1.ref, v1];
+
+            ref = intersectLines(p0, vAdd(p0, d0), p1, vAdd(p1, d1));
+            if (!ref) {
+                return INVALID;
+            }
+            dir = DefAngleBisector.computeDirection(d0, d1, external);
+        } else if (createInfo.name === "ppp") {
+            const { p0, p1, p2 } = dependencies;
+            assertExistsAndNotOptional(p0, p1, p2);
+            assertType(p0, TYPE_POINT);
+            assertType(p1, TYPE_POINT);
+            assertType(p2, TYPE_POINT);
+
+            ref = p1;
+            dir = DefAngleBisector.computeDirection(vSub(p0, p1), vSub(p2, p1), external);
+        } else {
+            throw new Error("No suitable constructor found");
+        }
+
+        if (!dir) {
+            return INVALID;
+        }
+
+        return makeLine({
+            p0: { x: ref.x, y: ref.y }, p1: vAdd(ref, vScale(dir, length)), leftOpen, rightOpen
+        });
+    }
+}
+
+/**
+ * Definition of the perpendicular bisector of two points or a line segment.
+ * The resulting line starts at the midpoint and its second point is rotated by 90° counter-clockwise from the second input point
+ */
+class DefPerpendicularBisector {
+
+    /**
+     * Creates the perpendicular bisector of two points
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT
+     * @param {Object} [params]
+     * @param {Boolean} [params.leftOpen] Whether the line extends to infinity from the midpoint
+     * @param {Boolean} [params.rightOpen] Whether the line extends to infinity from the second point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints(p0, p1, { leftOpen = true, rightOpen = true } = {}) {
+        return CreateInfo.new("pp", { p0, p1 }, { leftOpen, rightOpen });
+    }
+
+    /**
+     * Creates the perpendicular bisector of the segment between the two points of a line
+     * @param {Number | Object} line Either the index or value of a TYPE_LINE
+     * @param {Object} [params]
+     * @param {Boolean} [params.leftOpen] Whether the line extends to infinity from the midpoint
+     * @param {Boolean} [params.rightOpen] Whether the line extends to infinity from the second point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromSegment(line, { leftOpen = true, rightOpen = true } = {}) {
+        return CreateInfo.new("l", { line }, { leftOpen, rightOpen });
+    }
+
+    /**
+     * Computes the perpendicular bisector
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The bisector of type TYPE_LINE or INVALID, if both points coincide
+     */
+    compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        const { leftOpen, rightOpen } = params;
+
+        let a;
+        let b;
+        if (createInfo.name === "pp") {
+            const { p0, p1 } = dependencies;
+            assertExistsAndNotOptional(p0, p1);
+            assertType(p0, TYPE_POINT);
+            assertType(p1, TYPE_POINT);
+            a = p0;
+            b = p1;
+        } else if (createInfo.name === "l") {
+            const { line } = dependencies;
+            assertExistsAndNotOptional(line);
+            assertType(line, TYPE_LINE);
+            a = line.p0;
+            b = line.p1;
+        } else {
+            throw new Error("No suitable constructor found");
+        }
+
+        const half = vScale(vSub(b, a), 0.5);
+        if (vLen(half) < 1E-10) {
+            return INVALID;
+        }
+        const m = vAdd(a, half);
+        return makeLine({
+            p0: m, p1: vAdd(m, normal2D(half)), leftOpen, rightOpen
+        });
+    }
+}
+
+/**
+ * Definition of a vector reflected along a normal
+ */
+class DefReflection {
+    /**
+     * Default values
+     * @param {Boolean} normalize Whether the vector should be normalized
+     */
+    constructor(normalize = false) {
+        this.normalize = normalize;
+    }
+
+    /**
+     * Computes the reflection of a vector along a normal.
+     * @param {Object} params
+     * @param {Number | Object} params.v Either the index or value of a TYPE_VECTOR. The vector to be reflected
+     * @param {Number | Object} params.n Either the index or value of a TYPE_VECTOR. The normal
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVectorNormal({
+        v, n, ref = EMPTY, normalize = EMPTY
+    }) {
+        return CreateInfo.new("vn", { v, n, ref, normalize });
+    }
+
+    /**
+     * Computes the reflection of an incident diretion I along a vector N: I - 2.0 * dot(N, I) * N
+     * @param {{x:Number, y:Number}} i The incident direction
+     * @param {{x:Number, y:Number}} n The normal
+     * @returns {{x:Number, y:Number}} The reflected vector
+     */
+    static reflectVector(i, n) {
+        // I - 2.0 * dot(N, I) * N. 
+        const dotni = vDot(i, n);
+        return vSub(i, vScale(n, 2.0 * dotni));
+    }
+
+    /**
+     * Computes the reflection
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The reflection with type TYPE_VECTOR
+     */
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        let { normalize } = this;
+
+        if (createInfo.name === "vn") {
+            const { v, n, ref: refn, normalize: normalizeN } = dependencies;
+
+            assertExistsAndNotOptional(v, n);
+            assertType(v, TYPE_VECTOR);
+            assertType(n, TYPE_VECTOR);
+
+            let ref = v.ref;
+
+            let r = DefReflection.reflectVector(v, n);
+
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
+            if (normalize) {
+                r = vNormalizeIfNotZero(r);
+            }
+
+            if (!isParamEmpty(refn)) {
+                assertType(refn, TYPE_POINT);
+                ref = refn;
+            }
+            return makeVector({ x: r.x, y: r.y, ref });
+
+        } else {
+            throw new Error("No suitable constructor found");
+        }
+    }
+}
+/**
+ * Definition of a vector refracted along a normal
+ */
+class DefRefraction {
+
+    /**
+     * Default values
+     * @param {Object} params
+     * @param {Number} params.eta Ratio of the index of refractions of the two media
+     * @param {Boolean} params.normalize  Whether the vector should be normalized
+     */
+    constructor({ eta = 1, normalize = false } = {}) {
+        this.eta = eta;
+        this.normalize = normalize;
+    }
+    /**
+     * Computes the refraction of a vector along a normal.
+     * @param {Object} params
+     * @param {Number | Object} params.v Either the index or value of a TYPE_VECTOR. The vector to be refracted
+     * @param {Number | Object} params.n Either the index or value of a TYPE_VECTOR. The normal
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @param {Number | Object} [params.eta] Either the index or value of a TYPE_NUMBER. The ratio of refractive indices. 
+     * Will be inverted, if the incoming direction points into the same half space as the normal
+     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVectorNormal({
+        v, n, ref = EMPTY, eta = EMPTY, normalize = EMPTY
+    }) {
+        return CreateInfo.new("vn", { v, n, ref, eta, normalize });
+    }
+
+    /**
+     * Computes the refraction of an incident diretion I along a vector N
+     * @param {{x:Number, y:Number}} i The incident direction
+     * @param {{x:Number, y:Number}} n The normal
+     * @param {Number} eta The ratio of refractive indices. 
+     * Will be inverted, if the incoming direction points into the same half space as the normal
+     * @returns {{x:Number, y:Number} | null} The refracted vector. In case of total internal reflection, null will be returned
+     */
+    static refractVector(i, n, eta) {
+        n = Object.assign({}, n);
+        let dotni = vDot(i, n);
+        if (dotni > 0) {
+            dotni = -dotni;
+            n.x *= -1;
+            n.y *= -1;
+            eta = 1.0 / eta;
+        }
+
+        // following glsl
+        // k = 1.0 - eta * eta * (1.0 - dot(N, I) * dot(N, I));
+        //     if (k < 0.0)
+        //     R = genType(0.0);       // or genDType(0.0)
+        // else
+        //     R = eta * I - (eta * dot(N, I) + sqrt(k)) * N;
+        const k = 1.0 - eta * eta * (1.0 - dotni * dotni);
+        if (k < 0.0) {
+            return null;
+        } else {
+            return vSub(
+                vScale(i, eta),
+                vScale(n, eta * dotni + Math.sqrt(k))
+            )
+        }
+
+    }
+
+    /**
+     * Computes the refraction
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The refraction vector with type TYPE_VECTOR
+     */
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+
+        if (createInfo.name === "vn") {
+            const { v, n, ref: refn, normalize: normalizeN, eta: etaN } = dependencies;
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+            let { eta, normalize } = this;
 
-                result.push(makePoint({ ...p[i] }));
-            }
+            assertExistsAndNotOptional(v, n);
+            assertType(v, TYPE_VECTOR);
+            assertType(n, TYPE_VECTOR);
 
-            return result;
-        });
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_ARC, (a, b) => {
+            let ref = v.ref;
 
-            const circleEllipse = makeEllipse({
-                center: b.center, rx: b.r, ry: b.r, startAngle: b.startAngle, endAngle: b.endAngle, rotation: 0
-            });
-            const p = intersectEllipseEllipse(a, circleEllipse);
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
+            }
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+            if (!isParamEmpty(etaN)) {
+                assertType(etaN, TYPE_NUMBER);
+                eta = etaN.value;
+            }
+            if (!isParamEmpty(refn)) {
+                assertType(refn, TYPE_POINT);
+                ref = refn;
+            }
+            let r = DefRefraction.refractVector(v, n, eta);
 
-                result.push(makePoint({ ...p[i] }));
+            if (!r) {
+                return INVALID;
             }
 
-            return result;
-        });
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_LINE_STRIP, (a, b) => {
-            // convert line into local ellipse coordinates
-            let lpoints = b.points;
-            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+            if (normalize) {
+                r = vNormalizeIfNotZero(r);
+            }
 
-            const arcInter = IntersectionRegistry.getIntersector(TYPE_LINE_STRIP, TYPE_ARC);
-            const localLineStrip = makeLineStrip({ points: lpoints });
-            const unitArc = makeArc({
-                r: 1, startAngle: a.startAngle,
-                endAngle: a.endAngle, center: { x: 0, y: 0 }
-            });
-            let p = arcInter(localLineStrip, unitArc);
 
-            // restore points
-            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+            return makeVector({ x: r.x, y: r.y, ref });
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+        } else {
+            throw new Error("No suitable constructor found");
+        }
+    }
+}
 
-                result.push(makePoint({ ...p[i] }));
-            }
+/**
+ * Definition of a polar vector described by its polar coordinates. Will create a TYPE_VECTOR
+ */
+class DefPolarVector {
+    /**
+     * Default values
+     * @param {Object} params
+     * @param {Number} params.r The radius
+     * @param {Number} params.alpha The angle
+     * @param {{x:Number, y:Number}} params.ref The reference point
+     */
+    constructor({ r = 1, alpha = 0, ref = { x: 0, y: 0 } } = {}) {
+        this.r = r;
+        this.alpha = alpha;
+        this.ref = ref;
+    }
+    /**
+     * Creates a new vector from polar coordinates.
+     * @param {Number | Object} polar Either the index or value of a TYPE_POLAR. The polar coordinates
+     * @param {Number | Object} [ref] Either the index or value of a TYPE_POINT. The reference point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPolar(polar, ref = EMPTY) {
+        return CreateInfo.new("pol", { polar, ref });
+    }
 
-            return result;
+    /**
+     * Creates a new vector from an angle measured from a starting angle.
+     * If no start angle is given, the one from the angle object is used
+     * @param {Object} params
+     * @param {Number | Object} params.angle Either the index or value of a TYPE_ANGLE. The angle
+     * @param {Number | Object} [params.startAngle] Either the index or value of a TYPE_NUMBER. The start angle
+     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromAngle({ angle, startAngle = EMPTY, r = EMPTY, ref = EMPTY, }) {
+        return CreateInfo.new("ang", {
+            angle, startAngle, r, ref
         });
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_POLYGON, (a, b) => {
-            // convert line into local ellipse coordinates
-            let lpoints = b.points;
-            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+    }
 
-            const arcInter = IntersectionRegistry.getIntersector(TYPE_POLYGON, TYPE_ARC);
-            const localPolygon = makePolygon({ points: lpoints });
-            const unitArc = makeArc({
-                r: 1, startAngle: a.startAngle,
-                endAngle: a.endAngle, center: { x: 0, y: 0 }
-            });
-            let p = arcInter(localPolygon, unitArc);
+    /**
+     * Creates a new vector from an angle and a radius
+     * @param {Object} params
+     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
+     * @param {Number | Object} [params.alpha] Either the index or value of a TYPE_NUMBER. The angle
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromRadiusAngle({ r = EMPTY, alpha = EMPTY, ref = EMPTY }) {
+        return CreateInfo.new("ra", { r, alpha, ref });
+    }
 
-            // restore points
-            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+    /**
+     * Creates the vector
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} Polar vector of type TYPE_VECTOR
+     */
+    compute(info) {
+        let { r, alpha, ref } = this;
+        const { dependencies } = info;
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+        if (info.name === "ra") {
+            const { r: rn, alpha: alphan, ref: refn } = dependencies;
+            if (!isParamEmpty(rn)) {
+                assertType(rn, TYPE_NUMBER);
+                r = rn.value;
+            }
+            if (!isParamEmpty(alphan)) {
+                assertType(alphan, TYPE_NUMBER);
+                alpha = alphan.value;
+            }
 
-                result.push(makePoint({ ...p[i] }));
+            if (!isParamEmpty(refn)) {
+                assertType(refn, TYPE_POINT);
+                ref = refn;
             }
+        } else if (info.name === "ang") {
+            const { angle, startAngle, r: rn, ref: refn } = dependencies;
+            assertExistsAndNotOptional(angle);
+            assertType(angle, TYPE_ANGLE);
 
-            return result;
-        });
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_BEZIER, (a, b) => {
-            // convert line into local ellipse coordinates
-            // bezier curves are invariant to affine transforms, so we can do this
-            let lpoints = b.points;
-            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+            const { value, start } = angle;
 
-            const inter = IntersectionRegistry.getIntersector(TYPE_BEZIER, TYPE_ARC);
-            const localBez = makeBezier({ points: lpoints });
-            const unitArc = makeArc({
-                r: 1, startAngle: a.startAngle,
-                endAngle: a.endAngle, center: { x: 0, y: 0 }
-            });
-            let p = inter(localBez, unitArc);
+            ref = angle.ref;
+            if (!isParamEmpty(rn)) {
+                assertType(rn, TYPE_NUMBER);
+                r = rn.value;
+            }
 
-            // restore points
-            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+            if (!isParamEmpty(startAngle)) {
+                assertType(startAngle, TYPE_NUMBER);
+                start = startAngle.value;
+            }
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+            if (!isParamEmpty(refn)) {
+                assertType(refn, TYPE_POINT);
+                ref = refn;
+            }
 
-                result.push(makePoint({ ...p[i] }));
+            alpha = start + value;
+        } else if (info.name === "pol") {
+            const { polar, ref: refn } = dependencies;
+            assertExistsAndNotOptional(polar);
+            assertType(polar, TYPE_POLAR);
+            ({ r, alpha } = polar);
+
+            if (!isParamEmpty(refn)) {
+                assertType(refn, TYPE_POINT);
+                ref = refn;
             }
+        } else if (info !== EMPTY_INFO) {
+            throw new Error("No suitable constructor found");
+        }
 
-            return result;
+        const { x, y } = vPolar(r, alpha);
+        return makeVector({
+            x, y, ref
         });
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_BEZIER_SPLINE, (a, b) => {
-            // convert line into local ellipse coordinates
-            // bezier curves are invariant to affine transforms, so we can do this
-            let lpoints = b.points;
-            lpoints = convertPointToLocalEllipse(lpoints, a.center, a.rotation, a.rx, a.ry);
+    }
+}
 
-            const inter = IntersectionRegistry.getIntersector(TYPE_BEZIER_SPLINE, TYPE_ARC);
-            const localBez = makeBezierSpline({ points: lpoints, degree: b.degree });
-            const unitArc = makeArc({
-                r: 1, startAngle: a.startAngle,
-                endAngle: a.endAngle, center: { x: 0, y: 0 }
-            });
-            let p = inter(localBez, unitArc);
+/**
+ * Definition of a simple number. Creates an object of TYPE_NUMBER
+ */
+class DefNumber {
+    /**
+     * Default value
+     * @param {Number} val The number
+     */
+    constructor(val) {
+        this.value = val;
+    }
 
-            // restore points
-            p = convertPointFromLocalEllipse(p, a.center, a.rotation, a.rx, a.ry);
+    /**
+     * Extract a field from a given object and make a number out of it.
+     * If no such field exists, INVALID will be created
+     * @param {Number | Object} obj The object of which the value is extracted
+     * @param {*} key The key
+     * @param {Function} [transform] A transform taking the value obj[key], if it exists and returns a new one
+     * @returns {CreateInfo} The creation info
+     */
+    static fromField(obj, key, transform = null) {
+        return CreateInfo.new("ok", { obj }, { key, transform });
+    }
+
+    /**
+     * Create a number by computing the value of a given function and a parameter
+     * @param {function(Number)} f The function f(x) to compute
+     * @param {Number | Object | Number[] | Object[]} x Either the indices or values of a TYPE_NUMBER. The parameters to f
+     * @returns {CreateInfo} The creation info
+     */
+    static fromFunc(f, x) {
+        if (Array.isArray(x)) {
+            return CreateInfo.new("f", x, { f });
+        } else {
+            return CreateInfo.new("f", [x], { f });
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+        }
+    }
+    /**
+     * Creates the number
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} An object of TYPE_NUMBER or INVALID
+     */
+    compute(createInfo) {
+        let { value } = this;
+        const { dependencies, params } = createInfo;
+        if (createInfo.name === "ok") {
+            const { obj } = dependencies;
+            assertExistsAndNotOptional(obj);
+            const { key, transform } = createInfo.params;
+            value = obj[key];
+            if (value === undefined) {
+                return INVALID;
+            }
 
-                result.push(makePoint({ ...p[i] }));
+            if (typeof value !== "number") {
+                throw new Error("Trying to create number from non-number field");
             }
 
-            return result;
-        });
-        IntersectionRegistry.setIntersector(TYPE_ELLIPSE, TYPE_ELLIPSE, (a, b) => {
+            if (transform && transform instanceof Function) {
+                value = transform(value);
+            }
 
-            const p = intersectEllipseEllipse(a, b);
+        } else if (createInfo.name === "f") {
+            const { f } = params;
 
-            const result = [];
-            for (let i = 0; i < p.length; i++) {
+            if (!Array.isArray(dependencies)) {
+                throw new Error("Expected array");
+            }
+            let paramsX = [];
+            for (let x of dependencies) {
+                assertExistsAndNotOptional(x);
 
-                result.push(makePoint({ ...p[i] }));
+                assertType(x, TYPE_NUMBER);
+                paramsX.push(x.value);
             }
 
-            return result;
-        });
+            value = f(...paramsX);
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
+        return makeNumber(value);
     }
 }
 
 /**
- * Computes the closest point on a line
- * @param {{x:Number,y:Number}} p The input point
- * @param {{x:Number,y:Number}} a0 The first point of the first line
- * @param {{x:Number,y:Number}} a1 The second point of the first line
- * @param {Object} options
- * @param {Number} options.minA The minimum parameter of the first line. For a segment, that is 0
- * @param {Number} options.maxA The maximum parameter of the first line. For a segment, that is 1
- * @param {Number} options.eps The epsilon value used for comparisons
- * @returns {{x: Number, y:Number}} The closest point on the given line
+ * Definition of a boolean value of type TYPE_BOOLEAN
  */
-function closestPointLine(p, a0, a1, { minA = -Infinity, maxA = Infinity,
-    eps = 1E-10
-} = {}) {
-    // project onto line and clamp with bounds
+class DefBoolean {
+    /**
+     * Default value
+     * @param {Boolean} val The value
+     */
+    constructor(val) {
+        this.value = val;
+    }
 
-    const dx = a1.x - a0.x;
-    const dy = a1.y - a0.y;
+    /**
+     * Creates a boolean by applying a predicate on the specified dependencies
+     * @param {function(*) : Boolean} predicate A predicate function taking dependencies and returning a boolean value
+     * @param {Object | Array} dependencies Either the indices or values stored in an Array or shallow Object of the values this predicate depends on
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPredicate(predicate, dependencies) {
+        return CreateInfo.new("p", dependencies, { predicate })
+    }
 
-    const d2 = dx * dx + dy * dy;
-    if (d2 < eps) {
-        // line is just a point
-        return { x: a0.x, y: a0.y, t: 0 };
+    /**
+     * Creates a new bool value that is the negation of the argument
+     * @param {Number | Object} boolValue Either the index or value of a TYPE_BOOLEAN. The value to be negated
+     * @returns {CreateInfo} The creation info
+     */
+    static fromNot(boolValue) {
+        return CreateInfo.new("not", { boolValue });
     }
 
-    let prelx = p.x - a0.x;
-    let prely = p.y - a0.y;
+    /**
+     * Signifies an AND operation
+     */
+    static OP_AND = 0;
+    /**
+     * Signifies an OR operation
+     */
+    static OP_OR = 1;
 
-    // dot(prel, d) = projection * |d|
-    let t = prelx * dx + prely * dy;
+    /**
+     * Create a new bool value that is the result of applying a boolean binary operation successively on all inputs.
+     * @param {Object | Array} boolValues Either the indices or values stored in an Array or shallow Object of the values combined with the chosen operation
+     * @param {Number} operation The operation. Possible values are stored as static variables in this class prefixed by OP_
+     * @returns {CreateInfo} The creation info
+     */
+    static fromOp(boolValues, operation) {
+        return CreateInfo.new("op", boolValues, { operation });
+    }
 
-    // divide by d^2 = projection / |d|
-    // when projection is |d|, this will be 1
-    t = t / d2;
+    /**
+     * Creates a new bool value that is true, if a point lies inside of a region.
+     * Supported regions are polygons, arcs, ellipses, Bezier curves and splines, rational Bezier curves and NURBS
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @param {Object} [options]
+     * @param {String} [options.fillRule] The fill rule, either "nonzero", "evenodd" or "positive"
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPointInRegion(p, obj, { fillRule = "nonzero" } = {}) {
+        return CreateInfo.new("pir", { p, obj }, { fillRule });
+    }
 
-    // clamp sides
-    t = Math.min(maxA, Math.max(minA, t));
+    /**
+     * Creates a new bool value that is true, if a region is convex.
+     * Supported regions are the same as for fromPointInRegion
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @returns {CreateInfo} The creation info
+     */
+    static fromIsConvex(obj) {
+        return CreateInfo.new("cvx", { obj });
+    }
 
-    const cx = a0.x + t * dx;
-    const cy = a0.y + t * dy;
+    /**
+     * Creates a new bool value that is true, if the boundary of a region does not intersect itself.
+     * Supported regions are the same as for fromPointInRegion
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @returns {CreateInfo} The creation info
+     */
+    static fromIsSimple(obj) {
+        return CreateInfo.new("smp", { obj });
+    }
 
-    return {
-        x: cx, y: cy, t
-    };
+    /**
+     * Creates the boolean value
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The boolean value of type TYPE_BOOLEAN
+     */
+    compute(createInfo) {
+        let { value } = this;
+        const { dependencies, params } = createInfo;
+        if (createInfo.name === "p") {
+            const { predicate } = params;
 
-}
+            return makeBoolean(predicate(dependencies));
+        } else if (createInfo.name === "not") {
+            const { boolValue } = dependencies;
+            assertExistsAndNotOptional(boolValue);
+            assertType(boolValue, TYPE_BOOLEAN);
 
-/**
- * Computes the closest point on an arc
- * @param {{x:Number,y:Number}} p The input point
- * @param {{x:Number,y:Number}} c The arc center
- * @param {Number} r The arc radius
- * @param {Object} options
- * @param {Number} options.minA The minimum parameter of the line. For a segment, that is 0
- * @param {Number} options.maxA The maximum parameter of the line. For a segment, that is 1
- * @param {Number} options.angleMin The minimum arc angle
- * @param {Number} options.angleMax The maximum arc angle
- * @param {Number} options.eps The epsilon value used for comparisons
- * @returns {{x:Number,y:Number}} The closest point
- */
-function closestPointArc(p, c, r, { angleMin = 0, angleMax = 2.0 * Math.PI,
-    eps = 1E-10
-} = {}) {
-    // get closest point on circle first
-    const dx = p.x - c.x;
-    const dy = p.y - c.y;
+            return makeBoolean(!boolValue.value);
+        } else if (createInfo.name === "op") {
+            const { boolValues } = dependencies;
+            assertExistsAndNotOptional(boolValues);
 
-    const d2 = dx * dx + dy * dy;
-    // if we are in the middle, there are infinitely many closest points
-    // we choose the one in x dir
+            const { operation } = params;
 
-    if (d2 < eps) {
-        return { x: c.x + r, y: c.y };
-    }
-    const d = Math.sqrt(d2);
+            const vals = [];
+            for (const b of boolValues) {
+                assertType(b, TYPE_BOOLEAN);
+                vals.push(b.value);
+            }
 
-    const angle = calcAngle(dx, dy);
+            let result;
 
-    if (angle >= angleMin && angle < angleMax) {
-        // valid point, return
-        // closest point
-        const qx = c.x + dx * r / d;
-        const qy = c.y + dy * r / d;
-        return { x: qx, y: qy };
-    } else {
-        // point is outside valid range, so closest point is one the boundary points
-        const al = miminumAbsoluteDifferenceAngle(angle, angleMin);
-        const ar = miminumAbsoluteDifferenceAngle(angle, angleMax);
+            if (operation === DefBoolean.OP_AND) {
+                result = vals.reduce((p, cur) => p && cur, true);
+            } else if (operation === DefBoolean.OP_OR) {
+                result = vals.reduce((p, cur) => p || cur, false);
+            } else {
+                throw new Error("Requested Boolean operation not supported");
+            }
 
-        const minAngle = al < ar ? angleMin : angleMax;
+            return makeBoolean(result);
+        } else if (createInfo.name === "pir") {
+            const { p, obj } = dependencies;
+            assertExistsAndNotOptional(p, obj);
+            assertType(p, TYPE_POINT);
 
-        // compute final point
-        const qx = c.x + r * Math.cos(minAngle);
-        const qy = c.y + r * Math.sin(minAngle);
-        return { x: qx, y: qy };
+            return makeBoolean(isPointInRegion(obj, p, params.fillRule));
+        } else if (createInfo.name === "cvx") {
+            const { obj } = dependencies;
+            assertExistsAndNotOptional(obj);
 
-    }
+            return makeBoolean(isRegionConvex(obj));
+        } else if (createInfo.name === "smp") {
+            const { obj } = dependencies;
+            assertExistsAndNotOptional(obj);
 
+            return makeBoolean(isRegionSimple(obj));
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
+        return makeBoolean(value);
+    }
 }
+
 /**
- * Computes the closest point on a Bezier curves. 
- * For such a point to be exactly computable, the degree of the curve must not exceed 2
- * @param {{x:Number,y:Number}} p The input point
- * @param {Array<{x:Number,y:Number}>} points The Bezier control points
- * @param {Object} options
- * @param {Number} options.eps The epsilon value used for comparisons
- * @returns {{x:Number,y:Number}} The closest point. If multiple such points exist, one is chosen
+ * Definition of a conditional expression, that defines objects based on some condtion
  */
-function closestPointBezier(p, points, { eps = 1E-10 } = {}) {
-    const deg = points.length - 1;
-    if (deg < 0) {
-        throw new Error("No Bezier control points given");
-
-    }
-    if (deg > 2) {
-        throw new Error("Closest Bezier point only defined for up to degree 2");
-    }
+class DefConditional {
 
-    if (deg === 0) {
-        // curve is a point
-        return points[0];
+    /**
+     * Defines an object based on a condition.
+     * If the condition is true, the given object value will be returned, otherwise INVALID
+     * @param {Number | Object} obj Either the index or value of an object
+     * @param {Number | Object} condition Either the index or value of a TYPE_BOOLEAN. The condition value
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCondition(obj, condition) {
+        return CreateInfo.new("c", { obj, condition });
     }
-
-    if (deg === 1) {
-        // curve is a line
-        return closestPointLine(p, points[0], points[1], {
-            minA: 0, maxA: 1, eps
+    /**
+     * Defines an object based on a condition.
+     * If the condition is true, the first object value will be returned, otherwise the second
+     * @param {Number | Object} obj0 Either the index or value of an object
+     * @param {Number | Object} obj1 Either the index or value of an object
+     * @param {Number | Object} condition Either the index or value of a TYPE_BOOLEAN. The condition value
+     * @returns {CreateInfo} The creation info
+     */
+    static fromEitherOr(obj0, obj1, condition) {
+        return CreateInfo.new("eo", {
+            obj0,
+            obj1,
+            condition
         });
     }
 
-    // closest point on quadratic bezier
-    let [q0, q1, q2] = convertQuadraticBezierToParamBase(...points);
-    // quadratic bezier is: (1-t)^2 p0 + 2(1-t)t p1 + t^2 p2
-    // we will plug this into x^2 + y^2 - r^2 = 0 to get a quartic equation in t
-    // but for that we will center on the circle center
-
-    let { x: a_0, y: b_0 } = q0;
-    let { x: a_1, y: b_1 } = q1;
-    let { x: a_2, y: b_2 } = q2;
-
-    const { x, y } = p;
-    // solve by d/dt|p-bez(t)|^2 = 0
-    // this results in a cubic polynomial with the following terms for powers of t:
-
-    // m_0 + t m_1 + t^2 m_2 + t^3 m_3
-    // ----------
-    // 'Term for power 1: m_0
-    // 2*a_0*a_1 - 2*a_1*x + 2*b_0*b_1 - 2*b_1*y
-    const m_0 = 2 * a_0 * a_1 - 2 * a_1 * x + 2 * b_0 * b_1 - 2 * b_1 * y;
-    // ----------
-    // Term for power t: m_1
-    // 4*a_0*a_2 + 2*a_1 * a_1 - 4*a_2*x + 4*b_0*b_2 + 2*b_1 * b_1 - 4*b_2*y
-    const m_1 = 4 * a_0 * a_2 + 2 * a_1 * a_1 - 4 * a_2 * x + 4 * b_0 * b_2 + 2 * b_1 * b_1 - 4 * b_2 * y;
-    // ----------
-    // Term for power t^2: m_2
-    // 6*a_1*a_2 + 6*b_1*b_2
-    const m_2 = 6 * a_1 * a_2 + 6 * b_1 * b_2;
-    // ----------
-    // Term for power t^3: m_3
-    // 4*a_2 * a_2 + 4*b_2 * b_2
-    const m_3 = 4 * a_2 * a_2 + 4 * b_2 * b_2;
-
-    // solve polynomial
-    const roots = solveCubicComplex(m_3, m_2, m_1, m_0, eps);
+    /**
+     * Computes the conditional expression
+     * @param {CreateInfo} info The creation info
+     * @returns {*} An object based on the inputs
+     */
+    compute(info) {
+        const { dependencies } = info;
 
-    let minDist = Infinity;
-    let minP = null;
-    // we could also check the second derivative for its sign, 
-    // but in this case it seems faster/easier to read to just calculate the smallest distance
-    // TODO: Maybe return multiple solutions if they have the same distance
-    for (const tc of roots) {
-        if (Math.abs(cImag(tc)) > eps) {
-            // complex solution
-            continue;
-        }
-        let t = cReal(tc);
+        if (info.name === "c") {
+            const { obj, condition } = dependencies;
+            assertExistsAndNotOptional(obj, condition);
+            assertType(condition, TYPE_BOOLEAN);
 
-        // clamp t at the boundary points
-        t = Math.min(1, Math.max(0, t));
-        let pt = q2;
-        pt = vAdd(vScale(pt, t), q1);
-        pt = vAdd(vScale(pt, t), q0);
+            if (condition.value) {
+                return obj;
+            } else {
+                return INVALID;
+            }
+        } else if (info.name === "eo") {
+            const { obj0, obj1, condition } = dependencies;
+            assertExistsAndNotOptional(obj0, obj1, condition);
+            assertType(condition, TYPE_BOOLEAN);
 
-        const d2 = vLen2(vSub(pt, p));
-        if (d2 < minDist) {
-            minDist = d2;
-            minP = pt;
+            return condition.value ? obj0 : obj1;
+        } else {
+            throw new Error("No suitable constructor");
         }
     }
-
-    return minP;
 }
-
 /**
- * Registry for closest point operations on types
- * Currently supported:
+ * Definition for a parameter of a point on a curve
+ * Will calculate the parameter, if the point lies on the curve. In some cases, there might me multiple possible parameters
  * 
- * Point, Line, Vector, Arc, Line strip, Polygon, Bezier (max deg 2), Bezier Curve (max deg 2), Ellipse
+ * Supported curve objects are:
+ * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse, parabola, hyperbola, function graph, parametric curve, rational Bezier, NURBS
  */
-class ClosestPointRegistry {
-    static closest = {};
-
+class DefCurveParam {
 
     /**
-     * Set the closest point function for a given type
-     * @param {String} type The object type
-     * @param {function({x:Number, y:Number}) : {x:Number, y:Number}} closestPoint Function computing the closest point for the given type
+     * Computes the paramter of a point on a curve
+     * @param {Number | Object} curve Either the index or value of a curve object. The supported types are specified at the documention of this class
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Object} params
+     * @param {Number} [params.takeIndex] The index of the parameter to use. 
+     * If < 0, then the returned result will be used. 
+     * If = 0, either the first entry in an parameter array or the parameter will be returned
+     * If > 0, the indicated index in an array of parameters
+     * 
+     * If any requested parameter does not exist (for example requesting the second one, when only one exists) will result in INVALID
+     * @param {Number} [params.eps] The epsilon value used for comparisons
+     * @returns {CreateInfo} The creation info
      */
-    static setClosestPointFunction(type, closestPoint) {
-        ClosestPointRegistry[type] = closestPoint;
+    static fromCurve(curve, p, { eps = 1E-10,
+        takeIndex = -1 } = {}) {
+        return CreateInfo.new("curve", {
+            curve, p
+        }, {
+            eps,
+            takeIndex,
+        });
     }
     /**
-    * Get the closest point function for a given type
-    * @param {String} type The object type
-    * @returns {undefined | function({x:Number, y:Number}) : {x:Number, y:Number}} Function computing the closest point for the given type, if it exists
-    */
-    static getClosestPointFunction(type) {
-        return ClosestPointRegistry[type];
+     * Computes the parameter of a point on a Bezier curve. 
+     * @param {Object} curve The curve object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static bezierParam(curve, p, eps = 1E-10) {
+        return calcBezierParameterOfPoint(p, curve.points, eps);
+
     }
 
     /**
-     * Compute the closest point for the given point and object
-     * @param {{x:Number, y:Number}} p The input point
-     * @param {{type: String}} obj The typed object
-     * @returns {{x:Number, y:Number}} The closest point
+     * Computes the parameter of a point on an arc. 
+     * @param {Object} arc The arc object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
      */
-    static closestPoint(p, obj) {
+    static arcParam(arc, p, eps = 1E-10) {
+        let { center, r, startAngle, endAngle } = arc;
+        // in the case of the circle wrapping over, just add 2pi to take care of that
+        if (startAngle > endAngle) {
+            endAngle += 2.0 * Math.PI;
+        }
+        const da = endAngle - startAngle;
 
-        const type = obj.type;
+        let pr = vSub(p, center);
 
-        const cl = ClosestPointRegistry.getClosestPointFunction(type);
+        if (Math.abs(vLen2(pr) - r * r) > eps) {
+            // point not on circle
+            return [];
+        }
 
-        return cl(p, obj);
+        const pa = calcAngle(pr.x, pr.y);
+
+        const t = (pa - startAngle) / da;
+        return [t];
     }
 
-    static {
-        // closest point on a point is just that point
-        ClosestPointRegistry.setClosestPointFunction(TYPE_POINT, (p, obj) => {
-            return obj;
-        });
-        ClosestPointRegistry.setClosestPointFunction(TYPE_LINE, (p, obj) => {
-            const c = closestPointLine(p, obj.p0, obj.p1, {
-                minA: obj.leftOpen ? -Infinity : 0,
-                maxA: obj.rightOpen ? Infinity : 1,
-            });
+    /**
+     * Computes the parameter of a point on an ellipse. 
+     * @param {Object} ellipse The ellipse object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static ellipseParam(ellipse, p, eps = 1E-10) {
 
-            return makePoint({ ...c });
-        });
-        ClosestPointRegistry.setClosestPointFunction(TYPE_VECTOR, (p, obj) => {
-            const v = vAdd(obj.ref, obj);
-            const c = closestPointLine(p, obj.ref, v, {
-                minA: 0,
-                maxA: 1,
-            });
+        let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
+        // in the case of the circle wrapping over, just add 2pi to take care of that
+        if (startAngle > endAngle) {
+            endAngle += 2.0 * Math.PI;
+        }
+        const da = endAngle - startAngle;
 
-            return makePoint(c);
-        });
-        ClosestPointRegistry.setClosestPointFunction(TYPE_ARC, (p, obj) => {
-            const c = closestPointArc(p, obj.center, obj.r, {
-                angleMin: obj.startAngle,
-                angleMax: obj.endAngle
-            });
+        let [pr] = convertPointToLocalEllipse([p], center, rotation, rx, ry);
 
-            return makePoint({ ...c });
-        });
+        if (Math.abs(vLen2(pr) - 1) > eps) {
+            // point not on circle
+            return [];
+        }
 
-        ClosestPointRegistry.setClosestPointFunction(TYPE_LINE_STRIP, (p, obj) => {
-            const { points } = obj;
+        const pa = calcAngle(pr.x, pr.y);
 
-            let dmin = Infinity;
-            let pmin = null;
-            const n = points.length - 1;
-            for (let i = 0; i < n; i++) {
-                const pi = points[i];
-                const pj = points[i + 1];
+        const t = (pa - startAngle) / da;
 
-                const c = closestPointLine(p, pi, pj, {
-                    minA: 0,
-                    maxA: 1,
-                });
+        return [t];
+    }
+    /**
+     * Computes the parameter of a point on a parabola. 
+     * @param {Object} parabola The parabola object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static parabolaParam(parabola, p, eps = 1E-10) {
+        const { vertex, focalLength, rotation, tMin, tMax } = parabola;
+        const [q] = convertPointToLocalConic([p], vertex, rotation);
 
-                const d2 = vLen2(vSub(p, c));
-                if (d2 < dmin) {
-                    dmin = d2;
-                    pmin = c;
-                }
-            }
+        if (Math.abs(q.y * q.y / (4 * focalLength) - q.x) > eps) {
+            // point not on parabola
+            return [];
+        }
 
+        return [(q.y - tMin) / (tMax - tMin)];
+    }
 
-            return makePoint({ ...pmin, d2: dmin });
-        });
+    /**
+     * Computes the parameter of a point on a hyperbola. 
+     * @param {Object} hyperbola The hyperbola object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static hyperbolaParam(hyperbola, p, eps = 1E-10) {
+        const { center, a, b, rotation } = hyperbola;
+        const [q] = convertPointToLocalConic([p], center, rotation);
 
-        ClosestPointRegistry.setClosestPointFunction(TYPE_POLYGON, (p, obj) => {
-            const { points } = obj;
+        if (Math.abs(q.x * q.x / (a * a) - q.y * q.y / (b * b) - 1) > eps) {
+            // point not on hyperbola
+            return [];
+        }
 
-            let dmin = Infinity;
-            let pmin = null;
-            const n = points.length;
-            for (let i = 0; i < n; i++) {
-                const pi = points[i];
-                const pj = points[(i + 1) % points.length];
+        const branch = Math.sign(q.x);
+        if (!getHyperbolaBranches(hyperbola).includes(branch)) {
+            return [];
+        }
 
-                const c = closestPointLine(p, pi, pj, {
-                    minA: 0,
-                    maxA: 1,
-                });
+        return [calcHyperbolaCurveParam(hyperbola, branch, Math.asinh(q.y / b))];
+    }
 
-                const d2 = vLen2(vSub(p, c));
-                if (d2 < dmin) {
-                    dmin = d2;
-                    pmin = c;
-                }
-            }
+    /**
+     * Computes the parameter of a point on a function graph. 
+     * @param {Object} graph The function graph object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static functionGraphParam(graph, p, eps = 1E-10) {
+        const { f, xMin, xMax } = graph;
+        if (p.x < xMin || p.x > xMax || !(Math.abs(f(p.x) - p.y) <= eps)) {
+            // point not on graph
+            return [];
+        }
 
-            return makePoint({ ...pmin, d2: dmin });
-        });
+        return [(p.x - xMin) / (xMax - xMin)];
+    }
 
-        ClosestPointRegistry.setClosestPointFunction(TYPE_BEZIER, (p, obj) => {
-            const c = closestPointBezier(p, obj.points, {});
-            if (!c) {
-                return INVALID;
-            }
-            return makePoint(c);
-        });
-        ClosestPointRegistry.setClosestPointFunction(TYPE_BEZIER_SPLINE, (p, obj) => {
-            const { points, degree } = obj;
-            if ((points.length - (degree + 1)) % degree !== 0) {
-                throw new Error("Wrong number of input points");
-            }
+    /**
+     * Computes the parameter of a point on a parametric curve. 
+     * The parameters are found by a numerical closest point search, see @see{calcParametricCurveClosestParams}
+     * @param {Object} curve The parametric curve object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static parametricCurveParam(curve, p, eps = 1E-10) {
+        const { tMin, tMax } = curve;
+        return calcParametricCurveClosestParams(p, curve)
+            .filter(({ d2 }) => d2 <= eps * eps)
+            .map(({ s }) => (s - tMin) / (tMax - tMin));
+    }
+    /**
+     * Computes the parameter of a point on a line. 
+     * @param {Object} line The line object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Object} params
+     * @param {Number} [params.eps] The epsilon value used for comparisons
+     * @param {Number} [params.minT] The minimum t value
+     * @param {Number} [params.maxT] The maximum t value
+     * @returns {Number[]} The possible t values
+     */
+    static lineParam(line, p, { eps = 1E-10, minT = 0, maxT = 1 } = {}) {
 
-            let dmin = Infinity;
-            let pmin = null;
+        let { p0, p1 } = line;
+        const v = vSub(p1, p0);
+        const n = normal2D(v);
 
-            const lPoints = new Array(degree + 1);
-            for (let i = 0; i < points.length - 1; i += degree) {
-                for (let j = 0; j < degree + 1; j++) {
-                    lPoints[j] = points[i + j];
-                }
-                const c = closestPointBezier(p, lPoints, {});
-                if (!c) {
-                    continue;
-                }
-                const d2 = vLen2(vSub(p, c));
-                if (d2 < dmin) {
-                    dmin = d2;
-                    pmin = c;
-                }
-            }
+        const dot = vDot(n, vSub(p, p0));
 
-            return pmin ? makePoint(pmin) : INVALID;
-        });
+        if (Math.abs(dot) > eps) {
+            // point not on line
+            return [];
+        }
 
-        ClosestPointRegistry.setClosestPointFunction(TYPE_ELLIPSE, (p, obj) => {
-            const [q] = convertPointToLocalEllipse([p], obj.center, obj.rotation, obj.rx, obj.ry);
 
-            // closest point to unice circle
-            let c = closestPointArc(q, { x: 0, y: 0 }, 1, {
-                angleMin: obj.startAngle,
-                angleMax: obj.endAngle
-            });
+        const t = calcParamOnLine(p0, p1, p);
+        if (t < minT || t > maxT) {
+            return [];
+        }
 
-            [c] = convertPointFromLocalEllipse([c], obj.center, obj.rotation, obj.rx, obj.ry);
-            return makePoint({ ...c });
-        });
+        return [t];
     }
-}
 
+    /**
+     * Computes the parameter of a point on a vector. 
+     * The vector is treated as a line segment from the reference to the arrow tip
+     * @param {Object} v The vector object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static vectorParam(v, p, eps = 1E-10) {
+        const n = normal2D(v);
 
-/**
- * Computes the normal form of a plane.
- * For a point p, you can compute whether it lies on the plane as: p.x * plane.x + p.y * plane.y + plane.d = 0
- * @param {{x:Number,y:Number}} p A point on the plane
- * @param {{x:Number,y:Number}} n The plane normal
- * @returns {{x:Number,y:Number, d:Number}} The plane
- */
-function computePlane(p, n) {
+        const dot = vDot(n, vSub(p, v.ref));
 
-    return {
-        x: n.x,
-        y: n.y,
-        d: -Vec2.dot(p, n)
-    };
-}
-/**
- * Clip a polygon at a plane.
- * The plane normal defines inside and outside. Points of the polygon that are outside are clipped.
- * A plane can be created by the @see {@link computePlane} function, where you can see how it is defined.
- * @param {Array<{x:Number, y:Number}>} points The polygon points
- * @param {{x:Number, y:Number, d: Number}} plane The plane to clip at.
- * @returns {Array<{x:Number, y:Number}>} The clipped polygon
- */
-function clipPolygonAtPlane(points, plane) {
+        if (Math.abs(dot) > eps) {
+            // point not on line
+            return [];
+        }
 
-    // Implementation of a step of the Sutherland-Hodgman algorithm
-    const pl = plane;
-    const output = [];
 
-    const size = points.length;
-    for (let i = 0; i < size; i++) {
+        const t = calcParamOnLine(v.ref, vAdd(v, v.ref), p);
+        if (t < 0 || t > 1) {
+            return [];
+        }
+        return [t];
+    }
 
-        const cur = points[i];
-        const ip = (i - 1 + points.length) % points.length;
-        const prev = points[ip];
+    /**
+     * Computes the parameter of a point on a line strip. 
+     * @param {Object} lineStrip The line strip object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static lineStripParam(lineStrip, p, eps = 1E-10) {
+        const result = [];
+        const { points } = lineStrip;
+        const num = points.length - 1;
+        for (let i = 0; i < num; i++) {
+            let [p0, p1] = [points[i], points[i + 1]];
+            const v = vSub(p1, p0);
+            const n = normal2D(v);
 
-        // compute distance
-        const dc = Vec2.dot(pl, cur) + pl.d;
-        const dp = Vec2.dot(pl, prev) + pl.d;
+            const dot = vDot(n, vSub(p, p0));
 
-        // cur inside
-        if (dc >= 0.0) {
-            // prev outside
-            if (dp < 0.0) {
-                // intersect prev -> cur
+            if (Math.abs(dot) > eps) {
+                // point not on line
+                continue;
+            }
 
-                const t = dp / (dp - dc);
-                const p = Vec2.add(prev, Vec2.scale(Vec2.sub(cur, prev), t));
+            const t = calcParamOnLine(p0, p1, p);
+            if (t < 0 || t > 1) {
+                continue;
+            }
+            result.push((t + i) / num);
+        }
 
-                output.push(p);
+        return result;
+    }
+    /**
+     * Computes the parameter of a point on a polygon. 
+     * @param {Object} poly The polygon object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static polygonParam(poly, p, eps = 1E-10) {
+        const result = [];
+        const { points } = poly;
+        const num = points.length;
+        for (let i = 0; i < num; i++) {
+            let [p0, p1] = [points[i], points[(i + 1) % points.length]];
+            const v = vSub(p1, p0);
+            const n = normal2D(v);
+
+            const dot = vDot(n, vSub(p, p0));
+
+            if (Math.abs(dot) > eps) {
+                // point not on line
+                continue;
             }
 
-            output.push(cur);
-        } else if (dp >= 0.0) {
-            // cur outside, prev inside
-            // intersect prev->cur
+            const t = calcParamOnLine(p0, p1, p);
+            if (t < 0 || t > 1) {
+                continue;
+            }
+            result.push((t + i) / num);
+        }
+        return result;
+    }
 
-            const t = dp / (dp - dc);
-            const p = Vec2.add(prev, Vec2.scale(Vec2.sub(cur, prev), t));
+    /**
+     * Computes the parameter of a point on a Bezier spline. 
+     * @param {Object} spline The Bezier spline object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static bezierSplineParam(spline, p, eps = 1E-10) {
+        const result = [];
+        const { points, degree } = spline;
+        const num = numSegmentsBezierSpline(points, degree);
+        for (let i = 0; i < num; i++) {
+
+            const curvePoints = getBezierSplineSegment(points, degree, i);
+
+            const ts = calcBezierParameterOfPoint(p, curvePoints, eps);
 
-            output.push(p);
+            result.push(...ts.map(t => (t + i) / num));
         }
+        return result;
     }
 
-    points = output;
-
-    return points;
-}
-
-/**
- * Clips a polygon against another.
- * The clip polygon must be convex, while the polygon to be clipped may be concave.
- * The clip polygon should be defined counter-clockwise.
- * @param {Array<{x:Number, y:Number}>} points 
- * @param {Array<{x:Number, y:Number}>} clipPoints
- * @returns {Array<{x:Number, y:Number}>} The clipped polygon
- */
-function clipPolygonAtPolygon(points, clipPoints) {
+    /**
+     * @param {Object} curve The curve object
+     * @param {{x:Number, y :Number}} p The point
+     * @param {Number} eps The epsilon value used for comparisons
+     * @returns {Number[]} The possible t values
+     */
+    static curveParam(obj, p, eps) {
+        const type = obj.type;
 
-    for (let i = 0; i < clipPoints.length; i++) {
-        if (points.length < 3) {
-            points = [];
-            break;
+        if (type === TYPE_BEZIER) {
+            return DefCurveParam.bezierParam(obj, p, eps);
+        } else if (type === TYPE_ARC) {
+            return DefCurveParam.arcParam(obj, p);
+        } else if (type === TYPE_ELLIPSE) {
+            return DefCurveParam.ellipseParam(obj, p);
+        } else if (type === TYPE_PARABOLA) {
+            return DefCurveParam.parabolaParam(obj, p, eps);
+        } else if (type === TYPE_HYPERBOLA) {
+            return DefCurveParam.hyperbolaParam(obj, p, eps);
+        } else if (type === TYPE_FUNCTION_GRAPH) {
+            return DefCurveParam.functionGraphParam(obj, p, eps);
+        } else if (type === TYPE_PARAMETRIC_CURVE) {
+            return DefCurveParam.parametricCurveParam(obj, p, eps);
+        } else if (type === TYPE_LINE) {
+            return DefCurveParam.lineParam(obj, p, {
+                eps,
+                minT: obj.leftOpen ? -Infinity : 0,
+                maxT: obj.rightOpen ? Infinity : 1
+            });
+        } else if (type === TYPE_VECTOR) {
+            return DefCurveParam.vectorParam(obj, p, eps);
+        } else if (type === TYPE_LINE_STRIP) {
+            return DefCurveParam.lineStripParam(obj, p, eps);
+        } else if (type === TYPE_POLYGON) {
+            return DefCurveParam.polygonParam(obj, p, eps);
+        } else if (type === TYPE_BEZIER_SPLINE) {
+            return DefCurveParam.bezierSplineParam(obj, p, eps);
+        } else if (type === TYPE_RATIONAL_BEZIER) {
+            return DefCurveParam.parametricCurveParam(convertRationalBezierToParametric(obj.points, obj.weights), p, eps);
+        } else if (type === TYPE_NURBS) {
+            return DefCurveParam.parametricCurveParam(convertNurbsToParametric(obj), p, eps);
+        } else {
+            throw new Error(`Object type ${type} not supported`);
         }
-        const ip = (i + 1) % clipPoints.length;
-        const a = clipPoints[i];
-        const b = clipPoints[ip];
+    }
 
-        const v = Vec2.sub(b, a);
-        const n = Vec2.normal2D(v);
-        const plane = computePlane(a, n);
-        points = clipPolygonAtPlane(points, plane);
+    /**
+     * Computes the parameter on a curve
+     * @param {CreateInfo} info The creation info
+     * @returns {Array} The t values of type TYPE_NUMBER
+     */
+    compute(info) {
+        const { dependencies } = info;
+        if (info.name === "curve") {
+            const { curve, p } = dependencies;
+            const { eps, takeIndex } = info.params;
+            assertExistsAndNotOptional(curve, p);
+            assertType(p, TYPE_POINT);
 
-    }
+            const result = DefCurveParam.curveParam(curve, p, eps);
 
-    return points;
-}
+            if (takeIndex >= 0) {
+                if (takeIndex >= result.length) {
+                    return INVALID;
+                }
 
-/**
- * Checks whether an object is one of the types given
- * @param {{type: String}} obj The dependency to check
- * @param  {...String} types A number of types that the object should be one of
- * @returns True, if the object is of the give type. Throws an error otherwise
- */
-function assertType(obj, ...types) {
-    for (let type of types) {
-        // find matching type
-        if (obj.type === type) {
-            return;
+                return makeNumber(result[takeIndex]);
+            }
+
+            return result.map(v => makeNumber(v));
+        } else {
+            throw new Error("No suitable constructor");
         }
     }
-    throw new Error(`Expected type ${type}, got ${obj.type}`);
 }
 
 /**
- * Definition of a vector that can be constructed a number of ways
- * A vector consists of x and y coordinates specifying its direction and length and a reference point to which it is attached to.
- * While a mathematical vector is of course not bound to a specific point, this makes working with and displaying vectors easier
+ * Definition of a text object that can be attached at a position and be created from input objects
  */
-class DefVector {
+class DefText {
+
     /**
-     * Constructor sets default values
+     * Default values
      * @param {Object} params
-     * @param {Number} params.x The default x coordinate
-     * @param {Number} params.y The default y coordinate
-     * @param {{x:Number, y:Number}} params.ref The point to which this vector is attached to
-     * @param {Boolean} params.normalize Whether or not this vector should be normalized
+     * @param {String | function(String) : String} params.text Display text or transform function for text
+     * @param {{x:Number, y:Number}} params.ref The point the text is attached to
      */
-    constructor({ x = 0, y = 0, ref = { x: 0, y: 0 }, normalize = false } = {}) {
-        this.x = x;
-        this.y = y;
+    constructor({
+        text = "",
+        ref = { x: 0, y: 0 }
+    } = {}) {
+        this.text = text;
         this.ref = ref;
-        this.normalize = normalize;
     }
 
     /**
-     * Creates a new vector from the position vector of a point.
+     * Creates a new text from an object and a position
      * @param {Object} params
-     * @param {Number | Object} [params.p] Either the index or value of a TYPE_POINT. The position
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @param {Number | Object} [params.obj] Either the index or value of an object. The object to be turned into text
+     * If no text transformer is used, the object is just converted using the objectToString function
+     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
      * @returns {CreateInfo} The creation info
      */
-    static fromPosition({ p, ref = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("pc", { p, ref, normalize });
+    static fromObjectRef({ obj = EMPTY, ref = EMPTY }) {
+        return CreateInfo.new("or", { obj, ref });
     }
+
     /**
-     * Creates a new vector from another vector and reference position.
-     * If only a vector and no reference is given, the other vector's reference is used
-     * @param {Object} params
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @param {Number | Object} [params.v] Either the index or value of a TYPE_VECTOR. The vector
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the text
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} Object of type TYPE_TEXT
      */
-    static fromRefVector({ ref = EMPTY, v = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("rv", {
-            ref, v, normalize
-        });
+    compute(createInfo) {
+        let { text, ref } = this;
+        const { dependencies } = createInfo;
+        if (createInfo.name === "or") {
+            const { obj, ref: refn } = dependencies;
+            if (!isParamEmpty(obj)) {
+                if (text instanceof Function) {
+                    text = text(obj);
+                } else {
+                    text = objectToString(obj);
+                }
+            }
+            if (!isParamEmpty(refn)) {
+                assertType(refn, TYPE_POINT);
+
+                ref = refn;
+            }
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor found");
+        }
+
+        if (text instanceof Function) {
+            text = text();
+        }
+
+        return makeText({ text, ref });
     }
+}
+
+/**
+ * Definition of an oriented angle placed at a reference point
+ */
+class DefAngle {
 
     /**
-     * Creates a new vector from individual values
-     * @param {Object} params
-     * @param {Number | Object} [params.x] Either the index or value of a TYPE_NUMBER. The x coordinate
-     * @param {Number | Object} [params.y] Either the index or value of a TYPE_NUMBER. The y coordinate
-     * @param {Number | Object} [params.refX] Either the index or value of a TYPE_NUMBER. The reference x coordinate
-     * @param {Number | Object} [params.refY] Either the index or value of a TYPE_NUMBER. The reference y coordinate
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+        * When computing an angle, if it is greater than Pi (180°), choose the opposite one
+        */
+    static USE_SMALLER_ANGLE = -1;
+    /**
+     * When computing an angle choose it
      */
-    static fromCoordinates({ x = EMPTY, y = EMPTY, refX = EMPTY, refY = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("c", {
-            x, y, refX, refY, normalize
-        });
-    }
+    static USE_COMPUTED_ANGLE = 0;
+    /**
+     * When computing an angle, if it is smaller than Pi (180°), choose the opposite one
+     */
+    static USE_LARGER_ANGLE = 1;
 
     /**
-     * Creates a new vector from a line segment
-     * The vector will use the first line point as a reference and point to the second point
-     * @param {Number | Object} line  Either the index or value of a TYPE_LINE. The line
-     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * Creates an angle from two objects that can each be either lines or vectors.
+     * The reference point is placed where the infinitl lines through the objects intersect
+     * @param {Number | Object} v0 Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]
+     * @param {Number | Object} v1 Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]
+     * @param {Number} [useAngle] One of the values DefAngle.(USE_SMALLER_ANGLE, USE_COMPUTED_ANGLE, USE_LARGER_ANGLE)
      * @returns {CreateInfo} The creation info
      */
-    static fromLineSegment(line, normalize = EMPTY) {
-        return CreateInfo.new("l", {
-            line, normalize
+    static fromVectorsOrLines(v0, v1, useAngle = DefAngle.USE_COMPUTED_ANGLE) {
+        return CreateInfo.new("vl", { v0, v1 }, {
+            useAngle
         });
     }
+
+
+
     /**
-     * Creates a new vector from two points
-     * The vector will use the first point as a reference and point to the second point
-     * @param {Number | Object} p0  Either the index or value of a TYPE_POINT. The first point
-     * @param {Number | Object} p1  Either the index or value of a TYPE_POINT. The second point
-     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * Creates an angle from three points. The angle is measured around the middle one.
+     * The reference point is placed at the middle point
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p2 Either the index or value of a TYPE_POINT
+     * @param {Number} [useAngle] One of the values DefAngle.(USE_SMALLER_ANGLE, USE_COMPUTED_ANGLE, USE_LARGER_ANGLE)
      * @returns {CreateInfo} The creation info
      */
-    static fromPoints(p0, p1, normalize = EMPTY) {
-        return CreateInfo.new("pp", {
-            p0, p1, normalize
+    static fromPoints(p0, p1, p2, useAngle = DefAngle.USE_COMPUTED_ANGLE) {
+        return CreateInfo.new("ppp", { p0, p1, p2 }, {
+            useAngle
         });
     }
 
     /**
-     * Creates a new vector from polar coordinates
+     * Creates an angle from a fixed direction and a line or vector
      * @param {Object} params
-     * @param {Number | Object} params.polar Either the index or value of a TYPE_POLAR. The polar coordinate
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
+     * @param {Number | Object} params.v Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]. The direction
+     * If no text transformer is used, the object is just converted using the objectToString function
+     * @param {{x:Number, y:Number}} [params.fixedDir] A fixed direction from which to compute the angle from
+     * @param {Number} [params.useAngle] One of the values DefAngle.(USE_SMALLER_ANGLE, USE_COMPUTED_ANGLE, USE_LARGER_ANGLE)
      * @returns {CreateInfo} The creation info
      */
-    static fromPolar({ polar, ref = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("pol", { polar, ref, normalize });
+    static fromFixedDir({ v, fixedDir = { x: 1, y: 0 }, useAngle = DefAngle.USE_COMPUTED_ANGLE }) {
+        return CreateInfo.new("fd", { v }, {
+            useAngle,
+            fixedDir,
+        });
     }
 
     /**
-     * Computes the value of this definition
-     * @param {CreateInfo} createInfo 
-     * @returns {Object} The computed vector with type TYPE_VECTOR
+     * Compute the angle
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} An angle of type TYPE_ANGLE
      */
     compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        if (createInfo.name === "vl") {
+            // angle between 
+            let p0;
+            let d0;
 
-        const { dependencies } = createInfo;
-        let { x, y, ref, normalize } = this;
-
+            let p1;
+            let d1;
 
-        if (createInfo.name === "rv") {
-            const { ref: referencePoint, v: vector, normalize: normalizeN } = dependencies;
+            const { v0, v1 } = dependencies;
 
-            if (!isParamEmpty(referencePoint)) {
-                assertType(referencePoint, TYPE_POINT);
-                ref = referencePoint;
-            }
-            if (!isParamEmpty(vector)) {
-                assertType(vector, TYPE_VECTOR);
-                x = vector.x;
-                y = vector.y;
+            if (v0.type === TYPE_LINE) {
+                p0 = v0.p0;
+                d0 = vSub(v0.p1, v0.p0);
+            } else if (v0.type === TYPE_VECTOR) {
+                p0 = v0.ref;
+                d0 = v0;
+            } else {
+                throw new Error(`Expected line or vector, got ${v0.type} `);
             }
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-        } else if (createInfo.name === "c") {
-            const { x: vx, y: vy, refX, refY, normalize: normalizeN } = dependencies;
-            if (!isParamEmpty(vx)) {
-                assertType(vx, TYPE_NUMBER);
-                x = vx.value;
+            if (v1.type === TYPE_LINE) {
+                p1 = v1.p0;
+                d1 = vSub(v1.p1, v1.p0);
+
+            } else if (v1.type === TYPE_VECTOR) {
+                p1 = v1.ref;
+                d1 = v1;
+            } else {
+                throw new Error(`Expected line or vector, got ${v1.type} `);
             }
 
-            if (!isParamEmpty(vy)) {
-                assertType(vy, TYPE_NUMBER);
 
-                y = vy.value;
-            }
-            if (!isParamEmpty(refX)) {
-                assertType(refX, TYPE_NUMBER);
-                ref.x = refX.value;
+            // measure angle from intersection
+            let inter = intersectLines(p0, vAdd(p0, d0), p1, vAdd(p1, d1));
+            if (!inter) {
+                inter = p0;
             }
-            if (!isParamEmpty(refY)) {
-                assertType(refY, TYPE_NUMBER);
 
-                ref.y = refY.value;
+            // oriented angle
+            const a = orientedAngle(d0, d1);
+            const start = orientedAngle({ x: 1, y: 0 }, d0);
+
+            let a0 = start;
+            let a1 = a0 + a;
+
+            if (a1 < a0) {
+                a1 += 2 * Math.PI;
             }
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
+            const { useAngle } = params;
+            const adif = a1 - a0;
+            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
+                // angle is > 180° -> use the other side
+                if (adif > Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
+            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
+                // angle is < 180° -> use other side
+                if (adif < Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
             }
-        } else if (createInfo.name === "pc") {
-            const { p, normalize: normalizeN, ref: refN } = dependencies;
 
-            if (!isParamEmpty(p)) {
-                assertType(p, TYPE_POINT);
-                x = p.x;
-                y = p.y;
+            return makeAngle({ value: (a1 - a0), start: a0, ref: inter });
+
+        } else if (createInfo.name === "ppp") {
+            const { p0, p1, p2 } = dependencies;
+
+            if (p0.type !== TYPE_POINT || p1.type !== TYPE_POINT || p2.type !== TYPE_POINT) {
+                throw new Error(`Expected points, got ${p0.type}, ${p1.type}, ${p2.type} `);
             }
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
+            const q0 = p1;
+            const d0 = vSub(p0, q0);
+            const d1 = vSub(p2, q0);
+
+            const a = orientedAngle(d0, d1);
+            const start = orientedAngle({ x: 1, y: 0 }, d0);
+
+            let a0 = start;
+            let a1 = a0 + a;
+
+            if (a1 < a0) {
+                a1 += 2 * Math.PI;
             }
 
-            if (!isParamEmpty(refN)) {
-                assertType(refN, TYPE_POINT);
-                ref = refN;
+            const { useAngle } = params;
+            const adif = a1 - a0;
+            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
+                // angle is > 180° -> use the other side
+                if (adif > Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
+            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
+                // angle is < 180° -> use other side
+                if (adif < Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
             }
 
-        } else if (createInfo.name === "l") {
-            const { line, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(line);
-            assertType(line, TYPE_LINE);
 
-            const { p0, p1 } = line;
-            ({ x, y } = vSub(p1, p0));
-            ref = p0;
+            return makeAngle({ value: (a1 - a0), start: a0, ref: q0 });
+        } else if (createInfo.name === "fd") {
+            // angle between 
+            let p0;
+            let d0;
 
+            const { v } = dependencies;
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
+            assertExistsAndNotOptional(v);
+            assertType(v, TYPE_VECTOR, TYPE_LINE);
 
-        } else if (createInfo.name === "pp") {
-            const { p0, p1, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(p0, p1);
-            assertType(p0, TYPE_POINT);
-            assertType(p1, TYPE_POINT);
+            const { fixedDir, useAngle } = params;
 
-            ref = p0;
+            if (v.type === TYPE_LINE) {
+                p0 = v.p0;
+                d0 = vSub(v.p1, v.p0);
+            } else if (v.type === TYPE_VECTOR) {
+                p0 = v.ref;
+                d0 = v;
+            }
+            // oriented angle
+            const a = orientedAngle(fixedDir, d0);
+            const start = orientedAngle({ x: 1, y: 0 }, fixedDir);
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
+            let a0 = start;
+            let a1 = a0 + a;
+
+            if (a1 < a0) {
+                a1 += 2 * Math.PI;
+            }
+            const adif = a1 - a0;
+            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
+                // angle is > 180° -> use the other side
+                if (adif > Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
+            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
+                // angle is < 180° -> use other side
+                if (adif < Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
             }
 
 
-            ({ x, y } = vSub(p1, p0));
-        } else if (createInfo.name === "pol") {
-            const { polar, ref: refN, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(polar);
+            return makeAngle({ value: (a1 - a0), start: a0, ref: p0 });
 
-            assertType(polar, TYPE_POLAR);
+        }
+        throw new Error(`No suitable constructor found`);
 
-            const { r, alpha } = polar;
-            ({ x, y } = vPolar(r, alpha));
+    }
+}
+/**
+ * Definition of a polar coordinate defined by a radius ang angle
+ */
+class DefPolarCoord {
+    /**
+     * Default values
+     * @param {Object} params
+     * @param {Number} params.r The radius
+     * @param {Number} params.alpha The angle
+     */
+    constructor({ r = 1, alpha = 0 } = {}) {
+        this.r = r;
+        this.alpha = alpha;
+    }
+    /**
+     * Creates polar coordinates of a point
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPointOrVector(p) {
+        return CreateInfo.new("pv", { p });
+    }
 
-            if (!isParamEmpty(refN)) {
-                assertType(refN, TYPE_POINT);
-                ref = refN;
+    /**
+     * Creates an angle from three points. The angle is measured around the middle one.
+     * The reference point is placed at the middle point
+     * @param {Object} params
+     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
+     * @param {Number | Object} [params.alpha] Either the index or value of a TYPE_NUMBER. The angle
+     * @returns {CreateInfo} The creation info
+     */
+    static fromValues({ r = EMPTY, alpha = EMPTY } = {}) {
+        return CreateInfo.new("v", { r, alpha });
+    }
+
+    /**
+     * Compute the polar coordinates
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A polar coordinate of type TYPE_POLAR
+     */
+    compute(createInfo) {
+        let { r, alpha } = this;
+        const { dependencies } = createInfo;
+        if (createInfo.name === "pv") {
+            const { p } = dependencies;
+            assertExistsAndNotOptional(p);
+            assertType(p, TYPE_POINT, TYPE_VECTOR);
+
+            r = vLen(p);
+            alpha = calcAngle(p.x, p.y);
+
+        } else if (createInfo.name === "v") {
+            const { r: rN, alpha: alphaN } = dependencies;
+
+            if (!isParamEmpty(rN)) {
+                assertType(rN, TYPE_NUMBER);
+                r = rN.value;
             }
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
+            if (!isParamEmpty(alphaN)) {
+                assertType(alphaN, TYPE_NUMBER);
+                alpha = alphaN.value;
             }
 
         } else if (createInfo !== EMPTY_INFO) {
-            throw new Error(`No suitable parameters found to construct Vector`);
+            throw new Error("No suitable constructor");
         }
 
-        if (normalize) {
-            ({ x, y } = vNormalizeIfNotZero(vVec2(x, y)));
-        }
-        return makeVector({
-            x, y, ref
-        });
+        return makePolarCoordinate({ r, alpha });
     }
 }
-
 /**
- * Easier access to some common vector operations.
- * These could also easily be implemented by a DefFunc
+ * Definition of a point.
  */
-class DefVectorOps {
+class DefPoint {
 
     /**
-     * Attaches the second vector at the tip of the first. 
-     * The result is a vector that points from the first vector's reference point to the tip of the second.
-     * Optionally, a new reference point may be specified. 
-     * The result will be of type TYPE_VECTOR
-     * NOTE: This will be equivalent to adding the vectors and placing them at the reference, if they share the same reference point.
-     * 
-     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The first vector
-     * @param {Number | Object} b Either the index or value of a TYPE_VECTOR. The vector to be attached
-     * @param {Number | Object} [ref] Either the index or value of a TYPE_POINT. The new reference
-     * @returns {CreateInfo} The creation info
+     * Default values
+     * @param {Number} x The x coordinate
+     * @param {Number} y The y coordinate
      */
-    static fromAttach(a, b, ref = EMPTY) {
-        return CreateInfo.new("att", { a, b, ref });
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
     }
 
     /**
-     * Computes the dot product of two vectors.
-     * The result will be of type TYPE_NUMBER
-     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The first vector
-     * @param {Number | Object} b Either the index or value of a TYPE_VECTOR. The second vector
+     * Creates a point from another point or vector.
+     * A point created from a vector is located at the tip of the vector that is placed at its reference point
+     * @param {Number | Object} other Either the index or value of one of the types [TYPE_POINT, TYPE_VECTOR]
      * @returns {CreateInfo} The creation info
      */
-    static fromDot(a, b) {
-        return CreateInfo.new("dot", { a, b });
+    static fromPointOrVector(other) {
+        return CreateInfo.new("p", {
+            p: other
+        });
     }
 
     /**
-     * Negates the given vectors
-     * Optionally, the reference point can be switched to the old arrow tip, so the arrow overall stays in the same place
-     * The result will be of type TYPE_VECTOR
-     * 
-     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The vector
-     * @param {Boolean} [attachAtEndPoint] Whether or not the new vector will be attached at the old arrow tip
+     * Creates a point from coordinates
+     * @param {Object} params
+     * @param {Number | Object} [params.x] Either the index or value of a TYPE_NUMBER
+     * @param {Number | Object} [params.y] Either the index or value of a TYPE_NUMBER
      * @returns {CreateInfo} The creation info
      */
-    static fromNegate(a, attachAtEndPoint = false) {
-        return CreateInfo.new("neg", { a }, { attachAtEndPoint });
+    static fromCoordinates({ x = EMPTY, y = EMPTY } = {}) {
+        return CreateInfo.new("xy", {
+            x, y
+        });
     }
-
     /**
-     * Transforms a given vector by rotation and scaling
-     * Optionally, a new reference point may be specified. 
-     * The result will be of type TYPE_VECTOR
-     * 
-     * @param {Number | Object} a Either the index or value of a TYPE_VECTOR. The vector
-     * @param {Object} params
-     * @param {Number | Object} [params.alpha] Either the index or value of a TYPE_NUMBER. The rotation angle
-     * @param {Number | Object} [params.scale] Either the index or value of a TYPE_NUMBER. The scaling factor
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized before scaling
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The new reference point
-     * @param {Object} [defaultValues]
-     * @param {Number} [defaultValues.alpha = 0] Default value for the rotation angle
-     * @param {Number} [defaultValues.scale = 1] Default value for the scaling factor
-     * @param {Number} [defaultValues.normalize = false] Default value for the normalization
+     * Creates a point from a vector attached to a point
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT
+     * @param {Number | Object} v Either the index or value of a TYPE_VECTOR
      * @returns {CreateInfo} The creation info
      */
-    static fromTransform(a, { alpha = EMPTY, scale = EMPTY, normalize = EMPTY, ref = EMPTY, },
-        defaultValues = {}) {
-        const { alpha: alpha0 = 0, scale: scale0 = 1, normalize: normalize0 = false } = defaultValues;
-        return CreateInfo.new("tr", { a, alpha, scale, normalize, ref, }, {
-            alpha: alpha0, scale: scale0, normalize: normalize0
+    static fromAttachedVector(p, v) {
+        return CreateInfo.new("pv", {
+            p, v
         });
     }
 
     /**
-     * Computes the specified operation
-     * @param {CreateInfo} info The creation info
-     * @returns The result of the operation of the type specified for the different from methods
+     * Creates a point from a polar coordinates
+     * @param {Number | Object} polar Either the index or value of a TYPE_POLAR
+     * @returns {CreateInfo} The creation info
      */
-    compute(info) {
-        const { dependencies, params } = info;
-
-        if (info.name === "att") {
-            const { a, b, ref } = dependencies;
-            assertExistsAndNotOptional(a, b);
-            assertType(a, TYPE_VECTOR);
-            assertType(b, TYPE_VECTOR);
-            const ab = Vec2.add(a, b);
+    static fromPolar(polar) {
+        return CreateInfo.new("pol", { polar });
+    }
 
-            let refp = a.ref;
-            if (!isParamEmpty(ref)) {
-                assertType(ref, TYPE_POINT);
-                refp = ref;
+    /**
+     * Computes the point
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A point of type TYPE_POINT
+     */
+    compute(createInfo) {
+        let { x, y } = this;
+        const { dependencies } = createInfo;
+        if (createInfo.name === "p") {
+            const { p } = dependencies;
+            if (isParamEmpty(p) || (p.type !== TYPE_POINT && p.type !== TYPE_VECTOR)) {
+                throw new Error(`Point from point or vector requires 1 valid point or vector no suitable parameter set available`);
             }
-
-            return makeVector({ x: ab.x, y: ab.y, ref: refp });
-        } else if (info.name === "dot") {
-            const { a, b } = dependencies;
-            assertExistsAndNotOptional(a, b);
-            assertType(a, TYPE_VECTOR);
-            assertType(b, TYPE_VECTOR);
-            const dot = Vec2.dot(a, b);
-
-            return makeNumber(dot);
-        } else if (info.name === "neg") {
-            const { a } = dependencies;
-            const { attachAtEndPoint } = params;
-            const v = Vec2.scale(a, -1);
-            let ref = a.ref;
-            if (attachAtEndPoint) {
-                ref = Vec2.add(ref, a);
+            if (p.type === TYPE_POINT) {
+                x = p.x;
+                y = p.y;
             }
-
-            return makeVector({ x: v.x, y: v.y, ref });
-        } else if (info.name === "tr") {
-            const { a, alpha: alpha0,
-                scale: scale0, normalize: normalize0, ref: ref0 } = dependencies;
-            let { alpha, scale, normalize } = params;
-
-            assertExistsAndNotOptional(a);
-            assertType(a, TYPE_VECTOR);
-
-            if (!isParamEmpty(alpha0)) {
-                assertType(alpha0, TYPE_NUMBER);
-                alpha = alpha0.value;
+            else if (p.type === TYPE_VECTOR) {
+                const { ref } = p;
+                // construct from vector reference point
+                ({ x, y } = vAdd(ref, p));
             }
+        } else if (createInfo.name === "xy") {
+            const { x: xn, y: yn } = dependencies;
 
-            if (!isParamEmpty(scale0)) {
-                assertType(scale0, TYPE_NUMBER);
-                scale = scale0.value;
+            if (!isParamEmpty(xn)) {
+                if (xn.type !== TYPE_NUMBER) {
+                    throw new Error(`Point from coordinates requires x to be either empty or a number`);
+                }
+                x = xn.value;
             }
-
-            if (!isParamEmpty(normalize0)) {
-                assertType(normalize0, TYPE_BOOLEAN);
-                normalize = normalize0.value;
+            if (!isParamEmpty(yn)) {
+                if (yn.type !== TYPE_NUMBER) {
+                    throw new Error(`Point from coordinates requires y to be either empty or a number`);
+                }
+                y = yn.value;
             }
-
-            let ref = a.ref;
-
-            if (!isParamEmpty(ref0)) {
-                assertType(ref0, TYPE_POINT);
-                ref = ref0;
+        } else if (createInfo.name === "pv") {
+            const { p, v } = dependencies;
+            if (isParamEmpty(p) || isParamEmpty(v)) {
+                throw new Error(`Point from point and vector requires non - empty parameter`);
             }
-
-            let vf = a;
-
-            if (normalize) {
-                vf = Vec2.normalizeIfNotZero(vf);
+            if (p.type !== TYPE_POINT || v.type !== TYPE_VECTOR) {
+                throw new Error(`Point from point and vector requires a point and a vector`);
             }
-            vf = Vec2.scale(vf, scale);
-            vf = Vec2.rotate(vf, alpha);
-
-            return makeVector({ x: vf.x, y: vf.y, ref });
+            ({ x, y } = vAdd(p, v));
+        } else if (createInfo.name === "pol") {
+            const { polar } = dependencies;
+            assertExistsAndNotOptional(polar);
+            assertType(polar, TYPE_POLAR);
 
-        } else {
-            throw new Error("No suitable constructor");
+            ({ x, y } = vPolar(polar.r, polar.alpha));
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error(`Point: No suitable parameter set available`);
         }
 
+        return makePoint({ x, y });
     }
 }
-
 /**
- * Definition of a coordinate system
- * 
- * Coordinte systems may be placed relative to other coordinate systems. They are specified by two local axes and a local origin.
- * 
- * When computing the value, the final coordinates of origin and axes will be in the same coordinate frame as the parent. 
- * Thus, in  general, the result will be in world coordinates, as each parent, will itself be specified in its parent's system, until there is a system with no parent (implicit world coordinates)
+ * Definition for a point on a curve
+ * Will calculate the point given a parameter
  * 
- * This makes it easy to define vectors and points locally, with DefCoordSystemOps  and still use those resulting  vectors together with arbitrary other ones, without the issue if different coordinate frames
+ * Supported curve objects are:
+ * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse, parabola, hyperbola, function graph, parametric curve, rational Bezier, NURBS
  */
-class DefCoordSystem {
-
+class DefCurvePoint {
     /**
-     * Creates a coordinate system structure for the given parameters
-     * If origin is not given, it defaults to the usual (0,0)
-     * If u is not given, it defaults to the usual x-axis (1,0)
-     * If v is not given, it defaults to the normal vector to u.
-     * @param {Object} [params]
-     * @param {{x:Number, y:Number}} [params.origin] The origin
-     * @param {{x:Number, y:Number}} [params.u] The first axis
-     * @param {{x:Number, y:Number}} [params.v] The second axis
-     * @returns {{origin: {x:Number, y:Number}, u: {x:Number, y:Number}, v: {x:Number, y:Number}}}
+     * Default values
+     * @param {Number} [t] The t value
      */
-    static createSystem({ origin, u, v } = {}) {
-        origin = origin ?? Vec2.vec2(0, 0);
-        // u needs to be specified, otherwise v is set back
-        if (!u) {
-            v = null;
-        }
-        u = u ?? Vec2.vec2(1, 0);
-        v = v ?? Vec2.normal2D(u);
-        return { origin, u, v };
+    constructor(t = 0) {
+        this.t = t;
     }
 
     /**
-     * Computes the contravariant basis for a given basis
-     * 
-     * As the basis vectors are not required to be normalized or orthogonal, the contravariant basis can be used to determine the coordinates of a vector in the given basis
-     * 
-     * @param {{x:Number, y:Number}} u The first axis
-     * @param {{x:Number, y:Number}} v The second axis
-     * @returns {{u: {x:Number, y:Number}, v: {x:Number, y:Number}}} The contravariant basis vectors
+     * Signifies, that the parameter is the curve parameter in [0,1]
+     */
+    static PARAM_CURVE = "curve";
+    /**
+     * Signifies, that the parameter is the length along the curve measured from its start
+     */
+    static PARAM_ARC_LENGTH = "arcLength";
+    /**
+     * Signifies, that the parameter is the length along the curve measured from its start as a fraction of the total length in [0,1]
      */
-    static computeContravariantBasis(u, v) {
-        const u2 = Vec2.len2(u);
-        const v2 = Vec2.len2(v);
-        const dotUV = Vec2.dot(u, v);
-        const a = 1 / (u2 * v2 - dotUV * dotUV);
+    static PARAM_ARC_LENGTH_NORMALIZED = "arcLengthNormalized";
 
-        const up = Vec2.add(Vec2.scale(u, a * v2), Vec2.scale(v, -a * dotUV));
-        const vp = Vec2.add(Vec2.scale(u, -a * dotUV), Vec2.scale(v, a * u2));
+    /**
+     * Computes the point on a curve
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
+     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
+     * @param {String} [paramMode] How t is interpreted. Possible values are stored as static variables in this class prefixed by PARAM_
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCurve({ obj, t = EMPTY, paramMode = DefCurvePoint.PARAM_CURVE }) {
+        return CreateInfo.new("obj", {
+            obj, t
+        }, { paramMode });
+    }
 
-        return { u: up, v: vp };
+    /**
+     * Converts a parameter to the curve parameter in [0,1]
+     * @param {Object} obj The curve object
+     * @param {Number} t The parameter
+     * @param {String} [paramMode] How t is interpreted. Possible values are stored as static variables in this class prefixed by PARAM_
+     * @returns {Number} The curve parameter
+     */
+    static convertParam(obj, t, paramMode = DefCurvePoint.PARAM_CURVE) {
+        if (paramMode === DefCurvePoint.PARAM_ARC_LENGTH) {
+            return calcCurveParamFromLength(obj, t);
+        } else if (paramMode === DefCurvePoint.PARAM_ARC_LENGTH_NORMALIZED) {
+            return calcCurveParamFromLength(obj, t, { normalized: true });
+        } else if (paramMode === DefCurvePoint.PARAM_CURVE) {
+            return t;
+        }
+        throw new Error(`Unknown curve parameter mode ${paramMode}`);
     }
+
     /**
-     * Computes the world coordinates of a vector specified in the local coordinates
-     * 
-     * As a vector has no position, this just depends on the axes
-     * 
-     * @param {{x:Number, y:Number}} coords The local coordintaes
-     * @param {Object} coordSystem
-     * @param {{x:Number, y:Number}} coordSystem.u The first axis
-     * @param {{x:Number, y:Number}} coordSystem.v The second axis
-     * @returns {{x:Number, y:Number}} The world vector
+     * Computes the point on a ellipse. 
+     * @param {{x:Number, y:Number}} center The ellipse center
+     * @param {Number} rx The ellipse x-eccentricity
+     * @param {Number} ry The ellipse y-eccentricity
+     * @param {Number} rotation The ellipse rotation
+     * @param {Number} alpha The angle
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    static vectorFromCoordSystem(coords, { u, v }) {
-        return Vec2.add(Vec2.scale(u, coords.x), Vec2.scale(v, coords.y));
+    static ellipsePoint(center, rx, ry, rotation, alpha) {
+        let q = vPolar(1, alpha);
+        [q] = convertPointFromLocalEllipse([q], center, rotation, rx, ry);
+        return q;
     }
 
     /**
-     * Computes the world coordinates of a point specified in the local coordinates
-     * 
-     * @param {{x:Number, y:Number}} coords The local coordintaes
-     * @param {Object} coordSystem
-     * @param {{x:Number, y:Number}} coordSystem.origin The origin
-     * @param {{x:Number, y:Number}} coordSystem.u The first axis
-     * @param {{x:Number, y:Number}} coordSystem.v The second axis
-     * @returns {{x:Number, y:Number}} The world point
+     * Computes the point on a circle. 
+     * @param {{x:Number, y:Number}} center The circle center
+     * @param {Number} r The circle radius
+     * @param {Number} alpha The angle
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    static pointFromCoordSystem(coords, { origin, u, v }) {
-        return Vec2.add(origin, Vec2.add(Vec2.scale(u, coords.x), Vec2.scale(v, coords.y)));
+    static circlePoint(center, r, alpha) {
+        return vAdd(center, vPolar(r, alpha));
     }
 
     /**
-     * Computes, whether a coordinate system is right-handed
-     * @param {{x:Number, y:Number}} u The first axis
-     * @param {{x:Number, y:Number}} v The second axis
-     * @returns True, if the coordinate system is right-handed, otherwise false
+     * Computes the point on a parabola. 
+     * @param {{x:Number, y:Number}} vertex The parabola vertex
+     * @param {Number} focalLength The distance between vertex and focus
+     * @param {Number} rotation The parabola rotation
+     * @param {Number} s The local parameter
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    static isRightHanded(u, v) {
-        // check whether the determinant of the matrix made up of both base cectors is non-negative
-        return u.x * v.y - u.y * v.x >= 0;
+    static parabolaPoint(vertex, focalLength, rotation, s) {
+        const [q] = convertPointFromLocalConic([vVec2(s * s / (4 * focalLength), s)], vertex, rotation);
+        return q;
     }
 
     /**
-     * Default values
-     * @param {Object} [params]
-     * @param {{orign : {x:Number, y:Number}, u : {x:Number, y:Number}, v: {x:Number, y:Number}}} [params.local] The local coordinate system
-     * @param {{orign : {x:Number, y:Number}, u : {x:Number, y:Number}, v: {x:Number, y:Number}}} [params.prent] The parent coordinate system
+     * Computes the point on a hyperbola. 
+     * @param {{x:Number, y:Number}} center The hyperbola center
+     * @param {Number} a The semi-major axis
+     * @param {Number} b The semi-minor axis
+     * @param {Number} rotation The hyperbola rotation
+     * @param {Number} branch The branch sign
+     * @param {Number} s The local parameter
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    constructor({ local = {}, parent = {} } = {}) {
-
-        this.local = local;
-        this.parent = parent;
+    static hyperbolaPoint(center, a, b, rotation, branch, s) {
+        const [q] = convertPointFromLocalConic([vVec2(branch * a * Math.cosh(s), b * Math.sinh(s))], center, rotation);
+        return q;
     }
 
     /**
-     * Creates a coordinate system by specifying local origin and axes
-     * 
-     * If the first axis (u) is given, the second default value will be overriden by the given second axis (v) as well, even if that is empty.
-     * That means, if u is not given, v will also be set to empty and used the default values, if they are set.
-     * If v is empty, it will be computed as the normal to u.
-     * 
-     * When not given any values, the defaults are the usual coordinate axies with origin (0,0) and u = (1,0), v = (0,1)
-     * 
-     * @param {Object} [params]
-     * @param {Number | Object} [params.origin] Either the index or value of a TYPE_POINT. The local origin
-     * @param {Number | Object} [params.u] Either the index or value of a TYPE_VECTOR. The first axis
-     * @param {Number | Object} [params.v] Either the index or value of a TYPE_VECTOR. The second axis
-     * @param {Number | Object} [params.parent] Either the index or value of a TYPE_COORD_SYSTEM. The parent coordinate system
-     * @returns {CreateInfo} The creation info
+     * Computes the point on a function graph. 
+     * @param {function(Number) : Number} f The function
+     * @param {Number} x The x-coordinate
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    static fromValues({ origin = EMPTY, u = EMPTY, v = EMPTY, parent = EMPTY } = {}) {
-        return CreateInfo.new("v", { origin, u, v, parent });
+    static functionGraphPoint(f, x) {
+        return vVec2(x, f(x));
     }
-
     /**
-     * Creates a coordinate system by specifying a transformation of the local axes
-     * 
-     * @param {Object} [params]
-     * @param {Number | Object} [params.translation] Either the index or value of a TYPE_VECTOR. The translation of the origin
-     * @param {Number | Object} [params.rotation] Either the index or value of a TYPE_NUMBER. The rotation angle of the first axis
-     * @param {Number | Object} [params.scale] Either the index or value of either type TYPE_VECTOR or TYPE_NUMBER. The scaling factor
-     * @param {Number | Object} [params.parent] Either the index or value of a TYPE_COORD_SYSTEM. The parent coordinate system
-     * @param {Object} [defaultValues]
-     * @param {{x: Number, y:Number}} [defaultValues.translation] Default value for the translation
-     * @param {Number} [defaultValues.rotation] Default value for the rotation angle
-     * @param {Number | {x: Number, y:Number}} [defaultValues.scale] Default value for the scale
-     * @returns {CreateInfo} The creation info
+     * Computes the point on a line. 
+     * @param {{x:Number, y:Number}} p0 The first line point
+     * @param {{x:Number, y:Number}} p1 The second line point
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    static fromTransform({ translation = EMPTY, rotation = EMPTY, scale = EMPTY, parent = EMPTY }, defaultValues) {
-        const { translation: t = { x: 0, y: 0 }, rotation: rot = 0, scale: s = { x: 1, y: 1 } } = defaultValues;
-        return CreateInfo.new("t", { translation, rotation, scale, parent }, {
-            translation: t, rotation: rot, scale: s
-        });
+    static linePoint(p0, p1, t) {
+        return vLerp(p0, p1, t);
     }
 
     /**
-     * Creates a coordinate system that consist of the same origin but the contravarint base vectors as the given system
-     * 
-     * @param {Number | Object} system Either the index or value of a TYPE_COORD_SYSTEM. The system which this one is based on
-     * @param {Number | Object} [parent] Either the index or value of a TYPE_COORD_SYSTEM. The parent coordinate system
-     * @returns {CreateInfo} The creation info
+     * Computes the point on a vector.
+     * The vector is treated as a line segment from the reference to the arrow tip
+     * @param {Object} v The vector of type TYPE_VECTOR
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    static fromContravariant(system, parent = EMPTY) {
-        return CreateInfo.new("c", { system, parent });
+    static vectorPoint(v, t) {
+        return vAdd(v.ref, vScale(v, t));
     }
+    /**
+     * Computes the point on a line strip. 
+     * @param {Object} points The line strip points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting point
+     */
+    static lineStripPoint(points, t) {
+        const num = points.length - 1;
 
+        const idx = findSegmentIndex(num, t);
+        t = num * t - idx;
+        const [p0, p1] = [points[idx], points[idx + 1]];
+        return vLerp(p0, p1, t);
+    }
     /**
-     * Computes the coordinate system
-     * @param {CreateInfo} info The creation info
-     * @returns {Object} An object of type TYPE_COORD_SYSTEM
+     * Computes the point on a polygon. 
+     * @param {Object} points The polygon points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting point
      */
-    compute(info) {
-        const { dependencies, params } = info;
+    static polygonPoint(points, t) {
+        const num = points.length;
 
-        let { local, parent } = this;
-        // copy values so they can be overriden
-        local = Object.assign({}, local);
-        parent = Object.assign({}, parent);
+        const idx = findSegmentIndex(num, t);
+        t = num * t - idx;
+        const [p0, p1] = [points[idx], points[(idx + 1) % points.length]];
+        return vLerp(p0, p1, t);
+    }
+    /**
+     * Computes the point on a Bezier curve. 
+     * @param {Object} points The control points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting point
+     */
+    static bezierPoint(points, t) {
+        return deCasteljau(points, t);
+    }
+    /**
+     * Computes the point on a Bezier spline. 
+     * @param {Object} points The control points
+     * @param {Number} degree The spline degree
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting point
+     */
+    static bezierSplinePoint(points, degree, t) {
+        // stretch t with segment number
+        const numSegs = numSegmentsBezierSpline(points, degree);
+        const idx = findSegmentIndex(numSegs, t);
+        t = numSegs * t - idx;
 
-        if (info.name === "v") {
-            const { origin, u, v, parent: parent0 } = dependencies;
+        const segPoints = getBezierSplineSegment(points, degree, idx);
 
-            if (!isParamEmpty(origin)) {
-                assertType(origin, TYPE_POINT);
-                local.origin = origin;
-            }
+        return deCasteljau(segPoints, t);
+    }
+    /**
+     * Computes the point on a curve. 
+     * Supported types are documented at the top of this class
+     * @param {Object} obj The curve object
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting point
+     */
+    static curvePoint(obj, t) {
+        const otype = obj.type;
+        if (otype === TYPE_ELLIPSE) {
+            const ellipse = obj;
 
-            if (!isParamEmpty(u)) {
-                assertType(u, TYPE_VECTOR);
-                local.u = u;
-            }
-            if (!isParamEmpty(v)) {
-                assertType(v, TYPE_VECTOR);
-                local.v = v;
-            } else {
-                local.v = null;
+            let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
+            // in the case of the circle wrapping over, just add 2pi to take care of that
+            if (startAngle > endAngle) {
+                endAngle += 2.0 * Math.PI;
             }
+            const da = endAngle - startAngle;
 
-            if (!isParamEmpty(parent0)) {
-                assertType(parent0, TYPE_COORD_SYSTEM);
-                parent = parent0;
-            }
+            const a = startAngle + t * da;
 
-        } else if (info.name === "t") {
-            let { translation, rotation, scale } = params;
-            if (typeof scale === "number") {
-                scale = Vec2.vec2(scale, scale);
-            }
-            const { translation: t0, rotation: r0, scale: s0, parent: parent0 } = dependencies;
 
-            if (!isParamEmpty(t0)) {
-                assertType(t0, TYPE_VECTOR);
-                translation = t0;
-            }
-            if (!isParamEmpty(s0)) {
-                assertType(s0, TYPE_VECTOR, TYPE_NUMBER);
-                if (s0.type === TYPE_VECTOR) {
-                    scale = s0;
-                } else {
-                    scale = Vec2.vec2(s0.value, s0.value);
-                }
+            let q = DefCurvePoint.ellipsePoint(center, rx, ry, rotation, a);
+            return makePoint(q);
+
+        } else if (otype === TYPE_ARC) {
+            const arc = obj;
+
+            let { center, r, startAngle, endAngle } = arc;
+            // in the case of the circle wrapping over, just add 2pi to take care of that
+            if (startAngle > endAngle) {
+                endAngle += 2.0 * Math.PI;
             }
+            const da = endAngle - startAngle;
 
-            if (!isParamEmpty(r0)) {
-                assertType(r0, TYPE_NUMBER);
-                rotation = r0.value;
-            }
+            const a = startAngle + t * da;
 
-            // compute T * R * S
-            let u = Vec2.vec2(scale.x, 0);
-            let v = Vec2.vec2(0, scale.y);
-            u = Vec2.rotate(u, rotation);
-            v = Vec2.rotate(v, rotation);
-            local.u = u;
-            local.v = v;
-            local.origin = translation;
+            return makePoint(DefCurvePoint.circlePoint(center, r, a));
 
-            if (!isParamEmpty(parent0)) {
-                assertType(parent0, TYPE_COORD_SYSTEM);
-                parent = parent0;
-            }
-        } else if (info.name === "c") {
-            const { origin, u, v, parent: parent0 } = dependencies;
+        } else if (otype === TYPE_PARABOLA) {
+            const { vertex, focalLength, rotation, tMin, tMax } = obj;
+            const s = tMin + t * (tMax - tMin);
 
-            if (!isParamEmpty(origin)) {
-                assertType(origin, TYPE_POINT);
-                local.origin = origin;
-            }
+            return makePoint(DefCurvePoint.parabolaPoint(vertex, focalLength, rotation, s));
+        } else if (otype === TYPE_HYPERBOLA) {
+            const { center, a, b, rotation } = obj;
+            const { branch, s } = calcHyperbolaLocalParam(obj, t);
 
-            if (!isParamEmpty(u)) {
-                assertType(u, TYPE_VECTOR);
-                local.u = u;
+            return makePoint(DefCurvePoint.hyperbolaPoint(center, a, b, rotation, branch, s));
+        } else if (otype === TYPE_FUNCTION_GRAPH) {
+            const { f, xMin, xMax } = obj;
+            const q = DefCurvePoint.functionGraphPoint(f, xMin + t * (xMax - xMin));
+            if (!Number.isFinite(q.y)) {
+                return INVALID;
             }
-            if (!isParamEmpty(v)) {
-                assertType(v, TYPE_VECTOR);
-                local.v = v;
-            } else {
-                local.v = null;
+
+            return makePoint(q);
+        } else if (otype === TYPE_PARAMETRIC_CURVE) {
+            const { tMin, tMax } = obj;
+            const q = calcParametricCurvePoint(obj, tMin + t * (tMax - tMin));
+            if (!Number.isFinite(q.x) || !Number.isFinite(q.y)) {
+                return INVALID;
             }
 
-            if (!isParamEmpty(parent0)) {
-                assertType(parent0, TYPE_COORD_SYSTEM);
-                parent = parent0;
+            return makePoint(q);
+        } else if (otype === TYPE_LINE) {
+            const line = obj;
+
+            let { p0, p1 } = line;
+
+            return makePoint(DefCurvePoint.linePoint(p0, p1, t));
+        } else if (otype === TYPE_VECTOR) {
+            const v = obj;
+
+            return makePoint(DefCurvePoint.vectorPoint(v, t));
+        } else if (otype === TYPE_LINE_STRIP) {
+            const lineStrip = obj;
+
+            let { points } = lineStrip;
+            if (points.length < 2) {
+                return INVALID;
             }
 
-            // we want to have everything in world space
-            // as the contravariant base vectors transform inversely to the covariant ones, we will do the computation here
-            local = DefCoordSystem.createSystem(local);
-            parent = DefCoordSystem.createSystem(parent);
-            const o = Vec2.add(parent.origin,
-                DefCoordSystem.vectorFromCoordSystem(local.origin, parent))
-            let uc = DefCoordSystem.vectorFromCoordSystem(local.u, parent);
-            let vc = DefCoordSystem.vectorFromCoordSystem(local.v, parent);
+            const num = points.length - 1;
 
-            ({ u: uc, v: vc } = DefCoordSystem.computeContravariantBasis(uc, vc));
-            return makeCoordinateSystem(o, uc, vc);
+            const idx = findSegmentIndex(num, t);
+            t = num * t - idx;
+            const [p0, p1] = [points[idx], points[idx + 1]];
+            return makePoint(vLerp(p0, p1, t));
+        } else if (otype === TYPE_POLYGON) {
+            const poly = obj;
 
-        } else if (info !== EMPTY_INFO) {
-            throw new Error("No suitable constructor");
-        }
+            let { points } = poly;
+            if (points.length < 3) {
+                return INVALID;
+            }
 
-        // we do this geometrically by specifying the final axes as linear combinations of the parent
-        // a matrix view is the same, but might be easier to read/generalize
+            return makePoint(DefCurvePoint.polygonPoint(points, t));
+        } else if (otype === TYPE_BEZIER) {
+            const curve = obj;
 
-        // compute the origin in the parent coordinates
-        // here, we always assume the parent to be specified in world coordinates
-        // this way, all vectors computed from this system can be treated the same way as other vectors
-        local = DefCoordSystem.createSystem(local);
-        parent = DefCoordSystem.createSystem(parent);
-        const origin = Vec2.add(parent.origin,
-            DefCoordSystem.vectorFromCoordSystem(local.origin, parent))
-        const u = DefCoordSystem.vectorFromCoordSystem(local.u, parent);
-        const v = DefCoordSystem.vectorFromCoordSystem(local.v, parent);
+            let { points } = curve;
 
-        return makeCoordinateSystem(origin, u, v);
-    }
-}
+            return makePoint(DefCurvePoint.bezierPoint(points, t));
+        } else if (otype === TYPE_BEZIER_SPLINE) {
+            const curve = obj;
 
-/**
- * Some operations for working with coordinatae systems
- */
-class DefCoordSystemOps {
+            let { points, degree } = curve;
 
-    /**
-     * Computes the world coordinates of a point defined in the given coordinate system
-     * 
-     * The resulting type is the same as the one of v
-     * 
-     * @param {Number | Object} v Either the index or value of TYPE_POINT or TYPE_VECTOR. The input point or vector
-     * @param {Number | Object} [system] Either the index or value of a TYPE_COORD_SYSTEM. The system in which the point or vector is defined in
-     * @returns {CreateInfo} The creation info
-     */
-    static fromPointOrVec(v, coordSystem = EMPTY) {
-        return CreateInfo.new("v", { v, coordSystem });
-    }
+            return makePoint(DefCurvePoint.bezierSplinePoint(points, degree, t));
+        } else if (otype === TYPE_RATIONAL_BEZIER) {
+            const { points, weights } = obj;
 
-    /**
-     * Computes the local coordinates in the given coordinate system of a point defined in world space
-     * 
-     * The resulting type is the same as the one of v.
-     * 
-     * For vectors, the reference is transformed as well
-     * 
-     * @param {Number | Object} v Either the index or value of TYPE_POINT or TYPE_VECTOR. The input point or vector
-     * @param {Number | Object} [system] Either the index or value of a TYPE_COORD_SYSTEM. The system
-     * @returns {CreateInfo} The creation info
-     */
-    static fromToCoordinates(v, coordSystem = EMPTY) {
-        return CreateInfo.new("c", { v, coordSystem });
-    }
+            return makePoint(deCasteljauRational(points, weights, t));
+        } else if (otype === TYPE_NURBS) {
+            const [uMin, uMax] = calcNurbsDomain(obj);
 
-    /**
-     * Computes, whether the given coordinte system is left or right-handed.
-     * 
-     * The resulting type is TYPE_BOOLEAN
-     * 
-     * @param {Number | Object} system Either the index or value of a TYPE_COORD_SYSTEM. The system
-     * @returns {CreateInfo} The creation info
-     */
-    static fromIsRightHanded(coordSystem) {
-        return CreateInfo.new("r", { coordSystem });
+            return makePoint(calcNurbsPoint(obj, uMin + t * (uMax - uMin)));
+        } else {
+            throw new Error("Can't create point from given object");
+        }
     }
 
     /**
-     * Computes the operation
-     * 
-     * @param {CreateInfo} info The creation info
-     * @returns {Object} An object with a type dependent on the specified operation
+     * Computes the curve point
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} An object of type TYPE_POINT
      */
-    compute(info) {
-        const { dependencies, params } = info;
-        if (info.name === "v") {
-            const { v, coordSystem } = dependencies;
-            assertExistsAndNotOptional(v);
-            assertType(v, TYPE_POINT, TYPE_VECTOR);
-
-            let cs = coordSystem;
-            if (!isParamEmpty(cs)) {
-                assertType(cs, TYPE_COORD_SYSTEM);
-            } else {
-                cs = DefCoordSystem.createSystem();
-            }
-
-            // coords relative to coord origin
-            let vw = DefCoordSystem.vectorFromCoordSystem(v, cs);
-            if (v.type === TYPE_POINT) {
-                vw = Vec2.add(vw, cs.origin);
-                return makePoint(vw);
-            } else {
-                let ref = DefCoordSystem.vectorFromCoordSystem(v.ref, cs);
-                ref = Vec2.add(cs.origin, ref);
-                return makeVector({ x: vw.x, y: vw.y, ref });
-            }
-        } else if (info.name === "c") {
-            const { v, coordSystem } = dependencies;
-            assertExistsAndNotOptional(v);
-            assertType(v, TYPE_POINT, TYPE_VECTOR);
-
-            let cs = coordSystem;
-            if (!isParamEmpty(cs)) {
-                assertType(cs, TYPE_COORD_SYSTEM);
-            } else {
-                cs = DefCoordSystem.createSystem();
-            }
+    compute(createInfo) {
+        const { dependencies } = createInfo;
 
-            // coordintes are computes with the covariant base
-            const { u: uc, v: vc } = DefCoordSystem.computeContravariantBasis(cs.u, cs.v);
-            let p = v;
-            if (v.type === TYPE_POINT) {
-                p = Vec2.sub(p, cs.origin);
-                let pu = Vec2.dot(p, uc);
-                let pv = Vec2.dot(p, vc);
-                return makePoint({ x: pu, y: pv });
-            } else {
-                let pu = Vec2.dot(p, uc);
-                let pv = Vec2.dot(p, vc);
+        if (createInfo.name === "obj") {
+            let { t } = this;
+            const { obj, t: tn } = dependencies;
 
-                let ref = Vec2.sub(v.ref, cs.origin);
-                let ru = Vec2.dot(ref, uc);
-                let rv = Vec2.dot(ref, vc);
+            assertExistsAndNotOptional(obj);
 
-                return makeVector({
-                    x: pu, y: pv, ref: {
-                        x: ru, y: rv
-                    }
-                });
+            if (!isParamEmpty(tn)) {
+                assertType(tn, TYPE_NUMBER);
+                t = tn.value;
             }
+            t = DefCurvePoint.convertParam(obj, t, createInfo.params.paramMode);
 
-        } else if (info.name === "r") {
-            const { coordSystem } = dependencies;
-            assertExistsAndNotOptional(coordSystem);
-            assertType(coordSystem, TYPE_COORD_SYSTEM);
-            return makeBoolean(DefCoordSystem.isRightHanded(coordSystem.u, coordSystem.v));
+            return DefCurvePoint.curvePoint(obj, t);
         } else {
             throw new Error("No suitable constructor");
         }
     }
 }
 /**
- * Definition of a normal vector  that can be constructed in various ways. 
- * A vector consists of x and y coordinates specifying its direction and length and a reference point to which it is attached to.
- * While a mathematical vector is of course not bound to a specific point, this makes working with and displaying vectors easier
+ * Definition for a tangent on a curve
+ * Will calculate the tangent given a parameter
+ * 
+ * Supported curve objects are:
+ * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse, parabola, hyperbola, function graph, parametric curve, rational Bezier, NURBS
  */
-class DefNormalVector {
+class DefCurveTangent {
+
+    /**
+     * Default values
+     * @param {Number} [t] The t value
+     * @param {Boolean} [normalize] Whether the resulting vector should be normalized
+     * @param {Number} [scale] Scaling of the resulting vector
+     */
+    constructor({ t = 0, normalize = false, scale = 1 } = {}) {
+        this.t = t;
+        this.normalize = normalize;
+        this.scale = scale;
+    }
+
+    /**
+     * Computes the tangent on a curve
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
+     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
+     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether result will be normalized
+     * @param {Number | Object} [scale] Either the index or value of a TYPE_NUMBER. Scaling of result
+     * @param {String} [paramMode] How t is interpreted. Possible values are stored as static variables in DefCurvePoint prefixed by PARAM_
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCurve({ obj, t = EMPTY, normalize = EMPTY, scale = EMPTY, paramMode = DefCurvePoint.PARAM_CURVE }) {
+        return CreateInfo.new("obj", {
+            obj, t, normalize, scale
+        }, { paramMode });
+    }
+
+    // Compute funcitons
 
     /**
-     * Constructor sets default values
-     * @param {Object} params
-     * @param {{x:Number, y:Number}} params.ref The point to which this vector is attached to
-     * @param {Boolean} params.normalize Whether or not this vector should be normalized
+     * Computes the tangent on a line. 
+     * @param {{x:Number, y:Number}} p0 The first line point
+     * @param {{x:Number, y:Number}} p1 The second line point
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    constructor({
-        normalize = false,
-        ref = { x: 0, y: 0 },
-    } = {}) {
-        this.normalize = normalize;
-        this.ref = ref;
+    static lineTangent(p0, p1) {
+        return vSub(p1, p0);
     }
+    /**
+     * Computes the tangent on a circle. 
+     * @param {Number} r The circle radius
+     * @param {Number} alpha The angle
+     * @returns {{x:Number, y:Number}} The resulting tangent
+     */
+    static circleTangent(r, alpha) {
+        // parametric: [r cos(alpha), r sin(alpha)]
+
+        // d/d alpha = [-r sin(alpha), r cos(alpha)]
 
+        return vVec2(-r * Math.sin(alpha), r * Math.cos(alpha));
+    }
     /**
-     * Creates a new normal vector from the position vector of a point.
-     * @param {Object} params
-     * @param {Number | Object} params.p Either the index or value of a TYPE_POINT. The position
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the tangent on a ellipse. 
+     * @param {Number} rx The ellipse x-eccentricity
+     * @param {Number} ry The ellipse y-eccentricity
+     * @param {Number} rotation The ellipse rotation
+     * @param {Number} alpha The angle
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static fromPointCoordinates({ p, ref = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("pc", { p, ref, normalize });
+    static ellipseTangent(rx, ry, rotation, alpha) {
+        // unrotated and centered position is [a*cos(alpha), b*sin(alpha)]
+        // derive to get the tangent:
+        // [-a * sin(alpha), b * cos(alpha)]
+        let v = vVec2(-rx * Math.sin(alpha), ry * Math.cos(alpha));
+        v = vRotate(v, rotation);
+        return v;
     }
 
     /**
-     * Creates a new normal vector from a line segment
-     * The vector will use the first line point as a reference and point to the second point
-     * @param {Number | Object} line  Either the index or value of a TYPE_LINE. The line
-     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the tangent on a parabola. 
+     * @param {Number} focalLength The distance between vertex and focus
+     * @param {Number} rotation The parabola rotation
+     * @param {Number} s The local parameter
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static fromLine({ line, ref = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("l", { line, ref, normalize });
+    static parabolaTangent(focalLength, rotation, s) {
+        // local position is [s^2 / (4f), s]
+        // derive to get the tangent:
+        // [s / (2f), 1]
+        return vRotate(vVec2(s / (2 * focalLength), 1), rotation);
     }
+
     /**
-     * Creates a new normal vector from another vector.
-     * If only a vector and no reference is given, the other vector's reference is used
-     * @param {Object} params
-     * @param {Number | Object} params.v Either the index or value of a TYPE_VECTOR. The vector
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the tangent on a hyperbola. 
+     * @param {Number} a The semi-major axis
+     * @param {Number} b The semi-minor axis
+     * @param {Number} rotation The hyperbola rotation
+     * @param {Number} branch The branch sign
+     * @param {Number} s The local parameter
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static fromVector({ v, ref = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("v", { v, ref, normalize });
+    static hyperbolaTangent(a, b, rotation, branch, s) {
+        // local position is [branch * a * cosh(s), b * sinh(s)]
+        // derive to get the tangent:
+        // [branch * a * sinh(s), b * cosh(s)]
+        return vRotate(vVec2(branch * a * Math.sinh(s), b * Math.cosh(s)), rotation);
     }
 
     /**
-     * Creates a new normal vector from individual vector components
-     * @param {Object} params
-     * @param {Number | Object} params.x Either the index or value of a TYPE_NUMBER. The x coordinate
-     * @param {Number | Object} params.y Either the index or value of a TYPE_NUMBER. The y coordinate
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the tangent on a function graph. 
+     * The derivative is computed numerically
+     * @param {function(Number) : Number} f The function
+     * @param {Number} x The x-coordinate
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static fromCoordinates({ x, y, ref = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("c", { x, y, ref, normalize });
+    static functionGraphTangent(f, x) {
+        // position is [x, f(x)]
+        // derive to get the tangent:
+        // [1, f'(x)]
+        return vVec2(1, calcFunctionDerivative(f, x));
     }
 
     /**
-     * Creates a new normal vector from two points
-     * The vector will use the first point as a reference and point to the second point
-     * @param {Object} params
-     * @param {Number | Object} params.p0  Either the index or value of a TYPE_POINT. The first point
-     * @param {Number | Object} params.p1  Either the index or value of a TYPE_POINT. The second point
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the tangent on a Bezier curve. 
+     * @param {Object} points The control points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static fromPoints({ p0, p1, ref = EMPTY, normalize = EMPTY }) {
-        return CreateInfo.new("pp", { p0, p1, ref, normalize });
+    static bezierTangent(points, t) {
+        const qs = calcBezierPointsDerivative(points);
+        const tan = deCasteljau(qs, t);
+
+        return tan;
     }
 
     /**
-     * Creates a normal at a point with respect to the given arc/circle.
-     * The point is the reference point as well.
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
-     * @param {Number | Object} arc Either the index or value of a TYPE_ARC. The circle
-     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the tangent on a line strip. 
+     * @param {Object} points The line strip points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static fromArc(p, arc, normalize = EMPTY) {
-        return CreateInfo.new("arc", { p, arc, normalize });
+    static lineStripTangent(points, t) {
+        const num = points.length - 1;
+        const idx = findSegmentIndex(num, t);
+        t = num * t - idx;
+        const [p0, p1] = [points[idx], points[idx + 1]];
+
+        return vSub(p1, p0);
     }
     /**
-     * Creates a normal at a point with respect to the given ellipse.
-     * The point is the reference point as well.
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
-     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
-     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
+     * Computes the tangent on a polygon. 
+     * @param {Object} points The polygon points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static fromEllipse(p, ellipse, normalize = EMPTY) {
-        return CreateInfo.new("eli", { p, ellipse, normalize });
+    static polygonTangent(points, t) {
+        const num = points.length;
+        const idx = findSegmentIndex(num, t);
+        t = num * t - idx;
+        const [p0, p1] = [points[idx], points[(idx + 1) % points.length]];
+        return vSub(p1, p0);
     }
 
     /**
-     * Computes the normal of a point with respect to a circle.
-     * Will be scaled according to 2 / r^2 [x,y]
-     * @param {{x:Number, y:Number}} p The point
-     * @param {{x:Number, y:Number}} center The circle center
-     * @param {Number} r The circle radius
-     * @returns {{x:Number, y:Number}} The circle normal
+     * Computes the tangent on a Bezier spline. 
+     * @param {Object} points The control points
+     * @param {Number} degree The spline degree
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static circleNormal(p, center, r) {
-        // compute the normal
-        // implicit arc is (one version)
-        // x^2 / r^2 + y^2 / r^2 - 1 = 0   
+    static bezierSplineTangent(points, degree, t) {
+        // stretch t with segment number
+        const numSegs = numSegmentsBezierSpline(points, degree);
+        const idx = findSegmentIndex(numSegs, t);
+        t = numSegs * t - idx;
+
+        const segPoints = getBezierSplineSegment(points, degree, idx);
+        const qs = calcBezierPointsDerivative(segPoints);
+
+        return deCasteljau(qs, t);
 
-        // normal is the gradient
-        // 2 / r^2 [x, y]
-        p = vSub(p, center);
-        return vScale(p, 2 / (r * r));
     }
 
     /**
-     * Computes the normal of a point with respect to an ellipse.
-     * Will be scaled according to  [2x / rx^2 , 2y / ry^2]
-     * @param {{x:Number, y:Number}} p The point
-     * @param {{x:Number, y:Number}} center The ellipse center
-     * @param {Number} rx The ellipse x-eccentricity
-     * @param {Number} ry The ellipse y-eccentricity
-     * @param {Number} rotation The ellipse rotation
-     * @returns {{x:Number, y:Number}} The normal
+     * Computes the point on a vector.
+     * The vector is treated as a line segment from the reference to the arrow tip
+     * @param {Object} v The vector
+     * @returns {{x:Number, y:Number}} The resulting tangent
      */
-    static ellipseNormal(p, center, rx, ry, rotation) {
-        // unrotated ellipse is e(x,y) =  x^2 / a^2 +  y^2 / b^2 - 1 = 0
-        // we choose this version so the normal vectors resemble the length of polar coordinates
-        // normal = grad e = [2x / a^2 , 2y / b^2]
+    static vectorTangent(v) {
+        return v;
+    }
 
-        // to get (x,y), we just transform q into the local system (not unit circle)
-        // then we rotate the final result back
+    /**
+     * Computes the tangent and corresponding reference point on a curve. 
+     * Supported types are documented at the top of this class
+     * @param {Object} obj The curve object
+     * @param {Number} t The curve parameter
+     * @returns {{v: {x:Number, y:Number}, ref: {x:Number, y:Number}}} The resulting tangent and reference point
+     */
+    static curveTangentRef(obj, t) {
+        const otype = obj.type;
+        if (otype === TYPE_ARC) {
+            const arc = obj;
 
-        let q = vSub(p, center);
-        q = vRotate(q, -rotation);
-        let n = vVec2(2 * q.x / (rx * rx), 2 * q.y / (ry * ry));
-        // rotate
-        n = vRotate(n, rotation);
+            let { center, r, startAngle, endAngle } = arc;
+            // in the case of the circle wrapping over, just add 2pi to take care of that
+            if (startAngle > endAngle) {
+                endAngle += 2.0 * Math.PI;
+            }
+            const da = endAngle - startAngle;
+
+            const a = startAngle + t * da;
+            // tangent at circle is normal to radius vector
+            const ref = DefCurvePoint.circlePoint(center, r, a);
+            let v = DefCurveTangent.circleTangent(r, a);
+
+            return { v, ref };
+
+        } else if (otype === TYPE_ELLIPSE) {
+
+            const ellipse = obj;
+
+            let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
+            // in the case of the circle wrapping over, just add 2pi to take care of that
+            if (startAngle > endAngle) {
+                endAngle += 2.0 * Math.PI;
+            }
+            const da = endAngle - startAngle;
+            const a = startAngle + t * da;
+
+            let v = DefCurveTangent.ellipseTangent(rx, ry, rotation, a);
+            const ref = DefCurvePoint.ellipsePoint(center, rx, ry, rotation, a);
+
+            return { v, ref };
+
+        } else if (otype === TYPE_PARABOLA) {
+            const { vertex, focalLength, rotation, tMin, tMax } = obj;
+            const s = tMin + t * (tMax - tMin);
+
+            const v = DefCurveTangent.parabolaTangent(focalLength, rotation, s);
+            const ref = DefCurvePoint.parabolaPoint(vertex, focalLength, rotation, s);
+
+            return { v, ref };
+        } else if (otype === TYPE_HYPERBOLA) {
+            const { center, a, b, rotation } = obj;
+            const { branch, s } = calcHyperbolaLocalParam(obj, t);
+
+            const v = DefCurveTangent.hyperbolaTangent(a, b, rotation, branch, s);
+            const ref = DefCurvePoint.hyperbolaPoint(center, a, b, rotation, branch, s);
+
+            return { v, ref };
+        } else if (otype === TYPE_FUNCTION_GRAPH) {
+            const { f, xMin, xMax } = obj;
+            const x = xMin + t * (xMax - xMin);
+
+            const v = DefCurveTangent.functionGraphTangent(f, x);
+            const ref = DefCurvePoint.functionGraphPoint(f, x);
+            if (!Number.isFinite(v.y) || !Number.isFinite(ref.y)) {
+                return null;
+            }
+
+            return { v, ref };
+        } else if (otype === TYPE_PARAMETRIC_CURVE) {
+            const { tMin, tMax } = obj;
+            const s = tMin + t * (tMax - tMin);
+
+            // the derivative is computed numerically
+            const v = calcParametricCurveDerivative(obj, s);
+            const ref = calcParametricCurvePoint(obj, s);
+            if (![v.x, v.y, ref.x, ref.y].every(Number.isFinite)) {
+                return null;
+            }
+
+            return { v, ref };
+        } else if (otype === TYPE_LINE) {
+            const line = obj;
+
+            let { p0, p1 } = line;
+
+            const ref = DefCurvePoint.linePoint(p0, p1, t);
+            let v = DefCurveTangent.lineTangent(p0, p1);
+
+            return { v, ref };
+        } else if (otype === TYPE_VECTOR) {
+            let v = obj;
+
+            const ref = vAdd(v.ref, vScale(v, t));
 
-        return n;
-    }
+            return { v: DefCurveTangent.vectorTangent(v), ref };
+        } else if (otype === TYPE_LINE_STRIP) {
 
-    /**
-     * Computes the normal vector value
-     * @param {CreateInfo} createInfo The create information
-     * @returns {Object} The normal with type TYPE_VECTOR
-     */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        let { normalize, ref } = this;
+            const lineStrip = obj;
 
-        let n;
-        if (createInfo.name === "pc") {
-            const { p, ref: refp, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(p);
-            assertType(p, TYPE_POINT);
 
-            if (!isParamEmpty(refp)) {
-                assertType(refp, TYPE_POINT);
-                ref = refp;
+            let { points } = lineStrip;
+            if (points.length < 2) {
+                return null;
             }
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
+            const ref = DefCurvePoint.lineStripPoint(points, t);
+            let v = DefCurveTangent.lineStripTangent(points, t);
+
+            return { v, ref };
+        } else if (otype === TYPE_POLYGON) {
+
+            const poly = obj;
+
+            let { points } = poly;
+            if (points.length < 3) {
+                return null;
             }
 
-            n = normal2D(p);
+            const ref = DefCurvePoint.polygonPoint(points, t);
+            let v = DefCurveTangent.polygonTangent(points, t);
 
-        } else if (createInfo.name === "l") {
-            const { line, ref: refp, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(line);
-            assertType(line, TYPE_LINE);
+            return { v, ref };
+        } else if (otype === TYPE_BEZIER) {
+            const curve = obj;
 
-            const { p0, p1 } = line;
+            const { points } = curve;
 
-            n = normal2D(vSub(p1, p0));
-            ref = p0;
+            const ref = DefCurvePoint.bezierPoint(points, t);
+            let v = DefCurveTangent.bezierTangent(points, t);
 
-            if (!isParamEmpty(refp)) {
-                assertType(refp, TYPE_POINT);
-                ref = refp;
-            }
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-        } else if (createInfo.name === "v") {
-            const { v, ref: refp, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(v);
-            assertType(v, TYPE_VECTOR);
+            return { v, ref };
 
-            n = normal2D(v);
-            ref = v.ref;
+        } else if (otype === TYPE_BEZIER_SPLINE) {
+            const curve = obj;
 
-            if (!isParamEmpty(refp)) {
-                assertType(refp, TYPE_POINT);
-                ref = refp;
-            }
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-        } else if (createInfo.name === "c") {
-            const { x: xv, y: yv, ref: refp, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(xv, yv);
-            assertType(xv, TYPE_NUMBER);
-            assertType(yv, TYPE_NUMBER);
+            let { points, degree } = curve;
 
-            n = normal2D(vVec2(xv.val, yv.val));
-            if (!isParamEmpty(refp)) {
-                assertType(refp, TYPE_POINT);
-                ref = refp;
-            }
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-        } else if (createInfo.name === "pp") {
-            const { p0, p1, ref: refp, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(p0, p1);
-            assertType(p0, TYPE_POINT);
-            assertType(p1, TYPE_POINT);
+            const ref = DefCurvePoint.bezierSplinePoint(points, degree, t);
+            let v = DefCurveTangent.bezierSplineTangent(points, degree, t);
 
-            n = normal2D(vSub(p1, p0));
-            ref = p0;
+            return { v, ref };
+        } else if (otype === TYPE_RATIONAL_BEZIER) {
+            const { points, weights } = obj;
 
-            if (!isParamEmpty(refp)) {
-                assertType(refp, TYPE_POINT);
-                ref = refp;
-            }
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-        } else if (createInfo.name === "arc") {
-            const { p, arc, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(p, arc);
-            assertType(p, TYPE_POINT);
-            assertType(arc, TYPE_ARC);
+            const ref = deCasteljauRational(points, weights, t);
+            const v = calcRationalBezierDerivative(points, weights, t);
 
-            const { r, center } = arc;
+            return { v, ref };
+        } else if (otype === TYPE_NURBS) {
+            const [uMin, uMax] = calcNurbsDomain(obj);
+            const u = uMin + t * (uMax - uMin);
 
-            n = DefNormalVector.circleNormal(p, center, r);
+            const ref = calcNurbsPoint(obj, u);
+            const v = calcNurbsDerivative(obj, u);
 
-            ref = p;
+            return { v, ref };
+        } else {
+            throw new Error("Can't compute tangent from given object");
+        }
+    }
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-        } else if (createInfo.name === "eli") {
-            const { p, ellipse, normalize: normalizeN } = dependencies;
-            assertExistsAndNotOptional(p, ellipse);
-            assertType(p, TYPE_POINT);
-            assertType(ellipse, TYPE_ELLIPSE);
+    /**
+     * Computes the curve tangent
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} An object of type TYPE_VECTOR
+     */
+    compute(info) {
+        const { dependencies } = info;
+        let { t, normalize, scale } = this;
 
-            const { rx, ry, rotation, center } = ellipse;
+        if (info.name === "obj") {
+            const { obj, t: tn, normalize: normalizeN, scale: scaleN } = dependencies;
 
-            n = DefNormalVector.ellipseNormal(p, center, rx, ry, rotation);
+            assertExistsAndNotOptional(obj);
+
+            if (!isParamEmpty(tn)) {
+                assertType(tn, TYPE_NUMBER);
+                t = tn.value;
+            }
 
-            ref = p;
             if (!isParamEmpty(normalizeN)) {
                 assertType(normalizeN, TYPE_BOOLEAN);
                 normalize = normalizeN.value;
             }
-        } else {
-            throw new Error(`No suitable constructor found`);
-        }
+            if (!isParamEmpty(scaleN)) {
+                assertType(scaleN, TYPE_NUMBER);
+                scale = scaleN.value;
+            }
 
+            t = DefCurvePoint.convertParam(obj, t, info.params.paramMode);
 
-        if (normalize) {
-            n = vNormalizeIfNotZero(n);
-        }
-        return makeVector({ x: n.x, y: n.y, ref });
+            const result = DefCurveTangent.curveTangentRef(obj, t);
+            if (!result) {
+                return INVALID;
+            }
+            let { v, ref } = result;
+
+            if (normalize) {
+                v = vNormalizeIfNotZero(v);
+            }
 
+            v = vScale(v, scale);
+            return makeVector({ x: v.x, y: v.y, ref });
+        } else {
+            throw new Error("No suitable constructor");
+        }
     }
 }
-
 /**
- * Definition of a perpendicular line going through a point
+ * Definition for a normal on a curve
+ * Will calculate the normal given a parameter
+ * 
+ * Supported curve objects are:
+ * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse, parabola, hyperbola, function graph, parametric curve, rational Bezier, NURBS
  */
-class DefPerpendicularLine {
-
+class DefCurveNormal {
     /**
-     * Creates a new perpendicular line from a vector or a line.
-     * The line will use the first point of a line or the vector reference as a point through which it goes
-     * @param {Object} params
-     * @param {Number | Object} params.v  Either the index or value of a TYPE_POINT | TYPE_LINE. The vector or line
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @returns {CreateInfo} The creation info
+     * Default values
+     * @param {Number} [t] The t value
+     * @param {Boolean} [normalize] Whether the resulting vector should be normalized
+     * @param {Number} [scale] Scaling of the resulting vector
      */
-    static fromVectorsOrLine({ v, ref = EMPTY }) {
-        return CreateInfo.new("vl", { v, ref });
+    constructor({ t = 0, normalize = false, scale = 1 } = {}) {
+        this.t = t;
+        this.normalize = normalize;
+        this.scale = scale;
     }
     /**
-     * Computes the perpendicular line
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The line with TYPE_LINE
+     * Computes the normal on a curve
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
+     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
+     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether result will be normalized
+     * @param {Number | Object} [scale] Either the index or value of a TYPE_NUMBER. Scaling of result
+     * @param {String} [paramMode] How t is interpreted. Possible values are stored as static variables in DefCurvePoint prefixed by PARAM_
+     * @returns {CreateInfo} The creation info
      */
-    compute(createInfo) {
-
-        const { dependencies } = createInfo;
-
-        let ref = { x: 0, y: 0 };
-        let v = { x: 0, y: 0 };
-
-        if (createInfo.name === "vl") {
-            const { v: vn, ref: refn } = dependencies;
-            if (isParamEmpty(vn)) {
-                throw new Error(`Expected non-empty parameter`);
-            }
-            if (vn.type === TYPE_VECTOR) {
-                ref = vn.ref;
-                v = Object.assign({}, vn);
-            } else if (vn.type === TYPE_LINE) {
-                const { p0, p1 } = vn;
-                ref = p0;
-                v = vSub(p1, p0);
-            } else {
-                throw new Error(`Expected vector or line`);
-            }
-            if (!isParamEmpty(refn)) {
-                if (refn.type !== TYPE_POINT) {
-                    throw new Error(`Expected point`);
-                }
-                ref = refn;
-            }
-        } else {
-            throw new Error(`No suitable constructor found`);
-        }
-
-        const n = normal2D({ x: v.x, y: v.y });
-        const pn = vAdd(ref, n);
-        return makeLine({
-            p0: ref, p1: pn, leftOpen: true, rightOpen: true
-        });
+    static fromCurve({ obj, t = EMPTY, normalize = EMPTY, scale = EMPTY, paramMode = DefCurvePoint.PARAM_CURVE }) {
+        return CreateInfo.new("obj", {
+            obj, t, normalize, scale
+        }, { paramMode });
     }
-}
-/**
- * Definition of a parallel line being a certain distance away from another
- */
-class DefParallelLine {
     /**
-     * Default values
-     * @param {Object} params
-     * @param {Number} distance The distance the parallel line should be displaced by
+     * Computes the normal on a circle. 
+     * @param {Number} r The circle radius
+     * @param {Number} alpha The angle
+     * @returns {{x:Number, y:Number}} The resulting normal
      */
-    constructor({ distance = 1 } = {}) {
-        this.distance = distance;
+    static circleNormal(r, alpha) {
+        // compute the normal from r
+        // we keep the same convention as the point based version to have it scaled as  2*n/r^2
+        let n = vPolar(r, alpha);
+
+        return vScale(n, 2 / (r * r));
     }
+    /**
+     * Computes the normal on a ellipse. 
+     * @param {Number} rx The ellipse x-eccentricity
+     * @param {Number} ry The ellipse y-eccentricity
+     * @param {Number} rotation The ellipse rotation
+     * @param {Number} alpha The angle
+     * @returns {{x:Number, y:Number}} The resulting normal
+     */
+    static ellipseNormal(rx, ry, rotation, alpha) {
+        // unrotated ellipse is e(x,y) =  x^2 / a^2 +  y^2 / b^2 - 1 = 0
+        // we choose this version so the normal vectors resemble the length of polar coordinates
+        // normal = grad e = [2x / a^2 , 2y / b^2]
 
+        // to get (x,y), we just transform q into the local system (not unit circle)
+        // then we rotate the final result back
 
-    #createFromRefDir(ref, dir, dist) {
-        const n = normal2D(dir);
+        let q = vVec2(rx * Math.cos(alpha), ry * Math.sin(alpha));
+        let n = vVec2(2 * q.x / (rx * rx), 2 * q.y / (ry * ry));
+        // rotate
+        n = vRotate(n, rotation);
 
-        // normalize n
-        const nl = vLen(n);
-        if (nl < 1E-10) {
-            return INVALID;
-        }
-        n.x /= nl;
-        n.y /= nl;
+        return n;
 
-        // move ref along n
-        const p0 = vAdd(ref, vScale(n, dist));
+    }
 
-        const p1 = vAdd(p0, dir);
+    /**
+     * Computes the normal on a parabola. 
+     * @param {Number} focalLength The distance between vertex and focus
+     * @param {Number} rotation The parabola rotation
+     * @param {Number} s The local parameter
+     * @returns {{x:Number, y:Number}} The resulting normal
+     */
+    static parabolaNormal(focalLength, rotation, s) {
+        // unrotated parabola is e(x,y) = y^2 / (4f) - x = 0
+        // normal = grad e = [-1, y / (2f)], pointing away from the focus
+        return vRotate(vVec2(-1, s / (2 * focalLength)), rotation);
+    }
 
-        return makeLine({
-            p0, p1, leftOpen: true, rightOpen: true
-        });
+    /**
+     * Computes the normal on a hyperbola. 
+     * @param {Number} a The semi-major axis
+     * @param {Number} b The semi-minor axis
+     * @param {Number} rotation The hyperbola rotation
+     * @param {Number} branch The branch sign
+     * @param {Number} s The local parameter
+     * @returns {{x:Number, y:Number}} The resulting normal
+     */
+    static hyperbolaNormal(a, b, rotation, branch, s) {
+        // unrotated hyperbola is e(x,y) = x^2 / a^2 - y^2 / b^2 - 1 = 0
+        // normal = grad e = [2x / a^2, -2y / b^2]
+        // with x = branch * a * cosh(s) and y = b * sinh(s)
+        return vRotate(vVec2(2 * branch * Math.cosh(s) / a, -2 * Math.sinh(s) / b), rotation);
     }
 
     /**
-     * Creates a new parallel line from a vector or a line.
-     * @param {Object} params
-     * @param {Number | Object} params.v  Either the index or value of a TYPE_POINT | TYPE_LINE. The vector or line
-     * @param {Number | Object} [params.distance] Either the index or value of a TYPE_NUMBER. The distance to the input line or vector
-     * @returns {CreateInfo} The creation info
+     * Computes the normal on a function graph. 
+     * The derivative is computed numerically
+     * @param {function(Number) : Number} f The function
+     * @param {Number} x The x-coordinate
+     * @returns {{x:Number, y:Number}} The resulting normal
      */
-    static fromVectorsOrLine({
-        v, distance = EMPTY
-    }) {
-        return CreateInfo.new("vld", { v, distance });
+    static functionGraphNormal(f, x) {
+        return normal2D(DefCurveTangent.functionGraphTangent(f, x));
     }
     /**
-     * Creates a new parallel line from a vector or a line.
-     * The line will use the first point of a line or the vector reference as a point through which it goes
-     * @param {Object} params
-     * @param {Number | Object} params.v  Either the index or value of a TYPE_POINT | TYPE_LINE. The vector or line
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @returns {CreateInfo} The creation info
+     * Computes the normal on a line. 
+     * @param {{x:Number, y:Number}} p0 The first line point
+     * @param {{x:Number, y:Number}} p1 The second line point
+     * @returns {{x:Number, y:Number}} The resulting normal
      */
-    static fromVectorsOrLineRef({
-        v, ref = EMPTY
-    }) {
-        return CreateInfo.new("vlr", { v, ref });
+    static lineNormal(p0, p1) {
+        return normal2D(vSub(p1, p0));
     }
+    /**
+     * Computes the normal on a line strip. 
+     * @param {Object} points The line strip points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting normal
+     */
+    static lineStripNormal(points, t) {
+        const num = points.length - 1;
+        const idx = findSegmentIndex(num, t);
+        t = num * t - idx;
+        const [p0, p1] = [points[idx], points[idx + 1]];
 
+        return normal2D(vSub(p1, p0));
+    }
     /**
-     * Computes the parallel line
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} Parallel line of TYPE_LINE
+     * Computes the normal on a polygon. 
+     * @param {Object} points The polygon points
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting normal
      */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
+    static polygonNormal(points, t) {
+        const num = points.length;
+        const idx = findSegmentIndex(num, t);
+        t = num * t - idx;
+        const [p0, p1] = [points[idx], points[(idx + 1) % points.length]];
+        return normal2D(vSub(p1, p0));
+    }
+    /**
+      * Computes the normal on a Bezier curve. 
+      * @param {Object} points The control points
+      * @param {Number} t The curve parameter
+      * @returns {{x:Number, y:Number}} The resulting normal
+      */
+    static bezierNormal(points, t) {
+        // normal from tangent
+        const qs = calcBezierPointsDerivative(points);
+        const tan = deCasteljau(qs, t);
 
-        let { distance } = this;
-        let ref = { x: 0, y: 0 };
-        let v = { x: 0, y: 0 };
+        return normal2D(tan);
+    }
+    /**
+     * Computes the normal on a Bezier spline. 
+     * @param {Object} points The control points
+     * @param {Number} degree The spline degree
+     * @param {Number} t The curve parameter
+     * @returns {{x:Number, y:Number}} The resulting normal
+     */
+    static bezierSplineNormal(points, degree, t) {
+        // stretch t with segment number
+        const numSegs = numSegmentsBezierSpline(points, degree);
+        const idx = findSegmentIndex(numSegs, t);
+        t = numSegs * t - idx;
 
-        if (createInfo.name === "vlr") {
-            const { v: obj, ref: refn } = dependencies;
+        const segPoints = getBezierSplineSegment(points, degree, idx);
+        const qs = calcBezierPointsDerivative(segPoints);
 
-            if (isParamEmpty(obj)) {
-                throw new Error(`Expected non-empty`);
-            }
+        return normal2D(deCasteljau(qs, t));
 
-            if (obj.type === TYPE_VECTOR) {
-                v = obj;
-                ref = obj.ref;
-            } else if (obj.type === TYPE_LINE) {
-                const { p0, p1 } = obj;
-                v = vSub(p1, p0);
-                ref = p0;
-            } else {
-                throw new Error(`Expected vector or line`);
-            }
+    }
 
-            if (!isParamEmpty(refn)) {
-                if (refn.type !== TYPE_POINT) {
-                    throw new Error(`Expected point`);
-                }
-                ref = refn;
-                distance = 0;
-            }
-        } else if (createInfo.name === "vld") {
-            const { v: obj, distance: distancen } = dependencies;
+    /**
+     * Computes the normal and corresponding reference point on a curve. 
+     * Supported types are documented at the top of this class
+     * @param {Object} obj The curve object
+     * @param {Number} t The curve parameter
+     * @returns {{v: {x:Number, y:Number}, ref: {x:Number, y:Number}}} The resulting normal and reference point
+     */
+    static normalRefFromObject(obj, t) {
+        if (obj.type === TYPE_ARC) {
+            const arc = obj;
 
-            if (isParamEmpty(obj)) {
-                throw new Error(`Expected non-empty`);
+            let { center, r, startAngle, endAngle } = arc;
+            // in the case of the circle wrapping over, just add 2pi to take care of that
+            if (startAngle > endAngle) {
+                endAngle += 2.0 * Math.PI;
             }
+            const da = endAngle - startAngle;
 
-            if (obj.type === TYPE_VECTOR) {
-                v = obj;
-                ref = obj.ref;
-            } else if (obj.type === TYPE_LINE) {
-                const { p0, p1 } = obj;
-                v = vSub(p1, p0);
-                ref = p0;
-            } else {
-                throw new Error(`Expected vector or line`);
+            const a = startAngle + t * da;
 
-            }
+            let n = DefCurveNormal.circleNormal(r, a);
+            const ref = DefCurvePoint.circlePoint(center, r, a);
 
+            return { n, ref };
 
-            if (!isParamEmpty(distancen)) {
-                if (distancen.type !== TYPE_NUMBER) {
-                    throw new Error(`Expected number`);
-                }
-                distance = distancen.value;
-            }
-        } else {
-            throw new Error("No suitable constructor found");
-        }
+        } else if (obj.type === TYPE_ELLIPSE) {
+            const ellipse = obj;
 
-        return this.#createFromRefDir(ref, v, distance);
-    }
-}
+            let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
+            // in the case of the circle wrapping over, just add 2pi to take care of that
+            if (startAngle > endAngle) {
+                endAngle += 2.0 * Math.PI;
+            }
+            const da = endAngle - startAngle;
 
-/**
- * Definition of a vector reflected along a normal
- */
-class DefReflection {
-    /**
-     * Default values
-     * @param {Boolean} normalize Whether the vector should be normalized
-     */
-    constructor(normalize = false) {
-        this.normalize = normalize;
-    }
+            const a = startAngle + t * da;
 
-    /**
-     * Computes the reflection of a vector along a normal.
-     * @param {Object} params
-     * @param {Number | Object} params.v Either the index or value of a TYPE_VECTOR. The vector to be reflected
-     * @param {Number | Object} params.n Either the index or value of a TYPE_VECTOR. The normal
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
-     */
-    static fromVectorNormal({
-        v, n, ref = EMPTY, normalize = EMPTY
-    }) {
-        return CreateInfo.new("vn", { v, n, ref, normalize });
-    }
+            const ref = DefCurvePoint.ellipsePoint(center, rx, ry, rotation, a);
+            let n = DefCurveNormal.ellipseNormal(rx, ry, rotation, a);
 
-    /**
-     * Computes the reflection of an incident diretion I along a vector N: I - 2.0 * dot(N, I) * N
-     * @param {{x:Number, y:Number}} i The incident direction
-     * @param {{x:Number, y:Number}} n The normal
-     * @returns {{x:Number, y:Number}} The reflected vector
-     */
-    static reflectVector(i, n) {
-        // I - 2.0 * dot(N, I) * N. 
-        const dotni = vDot(i, n);
-        return vSub(i, vScale(n, 2.0 * dotni));
-    }
+            return { n, ref };
 
-    /**
-     * Computes the reflection
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The reflection with type TYPE_VECTOR
-     */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        let { normalize } = this;
+        } else if (obj.type === TYPE_PARABOLA) {
+            const { vertex, focalLength, rotation, tMin, tMax } = obj;
+            const s = tMin + t * (tMax - tMin);
 
-        if (createInfo.name === "vn") {
-            const { v, n, ref: refn, normalize: normalizeN } = dependencies;
+            const ref = DefCurvePoint.parabolaPoint(vertex, focalLength, rotation, s);
+            const n = DefCurveNormal.parabolaNormal(focalLength, rotation, s);
 
-            assertExistsAndNotOptional(v, n);
-            assertType(v, TYPE_VECTOR);
-            assertType(n, TYPE_VECTOR);
+            return { n, ref };
+        } else if (obj.type === TYPE_HYPERBOLA) {
+            const { center, a, b, rotation } = obj;
+            const { branch, s } = calcHyperbolaLocalParam(obj, t);
 
-            let ref = v.ref;
+            const ref = DefCurvePoint.hyperbolaPoint(center, a, b, rotation, branch, s);
+            const n = DefCurveNormal.hyperbolaNormal(a, b, rotation, branch, s);
 
-            let r = DefReflection.reflectVector(v, n);
+            return { n, ref };
+        } else if (obj.type === TYPE_FUNCTION_GRAPH) {
+            const { f, xMin, xMax } = obj;
+            const x = xMin + t * (xMax - xMin);
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-            if (normalize) {
-                r = vNormalizeIfNotZero(r);
+            const ref = DefCurvePoint.functionGraphPoint(f, x);
+            const n = DefCurveNormal.functionGraphNormal(f, x);
+            if (!Number.isFinite(n.x) || !Number.isFinite(ref.y)) {
+                return null;
             }
 
-            if (!isParamEmpty(refn)) {
-                assertType(refn, TYPE_POINT);
-                ref = refn;
+            return { n, ref };
+        } else if (obj.type === TYPE_PARAMETRIC_CURVE) {
+            const { tMin, tMax } = obj;
+            const s = tMin + t * (tMax - tMin);
+
+            // the derivative is computed numerically
+            const ref = calcParametricCurvePoint(obj, s);
+            const n = normal2D(calcParametricCurveDerivative(obj, s));
+            if (![n.x, n.y, ref.x, ref.y].every(Number.isFinite)) {
+                return null;
             }
-            return makeVector({ x: r.x, y: r.y, ref });
 
-        } else {
-            throw new Error("No suitable constructor found");
-        }
-    }
-}
-/**
- * Definition of a vector refracted along a normal
- */
-class DefRefraction {
+            return { n, ref };
+        } else if (obj.type === TYPE_LINE) {
+            const line = obj;
 
-    /**
-     * Default values
-     * @param {Object} params
-     * @param {Number} params.eta Ratio of the index of refractions of the two media
-     * @param {Boolean} params.normalize  Whether the vector should be normalized
-     */
-    constructor({ eta = 1, normalize = false } = {}) {
-        this.eta = eta;
-        this.normalize = normalize;
-    }
-    /**
-     * Computes the refraction of a vector along a normal.
-     * @param {Object} params
-     * @param {Number | Object} params.v Either the index or value of a TYPE_VECTOR. The vector to be refracted
-     * @param {Number | Object} params.n Either the index or value of a TYPE_VECTOR. The normal
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @param {Number | Object} [params.eta] Either the index or value of a TYPE_NUMBER. The ratio of refractive indices. 
-     * Will be inverted, if the incoming direction points into the same half space as the normal
-     * @param {Number | Object} [params.normalize] Either the index or value of a TYPE_BOOLEAN. Whether the vector should be normalized
-     * @returns {CreateInfo} The creation info
-     */
-    static fromVectorNormal({
-        v, n, ref = EMPTY, eta = EMPTY, normalize = EMPTY
-    }) {
-        return CreateInfo.new("vn", { v, n, ref, eta, normalize });
-    }
+            let { p0, p1 } = line;
 
-    /**
-     * Computes the refraction of an incident diretion I along a vector N
-     * @param {{x:Number, y:Number}} i The incident direction
-     * @param {{x:Number, y:Number}} n The normal
-     * @param {Number} eta The ratio of refractive indices. 
-     * Will be inverted, if the incoming direction points into the same half space as the normal
-     * @returns {{x:Number, y:Number} | null} The refracted vector. In case of total internal reflection, null will be returned
-     */
-    static refractVector(i, n, eta) {
-        n = Object.assign({}, n);
-        let dotni = vDot(i, n);
-        if (dotni > 0) {
-            dotni = -dotni;
-            n.x *= -1;
-            n.y *= -1;
-            eta = 1.0 / eta;
-        }
+            const ref = DefCurvePoint.linePoint(p0, p1, t);
+            let n = DefCurveNormal.lineNormal(p0, p1);
 
-        // following glsl
-        // k = 1.0 - eta * eta * (1.0 - dot(N, I) * dot(N, I));
-        //     if (k < 0.0)
-        //     R = genType(0.0);       // or genDType(0.0)
-        // else
-        //     R = eta * I - (eta * dot(N, I) + sqrt(k)) * N;
-        const k = 1.0 - eta * eta * (1.0 - dotni * dotni);
-        if (k < 0.0) {
-            return null;
-        } else {
-            return vSub(
-                vScale(i, eta),
-                vScale(n, eta * dotni + Math.sqrt(k))
-            )
-        }
+            return { n, ref };
+        } else if (obj.type === TYPE_VECTOR) {
+            let v = obj;
 
-    }
+            const ref = vAdd(v.ref, vScale(v, t));
+            let n = normal2D(v);
 
-    /**
-     * Computes the refraction
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The refraction vector with type TYPE_VECTOR
-     */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
+            return { n, ref };
+        } else if (obj.type === TYPE_LINE_STRIP) {
 
-        if (createInfo.name === "vn") {
-            const { v, n, ref: refn, normalize: normalizeN, eta: etaN } = dependencies;
+            const lineStrip = obj;
 
-            let { eta, normalize } = this;
+            let { points } = lineStrip;
+            if (points.length < 2) {
+                return INVALID;
+            }
 
-            assertExistsAndNotOptional(v, n);
-            assertType(v, TYPE_VECTOR);
-            assertType(n, TYPE_VECTOR);
+            const ref = DefCurvePoint.lineStripPoint(points, t);
+            let n = DefCurveNormal.lineStripNormal(points, t);
 
-            let ref = v.ref;
+            return { n, ref };
+        } else if (obj.type === TYPE_POLYGON) {
+            const poly = obj;
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
+            let { points } = poly;
+            if (points.length < 3) {
+                return INVALID;
             }
 
-            if (!isParamEmpty(etaN)) {
-                assertType(etaN, TYPE_NUMBER);
-                eta = etaN.value;
-            }
-            if (!isParamEmpty(refn)) {
-                assertType(refn, TYPE_POINT);
-                ref = refn;
-            }
-            let r = DefRefraction.refractVector(v, n, eta);
+            const ref = DefCurvePoint.polygonPoint(points, t);
+            let n = DefCurveNormal.polygonNormal(points, t);
 
-            if (!r) {
-                return INVALID;
-            }
+            return { n, ref };
+        } else if (obj.type === TYPE_BEZIER) {
+            const curve = obj;
+            const { points } = curve;
 
-            if (normalize) {
-                r = vNormalizeIfNotZero(r);
-            }
+            const ref = DefCurvePoint.bezierPoint(points, t);
+            let n = DefCurveNormal.bezierNormal(points, t);
 
+            return { n, ref };
 
-            return makeVector({ x: r.x, y: r.y, ref });
+        } else if (obj.type === TYPE_BEZIER_SPLINE) {
+            const curve = obj;
 
-        } else {
-            throw new Error("No suitable constructor found");
-        }
-    }
-}
+            let { points, degree } = curve;
 
-/**
- * Definition of a polar vector described by its polar coordinates. Will create a TYPE_VECTOR
- */
-class DefPolarVector {
-    /**
-     * Default values
-     * @param {Object} params
-     * @param {Number} params.r The radius
-     * @param {Number} params.alpha The angle
-     * @param {{x:Number, y:Number}} params.ref The reference point
-     */
-    constructor({ r = 1, alpha = 0, ref = { x: 0, y: 0 } } = {}) {
-        this.r = r;
-        this.alpha = alpha;
-        this.ref = ref;
-    }
-    /**
-     * Creates a new vector from polar coordinates.
-     * @param {Number | Object} polar Either the index or value of a TYPE_POLAR. The polar coordinates
-     * @param {Number | Object} [ref] Either the index or value of a TYPE_POINT. The reference point
-     * @returns {CreateInfo} The creation info
-     */
-    static fromPolar(polar, ref = EMPTY) {
-        return CreateInfo.new("pol", { polar, ref });
-    }
+            const ref = DefCurvePoint.bezierSplinePoint(points, degree, t);
+            let n = DefCurveNormal.bezierSplineNormal(points, degree, t);
 
-    /**
-     * Creates a new vector from an angle measured from a starting angle.
-     * If no start angle is given, the one from the angle object is used
-     * @param {Object} params
-     * @param {Number | Object} params.angle Either the index or value of a TYPE_ANGLE. The angle
-     * @param {Number | Object} [params.startAngle] Either the index or value of a TYPE_NUMBER. The start angle
-     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @returns {CreateInfo} The creation info
-     */
-    static fromAngle({ angle, startAngle = EMPTY, r = EMPTY, ref = EMPTY, }) {
-        return CreateInfo.new("ang", {
-            angle, startAngle, r, ref
-        });
-    }
+            return { n, ref };
+        } else if (obj.type === TYPE_RATIONAL_BEZIER) {
+            const { points, weights } = obj;
 
-    /**
-     * Creates a new vector from an angle and a radius
-     * @param {Object} params
-     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
-     * @param {Number | Object} [params.alpha] Either the index or value of a TYPE_NUMBER. The angle
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
-     * @returns {CreateInfo} The creation info
-     */
-    static fromRadiusAngle({ r = EMPTY, alpha = EMPTY, ref = EMPTY }) {
-        return CreateInfo.new("ra", { r, alpha, ref });
-    }
+            const ref = deCasteljauRational(points, weights, t);
+            const n = normal2D(calcRationalBezierDerivative(points, weights, t));
+
+            return { n, ref };
+        } else if (obj.type === TYPE_NURBS) {
+            const [uMin, uMax] = calcNurbsDomain(obj);
+            const u = uMin + t * (uMax - uMin);
+
+            const ref = calcNurbsPoint(obj, u);
+            const n = normal2D(calcNurbsDerivative(obj, u));
 
+            return { n, ref };
+        } else {
+            throw new Error("Can't compute tangent on given object");
+        }
+    }
     /**
-     * Creates the vector
-     * @param {CreateInfo} info The creation info
-     * @returns {Object} Polar vector of type TYPE_VECTOR
+     * Computes the curve normal
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} An object of type TYPE_VECTOR
      */
     compute(info) {
-        let { r, alpha, ref } = this;
-        const { dependencies } = info;
-
-        if (info.name === "ra") {
-            const { r: rn, alpha: alphan, ref: refn } = dependencies;
-            if (!isParamEmpty(rn)) {
-                assertType(rn, TYPE_NUMBER);
-                r = rn.value;
-            }
-            if (!isParamEmpty(alphan)) {
-                assertType(alphan, TYPE_NUMBER);
-                alpha = alphan.value;
-            }
+        const { dependencies, params } = info;
+        let { t, normalize, scale } = this;
 
-            if (!isParamEmpty(refn)) {
-                assertType(refn, TYPE_POINT);
-                ref = refn;
+        if (info.name === "obj") {
+            const { obj, t: tn, normalize: normalizeN, scale: scaleN } = dependencies;
+            assertExistsAndNotOptional(obj);
+
+            if (!isParamEmpty(tn)) {
+                assertType(tn, TYPE_NUMBER);
+                t = tn.value;
             }
-        } else if (info.name === "ang") {
-            const { angle, startAngle, r: rn, ref: refn } = dependencies;
-            assertExistsAndNotOptional(angle);
-            assertType(angle, TYPE_ANGLE);
 
-            const { value, start } = angle;
+            if (!isParamEmpty(normalizeN)) {
+                assertType(normalizeN, TYPE_BOOLEAN);
+                normalize = normalizeN.value;
 
-            ref = angle.ref;
-            if (!isParamEmpty(rn)) {
-                assertType(rn, TYPE_NUMBER);
-                r = rn.value;
             }
 
-            if (!isParamEmpty(startAngle)) {
-                assertType(startAngle, TYPE_NUMBER);
-                start = startAngle.value;
+            if (!isParamEmpty(scaleN)) {
+                assertType(scaleN, TYPE_NUMBER);
+                scale = scaleN.value;
             }
 
-            if (!isParamEmpty(refn)) {
-                assertType(refn, TYPE_POINT);
-                ref = refn;
+            t = DefCurvePoint.convertParam(obj, t, params.paramMode);
+
+            const result = DefCurveNormal.normalRefFromObject(obj, t, normalize);
+            if (!result) {
+                return INVALID;
             }
+            let { n, ref } = result;
 
-            alpha = start + value;
-        } else if (info.name === "pol") {
-            const { polar, ref: refn } = dependencies;
-            assertExistsAndNotOptional(polar);
-            assertType(polar, TYPE_POLAR);
-            ({ r, alpha } = polar);
 
-            if (!isParamEmpty(refn)) {
-                assertType(refn, TYPE_POINT);
-                ref = refn;
+            if (normalize) {
+                n = vNormalizeIfNotZero(n);
             }
-        } else if (info !== EMPTY_INFO) {
-            throw new Error("No suitable constructor found");
-        }
+            n = vScale(n, scale);
 
-        const { x, y } = vPolar(r, alpha);
-        return makeVector({
-            x, y, ref
-        });
+            return makeVector({ x: n.x, y: n.y, ref });
+
+        } else {
+            throw new Error("No suitable constructor");
+        }
     }
 }
-
 /**
- * Definition of a simple number. Creates an object of TYPE_NUMBER
+ * Definition for the signed curvature of a curve.
+ * The curvature is positive, if the curve turns left (counter-clockwise) and negative, if it turns right
+ * 
+ * Supported curve objects are:
+ * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse, parabola, hyperbola, function graph, parametric curve, rational Bezier, NURBS
  */
-class DefNumber {
+class DefCurvature {
     /**
-     * Default value
-     * @param {Number} val The number
+     * Default values
+     * @param {Number} [t] The t value
      */
-    constructor(val) {
-        this.value = val;
+    constructor(t = 0) {
+        this.t = t;
     }
 
     /**
-     * Extract a field from a given object and make a number out of it.
-     * If no such field exists, INVALID will be created
-     * @param {Number | Object} obj The object of which the value is extracted
-     * @param {*} key The key
-     * @param {Function} [transform] A transform taking the value obj[key], if it exists and returns a new one
+     * Computes the curvature of a curve
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
+     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
+     * @param {String} [paramMode] How t is interpreted. Possible values are stored as static variables in DefCurvePoint prefixed by PARAM_
      * @returns {CreateInfo} The creation info
      */
-    static fromField(obj, key, transform = null) {
-        return CreateInfo.new("ok", { obj }, { key, transform });
+    static fromCurve({ obj, t = EMPTY, paramMode = DefCurvePoint.PARAM_CURVE }) {
+        return CreateInfo.new("obj", { obj, t }, { paramMode });
     }
 
     /**
-     * Create a number by computing the value of a given function and a parameter
-     * @param {function(Number)} f The function f(x) to compute
-     * @param {Number | Object | Number[] | Object[]} x Either the indices or values of a TYPE_NUMBER. The parameters to f
-     * @returns {CreateInfo} The creation info
+     * Computes the curvature, center of curvature and curve point from the creation info
+     * @param {CreateInfo} createInfo The creation info of one of the curvature definitions
+     * @param {Number} t The default t value
+     * @returns {{curvature: Number, center: {x:Number, y:Number} | null, ref: {x:Number, y:Number}, v: {x:Number, y:Number}} | null} The result of calcCurveCurvature
      */
-    static fromFunc(f, x) {
-        if (Array.isArray(x)) {
-            return CreateInfo.new("f", x, { f });
-        } else {
-            return CreateInfo.new("f", [x], { f });
+    static computeCurvature(createInfo, t) {
+        if (createInfo.name !== "obj") {
+            throw new Error("No suitable constructor");
+        }
+        const { obj, t: tn } = createInfo.dependencies;
+        assertExistsAndNotOptional(obj);
 
+        if (!isParamEmpty(tn)) {
+            assertType(tn, TYPE_NUMBER);
+            t = tn.value;
         }
+        t = DefCurvePoint.convertParam(obj, t, createInfo.params.paramMode);
+
+        return calcCurveCurvature(obj, t);
     }
+
     /**
-     * Creates the number
+     * Computes the curvature
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} An object of TYPE_NUMBER or INVALID
+     * @returns {Object} The curvature as a TYPE_NUMBER or INVALID
      */
     compute(createInfo) {
-        let { value } = this;
-        const { dependencies, params } = createInfo;
-        if (createInfo.name === "ok") {
-            const { obj } = dependencies;
-            assertExistsAndNotOptional(obj);
-            const { key, transform } = createInfo.params;
-            value = obj[key];
-            if (value === undefined) {
-                return INVALID;
-            }
-
-            if (typeof value !== "number") {
-                throw new Error("Trying to create number from non-number field");
-            }
-
-            if (transform && transform instanceof Function) {
-                value = transform(value);
-            }
-
-        } else if (createInfo.name === "f") {
-            const { f } = params;
-
-            if (!Array.isArray(dependencies)) {
-                throw new Error("Expected array");
-            }
-            let paramsX = [];
-            for (let x of dependencies) {
-                assertExistsAndNotOptional(x);
-
-                assertType(x, TYPE_NUMBER);
-                paramsX.push(x.value);
-            }
-
-            value = f(...paramsX);
-        } else if (createInfo !== EMPTY_INFO) {
-            throw new Error("No suitable constructor");
+        const result = DefCurvature.computeCurvature(createInfo, this.t);
+        if (!result || !Number.isFinite(result.curvature)) {
+            return INVALID;
         }
-        return makeNumber(value);
+        return makeNumber(result.curvature);
     }
 }
 
 /**
- * Definition of a boolean value of type TYPE_BOOLEAN
+ * Definition for the osculating circle of a curve, which is the circle that best approximates the curve at a point.
+ * It is INVALID, if the curvature vanishes.
+ * Supported curve objects are the same as for DefCurvature
  */
-class DefBoolean {
+class DefOsculatingCircle {
     /**
-     * Default value
-     * @param {Boolean} val The value
+     * Default values
+     * @param {Number} [t] The t value
      */
-    constructor(val) {
-        this.value = val;
+    constructor(t = 0) {
+        this.t = t;
     }
 
     /**
-     * Creates a boolean by applying a predicate on the specified dependencies
-     * @param {function(*) : Boolean} predicate A predicate function taking dependencies and returning a boolean value
-     * @param {Object | Array} dependencies Either the indices or values stored in an Array or shallow Object of the values this predicate depends on
+     * Computes the osculating circle of a curve
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of DefCurvature
+     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
+     * @param {String} [paramMode] How t is interpreted. Possible values are stored as static variables in DefCurvePoint prefixed by PARAM_
      * @returns {CreateInfo} The creation info
      */
-    static fromPredicate(predicate, dependencies) {
-        return CreateInfo.new("p", dependencies, { predicate })
+    static fromCurve({ obj, t = EMPTY, paramMode = DefCurvePoint.PARAM_CURVE }) {
+        return CreateInfo.new("obj", { obj, t }, { paramMode });
     }
 
     /**
-     * Creates a new bool value that is the negation of the argument
-     * @param {Number | Object} boolValue Either the index or value of a TYPE_BOOLEAN. The value to be negated
-     * @returns {CreateInfo} The creation info
+     * Computes the osculating circle
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The circle as a TYPE_ARC or INVALID
      */
-    static fromNot(boolValue) {
-        return CreateInfo.new("not", { boolValue });
+    compute(createInfo) {
+        const result = DefCurvature.computeCurvature(createInfo, this.t);
+        if (!result || !result.center) {
+            return INVALID;
+        }
+        return makeArc({ center: result.center, r: 1 / Math.abs(result.curvature) });
     }
+}
 
+/**
+ * Definition for the center of curvature of a curve, which is the center of the osculating circle.
+ * It is INVALID, if the curvature vanishes.
+ * Supported curve objects are the same as for DefCurvature
+ */
+class DefCenterOfCurvature {
     /**
-     * Signifies an AND operation
-     */
-    static OP_AND = 0;
-    /**
-     * Signifies an OR operation
+     * Default values
+     * @param {Number} [t] The t value
      */
-    static OP_OR = 1;
+    constructor(t = 0) {
+        this.t = t;
+    }
 
     /**
-     * Create a new bool value that is the result of applying a boolean binary operation successively on all inputs.
-     * @param {Object | Array} boolValues Either the indices or values stored in an Array or shallow Object of the values combined with the chosen operation
-     * @param {Number} operation The operation. Possible values are stored as static variables in this class prefixed by OP_
+     * Computes the center of curvature of a curve
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of DefCurvature
+     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
+     * @param {String} [paramMode] How t is interpreted. Possible values are stored as static variables in DefCurvePoint prefixed by PARAM_
      * @returns {CreateInfo} The creation info
      */
-    static fromOp(boolValues, operation) {
-        return CreateInfo.new("op", boolValues, { operation });
+    static fromCurve({ obj, t = EMPTY, paramMode = DefCurvePoint.PARAM_CURVE }) {
+        return CreateInfo.new("obj", { obj, t }, { paramMode });
     }
 
     /**
-     * Creates the boolean value
+     * Computes the center of curvature
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The boolean value of type TYPE_BOOLEAN
+     * @returns {Object} The center as a TYPE_POINT or INVALID
      */
     compute(createInfo) {
-        let { value } = this;
-        const { dependencies, params } = createInfo;
-        if (createInfo.name === "p") {
-            const { predicate } = params;
-
-            return makeBoolean(predicate(dependencies));
-        } else if (createInfo.name === "not") {
-            const { boolValue } = dependencies;
-            assertExistsAndNotOptional(boolValue);
-            assertType(boolValue, TYPE_BOOLEAN);
-
-            return makeBoolean(!boolValue.value);
-        } else if (createInfo.name === "op") {
-            const { boolValues } = dependencies;
-            assertExistsAndNotOptional(boolValues);
-
-            const { operation } = params;
-
-            const vals = [];
-            for (const b of boolValues) {
-                assertType(b, TYPE_BOOLEAN);
-                vals.push(b.value);
-            }
+        const result = DefCurvature.computeCurvature(createInfo, this.t);
+        if (!result || !result.center) {
+            return INVALID;
+        }
+        return makePoint(result.center);
+    }
+}
 
-            let result;
+/**
+ * Definition for the evolute of a curve, which is the curve of its centers of curvature.
+ * The evolute is sampled along the whole curve and split into multiple line strips, where the curvature vanishes or changes its sign.
+ * Supported curve objects are the same as for DefCurvature
+ */
+class DefEvolute {
+    /**
+     * Computes the evolute of a curve
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of DefCurvature
+     * @param {Object} [options]
+     * @param {Number} [options.numSamples] The number of samples along the whole curve
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCurve(obj, { numSamples = 256 } = {}) {
+        return CreateInfo.new("obj", { obj }, { numSamples });
+    }
 
-            if (operation === DefBoolean.OP_AND) {
-                result = vals.reduce((p, cur) => p && cur, true);
-            } else if (operation === DefBoolean.OP_OR) {
-                result = vals.reduce((p, cur) => p || cur, false);
-            } else {
-                throw new Error("Requested Boolean operation not supported");
-            }
+    /**
+     * Computes the evolute
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A TYPE_COLLECTION of TYPE_LINE_STRIP
+     */
+    compute(createInfo) {
+        if (createInfo.name === "obj") {
+            const { obj } = createInfo.dependencies;
+            const { numSamples } = createInfo.params;
+            assertExistsAndNotOptional(obj);
 
-            return makeBoolean(result);
-        } else if (createInfo !== EMPTY_INFO) {
+            return makeCollection(sampleCurveEvolute(obj, { numSamples }).map(points => makeLineStrip({ points })));
+        } else {
             throw new Error("No suitable constructor");
         }
-        return makeBoolean(value);
     }
 }
 
 /**
- * Definition of a conditional expression, that defines objects based on some condtion
+ * Definition of the points of tangents touching arcs and ellipses
  */
-class DefConditional {
+class DefTangentPoints {
 
     /**
-     * Defines an object based on a condition.
-     * If the condition is true, the given object value will be returned, otherwise INVALID
-     * @param {Number | Object} obj Either the index or value of an object
-     * @param {Number | Object} condition Either the index or value of a TYPE_BOOLEAN. The condition value
+     * Computes the points on the tangents on an arc going through the given point.
+     * Due to the start and end angles of the arc, they may not exist even for points outside the arc.
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Number | Object} arc Either the index or value of a TYPE_ARC. The arc
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPointArc(p, arc) {
+        return CreateInfo.new("pa", { p, arc });
+    }
+    /**
+     * Computes the points on the outer tangents of two arcs.
+     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
+     * Points come in pairs of points on the first and second arc.
+     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
+     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
+     * @returns {CreateInfo} The creation info
+     */
+    static fromOuterTangents(arc0, arc1) {
+        return CreateInfo.new("ot", { arc0, arc1 });
+    }
+    /**
+     * Computes the points on the inner tangents of two arcs.
+     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
+     * Points come in pairs of points on the first and second arc.
+     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
+     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
      * @returns {CreateInfo} The creation info
      */
-    static fromCondition(obj, condition) {
-        return CreateInfo.new("c", { obj, condition });
+    static fromInnerTangents(arc0, arc1) {
+        return CreateInfo.new("it", { arc0, arc1 });
     }
     /**
-     * Defines an object based on a condition.
-     * If the condition is true, the first object value will be returned, otherwise the second
-     * @param {Number | Object} obj0 Either the index or value of an object
-     * @param {Number | Object} obj1 Either the index or value of an object
-     * @param {Number | Object} condition Either the index or value of a TYPE_BOOLEAN. The condition value
+     * Computes the points on the tangents on an ellipse going through the given point.
+     * Due to the start and end angles of the arc, they may not exist even for points outside the ellipse.
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
      * @returns {CreateInfo} The creation info
      */
-    static fromEitherOr(obj0, obj1, condition) {
-        return CreateInfo.new("eo", {
-            obj0,
-            obj1,
-            condition
-        });
+    static fromPointEllipse(p, ellipse) {
+        return CreateInfo.new("pe", { p, ellipse });
     }
 
     /**
-     * Computes the conditional expression
+     * Computes the tangent points
      * @param {CreateInfo} info The creation info
-     * @returns {*} An object based on the inputs
+     * @returns {Object | Array} The tangent points of TYPE_POINT in an array or INVALID, if non exist
      */
     compute(info) {
         const { dependencies } = info;
+        if (info.name === "pa") {
+            const { p, arc } = dependencies;
+            assertExistsAndNotOptional(p, arc);
+            assertType(p, TYPE_POINT);
+            assertType(arc, TYPE_ARC);
 
-        if (info.name === "c") {
-            const { obj, condition } = dependencies;
-            assertExistsAndNotOptional(obj, condition);
-            assertType(condition, TYPE_BOOLEAN);
+            const points = calcCirclePointTangentPoints(p, arc.center, arc.r, {
+                angleMin: arc.startAngle, angleMax: arc.endAngle
+            });
+            if (!points || points.length === 0) {
+                return INVALID;
+            }
 
-            if (condition.value) {
-                return obj;
-            } else {
+            return points.map(v => makePoint(v));
+        } if (info.name === "pe") {
+            const { p, ellipse } = dependencies;
+            assertExistsAndNotOptional(p, ellipse);
+            assertType(p, TYPE_POINT);
+            assertType(ellipse, TYPE_ELLIPSE);
+
+            const { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
+            const [pl] = convertPointToLocalEllipse([p], center, rotation, rx, ry);
+            let points = calcCirclePointTangentPoints(pl, vVec2(0, 0), 1, {
+                angleMin: startAngle, angleMax: endAngle
+            });
+            if (!points || points.length === 0) {
                 return INVALID;
             }
-        } else if (info.name === "eo") {
-            const { obj0, obj1, condition } = dependencies;
-            assertExistsAndNotOptional(obj0, obj1, condition);
-            assertType(condition, TYPE_BOOLEAN);
 
-            return condition.value ? obj0 : obj1;
+            points = convertPointFromLocalEllipse(points, center, rotation, rx, ry);
+            // could be either 1 or two lines
+            return points.map(v => makePoint(v));
+        } else if (info.name === "ot") {
+            const { arc0, arc1 } = dependencies;
+            assertExistsAndNotOptional(arc0, arc1);
+            assertType(arc0, TYPE_ARC);
+            assertType(arc1, TYPE_ARC);
+
+            const points = calcOuterTangentPoints(arc0, arc1);
+            if (!points || points.length === 0 || points.length % 2 !== 0) {
+                return INVALID;
+            }
+
+            return points.map(v => makePoint(v));
+        } else if (info.name === "it") {
+            const { arc0, arc1 } = dependencies;
+            assertExistsAndNotOptional(arc0, arc1);
+            assertType(arc0, TYPE_ARC);
+            assertType(arc1, TYPE_ARC);
+
+            const points = calcInnerTangentPoints(arc0, arc1);
+            if (!points || points.length === 0 || points.length % 2 !== 0) {
+                return INVALID;
+            }
+            return points.map(v => makePoint(v));
         } else {
             throw new Error("No suitable constructor");
         }
     }
 }
 /**
- * Definition for a parameter of a point on a curve
- * Will calculate the parameter, if the point lies on the curve. In some cases, there might me multiple possible parameters
- * 
- * Supported curve objects are:
- * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse
+ * Definition of the tangent lines touching arcs and ellipses
  */
-class DefCurveParam {
-
+class DefTangentLines {
     /**
-     * Computes the paramter of a point on a curve
-     * @param {Number | Object} curve Either the index or value of a curve object. The supported types are specified at the documention of this class
+     * Computes the tangent lines on an arc going through the given point.
+     * Due to the start and end angles of the arc, they may not exist even for points outside the arc.
      * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Number | Object} arc Either the index or value of a TYPE_ARC. The arc
      * @param {Object} params
-     * @param {Number} [params.takeIndex] The index of the parameter to use. 
-     * If < 0, then the returned result will be used. 
-     * If = 0, either the first entry in an parameter array or the parameter will be returned
-     * If > 0, the indicated index in an array of parameters
-     * 
-     * If any requested parameter does not exist (for example requesting the second one, when only one exists) will result in INVALID
-     * @param {Number} [params.eps] The epsilon value used for comparisons
+     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
+     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
      * @returns {CreateInfo} The creation info
      */
-    static fromCurve(curve, p, { eps = 1E-10,
-        takeIndex = -1 } = {}) {
-        return CreateInfo.new("curve", {
-            curve, p
-        }, {
-            eps,
-            takeIndex,
-        });
+    static fromPointArc(p, arc, { leftOpen = false, rightOpen = false } = {}) {
+        return CreateInfo.new("pa", { p, arc }, { leftOpen, rightOpen });
     }
     /**
-     * Computes the parameter of a point on a Bezier curve. 
-     * @param {Object} curve The curve object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+     * Computes the tangent lines on an ellipse going through the given point.
+     * Due to the start and end angles of the arc, they may not exist even for points outside the ellipse.
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
+     * @param {Object} params
+     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
+     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
+     * @returns {CreateInfo} The creation info
      */
-    static bezierParam(curve, p, eps = 1E-10) {
-        return calcBezierParameterOfPoint(p, curve.points, eps);
-
+    static fromPointEllipse(p, ellipse, { leftOpen = false, rightOpen = false } = {}) {
+        return CreateInfo.new("pe", { p, ellipse }, { leftOpen, rightOpen });
     }
 
     /**
-     * Computes the parameter of a point on an arc. 
-     * @param {Object} arc The arc object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+     * Computes the outer tangents of two arcs.
+     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
+     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
+     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
+     * @param {Object} params
+     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
+     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
+     * @returns {CreateInfo} The creation info
      */
-    static arcParam(arc, p, eps = 1E-10) {
-        let { center, r, startAngle, endAngle } = arc;
-        // in the case of the circle wrapping over, just add 2pi to take care of that
-        if (startAngle > endAngle) {
-            endAngle += 2.0 * Math.PI;
-        }
-        const da = endAngle - startAngle;
-
-        let pr = vSub(p, center);
-
-        if (Math.abs(vLen2(pr) - r * r) > eps) {
-            // point not on circle
-            return [];
-        }
-
-        const pa = calcAngle(pr.x, pr.y);
-
-        const t = (pa - startAngle) / da;
-        return [t];
+    static fromOuterTangents(arc0, arc1, { leftOpen = false, rightOpen = false } = {}) {
+        return CreateInfo.new("ot", { arc0, arc1 }, { leftOpen, rightOpen });
     }
-
     /**
-     * Computes the parameter of a point on an ellipse. 
-     * @param {Object} ellipse The ellipse object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+     * Computes the inner tangents of two arcs.
+     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
+     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
+     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
+     * @param {Object} params
+     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
+     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
+     * @returns {CreateInfo} The creation info
      */
-    static ellipseParam(ellipse, p, eps = 1E-10) {
+    static fromInnerTangents(arc0, arc1, { leftOpen = false, rightOpen = false } = {}) {
+        return CreateInfo.new("it", { arc0, arc1 }, { leftOpen, rightOpen });
+    }
+    /**
+     * Computes the tangent points
+     * @param {CreateInfo} info The creation info
+     * @returns {Object | Array} The tangents of TYPE_LINE in an array or INVALID, if non exist
+     */
+    compute(info) {
+        const { dependencies } = info;
+        const { params } = info;
+        if (info.name === "pa") {
+            const { p, arc } = dependencies;
+            const { leftOpen, rightOpen } = params;
+            assertExistsAndNotOptional(p, arc);
+            assertType(p, TYPE_POINT);
+            assertType(arc, TYPE_ARC);
 
-        let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
-        // in the case of the circle wrapping over, just add 2pi to take care of that
-        if (startAngle > endAngle) {
-            endAngle += 2.0 * Math.PI;
-        }
-        const da = endAngle - startAngle;
+            const points = calcCirclePointTangentPoints(p, arc.center, arc.r, {
+                angleMin: arc.startAngle, angleMax: arc.endAngle
+            });
+            if (!points || points.length === 0) {
+                return INVALID;
+            }
+            // could be either 1 or two lines
+            const result = [];
+            const p0 = makePoint(p);
+            for (let q of points) {
+                const p1 = makePoint(q);
+                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
+            }
 
-        let [pr] = convertPointToLocalEllipse([p], center, rotation, rx, ry);
+            return result;
+        } if (info.name === "pe") {
+            const { p, ellipse } = dependencies;
+            const { leftOpen, rightOpen } = params;
+            assertExistsAndNotOptional(p, ellipse);
+            assertType(p, TYPE_POINT);
+            assertType(ellipse, TYPE_ELLIPSE);
 
-        if (Math.abs(vLen2(pr) - 1) > eps) {
-            // point not on circle
-            return [];
-        }
+            const { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
+            const [pl] = convertPointToLocalEllipse([p], center, rotation, rx, ry);
+            let points = calcCirclePointTangentPoints(pl, vVec2(0, 0), 1, {
+                angleMin: startAngle, angleMax: endAngle
+            });
+            if (!points || points.length === 0) {
+                return INVALID;
+            }
+
+            points = convertPointFromLocalEllipse(points, center, rotation, rx, ry);
+            // could be either 1 or two lines
+            const result = [];
+            const p0 = makePoint(p);
+            for (let q of points) {
+                const p1 = makePoint(q);
+                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
+            }
 
-        const pa = calcAngle(pr.x, pr.y);
+            return result;
+        } else if (info.name === "ot") {
+            const { arc0, arc1 } = dependencies;
+            const { leftOpen, rightOpen } = params;
+            assertExistsAndNotOptional(arc0, arc1);
+            assertType(arc0, TYPE_ARC);
+            assertType(arc1, TYPE_ARC);
 
-        const t = (pa - startAngle) / da;
+            const points = calcOuterTangentPoints(arc0, arc1);
+            if (!points || points.length === 0 || points.length % 2 !== 0) {
+                return INVALID;
+            }
+            const result = [];
+            for (let i = 0; i < points.length; i += 2) {
+                const p0 = points[i + 0];
+                const p1 = points[i + 1];
 
-        return [t];
-    }
-    /**
-     * Computes the parameter of a point on a line. 
-     * @param {Object} line The line object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Object} params
-     * @param {Number} [params.eps] The epsilon value used for comparisons
-     * @param {Number} [params.minT] The minimum t value
-     * @param {Number} [params.maxT] The maximum t value
-     * @returns {Number[]} The possible t values
-     */
-    static lineParam(line, p, { eps = 1E-10, minT = 0, maxT = 1 } = {}) {
+                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
+            }
+            return result;
 
-        let { p0, p1 } = line;
-        const v = vSub(p1, p0);
-        const n = normal2D(v);
 
-        const dot = vDot(n, vSub(p, p0));
 
-        if (Math.abs(dot) > eps) {
-            // point not on line
-            return [];
-        }
+        } else if (info.name === "it") {
+            const { arc0, arc1 } = dependencies;
+            const { leftOpen, rightOpen } = params;
+            assertExistsAndNotOptional(arc0, arc1);
+            assertType(arc0, TYPE_ARC);
+            assertType(arc1, TYPE_ARC);
 
+            const points = calcInnerTangentPoints(arc0, arc1);
+            if (!points || points.length === 0 || points.length % 2 !== 0) {
+                return INVALID;
+            }
+            const result = [];
+            for (let i = 0; i < points.length; i += 2) {
+                const p0 = points[i + 0];
+                const p1 = points[i + 1];
 
-        const t = calcParamOnLine(p0, p1, p);
-        if (t < minT || t > maxT) {
-            return [];
+                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
+            }
+            return result;
+        } else {
+            throw new Error("No suitable constructor");
         }
-
-        return [t];
     }
-
+}
+/**
+ * Definition for a midpoint.
+ * Points are their own midpoint.
+ * Arcs and ellipses have their center as a midpoint
+ * For a collection of points, their mean value is the midpoint
+ */
+class DefMidPoint {
     /**
-     * Computes the parameter of a point on a vector. 
-     * The vector is treated as a line segment from the reference to the arrow tip
-     * @param {Object} v The vector object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+     * Computes the midpoint of an object
+     * @param {Number | Object} obj Either the index or value of one of [TYPE_POINT, TYPE_LINE, TYPE_ARC, TYPE_ELLIPSE,TYPE_POLYGON] or an array of TYPE_POINT
+     * @returns {CreateInfo} The creation info
      */
-    static vectorParam(v, p, eps = 1E-10) {
-        const n = normal2D(v);
+    static fromObject(obj) {
+        return CreateInfo.new("o", { obj });
+    }
+    /**
+     * Computes the midpoint of a number of points
+     * @param {...(Number | Object)} obj Either the index or value of objects of TYPE_POINT
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints(...points) {
+        return CreateInfo.new("p", [...points]);
+    }
 
-        const dot = vDot(n, vSub(p, v.ref));
+    computeMidpointPoints(points) {
+        let x = 0;
+        let y = 0;
 
-        if (Math.abs(dot) > eps) {
-            // point not on line
-            return [];
+        if (points.length < 1) {
+            return { x: Infinity, y: Infinity };
         }
 
-
-        const t = calcParamOnLine(v.ref, vAdd(v, v.ref), p);
-        if (t < 0 || t > 1) {
-            return [];
+        for (let i = 0; i < points.length; i++) {
+            const oi = points[i];
+            x += oi.x;
+            y += oi.y;
         }
-        return [t];
+
+        x /= points.length;
+        y /= points.length;
+
+        return Vec2.new(x, y);
     }
 
     /**
-     * Computes the parameter of a point on a line strip. 
-     * @param {Object} lineStrip The line strip object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+     * Computes the midpoint
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} An object of TYPE_POINT
      */
-    static lineStripParam(lineStrip, p, eps = 1E-10) {
-        const result = [];
-        const { points } = lineStrip;
-        const num = points.length - 1;
-        for (let i = 0; i < num; i++) {
-            let [p0, p1] = [points[i], points[i + 1]];
-            const v = vSub(p1, p0);
-            const n = normal2D(v);
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        if (createInfo.name === "o") {
+            const { obj } = dependencies;
+            assertExistsAndNotOptional(obj);
 
-            const dot = vDot(n, vSub(p, p0));
+            // Allow for computing the midpoint of a set of points
+            if (Array.isArray(obj)) {
+                for (let i = 0; i < obj.length; i++) {
+                    const oi = obj[i];
+                    assertType(oi, TYPE_POINT)
+                }
 
-            if (Math.abs(dot) > eps) {
-                // point not on line
-                continue;
+                return makePoint(this.computeMidpointPoints(obj));
+            }
+            else if (obj.type === TYPE_POINT) {
+                return obj;
+            } else if (obj.type === TYPE_LINE) {
+                let x = obj.p0.x + obj.p1.x;
+                let y = obj.p0.y + obj.p1.y;
+
+                x *= 0.5;
+                y *= 0.5;
+                return makePoint({ x, y });
+            } else if (obj.type === TYPE_VECTOR) {
+                return makePoint(vAdd(obj.ref, vScale(obj, 0.5)));
+            } else if (obj.type === TYPE_ARC) {
+                return makePoint(obj.center);
+            } else if (obj.type === TYPE_ELLIPSE) {
+                return makePoint(obj.center);
+            } else if (obj.type === TYPE_POLYGON) {
+                return makePoint(this.computeMidpointPoints(obj.points))
             }
+            throw new Error(`Object type not supported`);
 
-            const t = calcParamOnLine(p0, p1, p);
-            if (t < 0 || t > 1) {
-                continue;
+        } else if (createInfo.name === "p") {
+            if (!Array.isArray(dependencies)) {
+                throw new Error("Expected array");
             }
-            result.push((t + i) / num);
+            let x = 0;
+            let y = 0;
+            for (let i = 0; i < dependencies.length; i++) {
+                const pi = dependencies[i];
+                assertType(pi, TYPE_POINT);
+                x += pi.x;
+                y += pi.y;
+            }
+            x /= dependencies.length;
+            y /= dependencies.length;
+            return makePoint({ x, y });
         }
 
-        return result;
+        throw new Error(`No suitable constructor available`);
+
+
+
     }
-    /**
-     * Computes the parameter of a point on a polygon. 
-     * @param {Object} poly The polygon object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+}
+/**
+ * Definition of the classic centers of a triangle.
+ * The triangle is given either by three points or a polygon with three vertices
+ */
+class DefTriangleCenter {
+    /** The center of the incircle, the intersection of the angle bisectors */
+    static INCENTER = "incenter";
+    /** The center of the circumcircle, the intersection of the perpendicular bisectors */
+    static CIRCUMCENTER = "circumcenter";
+    /** The center of mass, the intersection of the medians */
+    static CENTROID = "centroid";
+    /** The intersection of the altitudes */
+    static ORTHOCENTER = "orthocenter";
+    /** The center of the nine-point circle, the midpoint between circumcenter and orthocenter */
+    static NINE_POINT_CENTER = "ninePointCenter";
+    /** The center of an excircle, that touches one side and the extensions of the other two */
+    static EXCENTER = "excenter";
+
+    /**
+     * Computes a center of the triangle given by three points
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The first vertex
+     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT. The second vertex
+     * @param {Number | Object} p2 Either the index or value of a TYPE_POINT. The third vertex
+     * @param {String} [center] The kind of center, given by one of the static constants of this class
+     * @param {Object} [params]
+     * @param {Number} [params.excenterIndex] For excenters, the index of the vertex opposite to the side the excircle touches
+     * @returns {CreateInfo} The creation info
      */
-    static polygonParam(poly, p, eps = 1E-10) {
-        const result = [];
-        const { points } = poly;
-        const num = points.length;
-        for (let i = 0; i < num; i++) {
-            let [p0, p1] = [points[i], points[(i + 1) % points.length]];
-            const v = vSub(p1, p0);
-            const n = normal2D(v);
-
-            const dot = vDot(n, vSub(p, p0));
+    static fromPoints(p0, p1, p2, center = DefTriangleCenter.INCENTER, { excenterIndex = 0 } = {}) {
+        return CreateInfo.new("ppp", { p0, p1, p2 }, { center, excenterIndex });
+    }
 
-            if (Math.abs(dot) > eps) {
-                // point not on line
-                continue;
-            }
+    /**
+     * Computes a center of the triangle given by a polygon with three vertices
+     * @param {Number | Object} polygon Either the index or value of a TYPE_POLYGON. The triangle
+     * @param {String} [center] The kind of center, given by one of the static constants of this class
+     * @param {Object} [params]
+     * @param {Number} [params.excenterIndex] For excenters, the index of the vertex opposite to the side the excircle touches
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPolygon(polygon, center = DefTriangleCenter.INCENTER, { excenterIndex = 0 } = {}) {
+        return CreateInfo.new("poly", { polygon }, { center, excenterIndex });
+    }
 
-            const t = calcParamOnLine(p0, p1, p);
-            if (t < 0 || t > 1) {
-                continue;
+    /**
+     * Extracts the vertices of a triangle from either three points or a polygon.
+     * The dependencies are checked for their type
+     * @param {Object} dependencies
+     * @param {Object} [dependencies.p0] The first vertex of type TYPE_POINT
+     * @param {Object} [dependencies.p1] The second vertex of type TYPE_POINT
+     * @param {Object} [dependencies.p2] The third vertex of type TYPE_POINT
+     * @param {Object} [dependencies.polygon] The triangle of type TYPE_POLYGON. Used, if given
+     * @returns {Array<{x:Number, y:Number}>} The three vertices
+     */
+    static triangleVertices({ p0 = EMPTY, p1 = EMPTY, p2 = EMPTY, polygon = EMPTY }) {
+        if (!isParamEmpty(polygon)) {
+            assertType(polygon, TYPE_POLYGON);
+            if (polygon.points.length !== 3) {
+                throw new Error(`Expected a polygon with 3 vertices, got ${polygon.points.length}`);
             }
-            result.push((t + i) / num);
+            return polygon.points;
         }
-        return result;
+        assertExistsAndNotOptional(p0, p1, p2);
+        assertType(p0, TYPE_POINT);
+        assertType(p1, TYPE_POINT);
+        assertType(p2, TYPE_POINT);
+        return [p0, p1, p2];
     }
 
     /**
-     * Computes the parameter of a point on a Bezier spline. 
-     * @param {Object} spline The Bezier spline object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+     * Computes a center of a triangle
+     * @param {{x:Number, y:Number}} a The first vertex
+     * @param {{x:Number, y:Number}} b The second vertex
+     * @param {{x:Number, y:Number}} c The third vertex
+     * @param {String} center The kind of center, given by one of the static constants of this class
+     * @param {Object} [params]
+     * @param {Number} [params.excenterIndex] For excenters, the index of the vertex opposite to the side the excircle touches
+     * @param {Number} [params.eps] The epsilon value to detect degenerate triangles
+     * @returns {{x:Number, y:Number} | null} The center or null, if the triangle is degenerate
      */
-    static bezierSplineParam(spline, p, eps = 1E-10) {
-        const result = [];
-        const { points, degree } = spline;
-        const num = numSegmentsBezierSpline(points, degree);
-        for (let i = 0; i < num; i++) {
+    static computeCenter(a, b, c, center, { excenterIndex = 0, eps = 1E-10 } = {}) {
+        // twice the signed area
+        const d = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        if (Math.abs(d) < eps) {
+            return null;
+        }
 
-            const curvePoints = getBezierSplineSegment(points, degree, i);
+        if (center === DefTriangleCenter.CENTROID) {
+            return vScale(vAdd(a, vAdd(b, c)), 1 / 3);
+        } else if (center === DefTriangleCenter.INCENTER || center === DefTriangleCenter.EXCENTER) {
+            // weighted by the lengths of the opposite sides
+            const w = [vLen(vSub(b, c)), vLen(vSub(c, a)), vLen(vSub(a, b))];
+            if (center === DefTriangleCenter.EXCENTER) {
+                if (excenterIndex < 0 || excenterIndex > 2) {
+                    throw new Error(`Excenter index must be 0, 1 or 2, got ${excenterIndex}`);
+                }
+                w[excenterIndex] = -w[excenterIndex];
+            }
+            const sw = w[0] + w[1] + w[2];
+            return vScale(vAdd(vScale(a, w[0]), vAdd(vScale(b, w[1]), vScale(c, w[2]))), 1 / sw);
+        }
 
-            const ts = calcBezierParameterOfPoint(p, curvePoints, eps);
+        // circumcenter
+        const a2 = vLen2(a);
+        const b2 = vLen2(b);
+        const c2 = vLen2(c);
+        const dd = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+        const o = {
+            x: (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / dd,
+            y: (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / dd,
+        };
 
-            result.push(...ts.map(t => (t + i) / num));
+        if (center === DefTriangleCenter.CIRCUMCENTER) {
+            return o;
         }
-        return result;
+        // Euler line: H = A + B + C - 2O
+        const h = vSub(vAdd(a, vAdd(b, c)), vScale(o, 2));
+        if (center === DefTriangleCenter.ORTHOCENTER) {
+            return h;
+        } else if (center === DefTriangleCenter.NINE_POINT_CENTER) {
+            return vScale(vAdd(o, h), 0.5);
+        }
+
+        throw new Error(`Unknown triangle center ${center}`);
     }
 
     /**
-     * @param {Object} curve The curve object
-     * @param {{x:Number, y :Number}} p The point
-     * @param {Number} eps The epsilon value used for comparisons
-     * @returns {Number[]} The possible t values
+     * Computes one of the circles of a triangle. 
+     * Supported are the incircle, the circumcircle, the excircles and the nine-point circle, specified by their center
+     * @param {{x:Number, y:Number}} a The first vertex
+     * @param {{x:Number, y:Number}} b The second vertex
+     * @param {{x:Number, y:Number}} c The third vertex
+     * @param {String} center One of INCENTER, CIRCUMCENTER, EXCENTER or NINE_POINT_CENTER
+     * @param {Object} [params]
+     * @param {Number} [params.excenterIndex] For excircles, the index of the vertex opposite to the side the excircle touches
+     * @param {Number} [params.eps] The epsilon value to detect degenerate triangles
+     * @returns {{center : {x:Number, y:Number}, r : Number} | null} The circle or null, if the triangle is degenerate
      */
-    static curveParam(obj, p, eps) {
-        const type = obj.type;
+    static computeCircle(a, b, c, center, { excenterIndex = 0, eps = 1E-10 } = {}) {
+        const m = DefTriangleCenter.computeCenter(a, b, c, center, { excenterIndex, eps });
+        if (!m) {
+            return null;
+        }
+        const area = 0.5 * Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+        const sides = [vLen(vSub(b, c)), vLen(vSub(c, a)), vLen(vSub(a, b))];
+        const s = 0.5 * (sides[0] + sides[1] + sides[2]);
+
+        let r;
+        if (center === DefTriangleCenter.INCENTER) {
+            r = area / s;
+        } else if (center === DefTriangleCenter.EXCENTER) {
+            r = area / (s - sides[excenterIndex]);
+        } else if (center === DefTriangleCenter.CIRCUMCENTER) {
+            r = vLen(vSub(a, m));
+        } else if (center === DefTriangleCenter.NINE_POINT_CENTER) {
+            // half the circumradius
+            r = sides[0] * sides[1] * sides[2] / (8 * area);
+        } else {
+            throw new Error(`No circle defined for triangle center ${center}`);
+        }
+        return { center: m, r };
+    }
 
-        if (type === TYPE_BEZIER) {
-            return DefCurveParam.bezierParam(obj, p, eps);
-        } else if (type === TYPE_ARC) {
-            return DefCurveParam.arcParam(obj, p);
-        } else if (type === TYPE_ELLIPSE) {
-            return DefCurveParam.ellipseParam(obj, p);
-        } else if (type === TYPE_LINE) {
-            return DefCurveParam.lineParam(obj, p, {
-                eps,
-                minT: obj.leftOpen ? -Infinity : 0,
-                maxT: obj.rightOpen ? Infinity : 1
-            });
-        } else if (type === TYPE_VECTOR) {
-            return DefCurveParam.vectorParam(obj, p, eps);
-        } else if (type === TYPE_LINE_STRIP) {
-            return DefCurveParam.lineStripParam(obj, p, eps);
-        } else if (type === TYPE_POLYGON) {
-            return DefCurveParam.polygonParam(obj, p, eps);
-        } else if (type === TYPE_BEZIER_SPLINE) {
-            return DefCurveParam.bezierSplineParam(obj, p, eps);
+    /**
+     * Computes the center
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The center of type TYPE_POINT or INVALID, if the triangle is degenerate
+     */
+    compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        if (createInfo.name === "ppp" || createInfo.name === "poly") {
+            const [a, b, c] = DefTriangleCenter.triangleVertices(dependencies);
+            const { center, excenterIndex } = params;
+            const p = DefTriangleCenter.computeCenter(a, b, c, center, { excenterIndex });
+            if (!p) {
+                return INVALID;
+            }
+            return makePoint(p);
         } else {
-            throw new Error(`Object type ${type} not supported`);
+            throw new Error("No suitable constructor found");
         }
     }
+}
+/**
+ * Definition of the focus points of an ellipse
+ */
+class DefEllipseFocus {
+    /**
+     * Computes the focus points of an ellipse
+     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
+     * @returns {CreateInfo} The creation info
+     */
+    static fromEllipse(ellipse) {
+        return CreateInfo.new("eli", { ellipse });
+    }
 
     /**
-     * Computes the parameter on a curve
-     * @param {CreateInfo} info The creation info
-     * @returns {Array} The t values of type TYPE_NUMBER
+     * Computes the Elipse Focii
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Array} An array containing the focus points of type TYPE_POINT. Generally these are two, but in the case of a circle, there is only one, the center
      */
-    compute(info) {
-        const { dependencies } = info;
-        if (info.name === "curve") {
-            const { curve, p } = dependencies;
-            const { eps, takeIndex } = info.params;
-            assertExistsAndNotOptional(curve, p);
-            assertType(p, TYPE_POINT);
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        if (createInfo.name === "eli") {
+            const { ellipse } = dependencies;
+            assertExistsAndNotOptional(ellipse);
+            assertType(ellipse, TYPE_ELLIPSE);
 
-            const result = DefCurveParam.curveParam(curve, p, eps);
+            const { center, rx, ry, rotation } = ellipse;
+            // given the major axis a and minor axis b, the distance of the focus to the center is defined by c^2 = a^2 - b^2
+            // so we can solve via root
 
-            if (takeIndex >= 0) {
-                if (takeIndex >= result.length) {
-                    return INVALID;
-                }
+            if (Math.abs(rx, ry) < 1E-10) {
+                // circle -> focus is the center
+                return [makePoint(center)];
+            }
 
-                return makeNumber(result[takeIndex]);
+            const a = Math.max(rx, ry);
+            const b = Math.min(rx, ry);
+
+            const f = Math.sqrt(a * a - b * b);
+
+            let focii = [];
+
+            if (rx >= ry) {
+                // rx is major axis, so focii lie there
+                focii.push(vVec2(f, 0));
+                focii.push(vVec2(-f, 0));
+            } else {
+                focii.push(vVec2(0, f));
+                focii.push(vVec2(0, -f));
             }
 
-            return result.map(v => makeNumber(v));
+            focii = focii.map(p => vRotate(p, rotation));
+            focii = focii.map(p => vAdd(p, center));
+
+            return focii.map(p => makePoint(p));
+
+
         } else {
-            throw new Error("No suitable constructor");
+            throw new Error(`No suitable constructor available`);
         }
+
+
+
+
     }
 }
 
 /**
- * Definition of a text object that can be attached at a position and be created from input objects
+ * Definition of a generic function
  */
-class DefText {
-
+class DefFunc {
     /**
-     * Default values
-     * @param {Object} params
-     * @param {String | function(String) : String} params.text Display text or transform function for text
-     * @param {{x:Number, y:Number}} params.ref The point the text is attached to
+     * @param {Function} f The function to be computed. 
+     * The function will be called like f(dependencies, params), where those parameters are specified by the creation info
      */
-    constructor({
-        text = "",
-        ref = { x: 0, y: 0 }
-    } = {}) {
-        this.text = text;
-        this.ref = ref;
+    constructor(f) {
+        this.f = f;
     }
 
     /**
-     * Creates a new text from an object and a position
-     * @param {Object} params
-     * @param {Number | Object} [params.obj] Either the index or value of an object. The object to be turned into text
-     * If no text transformer is used, the object is just converted using the objectToString function
-     * @param {Number | Object} [params.ref] Either the index or value of a TYPE_POINT. The reference point
+     * Defines the signature of a function
+     * @param {Object | Array} dependencies Either the indices or values of the objects this function depends on
+     * @param {Object | Array} params Additional parameters
+     * @param {Boolean} ignoreInvalids If true, this function is called even if any inputs are INVALID
      * @returns {CreateInfo} The creation info
      */
-    static fromObjectRef({ obj = EMPTY, ref = EMPTY }) {
-        return CreateInfo.new("or", { obj, ref });
+    static from(dependencies = {}, params = {}, ignoreInvalids = false) {
+        return CreateInfo.new("f", dependencies, params, ignoreInvalids);
     }
 
     /**
-     * Computes the text
+     * Computes the result of this.f on the given arguments
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} Object of type TYPE_TEXT
+     * @returns The result of this.f(dependencies, params)
      */
     compute(createInfo) {
-        let { text, ref } = this;
-        const { dependencies } = createInfo;
-        if (createInfo.name === "or") {
-            const { obj, ref: refn } = dependencies;
-            if (!isParamEmpty(obj)) {
-                if (text instanceof Function) {
-                    text = text(obj);
-                } else {
-                    text = objectToString(obj);
-                }
-            }
-            if (!isParamEmpty(refn)) {
-                assertType(refn, TYPE_POINT);
-
-                ref = refn;
-            }
-        } else if (createInfo !== EMPTY_INFO) {
-            throw new Error("No suitable constructor found");
-        }
-
-        if (text instanceof Function) {
-            text = text();
+        const { dependencies, params } = createInfo;
+        if (createInfo.name === "f") {
+            return this.f(dependencies, params);
+        } else {
+            throw new Error("No suitable constructor");
         }
-
-        return makeText({ text, ref });
     }
 }
 
 /**
- * Definition of an oriented angle placed at a reference point
+ * Definition of a line.
+ * A line is defined by two points. The line might be extended to infinity for the first, second, neither or both of those two points
  */
-class DefAngle {
+class DefLine {
 
     /**
-        * When computing an angle, if it is greater than Pi (180°), choose the opposite one
-        */
-    static USE_SMALLER_ANGLE = -1;
-    /**
-     * When computing an angle choose it
-     */
-    static USE_COMPUTED_ANGLE = 0;
-    /**
-     * When computing an angle, if it is smaller than Pi (180°), choose the opposite one
+     * Default values
+     * @param {Object} params
+     * @param {{x:Number, y:Number}} p0 The first point on the line
+     * @param {{x:Number, y:Number}} p1 The second point on the line
+     * @param {Boolean} leftOpen Whether the line is extended from the first point
+     * @param {Boolean} rightOpen Whether the line is extended from the second point
      */
-    static USE_LARGER_ANGLE = 1;
-
+    constructor({
+        p0 = { x: 0, y: 0 }, p1 = { x: 0, y: 0 },
+        leftOpen = false,
+        rightOpen = false,
+    } = {}) {
+        this.p0 = p0;
+        this.p1 = p1;
+        this.leftOpen = leftOpen;
+        this.rightOpen = rightOpen;
+    }
     /**
-     * Creates an angle from two objects that can each be either lines or vectors.
-     * The reference point is placed where the infinitl lines through the objects intersect
-     * @param {Number | Object} v0 Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]
-     * @param {Number | Object} v1 Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]
-     * @param {Number} [useAngle] One of the values DefAngle.(USE_SMALLER_ANGLE, USE_COMPUTED_ANGLE, USE_LARGER_ANGLE)
+     * Computes a line from a vector.
+     * The line is extended through the vector reference point and in its direction
+     * @param {Number | Object} v Either the index or value of a TYPE_VECTOR. The vector
      * @returns {CreateInfo} The creation info
      */
-    static fromVectorsOrLines(v0, v1, useAngle = DefAngle.USE_COMPUTED_ANGLE) {
-        return CreateInfo.new("vl", { v0, v1 }, {
-            useAngle
-        });
+    static fromVector(v) {
+        return CreateInfo.new("v", { v });
     }
-
-
-
     /**
-     * Creates an angle from three points. The angle is measured around the middle one.
-     * The reference point is placed at the middle point
-     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT
-     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT
-     * @param {Number | Object} p2 Either the index or value of a TYPE_POINT
-     * @param {Number} [useAngle] One of the values DefAngle.(USE_SMALLER_ANGLE, USE_COMPUTED_ANGLE, USE_LARGER_ANGLE)
+     * Computes a line from a point in the direction of a vector.
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The starting point
+     * @param {Number | Object} v Either the index or value of a TYPE_VECTOR. The vector direction
      * @returns {CreateInfo} The creation info
      */
-    static fromPoints(p0, p1, p2, useAngle = DefAngle.USE_COMPUTED_ANGLE) {
-        return CreateInfo.new("ppp", { p0, p1, p2 }, {
-            useAngle
+    static fromPointVector(p, v) {
+        return CreateInfo.new("pv", {
+            p, v
         });
     }
-
-    /**
-     * Creates an angle from a fixed direction and a line or vector
-     * @param {Object} params
-     * @param {Number | Object} params.v Either the index or value of one of the types [TYPE_VECTOR, TYPE_LINE]. The direction
-     * If no text transformer is used, the object is just converted using the objectToString function
-     * @param {{x:Number, y:Number}} [params.fixedDir] A fixed direction from which to compute the angle from
-     * @param {Number} [params.useAngle] One of the values DefAngle.(USE_SMALLER_ANGLE, USE_COMPUTED_ANGLE, USE_LARGER_ANGLE)
+    /**
+     * Computes a line through two points
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The starting point
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The end point
      * @returns {CreateInfo} The creation info
      */
-    static fromFixedDir({ v, fixedDir = { x: 1, y: 0 }, useAngle = DefAngle.USE_COMPUTED_ANGLE }) {
-        return CreateInfo.new("fd", { v }, {
-            useAngle,
-            fixedDir,
+    static fromPoints(p0, p1) {
+        return CreateInfo.new("pp", {
+            p0, p1
         });
     }
 
     /**
-     * Compute the angle
+     * Compute the line
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} An angle of type TYPE_ANGLE
+     * @returns {Object} An object of type TYPE_LINE
      */
     compute(createInfo) {
-        const { dependencies, params } = createInfo;
-        if (createInfo.name === "vl") {
-            // angle between 
-            let p0;
-            let d0;
-
-            let p1;
-            let d1;
-
-            const { v0, v1 } = dependencies;
-
-            if (v0.type === TYPE_LINE) {
-                p0 = v0.p0;
-                d0 = vSub(v0.p1, v0.p0);
-            } else if (v0.type === TYPE_VECTOR) {
-                p0 = v0.ref;
-                d0 = v0;
-            } else {
-                throw new Error(`Expected line or vector, got ${v0.type} `);
-            }
-
-            if (v1.type === TYPE_LINE) {
-                p1 = v1.p0;
-                d1 = vSub(v1.p1, v1.p0);
-
-            } else if (v1.type === TYPE_VECTOR) {
-                p1 = v1.ref;
-                d1 = v1;
-            } else {
-                throw new Error(`Expected line or vector, got ${v1.type} `);
-            }
-
-
-            // measure angle from intersection
-            let inter = intersectLines(p0, vAdd(p0, d0), p1, vAdd(p1, d1));
-            if (!inter) {
-                inter = p0;
-            }
-
-            // oriented angle
-            const a = orientedAngle(d0, d1);
-            const start = orientedAngle({ x: 1, y: 0 }, d0);
-
-            let a0 = start;
-            let a1 = a0 + a;
-
-            if (a1 < a0) {
-                a1 += 2 * Math.PI;
-            }
 
-            const { useAngle } = params;
-            const adif = a1 - a0;
-            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
-                // angle is > 180° -> use the other side
-                if (adif > Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
-            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
-                // angle is < 180° -> use other side
-                if (adif < Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
-            }
-
-            return makeAngle({ value: (a1 - a0), start: a0, ref: inter });
-
-        } else if (createInfo.name === "ppp") {
-            const { p0, p1, p2 } = dependencies;
-
-            if (p0.type !== TYPE_POINT || p1.type !== TYPE_POINT || p2.type !== TYPE_POINT) {
-                throw new Error(`Expected points, got ${p0.type}, ${p1.type}, ${p2.type} `);
-            }
-
-            const q0 = p1;
-            const d0 = vSub(p0, q0);
-            const d1 = vSub(p2, q0);
-
-            const a = orientedAngle(d0, d1);
-            const start = orientedAngle({ x: 1, y: 0 }, d0);
-
-            let a0 = start;
-            let a1 = a0 + a;
+        const { dependencies } = createInfo;
+        let { p0, p1, leftOpen, rightOpen } = this;
 
-            if (a1 < a0) {
-                a1 += 2 * Math.PI;
+        if (createInfo.name === "v") {
+            const { v } = dependencies;
+            if (v.type !== TYPE_VECTOR) {
+                throw new Error(`Require vector, got ${v.type} `);
             }
 
-            const { useAngle } = params;
-            const adif = a1 - a0;
-            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
-                // angle is > 180° -> use the other side
-                if (adif > Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
-            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
-                // angle is < 180° -> use other side
-                if (adif < Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
+            p0 = v.ref;
+            p1 = vAdd(p0, v);
+        } else if (createInfo.name === "pv") {
+            const { p, v } = dependencies;
+            if (p.type !== TYPE_POINT) {
+                throw new Error(`Require point, got ${p.type} `);
             }
-
-
-            return makeAngle({ value: (a1 - a0), start: a0, ref: q0 });
-        } else if (createInfo.name === "fd") {
-            // angle between 
-            let p0;
-            let d0;
-
-            const { v } = dependencies;
-
-            assertExistsAndNotOptional(v);
-            assertType(v, TYPE_VECTOR, TYPE_LINE);
-
-            const { fixedDir, useAngle } = params;
-
-            if (v.type === TYPE_LINE) {
-                p0 = v.p0;
-                d0 = vSub(v.p1, v.p0);
-            } else if (v.type === TYPE_VECTOR) {
-                p0 = v.ref;
-                d0 = v;
+            if (v.type !== TYPE_VECTOR) {
+                throw new Error(`Require vector, got ${v.type} `);
             }
-            // oriented angle
-            const a = orientedAngle(fixedDir, d0);
-            const start = orientedAngle({ x: 1, y: 0 }, fixedDir);
 
-            let a0 = start;
-            let a1 = a0 + a;
+            p0 = p;
+            p1 = vAdd(p0, v);
 
-            if (a1 < a0) {
-                a1 += 2 * Math.PI;
+        } else if (createInfo.name === "pp") {
+            const { p0: q0, p1: q1 } = dependencies;
+            if (q0.type !== TYPE_POINT) {
+                throw new Error(`Require point, got ${q0.type} `);
             }
-            const adif = a1 - a0;
-            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
-                // angle is > 180° -> use the other side
-                if (adif > Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
-            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
-                // angle is < 180° -> use other side
-                if (adif < Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
+            if (q1.type !== TYPE_POINT) {
+                throw new Error(`Require vector, got ${q1.type} `);
             }
-
-
-            return makeAngle({ value: (a1 - a0), start: a0, ref: p0 });
-
+            p0 = q0;
+            p1 = q1;
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable LineSegment constructor found");
         }
-        throw new Error(`No suitable constructor found`);
 
+        return makeLine({
+            p0, p1, leftOpen, rightOpen
+        });
     }
 }
 /**
- * Definition of a polar coordinate defined by a radius ang angle
+ * Definition of a line strip, defined by a sequence of points
  */
-class DefPolarCoord {
+class DefLineStrip {
+
     /**
-     * Default values
-     * @param {Object} params
-     * @param {Number} params.r The radius
-     * @param {Number} params.alpha The angle
+     * Default value
+     * @param {Array<{x:Number, y:Number}>} points An array of points
      */
-    constructor({ r = 1, alpha = 0 } = {}) {
-        this.r = r;
-        this.alpha = alpha;
+    constructor(points = []) {
+        this.points = points;
     }
+
     /**
-     * Creates polar coordinates of a point
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
+     * Computes a line strip from an array of points
+     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the line strip of
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this line strip
      * @returns {CreateInfo} The creation info
      */
-    static fromPointOrVector(p) {
-        return CreateInfo.new("pv", { p });
+    static fromPoints(points, attach = false) {
+        return CreateInfo.new("p", points, { attach });
     }
-
     /**
-     * Creates an angle from three points. The angle is measured around the middle one.
-     * The reference point is placed at the middle point
-     * @param {Object} params
-     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
-     * @param {Number | Object} [params.alpha] Either the index or value of a TYPE_NUMBER. The angle
+     * Computes a line strip from an array of points stored as a value
+     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this line strip
      * @returns {CreateInfo} The creation info
      */
-    static fromValues({ r = EMPTY, alpha = EMPTY } = {}) {
-        return CreateInfo.new("v", { r, alpha });
+    static fromPointArray(pointArray, attach = false) {
+        return CreateInfo.new("pa", { pointArray }, { attach });
+    }
+    /**
+     * Computes a line strip from the points of a polygon
+     * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this line strip
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPolygon(poly, attach = false) {
+        return CreateInfo.new("poly", { poly }, { attach });
     }
 
     /**
-     * Compute the polar coordinates
+     * Computes the line strip
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} A polar coordinate of type TYPE_POLAR
+     * @returns {Object} A line strip of type TYPE_LINE_STRIP
      */
     compute(createInfo) {
-        let { r, alpha } = this;
         const { dependencies } = createInfo;
-        if (createInfo.name === "pv") {
-            const { p } = dependencies;
-            assertExistsAndNotOptional(p);
-            assertType(p, TYPE_POINT, TYPE_VECTOR);
-
-            r = vLen(p);
-            alpha = calcAngle(p.x, p.y);
-
-        } else if (createInfo.name === "v") {
-            const { r: rN, alpha: alphaN } = dependencies;
+        let { points } = this;
+        const { attach } = createInfo.params;
 
-            if (!isParamEmpty(rN)) {
-                assertType(rN, TYPE_NUMBER);
-                r = rN.value;
+        if (createInfo.name === "p") {
+            if (!attach) {
+                points = [];
+            } else {
+                points = [...points];
             }
+            for (const p of dependencies) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+                points.push(p);
+            }
+        } else if (createInfo.name === "poly") {
+            const { poly } = dependencies;
+            assertExistsAndNotOptional(poly);
+            assertType(poly, TYPE_POLYGON);
 
-            if (!isParamEmpty(alphaN)) {
-                assertType(alphaN, TYPE_NUMBER);
-                alpha = alphaN.value;
+            if (!attach) {
+                points = [...poly.points];
+            } else {
+                points.push(...poly.points);
+            }
+        } else if (createInfo.name === "pa") {
+            const { pointArray } = dependencies;
+            assertExistsAndNotOptional(pointArray);
+            if (!Array.isArray(pointArray)) {
+                throw new Error("Expected array");
             }
 
+            for (const p of pointArray) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+            }
+            if (attach) {
+                points = [...points, ...pointArray];
+            } else {
+                points = pointArray;
+            }
         } else if (createInfo !== EMPTY_INFO) {
             throw new Error("No suitable constructor");
         }
 
-        return makePolarCoordinate({ r, alpha });
+        return makeLineStrip({ points });
     }
 }
 /**
- * Definition of a point.
+ * Definition of a polyon.
+ * A polygon is specified by its vertices and differs from a line strip in that it is closed
  */
-class DefPoint {
-
+class DefPolygon {
     /**
-     * Default values
-     * @param {Number} x The x coordinate
-     * @param {Number} y The y coordinate
+     * Default value
+     * @param {Array<{x:Number, y:Number}>} points An array of points
      */
-    constructor(x = 0, y = 0) {
-        this.x = x;
-        this.y = y;
+    constructor(points = []) {
+        this.points = points;
     }
-
     /**
-     * Creates a point from another point or vector.
-     * A point created from a vector is located at the tip of the vector that is placed at its reference point
-     * @param {Number | Object} other Either the index or value of one of the types [TYPE_POINT, TYPE_VECTOR]
+     * Computes a polygon from an array of points
+     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the polygon of
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this polygon
      * @returns {CreateInfo} The creation info
      */
-    static fromPointOrVector(other) {
-        return CreateInfo.new("p", {
-            p: other
-        });
+    static fromPoints(points, attach = false) {
+        return CreateInfo.new("p", points, { attach });
     }
-
     /**
-     * Creates a point from coordinates
-     * @param {Object} params
-     * @param {Number | Object} [params.x] Either the index or value of a TYPE_NUMBER
-     * @param {Number | Object} [params.y] Either the index or value of a TYPE_NUMBER
+     * Computes a polygon from an array of points stored as a value
+     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this polygon
      * @returns {CreateInfo} The creation info
      */
-    static fromCoordinates({ x = EMPTY, y = EMPTY } = {}) {
-        return CreateInfo.new("xy", {
-            x, y
-        });
+    static fromPointArray(pointArray, attach = false) {
+        return CreateInfo.new("pa", { pointArray }, { attach });
     }
     /**
-     * Creates a point from a vector attached to a point
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT
-     * @param {Number | Object} v Either the index or value of a TYPE_VECTOR
+     * Computes a polygon from the points of a line strip
+     * @param {Number | Object} poly Either the index or value of a TYPE_LINE_STRIP. The line strip
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this polygon
      * @returns {CreateInfo} The creation info
      */
-    static fromAttachedVector(p, v) {
-        return CreateInfo.new("pv", {
-            p, v
-        });
+    static fromLineStrip(lineStrip, attach = false) {
+        return CreateInfo.new("ls", { lineStrip }, { attach });
     }
 
     /**
-     * Creates a point from a polar coordinates
-     * @param {Number | Object} polar Either the index or value of a TYPE_POLAR
+     * Computes a polygon by clipping another polygon at a line
+     * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon to be clipped
+     * @param {Number | Object} line Either the index or value of a TYPE_LINE. The line to be clipped at
      * @returns {CreateInfo} The creation info
      */
-    static fromPolar(polar) {
-        return CreateInfo.new("pol", { polar });
+    static fromClipLine(poly, line) {
+        return CreateInfo.new("cl", { poly, line });
+    }
+    /**
+       * Computes a polygon by clipping another polygon at a line given by a point and normal
+       * If the point is not given, the vectors reference point is used
+       * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon to be clipped
+       * @param {Object} params
+       * @param {Number | Object} [params.p] Either the index or value of a TYPE_POINT. A point on the clipping line
+       * @param {Number | Object} params.n Either the index or value of a TYPE_VECTOR. The clipping line normal
+       * @returns {CreateInfo} The creation info
+       */
+    static fromClipPointNormal(poly, { p = EMPTY, n } = {}) {
+        return CreateInfo.new("cpn", { poly, p, n });
     }
 
     /**
-     * Computes the point
+    * Computes a polygon by clipping another polygon at a convex clip polygon
+    * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon to be clipped
+    * @param {Number | Object} clipPoly Either the index or value of a TYPE_POLYGON. The polygon to be clipped at. Must be convex
+    * @returns {CreateInfo} The creation info
+    */
+    static fromClipPoly(poly, clipPoly) {
+        return CreateInfo.new("clp", { poly, clipPoly });
+    }
+
+    /**
+    * Computes a polygon by clipping another polygon at a convex clip polygon
+    * @param {Number | Object | Array<Number> | Array<Object>} points Either the index or value of a TYPE_POINT or array of TYPE_POINT values. Parameter can be an array of such values. The points form which to compute the convex hull
+    * @returns {CreateInfo} The creation info
+    */
+    static fromConvexHull(points) {
+        if (!Array.isArray(points)) {
+            points = [points];
+        }
+        return CreateInfo.new("cnv", points);
+    }
+
+    /**
+     * Computes the polygon
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} A point of type TYPE_POINT
+     * @returns {Object} A polygon of type TYPE_POLYGON
      */
     compute(createInfo) {
-        let { x, y } = this;
         const { dependencies } = createInfo;
+        let { points } = this;
+        const { attach } = createInfo.params;
+
         if (createInfo.name === "p") {
-            const { p } = dependencies;
-            if (isParamEmpty(p) || (p.type !== TYPE_POINT && p.type !== TYPE_VECTOR)) {
-                throw new Error(`Point from point or vector requires 1 valid point or vector no suitable parameter set available`);
+            if (!attach) {
+                points = [];
+            } else {
+                points = [...points];
             }
-            if (p.type === TYPE_POINT) {
-                x = p.x;
-                y = p.y;
+            for (const p of dependencies) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+                points.push(p);
             }
-            else if (p.type === TYPE_VECTOR) {
-                const { ref } = p;
-                // construct from vector reference point
-                ({ x, y } = vAdd(ref, p));
+        } else if (createInfo.name === "ls") {
+            const { lineStrip } = dependencies;
+            assertExistsAndNotOptional(lineStrip);
+            assertType(lineStrip, TYPE_LINE_STRIP);
+            if (!attach) {
+                points = [...lineStrip.points];
+            } else {
+                points.push(...points);
+            }
+        } else if (createInfo.name === "pa") {
+            const { pointArray } = dependencies;
+            assertExistsAndNotOptional(pointArray);
+            if (!Array.isArray(pointArray)) {
+                throw new Error("Expected array");
             }
-        } else if (createInfo.name === "xy") {
-            const { x: xn, y: yn } = dependencies;
 
-            if (!isParamEmpty(xn)) {
-                if (xn.type !== TYPE_NUMBER) {
-                    throw new Error(`Point from coordinates requires x to be either empty or a number`);
-                }
-                x = xn.value;
+            for (const p of pointArray) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
             }
-            if (!isParamEmpty(yn)) {
-                if (yn.type !== TYPE_NUMBER) {
-                    throw new Error(`Point from coordinates requires y to be either empty or a number`);
-                }
-                y = yn.value;
+            if (attach) {
+                points = [...points, ...pointArray];
+            } else {
+                points = pointArray;
             }
-        } else if (createInfo.name === "pv") {
-            const { p, v } = dependencies;
-            if (isParamEmpty(p) || isParamEmpty(v)) {
-                throw new Error(`Point from point and vector requires non - empty parameter`);
+        } else if (createInfo.name === "cl") {
+            const { poly, line } = dependencies;
+            assertExistsAndNotOptional(poly, line);
+            assertType(poly, TYPE_POLYGON);
+            assertType(line, TYPE_LINE);
+            const { p0, p1 } = line;
+            const v = Vec2.sub(p1, p0);
+            const n = Vec2.normal2D(v);
+            const plane = computePlane(p0, n);
+            points = clipPolygonAtPlane(poly.points, plane);
+
+        } else if (createInfo.name === "cpn") {
+            const { poly, p, n } = dependencies;
+            assertExistsAndNotOptional(poly, n);
+            assertType(poly, TYPE_POLYGON);
+            assertType(n, TYPE_VECTOR);
+            let p0 = n.ref;
+            if (!isParamEmpty(p)) {
+                assertType(p, TYPE_POINT);
+                p0 = p;
             }
-            if (p.type !== TYPE_POINT || v.type !== TYPE_VECTOR) {
-                throw new Error(`Point from point and vector requires a point and a vector`);
+            const plane = computePlane(p0, n);
+            points = clipPolygonAtPlane(poly.points, plane);
+
+        } else if (createInfo.name === "clp") {
+            const { poly, clipPoly } = dependencies;
+            assertExistsAndNotOptional(poly, clipPoly);
+            assertType(poly, TYPE_POLYGON);
+            assertType(clipPoly, TYPE_POLYGON);
+
+            points = clipPolygonAtPolygon(poly.points, clipPoly.points);
+        } else if (createInfo.name === "cnv") {
+            const input = dependencies;
+            assertExistsAndNotOptional(input);
+
+            // must be an array
+            if (!Array.isArray(input)) {
+                return INVALID;
             }
-            ({ x, y } = vAdd(p, v));
-        } else if (createInfo.name === "pol") {
-            const { polar } = dependencies;
-            assertExistsAndNotOptional(polar);
-            assertType(polar, TYPE_POLAR);
 
-            ({ x, y } = vPolar(polar.r, polar.alpha));
-        } else if (createInfo !== EMPTY_INFO) {
-            throw new Error(`Point: No suitable parameter set available`);
+            const finalPoints = [];
+            for (let i = 0; i < input.length; i++) {
+                const pi = input[i];
+                if (Array.isArray(pi)) {
+                    for (let j = 0; j < pi.length; j++) {
+                        const pj = pi[j];
+                        assertExistsAndNotOptional(pj);
+                        assertType(pj, TYPE_POINT);
+                        finalPoints.push(pj);
+                    }
+                } else {
+                    assertExistsAndNotOptional(pi);
+                    assertType(pi, TYPE_POINT);
+                    finalPoints.push(pi);
+                }
+            }
+            points = calcConvexHull(finalPoints);
+            if (points.length < 3) {
+                return INVALID;
+            }
+        }
+        else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
         }
 
-        return makePoint({ x, y });
+        return makePolygon({ points });
     }
 }
 /**
- * Definition for a point on a curve
- * Will calculate the point given a parameter
- * 
- * Supported curve objects are:
- * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse
+ * Definition of a boolean operation on polygons.
+ * The result is a collection of polygons, which may have holes
  */
-class DefCurvePoint {
-    /**
-     * Default values
-     * @param {Number} [t] The t value
-     */
-    constructor(t = 0) {
-        this.t = t;
-    }
-
-
-    /**
-     * Computes the point on a curve
-     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
-     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
+class DefPolygonBoolean {
+    static UNION = "union";
+    static INTERSECTION = "intersection";
+    static DIFFERENCE = "difference";
+    static XOR = "xor";
+
+    /**
+     * Computes a boolean operation of two polygon regions.
+     * A region may also be a collection of polygons, in which case it is the union of them
+     * @param {Number | Object} a Either the index or value of a TYPE_POLYGON or a TYPE_COLLECTION of polygons. The first region
+     * @param {Number | Object} b Either the index or value of a TYPE_POLYGON or a TYPE_COLLECTION of polygons. The second region
+     * @param {String} [operation] The operation, one of DefPolygonBoolean.UNION, INTERSECTION, DIFFERENCE (a without b) or XOR
+     * @param {Object} [options]
+     * @param {String} [options.fillRule] The fill rule for the input polygons, either "nonzero", "evenodd" or "positive"
      * @returns {CreateInfo} The creation info
      */
-    static fromCurve({ obj, t = EMPTY }) {
-        return CreateInfo.new("obj", {
-            obj, t
-        });
+    static fromPolygons(a, b, operation = DefPolygonBoolean.UNION, { fillRule = "nonzero" } = {}) {
+        return CreateInfo.new("p", { a, b }, { operation, fillRule });
     }
 
     /**
-     * Computes the point on a ellipse. 
-     * @param {{x:Number, y:Number}} center The ellipse center
-     * @param {Number} rx The ellipse x-eccentricity
-     * @param {Number} ry The ellipse y-eccentricity
-     * @param {Number} rotation The ellipse rotation
-     * @param {Number} alpha The angle
-     * @returns {{x:Number, y:Number}} The resulting point
+     * Gathers the polygons of a region
+     * @param {Object} obj Either a TYPE_POLYGON or a TYPE_COLLECTION of polygons
+     * @returns {Array<Object>} The polygons
      */
-    static ellipsePoint(center, rx, ry, rotation, alpha) {
-        let q = vPolar(1, alpha);
-        [q] = convertPointFromLocalEllipse([q], center, rotation, rx, ry);
-        return q;
+    static gatherPolygons(obj) {
+        if (obj.type === TYPE_COLLECTION) {
+            return obj.objects.flatMap(o => DefPolygonBoolean.gatherPolygons(o));
+        }
+        assertType(obj, TYPE_POLYGON);
+        return [obj];
     }
 
     /**
-     * Computes the point on a circle. 
-     * @param {{x:Number, y:Number}} center The circle center
-     * @param {Number} r The circle radius
-     * @param {Number} alpha The angle
-     * @returns {{x:Number, y:Number}} The resulting point
+     * Computes the polygons
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A TYPE_COLLECTION of TYPE_POLYGON
      */
-    static circlePoint(center, r, alpha) {
-        return vAdd(center, vPolar(r, alpha));
+    compute(createInfo) {
+        if (createInfo.name === "p") {
+            const { a, b } = createInfo.dependencies;
+            const { operation, fillRule } = createInfo.params;
+            assertExistsAndNotOptional(a, b);
+            const polygons = calcPolygonBoolean(DefPolygonBoolean.gatherPolygons(a), DefPolygonBoolean.gatherPolygons(b),
+                operation, { fillRule });
+            return makeCollection(polygons.map(p => makePolygon(p)));
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
+        return makeCollection([]);
     }
-    /**
-     * Computes the point on a line. 
-     * @param {{x:Number, y:Number}} p0 The first line point
-     * @param {{x:Number, y:Number}} p1 The second line point
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting point
+}
+/**
+ * Definition of offset curves at a signed distance.
+ * Positive distances offset lines, line strips and Bezier curves to the left of their direction and polygons, arcs and ellipses outwards.
+ * 
+ * Polygons are buffered as regions, which may split them into multiple polygons or remove them completely.
+ * 
+ * Supported objects are:
+ * Line, line strip, polygon (with joins), arc (exact), ellipse, Bezier and Bezier spline (approximated by cubic Bezier splines)
+ */
+class DefOffset {
+    static JOIN_MITER = "miter";
+    static JOIN_ROUND = "round";
+    static JOIN_BEVEL = "bevel";
+
+    /**
+     * Computes the offset of an object
+     * @param {Number | Object} obj Either the index or value of an object. The supported types are specified at the documention of this class
+     * @param {Number | Object} distance Either the index or value of a TYPE_NUMBER. The signed offset distance
+     * @param {Object} [options]
+     * @param {String} [options.join] The join used at the outer corners of line strips and polygons. Possible values are stored as static variables in this class prefixed by JOIN_
+     * @param {Number} [options.miterLimit] The maximum ratio of the miter length to the distance. Longer miters are beveled
+     * @param {Number} [options.tolerance] The maximum deviation of approximated curves and round joins
+     * @returns {CreateInfo} The creation info
      */
-    static linePoint(p0, p1, t) {
-        return vLerp(p0, p1, t);
+    static fromObject(obj, distance, { join = DefOffset.JOIN_MITER, miterLimit = 10, tolerance = 1E-3 } = {}) {
+        return CreateInfo.new("o", { obj, distance }, { join, miterLimit, tolerance });
     }
 
     /**
-     * Computes the point on a vector.
-     * The vector is treated as a line segment from the reference to the arrow tip
-     * @param {Object} v The vector of type TYPE_VECTOR
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting point
+     * Computes the offset of an object
+     * @param {Object} obj The object. The supported types are specified at the documention of this class
+     * @param {Number} distance The signed offset distance
+     * @param {Object} [options]
+     * @param {String} [options.join] The join used at the outer corners of line strips and polygons
+     * @param {Number} [options.miterLimit] The maximum ratio of the miter length to the distance
+     * @param {Number} [options.tolerance] The maximum deviation of approximated curves and round joins
+     * @returns {Object} The offset object, a TYPE_COLLECTION of polygons, if a polygon is split, or INVALID
      */
-    static vectorPoint(v, t) {
-        return vAdd(v.ref, vScale(v, t));
+    static offsetObject(obj, distance, { join = DefOffset.JOIN_MITER, miterLimit = 10, tolerance = 1E-3 } = {}) {
+        assertType(obj, TYPE_LINE, TYPE_LINE_STRIP, TYPE_POLYGON, TYPE_ARC, TYPE_ELLIPSE, TYPE_BEZIER, TYPE_BEZIER_SPLINE);
+        const { type } = obj;
+        if (type === TYPE_LINE) {
+            const n = vScale(vNormalizeIfNotZero(normal2D(vSub(obj.p1, obj.p0))), distance);
+            return makeLine({ ...obj, p0: vAdd(obj.p0, n), p1: vAdd(obj.p1, n) });
+        } else if (type === TYPE_LINE_STRIP) {
+            return makeLineStrip({ points: offsetLineStrip(obj.points, distance, { join, miterLimit, tolerance }) });
+        } else if (type === TYPE_POLYGON) {
+            const polygons = bufferPolygon(obj, distance, { join, miterLimit, tolerance }).map(p => makePolygon(p));
+            if (polygons.length === 0) {
+                return INVALID;
+            }
+            return polygons.length === 1 ? polygons[0] : makeCollection(polygons);
+        } else if (type === TYPE_ARC) {
+            const r = obj.r + distance;
+            if (r === 0) {
+                return INVALID;
+            }
+            if (r > 0) {
+                return makeArc({ ...obj, r });
+            }
+            // the offset passes through the center, so it lies on the opposite side
+            return makeArc({
+                ...obj, r: -r,
+                startAngle: normalizeAngle(obj.startAngle + Math.PI),
+                endAngle: normalizeAngle(obj.endAngle + Math.PI),
+            });
+        } else if (type === TYPE_ELLIPSE) {
+            return makeBezierSpline({ points: offsetEllipse(obj, distance, { tolerance }), degree: 3 });
+        } else if (type === TYPE_BEZIER) {
+            return makeBezierSpline({ points: offsetBezier(obj.points, distance, { tolerance }), degree: 3 });
+        } else {
+            return makeBezierSpline({ points: offsetBezier(obj.points, distance, { degree: obj.degree, tolerance }), degree: 3 });
+        }
     }
-    /**
-     * Computes the point on a line strip. 
-     * @param {Object} points The line strip points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting point
-     */
-    static lineStripPoint(points, t) {
-        const num = points.length - 1;
 
-        t = num * t;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-        const [p0, p1] = [points[idx], points[idx + 1]];
-        return vLerp(p0, p1, t);
-    }
     /**
-     * Computes the point on a polygon. 
-     * @param {Object} points The polygon points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting point
+     * Computes the offset
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The offset object
      */
-    static polygonPoint(points, t) {
-        const num = points.length;
+    compute(createInfo) {
+        if (createInfo.name === "o") {
+            const { obj, distance } = createInfo.dependencies;
+            assertExistsAndNotOptional(obj, distance);
+            assertType(distance, TYPE_NUMBER);
 
-        t = num * t;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-        const [p0, p1] = [points[idx], points[(idx + 1) % points.length]];
-        return vLerp(p0, p1, t);
+            return DefOffset.offsetObject(obj, distance.value, createInfo.params);
+        } else {
+            throw new Error("No suitable constructor");
+        }
     }
+}
+
+/**
+ * Definition of the locus of a point, which is the path traced by the point, while a driver varies.
+ * The driver is either a number of a DefNumber or the parameter of a DefCurvePoint.
+ * For each sampled driver value, the objects between the driver and the point are evaluated again without changing the values stored in the scene.
+ * Driver values for which the point is INVALID split the locus into multiple parts.
+ * 
+ * A locus can only be computed as part of a GeometryScene
+ */
+class DefLocus {
     /**
-     * Computes the point on a Bezier curve. 
-     * @param {Object} points The control points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting point
+     * Signifies, that the sampled points are connected by a line strip
      */
-    static bezierPoint(points, t) {
-        return deCasteljau(points, t);
-    }
+    static FIT_LINE_STRIP = "lineStrip";
     /**
-     * Computes the point on a Bezier spline. 
-     * @param {Object} points The control points
-     * @param {Number} degree The spline degree
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting point
+     * Signifies, that the sampled points are interpolated by a Catmull-Rom spline
      */
-    static bezierSplinePoint(points, degree, t) {
-        // stretch t with segment number
-        const numSegs = numSegmentsBezierSpline(points, degree);
-        t *= numSegs;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-
-        const segPoints = getBezierSplineSegment(points, degree, idx);
+    static FIT_CATMULL_ROM = "catmullRom";
 
-        return deCasteljau(segPoints, t);
-    }
     /**
-     * Computes the point on a curve. 
-     * Supported types are documented at the top of this class
-     * @param {Object} obj The curve object
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting point
+     * Computes the locus of a point
+     * @param {Number} driver The index of the driver. Its definition has to be a DefNumber or a DefCurvePoint
+     * @param {Number} point The index of a TYPE_POINT depending on the driver
+     * @param {Object} [options]
+     * @param {Number} [options.min] The minimum driver value. Required for numbers. Defaults to the start of the curve for curve points
+     * @param {Number} [options.max] The maximum driver value. Required for numbers. Defaults to the end of the curve for curve points
+     * @param {Number} [options.numSamples] The number of sampled driver values
+     * @param {String} [options.fit] How the sampled points are connected. Possible values are stored as static variables in this class prefixed by FIT_
+     * @returns {CreateInfo} The creation info
      */
-    static curvePoint(obj, t) {
-        const otype = obj.type;
-        if (otype === TYPE_ELLIPSE) {
-            const ellipse = obj;
-
-            let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
-            // in the case of the circle wrapping over, just add 2pi to take care of that
-            if (startAngle > endAngle) {
-                endAngle += 2.0 * Math.PI;
-            }
-            const da = endAngle - startAngle;
-
-            const a = startAngle + t * da;
-
-
-            let q = DefCurvePoint.ellipsePoint(center, rx, ry, rotation, a);
-            return makePoint(q);
-
-        } else if (otype === TYPE_ARC) {
-            const arc = obj;
+    static fromDriver(driver, point, { min = null, max = null, numSamples = 100, fit = DefLocus.FIT_LINE_STRIP } = {}) {
+        return CreateInfo.new("d", { driver, point }, { min, max, numSamples, fit });
+    }
 
-            let { center, r, startAngle, endAngle } = arc;
-            // in the case of the circle wrapping over, just add 2pi to take care of that
-            if (startAngle > endAngle) {
-                endAngle += 2.0 * Math.PI;
+    /**
+     * Creates a function computing the value of a driver for a given driver value
+     * @param {GeometryScene} scene The scene containing the driver
+     * @param {Number} driver The index of the driver
+     * @param {Object} [options]
+     * @param {Number} [options.min] The minimum driver value
+     * @param {Number} [options.max] The maximum driver value
+     * @returns {{evaluate : function(Number) : Object, min : Number, max : Number}} The driver function and the range of driver values
+     */
+    static driverSampler(scene, driver, { min = null, max = null } = {}) {
+        const { definition, createInfo } = scene.get(driver);
+        if (definition instanceof DefNumber) {
+            if (min === null || max === null) {
+                throw new Error("Number drivers need a range of values");
             }
-            const da = endAngle - startAngle;
-
-            const a = startAngle + t * da;
-
-            return makePoint(DefCurvePoint.circlePoint(center, r, a));
-
-        } else if (otype === TYPE_LINE) {
-            const line = obj;
-
-            let { p0, p1 } = line;
-
-            return makePoint(DefCurvePoint.linePoint(p0, p1, t));
-        } else if (otype === TYPE_VECTOR) {
-            const v = obj;
-
-            return makePoint(DefCurvePoint.vectorPoint(v, t));
-        } else if (otype === TYPE_LINE_STRIP) {
-            const lineStrip = obj;
+            return { evaluate: v => makeNumber(v), min, max };
+        } else if (definition instanceof DefCurvePoint && createInfo.name === "obj") {
+            const obj = scene.get(createInfo.dependencies.obj).value;
+            assertExistsAndNotOptional(obj);
+            const { params } = createInfo;
+            if (max === null) {
+                max = params.paramMode === DefCurvePoint.PARAM_ARC_LENGTH ? calcCurveLength(obj) : 1;
+            }
+            // the driver parameter replaces the one the curve point is currently using
+            const evaluate = v => definition.compute({
+                name: createInfo.name,
+                dependencies: { obj, t: makeNumber(v) },
+                params,
+            });
+            return { evaluate, min: min ?? 0, max };
+        }
+        throw new Error("Locus driver must be a DefNumber or a DefCurvePoint");
+    }
 
-            let { points } = lineStrip;
-            if (points.length < 2) {
-                return INVALID;
+    /**
+     * Computes the locus
+     * @param {CreateInfo} createInfo The creation info
+     * @param {{scene : GeometryScene, index : Number}} context The scene evaluating the locus and the index of the locus
+     * @returns {Object} A TYPE_LINE_STRIP or TYPE_BEZIER_SPLINE or a TYPE_COLLECTION of them, if the locus consists of multiple parts. INVALID, if no part exists
+     */
+    compute(createInfo, context) {
+        if (createInfo.name === "d") {
+            const { driver, point } = createInfo.dependencies;
+            assertExistsAndNotOptional(driver, point);
+            assertType(point, TYPE_POINT);
+            if (!context) {
+                throw new Error("Loci can only be computed in a scene");
+            }
+            const { scene, index } = context;
+            const { min, max, numSamples, fit } = createInfo.params;
+
+            const indices = scene.get(index).createInfo.dependencies;
+            const sampler = DefLocus.driverSampler(scene, indices.driver, { min, max });
+
+            const driverValues = [];
+            for (let i = 0; i < numSamples; i++) {
+                const v = sampler.min + (sampler.max - sampler.min) * i / Math.max(1, numSamples - 1);
+                driverValues.push(sampler.evaluate(v));
+            }
+
+            const parts = [[]];
+            for (const p of scene.evaluateWithSamples(indices.point, indices.driver, driverValues)) {
+                if (!isParamValid(p)) {
+                    if (parts[parts.length - 1].length > 0) {
+                        parts.push([]);
+                    }
+                    continue;
+                }
+                parts[parts.length - 1].push(vVec2(p.x, p.y));
             }
 
-            const num = points.length - 1;
-
-            t = num * t;
-            const idx = Math.floor(t);
-            t = t % 1.0;
-            const [p0, p1] = [points[idx], points[idx + 1]];
-            return makePoint(vLerp(p0, p1, t));
-        } else if (otype === TYPE_POLYGON) {
-            const poly = obj;
+            const curves = parts.filter(points => points.length > 1).map(points => {
+                if (fit === DefLocus.FIT_CATMULL_ROM) {
+                    return new DefBezierSpline().compute(DefBezierSpline.fromCatmullRom(points.map(p => makePoint(p))));
+                }
+                return makeLineStrip({ points });
+            });
 
-            let { points } = poly;
-            if (points.length < 3) {
+            if (curves.length === 0) {
                 return INVALID;
             }
+            return curves.length === 1 ? curves[0] : makeCollection(curves);
+        } else {
+            throw new Error("No suitable constructor");
+        }
+    }
+}
+/**
+ * Definition of a Bezier curve.
+ * A Bezier curve is specified by its control points
+ */
+class DefBezier {
+    /**
+     * Default value
+     * @param {Array<{x:Number, y:Number}>} points An array of control points
+     */
+    constructor(points = []) {
+        this.points = points;
+    }
+    /**
+     * Computes a Bezier curve from an array of control points
+     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the Bezier curve of
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier curve
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints(points, attach = false) {
+        return CreateInfo.new("p", points, { attach });
+    }
+    /**
+     * Computes a Bezier curve from an array of control points stored as a value
+     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier curve
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPointArray(pointArray, attach = false) {
+        return CreateInfo.new("pa", { pointArray }, { attach });
+    }
 
-            return makePoint(DefCurvePoint.polygonPoint(points, t));
-        } else if (otype === TYPE_BEZIER) {
-            const curve = obj;
-
-            let { points } = curve;
+    /**
+     * Computes a Cubic Hermite Bezier curve
+     * @param {Number | Object} p0 Either the index or value of an array of points of type TYPE_POINT. The point array
+     * @param {Number | Object} t0 Either the index or value of an array of points of type TYPE_VECTOR. The point array
+     * @param {Number | Object} p1 Either the index or value of an array of points of type TYPE_POINT. The point array
+     * @param {Number | Object} t1 Either the index or value of an array of points of type TYPE_VECTOR. The point array
+     * @returns {CreateInfo} The creation info
+     */
+    static fromHermite(p0, t0, p1, t1) {
+        return CreateInfo.new("hm", { p0, t0, p1, t1 });
 
-            return makePoint(DefCurvePoint.bezierPoint(points, t));
-        } else if (otype === TYPE_BEZIER_SPLINE) {
-            const curve = obj;
+    }
 
-            let { points, degree } = curve;
+    /**
+     * Converts a hermite to a Bezier curve
+     * @param {{x:Number, y:Number}} p0 The first point
+     * @param {{x:Number, y:Number}} t0 The first tangent
+     * @param {{x:Number, y:Number}} p1 The second point
+     * @param {{x:Number, y:Number}} t1 The second tangent
+     * @returns {Array<{x:Number, y:Number}>} The equivalent cubic Bezier control points
+     */
+    static hermiteToCubic(p0, t0, p1, t1) {
+        const q0 = p0;
+        const q1 = Vec2.add(p0, Vec2.scale(t0, 1.0 / 3.0));
+        const q2 = Vec2.sub(p1, Vec2.scale(t1, 1.0 / 3.0));
+        const q3 = p1;
 
-            return makePoint(DefCurvePoint.bezierSplinePoint(points, degree, t));
-        } else {
-            throw new Error("Can't create point from given object");
-        }
+        return [q0, q1, q2, q3];
     }
 
     /**
-     * Computes the curve point
+     * Computes the Bezier curve
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} An object of type TYPE_POINT
+     * @returns {Object} A Bezier curve of type TYPE_BEZIER
      */
     compute(createInfo) {
         const { dependencies } = createInfo;
+        let { points } = this;
+        const { attach } = createInfo.params;
 
-        if (createInfo.name === "obj") {
-            let { t } = this;
-            const { obj, t: tn } = dependencies;
-
-            assertExistsAndNotOptional(obj);
+        if (createInfo.name === "p") {
+            if (!attach) {
+                points = [];
+            } else {
+                points = [...points];
+            }
+            for (const p of dependencies) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+                points.push(p);
+            }
+        } else if (createInfo.name === "pa") {
+            const { pointArray } = dependencies;
+            assertExistsAndNotOptional(pointArray);
+            if (!Array.isArray(pointArray)) {
+                throw new Error("Expected array");
+            }
 
-            if (!isParamEmpty(tn)) {
-                assertType(tn, TYPE_NUMBER);
-                t = tn.value;
+            for (const p of pointArray) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+            }
+            if (attach) {
+                points = [...points, ...pointArray];
+            } else {
+                points = pointArray;
             }
+        } else if (createInfo.name === "hm") {
 
-            return DefCurvePoint.curvePoint(obj, t);
-        } else {
+            const { p0, t0, p1, t1 } = dependencies;
+            assertExistsAndNotOptional(p0, t0, p1, t1);
+            assertType(p0, TYPE_POINT);
+            assertType(t0, TYPE_VECTOR);
+            assertType(p1, TYPE_POINT);
+            assertType(t1, TYPE_VECTOR);
+
+            points = DefBezier.hermiteToCubic(p0, t0, p1, t1);
+        } else if (createInfo !== EMPTY_INFO) {
             throw new Error("No suitable constructor");
         }
+
+        return makeBezier({ points });
     }
 }
 /**
- * Definition for a tangent on a curve
- * Will calculate the tangent given a parameter
- * 
- * Supported curve objects are:
- * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse
+ * Definition of a Bezier spline.
+ * A Bezier spline is specified by its control points and degree. It differs from a Bezier curve in that it is a sequence of connected curves.
+ * The last control point of each segment is the first control point of the next one
  */
-class DefCurveTangent {
-
+class DefBezierSpline {
     /**
-     * Default values
-     * @param {Number} [t] The t value
-     * @param {Boolean} [normalize] Whether the resulting vector should be normalized
-     * @param {Number} [scale] Scaling of the resulting vector
+     * Default value
+     * @param {Object} params
+     * @param {Array<{x:Number, y:Number}>} [params.points] An array of control points
+     * @param {Number} [params.degree] The degree of the spline
      */
-    constructor({ t = 0, normalize = false, scale = 1 } = {}) {
-        this.t = t;
-        this.normalize = normalize;
-        this.scale = scale;
+    constructor({ points = [], degree = 1 } = {}) {
+        this.points = points;
+        this.degree = degree;
     }
-
     /**
-     * Computes the tangent on a curve
-     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
-     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
-     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether result will be normalized
-     * @param {Number | Object} [scale] Either the index or value of a TYPE_NUMBER. Scaling of result
+     * Computes a Bezier spline from an array of control points
+     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the Bezier spline of
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier spline
      * @returns {CreateInfo} The creation info
      */
-    static fromCurve({ obj, t = EMPTY, normalize = EMPTY, scale = EMPTY }) {
-        return CreateInfo.new("obj", {
-            obj, t, normalize, scale
-        });
+    static fromPoints(points, attach = false) {
+        return CreateInfo.new("p", points, { attach });
     }
-
-    // Compute funcitons
-
     /**
-     * Computes the tangent on a line. 
-     * @param {{x:Number, y:Number}} p0 The first line point
-     * @param {{x:Number, y:Number}} p1 The second line point
-     * @returns {{x:Number, y:Number}} The resulting tangent
+     * Computes a Bezier spline from an array of control points stored as a value
+     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
+     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier spline
+     * @returns {CreateInfo} The creation info
      */
-    static lineTangent(p0, p1) {
-        return vSub(p1, p0);
+    static fromPointArray(pointArray, attach = false) {
+        return CreateInfo.new("pa", { pointArray }, { attach });
     }
-    /**
-     * Computes the tangent on a circle. 
-     * @param {Number} r The circle radius
-     * @param {Number} alpha The angle
-     * @returns {{x:Number, y:Number}} The resulting tangent
-     */
-    static circleTangent(r, alpha) {
-        // parametric: [r cos(alpha), r sin(alpha)]
 
-        // d/d alpha = [-r sin(alpha), r cos(alpha)]
-
-        return vVec2(-r * Math.sin(alpha), r * Math.cos(alpha));
+    /**
+    * Computes a Catmull-Rom spline from an array of points. The curve will go through all points.
+    * @param {Array<Number | Object> | Number | Array} points Either the indices or values of TYPE_POINT or the index of value of an array containing points. The points from which to make the Bezier spline of
+    * @returns {CreateInfo} The creation info
+    */
+    static fromCatmullRom(points) {
+        if (!Array.isArray(points)) {
+            points = [points];
+        }
+        return CreateInfo.new("cm", points);
     }
+
     /**
-     * Computes the tangent on a ellipse. 
-     * @param {Number} rx The ellipse x-eccentricity
-     * @param {Number} ry The ellipse y-eccentricity
-     * @param {Number} rotation The ellipse rotation
-     * @param {Number} alpha The angle
-     * @returns {{x:Number, y:Number}} The resulting tangent
+     * Computes the Bezier spline
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A Bezier spline of type TYPE_BEZIER_SPLINE
      */
-    static ellipseTangent(rx, ry, rotation, alpha) {
-        // unrotated and centered position is [a*cos(alpha), b*sin(alpha)]
-        // derive to get the tangent:
-        // [-a * sin(alpha), b * cos(alpha)]
-        let v = vVec2(-rx * Math.sin(alpha), ry * Math.cos(alpha));
-        v = vRotate(v, rotation);
-        return v;
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        let { points } = this;
+        let { degree } = this;
+        const { attach } = createInfo.params;
+
+        if (createInfo.name === "p") {
+            if (!attach) {
+                points = [];
+            } else {
+                points = [...points];
+            }
+            for (const p of dependencies) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+                points.push(p);
+            }
+        } else if (createInfo.name === "pa") {
+            const { pointArray } = dependencies;
+            assertExistsAndNotOptional(pointArray);
+            if (!Array.isArray(pointArray)) {
+                throw new Error("Expected array");
+            }
+
+            for (const p of pointArray) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+            }
+            if (attach) {
+                points = [...points, ...pointArray];
+            } else {
+                points = pointArray;
+            }
+        } else if (createInfo.name === "cm") {
+
+            let input = dependencies;
+
+            // we allow the input to be either a number of points or an array containing the points
+            if (input.length === 1 && Array.isArray(input[0])) {
+                input = input[0];
+            }
+
+            for (const p of input) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
+            }
+
+            if (input.length < 2) {
+                throw new Error("Need at least two points for Catmull-Rom spline");
+            }
+            const tangents = [];
+            for (let i = 0; i < input.length; i++) {
+                // compute tangents
+                const il = Math.max(0, i - 1);
+                const ir = Math.min(input.length - 1, i + 1);
+                const t = Vec2.scale(
+                    Vec2.sub(input[ir], input[il]),
+                    0.5
+                );
+
+                tangents.push(t);
+            }
+
+            // convert to piecewise cubics
+            degree = 3;
+            // each curve segment is made from two points and a tangent
+            // the first point is added at the beginning and then ommited
+            points = [input[0]];
+            for (let i = 0; i < input.length - 1; i++) {
+                const p0 = input[i];
+                const t0 = tangents[i];
+                const p1 = input[i + 1];
+                const t1 = tangents[i + 1];
+
+                const [q0, q1, q2, q3] = DefBezier.hermiteToCubic(p0, t0, p1, t1);
+                points.push(q1, q2, q3);
+            }
+
+
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
+
+        return makeBezierSpline({ points, degree });
     }
+}
 
+/**
+ * Definition of a rational Bezier curve.
+ * A rational Bezier curve is specified by its control points and a weight for each of them.
+ * Larger weights pull the curve towards the corresponding control point. With equal weights, the curve is a regular Bezier curve.
+ * Rational quadratic curves can exactly represent conic sections
+ */
+class DefRationalBezier {
     /**
-     * Computes the tangent on a Bezier curve. 
-     * @param {Object} points The control points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting tangent
+     * Default value
+     * @param {Object} params
+     * @param {Array<{x:Number, y:Number}>} [params.points] An array of control points
+     * @param {Number[]} [params.weights] The weights of the control points
      */
-    static bezierTangent(points, t) {
-        const qs = calcBezierPointsDerivative(points);
-        const tan = deCasteljau(qs, t);
-
-        return tan;
+    constructor({ points = [], weights = [] } = {}) {
+        this.points = points;
+        this.weights = weights;
     }
 
     /**
-     * Computes the tangent on a line strip. 
-     * @param {Object} points The line strip points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting tangent
+     * Computes a rational Bezier curve from an array of control points and weights
+     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The control points
+     * @param {Array<Number | Object>} [weights] Either the indices or values of TYPE_NUMBER. The weights of the control points. Missing weights default to 1
+     * @returns {CreateInfo} The creation info
      */
-    static lineStripTangent(points, t) {
-        const num = points.length - 1;
-        t = num * t;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-        const [p0, p1] = [points[idx], points[idx + 1]];
-
-        return vSub(p1, p0);
+    static fromPoints(points, weights = []) {
+        return CreateInfo.new("p", [...points, ...weights], { numPoints: points.length });
     }
+
     /**
-     * Computes the tangent on a polygon. 
-     * @param {Object} points The polygon points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting tangent
+     * Gathers control points and weights from the dependencies created by fromPoints
+     * @param {Array} dependencies The dependencies
+     * @param {Number} numPoints The number of control points
+     * @returns {{points: Array<{x:Number, y:Number}>, weights: Number[]}} The control points and weights
      */
-    static polygonTangent(points, t) {
-        const num = points.length;
-        t = num * t;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-        const [p0, p1] = [points[idx], points[(idx + 1) % points.length]];
-        return vSub(p1, p0);
+    static gatherWeightedPoints(dependencies, numPoints) {
+        const points = dependencies.slice(0, numPoints);
+        const weights = dependencies.slice(numPoints);
+        for (const p of points) {
+            assertExistsAndNotOptional(p);
+            assertType(p, TYPE_POINT);
+        }
+        for (const w of weights) {
+            assertExistsAndNotOptional(w);
+            assertType(w, TYPE_NUMBER);
+        }
+        return { points, weights: weights.map(w => w.value) };
     }
 
     /**
-     * Computes the tangent on a Bezier spline. 
-     * @param {Object} points The control points
-     * @param {Number} degree The spline degree
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting tangent
+     * Computes the rational Bezier curve
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A rational Bezier curve of type TYPE_RATIONAL_BEZIER
      */
-    static bezierSplineTangent(points, degree, t) {
-        // stretch t with segment number
-        const numSegs = numSegmentsBezierSpline(points, degree);
-        t *= numSegs;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-
-        const segPoints = getBezierSplineSegment(points, degree, idx);
-        const qs = calcBezierPointsDerivative(segPoints);
+    compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        let { points, weights } = this;
 
-        return deCasteljau(qs, t);
+        if (createInfo.name === "p") {
+            ({ points, weights } = DefRationalBezier.gatherWeightedPoints(dependencies, params.numPoints));
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
 
+        return makeRationalBezier({ points, weights });
     }
+}
 
+/**
+ * Definition of a NURBS curve.
+ * A NURBS (non-uniform rational B-spline) curve is specified by its control points, their weights, a degree and a knot vector.
+ * The knot vector needs to be non-decreasing and contain (number of points + degree + 1) entries.
+ * If it is not specified, a clamped uniform knot vector is used, so that the curve starts and ends at its first and last control points
+ */
+class DefNurbs {
     /**
-     * Computes the point on a vector.
-     * The vector is treated as a line segment from the reference to the arrow tip
-     * @param {Object} v The vector
-     * @returns {{x:Number, y:Number}} The resulting tangent
+     * Default value
+     * @param {Object} params
+     * @param {Array<{x:Number, y:Number}>} [params.points] An array of control points
+     * @param {Number[]} [params.weights] The weights of the control points
+     * @param {Number[]} [params.knots] The knot vector
+     * @param {Number} [params.degree] The degree of the curve
      */
-    static vectorTangent(v) {
-        return v;
+    constructor({ points = [], weights = [], knots = null, degree = 2 } = {}) {
+        this.points = points;
+        this.weights = weights;
+        this.knots = knots;
+        this.degree = degree;
     }
 
     /**
-     * Computes the tangent and corresponding reference point on a curve. 
-     * Supported types are documented at the top of this class
-     * @param {Object} obj The curve object
-     * @param {Number} t The curve parameter
-     * @returns {{v: {x:Number, y:Number}, ref: {x:Number, y:Number}}} The resulting tangent and reference point
+     * Computes a NURBS curve from an array of control points and weights
+     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The control points
+     * @param {Array<Number | Object>} [weights] Either the indices or values of TYPE_NUMBER. The weights of the control points. Missing weights default to 1
+     * @param {Object} [options]
+     * @param {Number} [options.degree] The degree of the curve
+     * @param {Number[]} [options.knots] The knot vector. If not specified, a clamped uniform knot vector is used
+     * @returns {CreateInfo} The creation info
      */
-    static curveTangentRef(obj, t) {
-        const otype = obj.type;
-        if (otype === TYPE_ARC) {
-            const arc = obj;
-
-            let { center, r, startAngle, endAngle } = arc;
-            // in the case of the circle wrapping over, just add 2pi to take care of that
-            if (startAngle > endAngle) {
-                endAngle += 2.0 * Math.PI;
-            }
-            const da = endAngle - startAngle;
+    static fromPoints(points, weights = [], { degree = 2, knots = null } = {}) {
+        return CreateInfo.new("p", [...points, ...weights], { numPoints: points.length, degree, knots });
+    }
 
-            const a = startAngle + t * da;
-            // tangent at circle is normal to radius vector
-            const ref = DefCurvePoint.circlePoint(center, r, a);
-            let v = DefCurveTangent.circleTangent(r, a);
+    /**
+     * Computes an exact NURBS representation of an arc or ellipse
+     * @param {Number | Object} obj Either the index or value of a TYPE_ARC or TYPE_ELLIPSE
+     * @returns {CreateInfo} The creation info
+     */
+    static fromEllipse(obj) {
+        return CreateInfo.new("e", { obj });
+    }
 
-            return { v, ref };
+    /**
+     * Computes the NURBS curve
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A NURBS curve of type TYPE_NURBS
+     */
+    compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        let { points, weights, knots, degree } = this;
 
-        } else if (otype === TYPE_ELLIPSE) {
+        if (createInfo.name === "p") {
+            ({ points, weights } = DefRationalBezier.gatherWeightedPoints(dependencies, params.numPoints));
+            ({ knots, degree } = params);
+        } else if (createInfo.name === "e") {
+            const { obj } = dependencies;
+            assertExistsAndNotOptional(obj);
+            assertType(obj, TYPE_ARC, TYPE_ELLIPSE);
+            return convertEllipseToNurbs(obj);
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
 
-            const ellipse = obj;
+        if (points.length <= degree) {
+            // not enough points for a curve of this degree
+            return INVALID;
+        }
+        const nurbs = makeNurbs({ points, weights, knots, degree });
+        DefNurbs.assertKnotVector(nurbs.knots, points.length, degree);
+        return nurbs;
+    }
 
-            let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
-            // in the case of the circle wrapping over, just add 2pi to take care of that
-            if (startAngle > endAngle) {
-                endAngle += 2.0 * Math.PI;
+    /**
+     * Checks the degree and knot vector of a spline curve.
+     * Throws an error, if the degree is not a positive integer, the knot vector has the wrong size, is not non-decreasing or the domain of the curve is empty
+     * @param {Number[]} knots The knot vector
+     * @param {Number} numPoints The number of control points
+     * @param {Number} degree The degree of the curve
+     */
+    static assertKnotVector(knots, numPoints, degree) {
+        if (!Number.isInteger(degree) || degree < 1) {
+            throw new Error(`Spline degree must be a positive integer, got ${degree}`);
+        }
+        if (knots.length !== numPoints + degree + 1) {
+            throw new Error(`Expected ${numPoints + degree + 1} knots, got ${knots.length}`);
+        }
+        for (let i = 1; i < knots.length; i++) {
+            if (knots[i] < knots[i - 1]) {
+                throw new Error("Knot vector must be non-decreasing");
             }
-            const da = endAngle - startAngle;
-            const a = startAngle + t * da;
-
-            let v = DefCurveTangent.ellipseTangent(rx, ry, rotation, a);
-            const ref = DefCurvePoint.ellipsePoint(center, rx, ry, rotation, a);
-
-            return { v, ref };
-
-        } else if (otype === TYPE_LINE) {
-            const line = obj;
-
-            let { p0, p1 } = line;
-
-            const ref = DefCurvePoint.linePoint(p0, p1, t);
-            let v = DefCurveTangent.lineTangent(p0, p1);
-
-            return { v, ref };
-        } else if (otype === TYPE_VECTOR) {
-            let v = obj;
-
-            const ref = vAdd(v.ref, vScale(v, t));
+        }
+        if (!(knots[degree] < knots[numPoints])) {
+            throw new Error("Knot vector must define a non-empty curve domain");
+        }
+    }
+}
 
-            return { v: DefCurveTangent.vectorTangent(v), ref };
-        } else if (otype === TYPE_LINE_STRIP) {
+/**
+ * Definition of a B-spline curve.
+ * A B-spline is specified by its control points, a degree and a knot vector and is converted into a Bezier spline with one segment per knot span.
+ * The knot vector needs to be non-decreasing and contain (number of points + degree + 1) entries.
+ * If it is not specified, a clamped uniform knot vector is used, so that the curve starts and ends at its first and last control points.
+ * Optionally, knots can be inserted and the degree can be elevated before the conversion. Both don't change the shape of the curve
+ */
+class DefBSpline {
+    /**
+     * Default value
+     * @param {Object} params
+     * @param {Array<{x:Number, y:Number}>} [params.points] An array of control points
+     * @param {Number[]} [params.knots] The knot vector
+     * @param {Number} [params.degree] The degree of the curve
+     */
+    constructor({ points = [], knots = null, degree = 3 } = {}) {
+        this.points = points;
+        this.knots = knots;
+        this.degree = degree;
+    }
 
-            const lineStrip = obj;
+    /**
+     * Computes a B-spline from an array of control points
+     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The control points
+     * @param {Object} [options]
+     * @param {Number} [options.degree] The degree of the curve
+     * @param {Number[]} [options.knots] The knot vector. If not specified, a clamped uniform knot vector is used
+     * @param {Number[]} [options.insertKnots] Knots to insert into the curve
+     * @param {Number} [options.elevateDegree] The number of times the degree of the curve is raised by one
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints(points, { degree = 3, knots = null, insertKnots = [], elevateDegree = 0 } = {}) {
+        return CreateInfo.new("p", points, { degree, knots, insertKnots, elevateDegree });
+    }
 
+    /**
+     * Computes a B-spline from an array of control points stored as a value
+     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
+     * @param {Object} [options]
+     * @param {Number} [options.degree] The degree of the curve
+     * @param {Number[]} [options.knots] The knot vector. If not specified, a clamped uniform knot vector is used
+     * @param {Number[]} [options.insertKnots] Knots to insert into the curve
+     * @param {Number} [options.elevateDegree] The number of times the degree of the curve is raised by one
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPointArray(pointArray, { degree = 3, knots = null, insertKnots = [], elevateDegree = 0 } = {}) {
+        return CreateInfo.new("pa", { pointArray }, { degree, knots, insertKnots, elevateDegree });
+    }
 
-            let { points } = lineStrip;
-            if (points.length < 2) {
-                return null;
+    /**
+     * Computes the B-spline
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} A Bezier spline of type TYPE_BEZIER_SPLINE
+     */
+    compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        let { points, knots, degree } = this;
+        let insertKnots = [];
+        let elevateDegree = 0;
+
+        if (createInfo.name === "p" || createInfo.name === "pa") {
+            points = createInfo.name === "p" ? dependencies : dependencies.pointArray;
+            assertExistsAndNotOptional(points);
+            if (!Array.isArray(points)) {
+                throw new Error("Expected array");
             }
-
-            const ref = DefCurvePoint.lineStripPoint(points, t);
-            let v = DefCurveTangent.lineStripTangent(points, t);
-
-            return { v, ref };
-        } else if (otype === TYPE_POLYGON) {
-
-            const poly = obj;
-
-            let { points } = poly;
-            if (points.length < 3) {
-                return null;
+            for (const p of points) {
+                assertExistsAndNotOptional(p);
+                assertType(p, TYPE_POINT);
             }
+            ({ knots, degree, insertKnots = [], elevateDegree = 0 } = params);
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
 
-            const ref = DefCurvePoint.polygonPoint(points, t);
-            let v = DefCurveTangent.polygonTangent(points, t);
+        if (points.length <= degree) {
+            // not enough points for a curve of this degree
+            return INVALID;
+        }
+        knots = knots ?? calcClampedUniformKnots(points.length, degree);
+        DefNurbs.assertKnotVector(knots, points.length, degree);
 
-            return { v, ref };
-        } else if (otype === TYPE_BEZIER) {
-            const curve = obj;
+        for (const u of insertKnots) {
+            if (u < knots[degree] || u > knots[points.length]) {
+                throw new Error(`Inserted knot ${u} outside of the curve domain`);
+            }
+            ({ points, knots } = insertBSplineKnot(points, knots, degree, u));
+        }
+        for (let i = 0; i < elevateDegree; i++) {
+            ({ points, knots, degree } = elevateBSplineDegree(points, knots, degree));
+        }
 
-            const { points } = curve;
+        return convertBSplineToBezierSpline(points, knots, degree);
+    }
+}
 
-            const ref = DefCurvePoint.bezierPoint(points, t);
-            let v = DefCurveTangent.bezierTangent(points, t);
+/**
+ * Definition of arc length
+ * Computes the arc length of an arc
+ */
+class DefArcLength {
+    /**
+     * Compute arc length for an arc
+     * @param {Number | Object} arc Either the index or value of a TYPE_ARC
+     * @returns {CreateInfo} The creation info
+     */
+    static fromArc(arc) {
+        return CreateInfo.new("arc", { arc });
+    }
 
-            return { v, ref };
+    /**
+     * Compute arc length for an arc
+     * @param {Number | Object} r Either the index or value of a TYPE_NUMBER. The arc radius
+     * @param {Number | Object} startAngle Either the index or value of a TYPE_NUMBER. The arc starting angle
+     * @param {Number | Object} endAngle Either the index or value of a TYPE_NUMBER. The arc end angle
+     * @returns {CreateInfo} The creation info
+     */
+    static fromValues(r, startAngle, endAngle) {
+        return CreateInfo.new("v", { r, startAngle, endAngle });
+    }
 
-        } else if (otype === TYPE_BEZIER_SPLINE) {
-            const curve = obj;
 
-            let { points, degree } = curve;
+    /**
+     * Compute the arc length of an arc
+     * @param {Number} r The arc radius
+     * @param {Number} startAngle The arc starting angle
+     * @param {Number} endAngle The arc end angle
+     * @returns {Number} The arc length
+     */
+    static calcArcLength(r, startAngle, endAngle) {
+        startAngle = normalizeAngle(startAngle);
+        endAngle = normalizeAngle(endAngle);
+        // handle wrap around
+        if (endAngle < startAngle) {
+            endAngle += 2.0 * Math.PI;
+        }
+        const da = endAngle - startAngle;
+        return da * r;
+    }
 
-            const ref = DefCurvePoint.bezierSplinePoint(points, degree, t);
-            let v = DefCurveTangent.bezierSplineTangent(points, degree, t);
+    /**
+     * Compute the arc length
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The arc length as a TYPE_NUMBER
+     */
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        if (createInfo.name === "arc") {
+            const { arc } = dependencies;
+            assertExistsAndNotOptional(arc);
+            assertType(arc, TYPE_ARC);
+            const { r, startAngle, endAngle } = arc;
+            return makeNumber(DefArcLength.calcArcLength(r, startAngle, endAngle));
+        } else if (createInfo.name === "v") {
+            const { r, startAngle, endAngle } = dependencies;
+            return makeNumber(DefArcLength.calcArcLength(r, startAngle, endAngle));
+        } else {
+            throw new Error("No suitable constructor");
+        }
+    }
+}
+/**
+ * Definition of the length of a curve
+ * 
+ * Supported curve objects are the same as for DefCurvePoint:
+ * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse, parabola, hyperbola, function graph, parametric curve, rational Bezier, NURBS
+ */
+class DefCurveLength {
+    /**
+     * Computes the length of a curve between two curve parameters
+     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
+     * @param {Number | Object} [tMin] Either the index or value of a TYPE_NUMBER. The start curve parameter. Defaults to 0
+     * @param {Number | Object} [tMax] Either the index or value of a TYPE_NUMBER. The end curve parameter. Defaults to 1
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCurve({ obj, tMin = EMPTY, tMax = EMPTY }) {
+        return CreateInfo.new("obj", { obj, tMin, tMax });
+    }
 
-            return { v, ref };
+    /**
+     * Computes the length
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The length as a TYPE_NUMBER
+     */
+    compute(createInfo) {
+        if (createInfo.name === "obj") {
+            const { obj, tMin: tMinN, tMax: tMaxN } = createInfo.dependencies;
+            assertExistsAndNotOptional(obj);
+            let tMin = 0;
+            let tMax = 1;
+            if (!isParamEmpty(tMinN)) {
+                assertType(tMinN, TYPE_NUMBER);
+                tMin = tMinN.value;
+            }
+            if (!isParamEmpty(tMaxN)) {
+                assertType(tMaxN, TYPE_NUMBER);
+                tMax = tMaxN.value;
+            }
+            return makeNumber(calcCurveLength(obj, { tMin, tMax }));
         } else {
-            throw new Error("Can't compute tangent from given object");
+            throw new Error("No suitable constructor");
         }
     }
+}
+/**
+ * Definition of the squared length of a vector or between two points
+ */
+class DefLengthSquared {
+    /**
+     * Compute squared langth of a vector or the two points specifying a line
+     * @param {Number | Object} v Either the index or value of an object of one of [TYPE_VECTOR, TYPE_LINE]
+     * @returns {CreateInfo} The creation info
+     */
+    static fromVectorOrLine(v) {
+        return CreateInfo.new("vl", { v });
+    }
+    /**
+     * Compute squared distance between two points
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The first point
+     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT. The second point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints(p0, p1) {
+        return CreateInfo.new("pp", { p0, p1 });
+    }
 
     /**
-     * Computes the curve tangent
+     * Computes the squared length
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} An object of type TYPE_VECTOR
+     * @returns {Object} The squared length as a TYPE_NUMBER
      */
-    compute(info) {
-        const { dependencies } = info;
-        let { t, normalize, scale } = this;
+    compute(createInfo) {
+        let dx = 0;
+        let dy = 0;
 
-        if (info.name === "obj") {
-            const { obj, t: tn, normalize: normalizeN, scale: scaleN } = dependencies;
+        const { dependencies } = createInfo;
 
-            assertExistsAndNotOptional(obj);
+        if (createInfo.name === "vl") {
+            const { v } = dependencies;
+            assertExistsAndNotOptional(v);
 
-            if (!isParamEmpty(tn)) {
-                assertType(tn, TYPE_NUMBER);
-                t = tn.value;
-            }
+            assertType(v, TYPE_VECTOR, TYPE_LINE);
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
-            }
-            if (!isParamEmpty(scaleN)) {
-                assertType(scaleN, TYPE_NUMBER);
-                scale = scaleN.value;
+            if (v.type === TYPE_VECTOR) {
+                dx = v.x;
+                dy = v.y;
+            } else if (v.type === TYPE_LINE) {
+                const { p0, p1 } = v;
+                dx = p1.x - p0.x;
+                dy = p1.y - p0.y;
             }
 
-            const result = DefCurveTangent.curveTangentRef(obj, t);
-            let { v, ref } = result;
+        } else if (createInfo.name === "pp") {
+            const { p0, p1 } = dependencies;
 
-            if (normalize) {
-                v = vNormalizeIfNotZero(v);
-            }
+            assertExistsAndNotOptional(p0, p1);
+
+            assertType(p0, TYPE_POINT);
+            assertType(p1, TYPE_POINT);
+
+            dx = p1.x - p0.x;
+            dy = p1.y - p0.y;
 
-            v = vScale(v, scale);
-            return makeVector({ x: v.x, y: v.y, ref });
         } else {
-            throw new Error("No suitable constructor");
+            throw new Error("No suitable constructor found")
         }
+
+        return makeNumber(dx * dx + dy * dy);
     }
 }
 /**
- * Definition for a normal on a curve
- * Will calculate the normal given a parameter
- * 
- * Supported curve objects are:
- * Line, vector (treated as a line from reference to arrow tip), arc, line strip, Bezier, Bezier spline, ellipse
+ * Definition of the length of a vector or between two points
  */
-class DefCurveNormal {
+class DefLength {
+    constructor() {
+        this.ds = new DefLengthSquared();
+    }
     /**
-     * Default values
-     * @param {Number} [t] The t value
-     * @param {Boolean} [normalize] Whether the resulting vector should be normalized
-     * @param {Number} [scale] Scaling of the resulting vector
-     */
-    constructor({ t = 0, normalize = false, scale = 1 } = {}) {
-        this.t = t;
-        this.normalize = normalize;
-        this.scale = scale;
+         * Compute squared langth of a vector or the two points specifying a line
+         * @param {Number | Object} v Either the index or value of an object of one of [TYPE_VECTOR, TYPE_LINE]
+         * @returns {CreateInfo} The creation info
+         */
+    static fromVectorOrLine(v) {
+        return DefLengthSquared.fromVectorOrLine(v);
     }
     /**
-     * Computes the normal on a curve
-     * @param {Number | Object} obj Either the index or value of a curve object. The supported types are specified at the documention of this class
-     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The curve parameter
-     * @param {Number | Object} [normalize] Either the index or value of a TYPE_BOOLEAN. Whether result will be normalized
-     * @param {Number | Object} [scale] Either the index or value of a TYPE_NUMBER. Scaling of result
+    * Compute distance between two points
+    * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The first point
+    * @param {Number | Object} p1 Either the index or value of a TYPE_POINT. The second point
+    * @returns {CreateInfo} The creation info
+    */
+    static fromPoints(p0, p1) {
+        return DefLengthSquared.fromPoints(p0, p1);
+    }
+    /**
+    * Computes the length
+    * @param {CreateInfo} createInfo The creation info
+    * @returns {Object} The length as a TYPE_NUMBER
+    */
+    compute(createInfo) {
+        const sqr = this.ds.compute(createInfo);
+        sqr.value = Math.sqrt(sqr.value);
+        return sqr;
+    }
+}
+
+/**
+ * Definition of the area of a region.
+ * Supported regions are polygons, arcs, ellipses, Bezier curves and splines, rational Bezier curves and NURBS.
+ * Curves, that are not closed, are closed with a line segment between their end points
+ */
+class DefArea {
+    /**
+     * Computes the area of a region
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @param {Object} [options]
+     * @param {Boolean} [options.signed] If true, the area is positive for counter-clockwise and negative for clockwise boundaries
      * @returns {CreateInfo} The creation info
      */
-    static fromCurve({ obj, t = EMPTY, normalize = EMPTY, scale = EMPTY }) {
-        return CreateInfo.new("obj", {
-            obj, t, normalize, scale
-        });
+    static fromObject(obj, { signed = false } = {}) {
+        return CreateInfo.new("o", { obj }, { signed });
     }
+
     /**
-     * Computes the normal on a circle. 
-     * @param {Number} r The circle radius
-     * @param {Number} alpha The angle
-     * @returns {{x:Number, y:Number}} The resulting normal
+     * Computes the area
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The area as a TYPE_NUMBER
      */
-    static circleNormal(r, alpha) {
-        // compute the normal from r
-        // we keep the same convention as the point based version to have it scaled as  2*n/r^2
-        let n = vPolar(r, alpha);
-
-        return vScale(n, 2 / (r * r));
+    compute(createInfo) {
+        if (createInfo.name === "o") {
+            const { obj } = createInfo.dependencies;
+            const { signed } = createInfo.params;
+            assertExistsAndNotOptional(obj);
+            const area = calcRegionSignedArea(obj);
+            return makeNumber(signed ? area : Math.abs(area));
+        } else {
+            throw new Error("No suitable constructor");
+        }
     }
+}
+
+/**
+ * Definition of the perimeter of a region.
+ * The perimeter includes the boundaries of holes and the closing segments of curves that are not closed.
+ * See DefArea for the supported regions
+ */
+class DefPerimeter {
     /**
-     * Computes the normal on a ellipse. 
-     * @param {Number} rx The ellipse x-eccentricity
-     * @param {Number} ry The ellipse y-eccentricity
-     * @param {Number} rotation The ellipse rotation
-     * @param {Number} alpha The angle
-     * @returns {{x:Number, y:Number}} The resulting normal
+     * Computes the perimeter of a region
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @returns {CreateInfo} The creation info
      */
-    static ellipseNormal(rx, ry, rotation, alpha) {
-        // unrotated ellipse is e(x,y) =  x^2 / a^2 +  y^2 / b^2 - 1 = 0
-        // we choose this version so the normal vectors resemble the length of polar coordinates
-        // normal = grad e = [2x / a^2 , 2y / b^2]
-
-        // to get (x,y), we just transform q into the local system (not unit circle)
-        // then we rotate the final result back
+    static fromObject(obj) {
+        return CreateInfo.new("o", { obj });
+    }
 
-        let q = vVec2(rx * Math.cos(alpha), ry * Math.sin(alpha));
-        let n = vVec2(2 * q.x / (rx * rx), 2 * q.y / (ry * ry));
-        // rotate
-        n = vRotate(n, rotation);
+    /**
+     * Computes the perimeter
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The perimeter as a TYPE_NUMBER
+     */
+    compute(createInfo) {
+        if (createInfo.name === "o") {
+            const { obj } = createInfo.dependencies;
+            assertExistsAndNotOptional(obj);
+            return makeNumber(calcRegionPerimeter(obj));
+        } else {
+            throw new Error("No suitable constructor");
+        }
+    }
+}
 
-        return n;
+/**
+ * Definition of the centroid of a region.
+ * See DefArea for the supported regions
+ */
+class DefCentroid {
+    /**
+     * Computes the centroid of a region
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @returns {CreateInfo} The creation info
+     */
+    static fromObject(obj) {
+        return CreateInfo.new("o", { obj });
+    }
 
+    /**
+     * Computes the centroid
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The centroid as a TYPE_POINT or INVALID, if the region has no area
+     */
+    compute(createInfo) {
+        if (createInfo.name === "o") {
+            const { obj } = createInfo.dependencies;
+            assertExistsAndNotOptional(obj);
+            const c = calcRegionCentroid(obj);
+            if (!c) {
+                return INVALID;
+            }
+            return makePoint(c);
+        } else {
+            throw new Error("No suitable constructor");
+        }
     }
+}
+
+/**
+ * Definition of winding numbers of region boundaries.
+ * See DefArea for the supported regions
+ */
+class DefWindingNumber {
     /**
-     * Computes the normal on a line. 
-     * @param {{x:Number, y:Number}} p0 The first line point
-     * @param {{x:Number, y:Number}} p1 The second line point
-     * @returns {{x:Number, y:Number}} The resulting normal
+     * Computes the orientation of a region, which is the winding number of its boundary around its interior.
+     * The value is 1 for counter-clockwise, -1 for clockwise boundaries and 0, if the region has no area
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @returns {CreateInfo} The creation info
      */
-    static lineNormal(p0, p1) {
-        return normal2D(vSub(p1, p0));
+    static fromObject(obj) {
+        return CreateInfo.new("o", { obj });
     }
+
     /**
-     * Computes the normal on a line strip. 
-     * @param {Object} points The line strip points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting normal
+     * Computes the winding number of the boundary of a region around a point
+     * @param {Number | Object} obj Either the index or value of a region object
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT
+     * @returns {CreateInfo} The creation info
      */
-    static lineStripNormal(points, t) {
-        const num = points.length - 1;
-        t = num * t;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-        const [p0, p1] = [points[idx], points[idx + 1]];
-
-        return normal2D(vSub(p1, p0));
+    static fromPoint(obj, p) {
+        return CreateInfo.new("p", { obj, p });
     }
+
     /**
-     * Computes the normal on a polygon. 
-     * @param {Object} points The polygon points
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting normal
+     * Computes the winding number
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The winding number as a TYPE_NUMBER
      */
-    static polygonNormal(points, t) {
-        const num = points.length;
-        t = num * t;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-        const [p0, p1] = [points[idx], points[(idx + 1) % points.length]];
-        return normal2D(vSub(p1, p0));
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        if (createInfo.name === "o") {
+            const { obj } = dependencies;
+            assertExistsAndNotOptional(obj);
+            return makeNumber(Math.sign(calcRegionSignedArea(obj)));
+        } else if (createInfo.name === "p") {
+            const { obj, p } = dependencies;
+            assertExistsAndNotOptional(obj, p);
+            assertType(p, TYPE_POINT);
+            return makeNumber(calcRegionWindingNumber(obj, p));
+        } else {
+            throw new Error("No suitable constructor");
+        }
     }
-    /**
-      * Computes the normal on a Bezier curve. 
-      * @param {Object} points The control points
-      * @param {Number} t The curve parameter
-      * @returns {{x:Number, y:Number}} The resulting normal
-      */
-    static bezierNormal(points, t) {
-        // normal from tangent
-        const qs = calcBezierPointsDerivative(points);
-        const tan = deCasteljau(qs, t);
+}
 
-        return normal2D(tan);
-    }
+/**
+ * Select some key from a value and optionally transform it.
+ * If the value does not exist, the definition is INVALID
+ * Can be used to easily get elements of an array or some other storage where more information is bundled
+ */
+class DefSelect {
     /**
-     * Computes the normal on a Bezier spline. 
-     * @param {Object} points The control points
-     * @param {Number} degree The spline degree
-     * @param {Number} t The curve parameter
-     * @returns {{x:Number, y:Number}} The resulting normal
+     * 
+     * @param {*} key The key to select
      */
-    static bezierSplineNormal(points, degree, t) {
-        // stretch t with segment number
-        const numSegs = numSegmentsBezierSpline(points, degree);
-        t *= numSegs;
-        const idx = Math.floor(t);
-        t = t % 1.0;
-
-        const segPoints = getBezierSplineSegment(points, degree, idx);
-        const qs = calcBezierPointsDerivative(segPoints);
-
-        return normal2D(deCasteljau(qs, t));
+    constructor(key) {
+        this.key = key;
+    }
 
+    /**
+    * Select the key from a given object and optionally transforms it
+    * @param {Number | Object} obj Either the index or value of an object
+    * @param {Function} [transform] Function to transform the aquired key
+    * @returns {CreateInfo} The creation info
+    */
+    static fromObject(obj, transform = null) {
+        return CreateInfo.new("o", { obj }, { transform });
     }
 
     /**
-     * Computes the normal and corresponding reference point on a curve. 
-     * Supported types are documented at the top of this class
-     * @param {Object} obj The curve object
-     * @param {Number} t The curve parameter
-     * @returns {{v: {x:Number, y:Number}, ref: {x:Number, y:Number}}} The resulting normal and reference point
+     * Computes the key selection
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {*} The value of the key or transformed object
      */
-    static normalRefFromObject(obj, t) {
-        if (obj.type === TYPE_ARC) {
-            const arc = obj;
-
-            let { center, r, startAngle, endAngle } = arc;
-            // in the case of the circle wrapping over, just add 2pi to take care of that
-            if (startAngle > endAngle) {
-                endAngle += 2.0 * Math.PI;
-            }
-            const da = endAngle - startAngle;
-
-            const a = startAngle + t * da;
-
-            let n = DefCurveNormal.circleNormal(r, a);
-            const ref = DefCurvePoint.circlePoint(center, r, a);
-
-            return { n, ref };
-
-        } else if (obj.type === TYPE_ELLIPSE) {
-            const ellipse = obj;
-
-            let { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
-            // in the case of the circle wrapping over, just add 2pi to take care of that
-            if (startAngle > endAngle) {
-                endAngle += 2.0 * Math.PI;
-            }
-            const da = endAngle - startAngle;
-
-            const a = startAngle + t * da;
-
-            const ref = DefCurvePoint.ellipsePoint(center, rx, ry, rotation, a);
-            let n = DefCurveNormal.ellipseNormal(rx, ry, rotation, a);
-
-            return { n, ref };
-
-        } else if (obj.type === TYPE_LINE) {
-            const line = obj;
-
-            let { p0, p1 } = line;
-
-            const ref = DefCurvePoint.linePoint(p0, p1, t);
-            let n = DefCurveNormal.lineNormal(p0, p1);
-
-            return { n, ref };
-        } else if (obj.type === TYPE_VECTOR) {
-            let v = obj;
-
-            const ref = vAdd(v.ref, vScale(v, t));
-            let n = normal2D(v);
-
-            return { n, ref };
-        } else if (obj.type === TYPE_LINE_STRIP) {
+    compute(createInfo) {
 
-            const lineStrip = obj;
+        const { dependencies } = createInfo;
 
-            let { points } = lineStrip;
-            if (points.length < 2) {
+        if (createInfo.name === "o") {
+            const { obj } = dependencies;
+            const { transform } = createInfo.params;
+            assertExistsAndNotOptional(obj);
+            let val = obj[this.key];
+            if (val === undefined) {
                 return INVALID;
             }
-
-            const ref = DefCurvePoint.lineStripPoint(points, t);
-            let n = DefCurveNormal.lineStripNormal(points, t);
-
-            return { n, ref };
-        } else if (obj.type === TYPE_POLYGON) {
-            const poly = obj;
-
-            let { points } = poly;
-            if (points.length < 3) {
-                return INVALID;
+            if (transform && transform instanceof Function) {
+                val = transform(val);
             }
+            return val;
 
-            const ref = DefCurvePoint.polygonPoint(points, t);
-            let n = DefCurveNormal.polygonNormal(points, t);
-
-            return { n, ref };
-        } else if (obj.type === TYPE_BEZIER) {
-            const curve = obj;
-            const { points } = curve;
-
-            const ref = DefCurvePoint.bezierPoint(points, t);
-            let n = DefCurveNormal.bezierNormal(points, t);
+        } else {
+            throw new Error("No suitable constructor found");
+        }
+    }
+}
 
-            return { n, ref };
+/**
+ * Apply a series of transformations
+ * This allows to process and convert any object into others by combining different steps
+ * A special case of the general function type.
+ * The type of CreateInfo that needs to be provided depends on the first function in the chain
+ */
+class DefChainApply {
+    /**
+     * @param {...(Function | {compute: Function})} args The chain to be applied
+     * If an object in the chain is a function, it is directly applied, otherwise the compute field is used as is used in other definitions
+     */
+    constructor(...args) {
+        this.chain = [...args];
+    }
 
-        } else if (obj.type === TYPE_BEZIER_SPLINE) {
-            const curve = obj;
+    /**
+     * Applies the chain
+     * @param {CreateInfo} params The creation info
+     * @returns {*} The final result of the chain
+     */
+    compute(params) {
+        const c = this.chain;
+        let result = params;
+        for (let i = 0; i < c.length; i++) {
+            const ci = c[i];
+            if (ci instanceof Function) {
+                result = ci(result);
+            } else {
+                result = c[i].compute(result);
+            }
+        }
 
-            let { points, degree } = curve;
+        return result;
+    }
+}
 
-            const ref = DefCurvePoint.bezierSplinePoint(points, degree, t);
-            let n = DefCurveNormal.bezierSplineNormal(points, degree, t);
+/**
+ * Maps an array of values to an output using a function.
+ * A special case of the general function type.
+ */
+class DefMap {
 
-            return { n, ref };
-        } else {
-            throw new Error("Can't compute tangent on given object");
-        }
-    }
     /**
-     * Computes the curve normal
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} An object of type TYPE_VECTOR
+     * 
+     * @param {Function | {compute: Function}} f The function to be applied
+     * If the object is a function, it is directly applied, otherwise the compute field is used as is used in other definitions
      */
-    compute(info) {
-        const { dependencies, params } = info;
-        let { t, normalize, scale } = this;
-
-        if (info.name === "obj") {
-            const { obj, t: tn, normalize: normalizeN, scale: scaleN } = dependencies;
-            assertExistsAndNotOptional(obj);
+    constructor(f) {
+        this.f = f;
+    }
+    /**
+    * Map an array of values
+    * @param {Number | Object} array Either the index or value of objects
+    * @returns {CreateInfo} The creation info
+    */
+    static fromArray(array) {
 
-            if (!isParamEmpty(tn)) {
-                assertType(tn, TYPE_NUMBER);
-                t = tn.value;
-            }
+        return CreateInfo.new("a", array);
+    }
+    /**
+    * Map an array of values
+    * @param {...(Number | Object)} array Either the indices or values of objects
+    * @returns {CreateInfo} The creation info
+    */
+    static fromValues(...args) {
+        return CreateInfo.new("v", [...args]);
+    }
 
-            if (!isParamEmpty(normalizeN)) {
-                assertType(normalizeN, TYPE_BOOLEAN);
-                normalize = normalizeN.value;
+    compute(input) {
+        const { dependencies } = input;
 
-            }
+        const result = new Array(dependencies.length);
+        const { f } = this;
+        for (let i = 0; i < dependencies.length; i++) {
 
-            if (!isParamEmpty(scaleN)) {
-                assertType(scaleN, TYPE_NUMBER);
-                scale = scaleN.value;
+            if (f instanceof Function) {
+                result[i] = f(dependencies[i]);
+            } else {
+                result[i] = f.compute(dependencies[i]);
             }
+        }
 
-            let { n, ref } = DefCurveNormal.normalRefFromObject(obj, t, normalize);
+        return result;
+    }
+}
 
 
-            if (normalize) {
-                n = vNormalizeIfNotZero(n);
-            }
-            n = vScale(n, scale);
+/**
+ * Definition of an arc
+ */
+class DefArc {
+    /**
+     * Default values
+     * @param {Object} params
+     * @param {Number} [r=1] The radius
+     * @param {{x:Number, y:Number}} [center={x:0,y:0}] The center
+     * @param {Number} [startAngle = 0] The starting angle
+     * @param {Number} [endAngle = 2.0 * Math.PI] The end angle
+     */
+    constructor({ r = 1, center = { x: 0, y: 0 }, startAngle = 0, endAngle = 2.0 * Math.PI } = {}) {
+        this.r = r;
+        this.center = center;
+        this.startAngle = startAngle;
+        this.endAngle = endAngle;
+    }
 
-            return makeVector({ x: n.x, y: n.y, ref });
+    /**
+     * Create an arc from individual values
+     * @param {Object} params
+     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
+     * @param {Number | Object} [params.center] Either the index or value of a TYPE_POINT. The center
+     * @param {Number | Object} [params.startAngle] Either the index or value of a TYPE_NUMBER. The starting angle
+     * @param {Number | Object} [params.endAngle] Either the index or value of a TYPE_NUMBER. The end angle
+     * @returns {CreateInfo} The creation info
+     */
+    static fromValues({
+        r = EMPTY,
+        center = EMPTY,
+        startAngle = EMPTY,
+        endAngle = EMPTY,
+    }) {
+        return CreateInfo.new("v", { r, center, startAngle, endAngle });
+    }
+    /**
+     * Create an arc from three points
+     * @param {Object} params
+     * @param {Number | Object} params.p0 Either the index or value of a TYPE_POINT. The first point
+     * @param {Number | Object} params.p10 Either the index or value of a TYPE_POINT. The second point
+     * @param {Number | Object} params.p2 Either the index or value of a TYPE_POINT. The third point
+     * @param {Boolean} [params.fullCircle] If true, the resulting arc will be a circle, otherwise the arc will only be the range specified by the points
+     * @returns {CreateInfo} The creation info
+     */
+    static fromPoints({ p0, p1, p2, fullCircle = false }) {
+        return CreateInfo.new("ppp", { p0, p1, p2 }, { fullCircle });
 
-        } else {
-            throw new Error("No suitable constructor");
-        }
     }
-}
+    /**
+     * Create an arc from a center and going through the segment specified by two points on the circle
+     * @param {Number | Object} center Either the index or value of a TYPE_POINT. The center
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The first point
+     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT. The second point
+     * @returns {CreateInfo} The creation info
+     */
+    static fromCenterAndPoints(center, p0, p1, useAngle = DefAngle.USE_COMPUTED_ANGLE) {
+        return CreateInfo.new("cap", { center, p0, p1 }, { useAngle });
+    }
 
-/**
- * Definition of the points of tangents touching arcs and ellipses
- */
-class DefTangentPoints {
+    /**
+     * Create one of the circles of a triangle, given by three points or a polygon with three vertices.
+     * See @see{DefTriangleCenter.computeCircle}
+     * @param {Object} params
+     * @param {Number | Object} [params.p0] Either the index or value of a TYPE_POINT. The first vertex
+     * @param {Number | Object} [params.p1] Either the index or value of a TYPE_POINT. The second vertex
+     * @param {Number | Object} [params.p2] Either the index or value of a TYPE_POINT. The third vertex
+     * @param {Number | Object} [params.polygon] Either the index or value of a TYPE_POLYGON. The triangle. Used instead of the points
+     * @param {String} params.center The center of the circle. One of DefTriangleCenter.INCENTER, CIRCUMCENTER, EXCENTER or NINE_POINT_CENTER
+     * @param {Number} [params.excenterIndex] For excircles, the index of the vertex opposite to the side the excircle touches
+     * @returns {CreateInfo} The creation info
+     */
+    static fromTriangleCircle({ p0 = EMPTY, p1 = EMPTY, p2 = EMPTY, polygon = EMPTY, center, excenterIndex = 0 }) {
+        return CreateInfo.new("tri", { p0, p1, p2, polygon }, { center, excenterIndex });
+    }
 
     /**
-     * Computes the points on the tangents on an arc going through the given point.
-     * Due to the start and end angles of the arc, they may not exist even for points outside the arc.
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
-     * @param {Number | Object} arc Either the index or value of a TYPE_ARC. The arc
+     * Create the incircle of a triangle, given by three points or a polygon with three vertices
+     * @param {Object} params
+     * @param {Number | Object} [params.p0] Either the index or value of a TYPE_POINT. The first vertex
+     * @param {Number | Object} [params.p1] Either the index or value of a TYPE_POINT. The second vertex
+     * @param {Number | Object} [params.p2] Either the index or value of a TYPE_POINT. The third vertex
+     * @param {Number | Object} [params.polygon] Either the index or value of a TYPE_POLYGON. The triangle. Used instead of the points
      * @returns {CreateInfo} The creation info
      */
-    static fromPointArc(p, arc) {
-        return CreateInfo.new("pa", { p, arc });
+    static fromIncircle({ p0 = EMPTY, p1 = EMPTY, p2 = EMPTY, polygon = EMPTY }) {
+        return DefArc.fromTriangleCircle({ p0, p1, p2, polygon, center: DefTriangleCenter.INCENTER });
     }
+
     /**
-     * Computes the points on the outer tangents of two arcs.
-     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
-     * Points come in pairs of points on the first and second arc.
-     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
-     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
+     * Create the circumcircle of a triangle, given by three points or a polygon with three vertices
+     * @param {Object} params
+     * @param {Number | Object} [params.p0] Either the index or value of a TYPE_POINT. The first vertex
+     * @param {Number | Object} [params.p1] Either the index or value of a TYPE_POINT. The second vertex
+     * @param {Number | Object} [params.p2] Either the index or value of a TYPE_POINT. The third vertex
+     * @param {Number | Object} [params.polygon] Either the index or value of a TYPE_POLYGON. The triangle. Used instead of the points
      * @returns {CreateInfo} The creation info
      */
-    static fromOuterTangents(arc0, arc1) {
-        return CreateInfo.new("ot", { arc0, arc1 });
+    static fromCircumcircle({ p0 = EMPTY, p1 = EMPTY, p2 = EMPTY, polygon = EMPTY }) {
+        return DefArc.fromTriangleCircle({ p0, p1, p2, polygon, center: DefTriangleCenter.CIRCUMCENTER });
     }
+
     /**
-     * Computes the points on the inner tangents of two arcs.
-     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
-     * Points come in pairs of points on the first and second arc.
-     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
-     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
+     * Create an excircle of a triangle, given by three points or a polygon with three vertices
+     * @param {Object} params
+     * @param {Number | Object} [params.p0] Either the index or value of a TYPE_POINT. The first vertex
+     * @param {Number | Object} [params.p1] Either the index or value of a TYPE_POINT. The second vertex
+     * @param {Number | Object} [params.p2] Either the index or value of a TYPE_POINT. The third vertex
+     * @param {Number | Object} [params.polygon] Either the index or value of a TYPE_POLYGON. The triangle. Used instead of the points
+     * @param {Number} [params.excenterIndex] The index of the vertex opposite to the side the excircle touches
      * @returns {CreateInfo} The creation info
      */
-    static fromInnerTangents(arc0, arc1) {
-        return CreateInfo.new("it", { arc0, arc1 });
+    static fromExcircle({ p0 = EMPTY, p1 = EMPTY, p2 = EMPTY, polygon = EMPTY, excenterIndex = 0 }) {
+        return DefArc.fromTriangleCircle({ p0, p1, p2, polygon, center: DefTriangleCenter.EXCENTER, excenterIndex });
     }
+
     /**
-     * Computes the points on the tangents on an ellipse going through the given point.
-     * Due to the start and end angles of the arc, they may not exist even for points outside the ellipse.
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
-     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
+     * Create the nine-point circle of a triangle, given by three points or a polygon with three vertices.
+     * It passes through the midpoints of the sides, the feet of the altitudes and the midpoints between the orthocenter and the vertices
+     * @param {Object} params
+     * @param {Number | Object} [params.p0] Either the index or value of a TYPE_POINT. The first vertex
+     * @param {Number | Object} [params.p1] Either the index or value of a TYPE_POINT. The second vertex
+     * @param {Number | Object} [params.p2] Either the index or value of a TYPE_POINT. The third vertex
+     * @param {Number | Object} [params.polygon] Either the index or value of a TYPE_POLYGON. The triangle. Used instead of the points
      * @returns {CreateInfo} The creation info
      */
-    static fromPointEllipse(p, ellipse) {
-        return CreateInfo.new("pe", { p, ellipse });
+    static fromNinePointCircle({ p0 = EMPTY, p1 = EMPTY, p2 = EMPTY, polygon = EMPTY }) {
+        return DefArc.fromTriangleCircle({ p0, p1, p2, polygon, center: DefTriangleCenter.NINE_POINT_CENTER });
     }
 
     /**
-     * Computes the tangent points
-     * @param {CreateInfo} info The creation info
-     * @returns {Object | Array} The tangent points of TYPE_POINT in an array or INVALID, if non exist
+     * Create an arc from three points
+     * @param {{x:Number, y:Number}} p0 The first point
+     * @param {{x:Number, y:Number}} p1 The second point
+     * @param {{x:Number, y:Number}} p2 The third point
+     * @param {Boolean} fullCircle If true, the resulting arc will be a circle, otherwise the arc will only be the range specified by the points
+     * @returns {{  r : Number, center : {x:Number,y:Number}, startAngle: Number, endAngle:Number} | null} The computed arc or null, if no such arc can exist
      */
-    compute(info) {
-        const { dependencies } = info;
-        if (info.name === "pa") {
-            const { p, arc } = dependencies;
-            assertExistsAndNotOptional(p, arc);
-            assertType(p, TYPE_POINT);
-            assertType(arc, TYPE_ARC);
+    static computeParametersFromPoints(p0, p1, p2, fullCircle) {
+        // construct circle from points
 
-            const points = calcCirclePointTangentPoints(p, arc.center, arc.r, {
-                angleMin: arc.startAngle, angleMax: arc.endAngle
-            });
-            if (!points || points.length === 0) {
+        // complex solution from https://math.stackexchange.com/questions/213658/get-the-equation-of-a-circle-when-given-3-points
+
+        // simple complex numbers
+
+        // check points
+        const z1 = [p0.x, p0.y];
+        const z2 = [p1.x, p1.y];
+        const z3 = [p2.x, p2.y];
+
+        if (cEquals(z1, z2) || cEquals(z2, z3) || cEquals(z3, z1)) {
+            return null;
+        }
+
+        const w = cDiv(cSub(z3, z1), cSub(z2, z1));
+        if (Math.abs(w[1]) < this.eps) {
+            // colinear points
+            return null;
+        }
+        // c = (z2 - z1)*(w - abs(w)**2)     /   (2j*w.imag) + z1  # Simplified denominator
+        // r = abs(z1 - c)
+        const wabs2 = cMult(w, cConj(w));
+        const c = cAdd(
+            cDiv(cMult(
+                cSub(z2, z1),
+                cSub(w, wabs2)
+            ),
+                cMult([0, 2], [cImag(w), 0])
+            ),
+            z1
+        );
+
+        const r = cAbs(cSub(z1, c));
+
+        if (fullCircle) {
+            return {
+                r, center: { x: cReal(c), y: cImag(c) }, startAngle: 0, endAngle: 2.0 * Math.PI
+            };
+        } else {
+            const center = { x: cReal(c), y: cImag(c) };
+            const angles = [
+                calcAngle(p0.x - center.x, p0.y - center.y),
+                calcAngle(p1.x - center.x, p1.y - center.y),
+                calcAngle(p2.x - center.x, p2.y - center.y),
+            ];
+
+            const startAngle = Math.min(...angles);
+            const endAngle = Math.max(...angles);
+            return {
+                r, center, startAngle, endAngle
+            };
+        }
+    }
+
+    /**
+     * Compute the arc
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The arc of type TYPE_ARC
+     */
+    compute(createInfo) {
+        let { r, center, startAngle, endAngle } = this;
+        const { dependencies, params } = createInfo;
+        if (createInfo.name === "v") {
+            const { r: rn, center: cn, startAngle: startAngleN, endAngle: endAngleN } = dependencies;
+
+            if (!isParamEmpty(rn)) {
+                assertType(rn, TYPE_NUMBER);
+                r = rn.value;
+            }
+
+            if (!isParamEmpty(cn)) {
+                assertType(cn, TYPE_POINT);
+                center = cn;
+            }
+
+            if (!isParamEmpty(startAngleN)) {
+                assertType(startAngleN, TYPE_NUMBER);
+                startAngle = startAngleN.value;
+            }
+            if (!isParamEmpty(endAngleN)) {
+                assertType(endAngleN, TYPE_NUMBER);
+                endAngle = endAngleN.value;
+            }
+        } else if (createInfo.name === "ppp") {
+            const { p0, p1, p2 } = dependencies;
+            assertExistsAndNotOptional(p0, p1, p2);
+            assertType(p0, TYPE_POINT);
+            assertType(p1, TYPE_POINT);
+            assertType(p2, TYPE_POINT);
+            const { fullCircle } = createInfo.params;
+            const result = DefArc.computeParametersFromPoints(p0, p1, p2, fullCircle);
+            if (!result) {
                 return INVALID;
             }
+            ({ r, center, startAngle, endAngle } = result);
+        } else if (createInfo.name === "cap") {
+            const { center: cn, p0, p1 } = dependencies;
+            assertExistsAndNotOptional(cn, p0, p1);
+            assertType(cn, TYPE_POINT);
+            assertType(p0, TYPE_POINT);
+            assertType(p1, TYPE_POINT);
 
-            return points.map(v => makePoint(v));
-        } if (info.name === "pe") {
-            const { p, ellipse } = dependencies;
-            assertExistsAndNotOptional(p, ellipse);
-            assertType(p, TYPE_POINT);
-            assertType(ellipse, TYPE_ELLIPSE);
+            const d0x = p0.x - cn.x;
+            const d0y = p0.y - cn.y;
+            const d02 = d0x * d0x + d0y * d0y;
+            const rn = Math.sqrt(d02);
+            const d1x = p1.x - cn.x;
+            const d1y = p1.y - cn.y;
+            const d12 = d1x * d1x + d1y * d1y;
 
-            const { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
-            const [pl] = convertPointToLocalEllipse([p], center, rotation, rx, ry);
-            let points = calcCirclePointTangentPoints(pl, vVec2(0, 0), 1, {
-                angleMin: startAngle, angleMax: endAngle
-            });
-            if (!points || points.length === 0) {
+            if (Math.abs(d02 - d12) > 1E-7) {
+                // points can't lie on the same circle
                 return INVALID;
             }
+            // find start and end angle
+            startAngle = calcAngle(p0.x - cn.x, p0.y - cn.y);
+            endAngle = calcAngle(p1.x - cn.x, p1.y - cn.y);
 
-            points = convertPointFromLocalEllipse(points, center, rotation, rx, ry);
-            // could be either 1 or two lines
-            return points.map(v => makePoint(v));
-        } else if (info.name === "ot") {
-            const { arc0, arc1 } = dependencies;
-            assertExistsAndNotOptional(arc0, arc1);
-            assertType(arc0, TYPE_ARC);
-            assertType(arc1, TYPE_ARC);
+            let a0 = startAngle;
+            let a1 = endAngle;
+            if (a1 < a0) {
+                a1 += 2.0 * Math.PI;
+            }
 
-            const points = calcOuterTangentPoints(arc0, arc1);
-            if (!points || points.length === 0 || points.length % 2 !== 0) {
-                return INVALID;
+            const { useAngle } = params;
+            const adif = a1 - a0;
+            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
+                // angle is > 180° -> use the other side
+                if (adif > Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
+            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
+                // angle is < 180° -> use other side
+                if (adif < Math.PI) {
+                    [a0, a1] = [a1, a0];
+                }
             }
 
-            return points.map(v => makePoint(v));
-        } else if (info.name === "it") {
-            const { arc0, arc1 } = dependencies;
-            assertExistsAndNotOptional(arc0, arc1);
-            assertType(arc0, TYPE_ARC);
-            assertType(arc1, TYPE_ARC);
 
-            const points = calcInnerTangentPoints(arc0, arc1);
-            if (!points || points.length === 0 || points.length % 2 !== 0) {
+            startAngle = a0;
+            endAngle = a1;
+
+            center = cn;
+            r = rn;
+            // return makeArc({
+            //     r, center,
+            //     startAngle,
+            //     endAngle
+            // });
+        } else if (createInfo.name === "tri") {
+            const [a, b, c] = DefTriangleCenter.triangleVertices(dependencies);
+            const { center: centerType, excenterIndex } = params;
+            const circle = DefTriangleCenter.computeCircle(a, b, c, centerType, { excenterIndex });
+            if (!circle) {
                 return INVALID;
             }
-            return points.map(v => makePoint(v));
-        } else {
-            throw new Error("No suitable constructor");
+            center = makePoint(circle.center);
+            r = circle.r;
+            startAngle = 0;
+            endAngle = 2.0 * Math.PI;
+        } else if (createInfo !== EMPTY_INFO) {
+            throw new Error("No suitable constructor found");
         }
+
+        return makeArc({
+            r, center,
+            startAngle, endAngle,
+        });
     }
 }
 /**
- * Definition of the tangent lines touching arcs and ellipses
+ * Definition of an ellipse
  */
-class DefTangentLines {
+class DefEllipse {
     /**
-     * Computes the tangent lines on an arc going through the given point.
-     * Due to the start and end angles of the arc, they may not exist even for points outside the arc.
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
-     * @param {Number | Object} arc Either the index or value of a TYPE_ARC. The arc
+     * Default values
      * @param {Object} params
-     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
-     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
-     * @returns {CreateInfo} The creation info
+     * @param {{x:Number, y:Number}} [center={x:0,y:0}] The center
+     * @param {Number} [rx=1] The x-exxentricity
+     * @param {Number} [ry=1] The y-exxentricity
+     * @param {Number} [startAngle = 0] The starting angle
+     * @param {Number} [endAngle = 2.0 * Math.PI] The end angle
+     * @param {Number} [rotation = 0] The rotation angle of the ellipse
      */
-    static fromPointArc(p, arc, { leftOpen = false, rightOpen = false } = {}) {
-        return CreateInfo.new("pa", { p, arc }, { leftOpen, rightOpen });
+    constructor({
+        center = { x: 0, y: 0 },
+        rx = 1,
+        ry = 1,
+        startAngle = 0,
+        endAngle = 2.0 * Math.PI,
+        rotation = 0,
+    } = {}) {
+        this.center = center;
+        this.rx = rx;
+        this.ry = ry;
+        this.startAngle = startAngle;
+        this.endAngle = endAngle;
+        this.rotation = rotation;
     }
     /**
-     * Computes the tangent lines on an ellipse going through the given point.
-     * Due to the start and end angles of the arc, they may not exist even for points outside the ellipse.
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point
-     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
+     * Create an ellipse from individual values
      * @param {Object} params
-     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
-     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
+     * @param {Number | Object} [params.center] Either the index or value of a TYPE_POINT. The center
+     * @param {Number | Object} [params.rx] Either the index or value of a TYPE_NUMBER. The x-eccentricity
+     * @param {Number | Object} [params.ry] Either the index or value of a TYPE_NUMBER. The y-eccentricity
+     * @param {Number | Object} [params.startAngle] Either the index or value of a TYPE_NUMBER. The starting angle
+     * @param {Number | Object} [params.endAngle] Either the index or value of a TYPE_NUMBER. The end angle
+     * @param {Number | Object} [params.rotation] Either the index or value of a TYPE_NUMBER. The ellipse rotation
      * @returns {CreateInfo} The creation info
      */
-    static fromPointEllipse(p, ellipse, { leftOpen = false, rightOpen = false } = {}) {
-        return CreateInfo.new("pe", { p, ellipse }, { leftOpen, rightOpen });
+    static fromValues({
+        center = EMPTY,
+        rx = EMPTY,
+        ry = EMPTY,
+        startAngle = EMPTY,
+        endAngle = EMPTY,
+        rotation = EMPTY,
+    }) {
+        return CreateInfo.new("v", {
+            center,
+            rx,
+            ry,
+            startAngle,
+            endAngle,
+            rotation,
+        });
     }
 
     /**
-     * Computes the outer tangents of two arcs.
-     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
-     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
-     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
-     * @param {Object} params
-     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
-     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
-     * @returns {CreateInfo} The creation info
-     */
-    static fromOuterTangents(arc0, arc1, { leftOpen = false, rightOpen = false } = {}) {
-        return CreateInfo.new("ot", { arc0, arc1 }, { leftOpen, rightOpen });
-    }
-    /**
-     * Computes the inner tangents of two arcs.
-     * Due to the start and end angles of the arcs, they may not exist even for valid points on the corresponding circles.
-     * @param {Number | Object} arc0 Either the index or value of a TYPE_ARC. The first arc
-     * @param {Number | Object} arc1 Either the index or value of a TYPE_ARC. The second arc
-     * @param {Object} params
-     * @param {Boolean} [params.leftOpen] Whether the resulting line extends from the first point
-     * @param {Boolean} [params.rightOpen] Whether the resulting line extends from the second point
-     * @returns {CreateInfo} The creation info
-     */
-    static fromInnerTangents(arc0, arc1, { leftOpen = false, rightOpen = false } = {}) {
-        return CreateInfo.new("it", { arc0, arc1 }, { leftOpen, rightOpen });
-    }
-    /**
-     * Computes the tangent points
+     * Compute the ellipse
      * @param {CreateInfo} info The creation info
-     * @returns {Object | Array} The tangents of TYPE_LINE in an array or INVALID, if non exist
+     * @returns {Object} The ellipse of type TYPE_ELLIPSE
      */
     compute(info) {
-        const { dependencies } = info;
-        const { params } = info;
-        if (info.name === "pa") {
-            const { p, arc } = dependencies;
-            const { leftOpen, rightOpen } = params;
-            assertExistsAndNotOptional(p, arc);
-            assertType(p, TYPE_POINT);
-            assertType(arc, TYPE_ARC);
-
-            const points = calcCirclePointTangentPoints(p, arc.center, arc.r, {
-                angleMin: arc.startAngle, angleMax: arc.endAngle
-            });
-            if (!points || points.length === 0) {
-                return INVALID;
-            }
-            // could be either 1 or two lines
-            const result = [];
-            const p0 = makePoint(p);
-            for (let q of points) {
-                const p1 = makePoint(q);
-                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
-            }
-
-            return result;
-        } if (info.name === "pe") {
-            const { p, ellipse } = dependencies;
-            const { leftOpen, rightOpen } = params;
-            assertExistsAndNotOptional(p, ellipse);
-            assertType(p, TYPE_POINT);
-            assertType(ellipse, TYPE_ELLIPSE);
-
-            const { center, rx, ry, rotation, startAngle, endAngle } = ellipse;
-            const [pl] = convertPointToLocalEllipse([p], center, rotation, rx, ry);
-            let points = calcCirclePointTangentPoints(pl, vVec2(0, 0), 1, {
-                angleMin: startAngle, angleMax: endAngle
-            });
-            if (!points || points.length === 0) {
-                return INVALID;
-            }
-
-            points = convertPointFromLocalEllipse(points, center, rotation, rx, ry);
-            // could be either 1 or two lines
-            const result = [];
-            const p0 = makePoint(p);
-            for (let q of points) {
-                const p1 = makePoint(q);
-                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
-            }
+        let {
+            center,
+            rx,
+            ry,
+            startAngle,
+            endAngle,
+            rotation,
+        } = this;
 
-            return result;
-        } else if (info.name === "ot") {
-            const { arc0, arc1 } = dependencies;
-            const { leftOpen, rightOpen } = params;
-            assertExistsAndNotOptional(arc0, arc1);
-            assertType(arc0, TYPE_ARC);
-            assertType(arc1, TYPE_ARC);
+        const { dependencies } = info;
+        if (info.name === "v") {
+            const {
+                center: centerN,
+                rx: rxN,
+                ry: ryN,
+                startAngle: startAngleN,
+                endAngle: endAngleN,
+                rotation: rotationN,
+            } = dependencies;
 
-            const points = calcOuterTangentPoints(arc0, arc1);
-            if (!points || points.length === 0 || points.length % 2 !== 0) {
-                return INVALID;
+            if (!isParamEmpty(centerN)) {
+                assertType(centerN, TYPE_POINT);
+                center = centerN;
             }
-            const result = [];
-            for (let i = 0; i < points.length; i += 2) {
-                const p0 = points[i + 0];
-                const p1 = points[i + 1];
 
-                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
+            if (!isParamEmpty(rxN)) {
+                assertType(rxN, TYPE_NUMBER);
+                rx = rxN.value;
             }
-            return result;
-
 
+            if (!isParamEmpty(ryN)) {
+                assertType(ryN, TYPE_NUMBER);
+                ry = ryN.value;
+            }
 
-        } else if (info.name === "it") {
-            const { arc0, arc1 } = dependencies;
-            const { leftOpen, rightOpen } = params;
-            assertExistsAndNotOptional(arc0, arc1);
-            assertType(arc0, TYPE_ARC);
-            assertType(arc1, TYPE_ARC);
+            if (!isParamEmpty(startAngleN)) {
+                assertType(startAngleN, TYPE_NUMBER);
+                startAngle = startAngleN.value;
+            }
 
-            const points = calcInnerTangentPoints(arc0, arc1);
-            if (!points || points.length === 0 || points.length % 2 !== 0) {
-                return INVALID;
+            if (!isParamEmpty(endAngleN)) {
+                assertType(endAngleN, TYPE_NUMBER);
+                endAngle = endAngleN.value;
             }
-            const result = [];
-            for (let i = 0; i < points.length; i += 2) {
-                const p0 = points[i + 0];
-                const p1 = points[i + 1];
 
-                result.push(makeLine({ p0, p1, leftOpen, rightOpen }));
+            if (!isParamEmpty(rotationN)) {
+                assertType(rotationN, TYPE_NUMBER);
+                rotation = rotationN.value;
             }
-            return result;
-        } else {
+        } else if (info !== EMPTY_INFO) {
             throw new Error("No suitable constructor");
         }
+
+        return makeEllipse({
+            center,
+            rx,
+            ry,
+            startAngle,
+            endAngle,
+            rotation,
+        });
     }
 }
+
 /**
- * Definition for a midpoint.
- * Points are their own midpoint.
- * Arcs and ellipses have their center as a midpoint
- * For a collection of points, their mean value is the midpoint
+ * Definition of a parabola
  */
-class DefMidPoint {
+class DefParabola {
     /**
-     * Computes the midpoint of an object
-     * @param {Number | Object} obj Either the index or value of one of [TYPE_POINT, TYPE_LINE, TYPE_ARC, TYPE_ELLIPSE,TYPE_POLYGON] or an array of TYPE_POINT
-     * @returns {CreateInfo} The creation info
+     * Default values
+     * @param {Object} params
+     * @param {{x:Number, y:Number}} [vertex={x:0,y:0}] The vertex
+     * @param {Number} [focalLength=1] The distance between vertex and focus
+     * @param {Number} [rotation = 0] The rotation angle of the parabola
+     * @param {Number} [tMin = -10] The minimum parameter
+     * @param {Number} [tMax = 10] The maximum parameter
      */
-    static fromObject(obj) {
-        return CreateInfo.new("o", { obj });
+    constructor({
+        vertex = { x: 0, y: 0 },
+        focalLength = 1,
+        rotation = 0,
+        tMin = -10,
+        tMax = 10,
+    } = {}) {
+        this.vertex = vertex;
+        this.focalLength = focalLength;
+        this.rotation = rotation;
+        this.tMin = tMin;
+        this.tMax = tMax;
     }
+
     /**
-     * Computes the midpoint of a number of points
-     * @param {...(Number | Object)} obj Either the index or value of objects of TYPE_POINT
+     * Create a parabola from individual values
+     * @param {Object} params
+     * @param {Number | Object} [params.vertex] Either the index or value of a TYPE_POINT. The vertex
+     * @param {Number | Object} [params.focalLength] Either the index or value of a TYPE_NUMBER. The distance between vertex and focus
+     * @param {Number | Object} [params.rotation] Either the index or value of a TYPE_NUMBER. The parabola rotation
+     * @param {Number | Object} [params.tMin] Either the index or value of a TYPE_NUMBER. The minimum parameter
+     * @param {Number | Object} [params.tMax] Either the index or value of a TYPE_NUMBER. The maximum parameter
      * @returns {CreateInfo} The creation info
      */
-    static fromPoints(...points) {
-        return CreateInfo.new("p", [...points]);
+    static fromValues({
+        vertex = EMPTY,
+        focalLength = EMPTY,
+        rotation = EMPTY,
+        tMin = EMPTY,
+        tMax = EMPTY,
+    }) {
+        return CreateInfo.new("v", {
+            vertex,
+            focalLength,
+            rotation,
+            tMin,
+            tMax,
+        });
     }
 
-    computeMidpointPoints(points) {
-        let x = 0;
-        let y = 0;
-
-        if (points.length < 1) {
-            return { x: Infinity, y: Infinity };
-        }
-
-        for (let i = 0; i < points.length; i++) {
-            const oi = points[i];
-            x += oi.x;
-            y += oi.y;
-        }
-
-        x /= points.length;
-        y /= points.length;
+    /**
+     * Create a parabola from its focus and directrix. 
+     * The parameter range is taken from the default values
+     * @param {Number | Object} focus Either the index or value of a TYPE_POINT. The focus
+     * @param {Number | Object} directrix Either the index or value of a TYPE_LINE. The directrix
+     * @returns {CreateInfo} The creation info
+     */
+    static fromFocusDirectrix(focus, directrix) {
+        return CreateInfo.new("fd", { focus, directrix });
+    }
 
-        return Vec2.new(x, y);
+    /**
+     * Create a parabola from its focus and vertex. 
+     * The parameter range is taken from the default values
+     * @param {Number | Object} focus Either the index or value of a TYPE_POINT. The focus
+     * @param {Number | Object} vertex Either the index or value of a TYPE_POINT. The vertex
+     * @returns {CreateInfo} The creation info
+     */
+    static fromFocusVertex(focus, vertex) {
+        return CreateInfo.new("fv", { focus, vertex });
     }
 
     /**
-     * Computes the midpoint
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} An object of TYPE_POINT
+     * Compute the parabola
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} The parabola of type TYPE_PARABOLA or INVALID, if the focus lies on the directrix or the vertex
      */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        if (createInfo.name === "o") {
-            const { obj } = dependencies;
-            assertExistsAndNotOptional(obj);
+    compute(info) {
+        let {
+            vertex,
+            focalLength,
+            rotation,
+            tMin,
+            tMax,
+        } = this;
 
-            // Allow for computing the midpoint of a set of points
-            if (Array.isArray(obj)) {
-                for (let i = 0; i < obj.length; i++) {
-                    const oi = obj[i];
-                    assertType(oi, TYPE_POINT)
-                }
+        const { dependencies } = info;
+        if (info.name === "v") {
+            const {
+                vertex: vertexN,
+                focalLength: focalLengthN,
+                rotation: rotationN,
+                tMin: tMinN,
+                tMax: tMaxN,
+            } = dependencies;
 
-                return makePoint(this.computeMidpointPoints(obj));
+            if (!isParamEmpty(vertexN)) {
+                assertType(vertexN, TYPE_POINT);
+                vertex = vertexN;
             }
-            else if (obj.type === TYPE_POINT) {
-                return obj;
-            } else if (obj.type === TYPE_LINE) {
-                let x = obj.p0.x + obj.p1.x;
-                let y = obj.p0.y + obj.p1.y;
 
-                x *= 0.5;
-                y *= 0.5;
-                return makePoint({ x, y });
-            } else if (obj.type === TYPE_VECTOR) {
-                return makePoint(vAdd(obj.ref, vScale(obj, 0.5)));
-            } else if (obj.type === TYPE_ARC) {
-                return makePoint(obj.center);
-            } else if (obj.type === TYPE_ELLIPSE) {
-                return makePoint(obj.center);
-            } else if (obj.type === TYPE_POLYGON) {
-                return makePoint(this.computeMidpointPoints(obj.points))
+            if (!isParamEmpty(focalLengthN)) {
+                assertType(focalLengthN, TYPE_NUMBER);
+                focalLength = focalLengthN.value;
             }
-            throw new Error(`Object type not supported`);
 
-        } else if (createInfo.name === "p") {
-            if (!Array.isArray(dependencies)) {
-                throw new Error("Expected array");
+            if (!isParamEmpty(rotationN)) {
+                assertType(rotationN, TYPE_NUMBER);
+                rotation = rotationN.value;
             }
-            let x = 0;
-            let y = 0;
-            for (let i = 0; i < dependencies.length; i++) {
-                const pi = dependencies[i];
-                assertType(pi, TYPE_POINT);
-                x += pi.x;
-                y += pi.y;
+
+            if (!isParamEmpty(tMinN)) {
+                assertType(tMinN, TYPE_NUMBER);
+                tMin = tMinN.value;
             }
-            x /= dependencies.length;
-            y /= dependencies.length;
-            return makePoint({ x, y });
-        }
 
-        throw new Error(`No suitable constructor available`);
+            if (!isParamEmpty(tMaxN)) {
+                assertType(tMaxN, TYPE_NUMBER);
+                tMax = tMaxN.value;
+            }
+        } else if (info.name === "fd") {
+            const { focus, directrix } = dependencies;
+            assertExistsAndNotOptional(focus, directrix);
+            assertType(focus, TYPE_POINT);
+            assertType(directrix, TYPE_LINE);
+
+            // the vertex lies halfway between the focus and the directrix
+            const foot = closestPointLine(focus, directrix.p0, directrix.p1);
+            const d = vSub(focus, foot);
+            const dist = vLen(d);
+            if (dist < 1E-10) {
+                return INVALID;
+            }
 
+            vertex = makePoint(vAdd(foot, vScale(d, 0.5)));
+            focalLength = dist * 0.5;
+            rotation = calcAngle(d.x, d.y);
+        } else if (info.name === "fv") {
+            const { focus, vertex: vertexN } = dependencies;
+            assertExistsAndNotOptional(focus, vertexN);
+            assertType(focus, TYPE_POINT);
+            assertType(vertexN, TYPE_POINT);
+
+            const d = vSub(focus, vertexN);
+            const dist = vLen(d);
+            if (dist < 1E-10) {
+                return INVALID;
+            }
 
+            vertex = vertexN;
+            focalLength = dist;
+            rotation = calcAngle(d.x, d.y);
+        } else if (info !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
 
+        return makeParabola({
+            vertex,
+            focalLength,
+            rotation,
+            tMin,
+            tMax,
+        });
     }
 }
+
 /**
- * Definition of the focus points of an ellipse
+ * Definition of a hyperbola
  */
-class DefEllipseFocus {
+class DefHyperbola {
     /**
-     * Computes the focus points of an ellipse
-     * @param {Number | Object} ellipse Either the index or value of a TYPE_ELLIPSE. The ellipse
+     * Use both branches of the hyperbola
+     */
+    static BRANCH_BOTH = 0;
+    /**
+     * Use the branch in the hyperbola's local positive x-direction
+     */
+    static BRANCH_POSITIVE = 1;
+    /**
+     * Use the branch in the hyperbola's local negative x-direction
+     */
+    static BRANCH_NEGATIVE = -1;
+
+    /**
+     * Default values
+     * @param {Object} params
+     * @param {{x:Number, y:Number}} [center={x:0,y:0}] The center
+     * @param {Number} [a=1] The semi-major axis
+     * @param {Number} [b=1] The semi-minor axis
+     * @param {Number} [rotation = 0] The rotation angle of the hyperbola
+     * @param {Number} [branch = DefHyperbola.BRANCH_BOTH] The branches to use. One of DefHyperbola.(BRANCH_BOTH, BRANCH_POSITIVE, BRANCH_NEGATIVE)
+     * @param {Number} [tMin = -2] The minimum parameter of each branch
+     * @param {Number} [tMax = 2] The maximum parameter of each branch
+     */
+    constructor({
+        center = { x: 0, y: 0 },
+        a = 1,
+        b = 1,
+        rotation = 0,
+        branch = DefHyperbola.BRANCH_BOTH,
+        tMin = -2,
+        tMax = 2,
+    } = {}) {
+        this.center = center;
+        this.a = a;
+        this.b = b;
+        this.rotation = rotation;
+        this.branch = branch;
+        this.tMin = tMin;
+        this.tMax = tMax;
+    }
+
+    /**
+     * Create a hyperbola from individual values
+     * @param {Object} params
+     * @param {Number | Object} [params.center] Either the index or value of a TYPE_POINT. The center
+     * @param {Number | Object} [params.a] Either the index or value of a TYPE_NUMBER. The semi-major axis
+     * @param {Number | Object} [params.b] Either the index or value of a TYPE_NUMBER. The semi-minor axis
+     * @param {Number | Object} [params.rotation] Either the index or value of a TYPE_NUMBER. The hyperbola rotation
+     * @param {Number | Object} [params.branch] Either the index or value of a TYPE_NUMBER. The branches to use
+     * @param {Number | Object} [params.tMin] Either the index or value of a TYPE_NUMBER. The minimum parameter
+     * @param {Number | Object} [params.tMax] Either the index or value of a TYPE_NUMBER. The maximum parameter
      * @returns {CreateInfo} The creation info
      */
-    static fromEllipse(ellipse) {
-        return CreateInfo.new("eli", { ellipse });
+    static fromValues({
+        center = EMPTY,
+        a = EMPTY,
+        b = EMPTY,
+        rotation = EMPTY,
+        branch = EMPTY,
+        tMin = EMPTY,
+        tMax = EMPTY,
+    }) {
+        return CreateInfo.new("v", {
+            center,
+            a,
+            b,
+            rotation,
+            branch,
+            tMin,
+            tMax,
+        });
     }
 
     /**
-     * Computes the Elipse Focii
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Array} An array containing the focus points of type TYPE_POINT. Generally these are two, but in the case of a circle, there is only one, the center
+     * Create a hyperbola from its foci and a vertex. 
+     * The local positive x-direction points to the first focus. The vertex is projected onto the axis through the foci.
+     * Branches and parameter range are taken from the default values
+     * @param {Number | Object} f0 Either the index or value of a TYPE_POINT. The first focus
+     * @param {Number | Object} f1 Either the index or value of a TYPE_POINT. The second focus
+     * @param {Number | Object} vertex Either the index or value of a TYPE_POINT. The vertex
+     * @returns {CreateInfo} The creation info
      */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        if (createInfo.name === "eli") {
-            const { ellipse } = dependencies;
-            assertExistsAndNotOptional(ellipse);
-            assertType(ellipse, TYPE_ELLIPSE);
+    static fromFociVertex(f0, f1, vertex) {
+        return CreateInfo.new("fv", { f0, f1, vertex });
+    }
+
+    /**
+     * Create a hyperbola from its foci and a point on it. 
+     * The local positive x-direction points to the first focus.
+     * Branches and parameter range are taken from the default values
+     * @param {Number | Object} f0 Either the index or value of a TYPE_POINT. The first focus
+     * @param {Number | Object} f1 Either the index or value of a TYPE_POINT. The second focus
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The point on the hyperbola
+     * @returns {CreateInfo} The creation info
+     */
+    static fromFociPoint(f0, f1, p) {
+        return CreateInfo.new("fp", { f0, f1, p });
+    }
+
+    /**
+     * Compute the hyperbola
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} The hyperbola of type TYPE_HYPERBOLA or INVALID, if the values don't describe a hyperbola
+     */
+    compute(info) {
+        let {
+            center,
+            a,
+            b,
+            rotation,
+            branch,
+            tMin,
+            tMax,
+        } = this;
+
+        const { dependencies } = info;
+        if (info.name === "v") {
+            const {
+                center: centerN,
+                a: aN,
+                b: bN,
+                rotation: rotationN,
+                branch: branchN,
+                tMin: tMinN,
+                tMax: tMaxN,
+            } = dependencies;
+
+            if (!isParamEmpty(centerN)) {
+                assertType(centerN, TYPE_POINT);
+                center = centerN;
+            }
 
-            const { center, rx, ry, rotation } = ellipse;
-            // given the major axis a and minor axis b, the distance of the focus to the center is defined by c^2 = a^2 - b^2
-            // so we can solve via root
+            if (!isParamEmpty(aN)) {
+                assertType(aN, TYPE_NUMBER);
+                a = aN.value;
+            }
 
-            if (Math.abs(rx, ry) < 1E-10) {
-                // circle -> focus is the center
-                return [makePoint(center)];
+            if (!isParamEmpty(bN)) {
+                assertType(bN, TYPE_NUMBER);
+                b = bN.value;
             }
 
-            const a = Math.max(rx, ry);
-            const b = Math.min(rx, ry);
+            if (!isParamEmpty(rotationN)) {
+                assertType(rotationN, TYPE_NUMBER);
+                rotation = rotationN.value;
+            }
 
-            const f = Math.sqrt(a * a - b * b);
+            if (!isParamEmpty(branchN)) {
+                assertType(branchN, TYPE_NUMBER);
+                branch = branchN.value;
+            }
 
-            let focii = [];
+            if (!isParamEmpty(tMinN)) {
+                assertType(tMinN, TYPE_NUMBER);
+                tMin = tMinN.value;
+            }
 
-            if (rx >= ry) {
-                // rx is major axis, so focii lie there
-                focii.push(vVec2(f, 0));
-                focii.push(vVec2(-f, 0));
-            } else {
-                focii.push(vVec2(0, f));
-                focii.push(vVec2(0, -f));
+            if (!isParamEmpty(tMaxN)) {
+                assertType(tMaxN, TYPE_NUMBER);
+                tMax = tMaxN.value;
             }
+        } else if (info.name === "fv" || info.name === "fp") {
+            const { f0, f1 } = dependencies;
+            const p = info.name === "fv" ? dependencies.vertex : dependencies.p;
+            assertExistsAndNotOptional(f0, f1, p);
+            assertType(f0, TYPE_POINT);
+            assertType(f1, TYPE_POINT);
+            assertType(p, TYPE_POINT);
 
-            focii = focii.map(p => vRotate(p, rotation));
-            focii = focii.map(p => vAdd(p, center));
+            const m = vScale(vAdd(f0, f1), 0.5);
+            const axis = vSub(f0, m);
+            const c = vLen(axis);
+            if (c < 1E-10) {
+                return INVALID;
+            }
 
-            return focii.map(p => makePoint(p));
+            if (info.name === "fv") {
+                a = Math.abs(vDot(vSub(p, m), axis)) / c;
+            } else {
+                // the difference of the distances to the foci is 2a
+                a = Math.abs(vLen(vSub(p, f0)) - vLen(vSub(p, f1))) * 0.5;
+            }
 
+            if (a < 1E-10 || a >= c) {
+                return INVALID;
+            }
 
-        } else {
-            throw new Error(`No suitable constructor available`);
+            center = makePoint(m);
+            b = Math.sqrt(c * c - a * a);
+            rotation = calcAngle(axis.x, axis.y);
+        } else if (info !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
         }
 
-
-
-
+        return makeHyperbola({
+            center,
+            a,
+            b,
+            rotation,
+            branch,
+            tMin,
+            tMax,
+        });
     }
 }
 
 /**
- * Definition of a generic function
+ * Definition of a general conic section.
+ * Depending on the input, the result is an ellipse, a parabola or a hyperbola
  */
-class DefFunc {
+class DefConic {
     /**
-     * @param {Function} f The function to be computed. 
-     * The function will be called like f(dependencies, params), where those parameters are specified by the creation info
+     * Default values
+     * @param {Object} params
+     * @param {Number} [extend = 0.5] For parabolas and hyperbolas, the parameter range covers all input points 
+     * and is extended on both sides by this fraction of its length
      */
-    constructor(f) {
-        this.f = f;
+    constructor({ extend = 0.5 } = {}) {
+        this.extend = extend;
     }
 
     /**
-     * Defines the signature of a function
-     * @param {Object | Array} dependencies Either the indices or values of the objects this function depends on
-     * @param {Object | Array} params Additional parameters
-     * @param {Boolean} ignoreInvalids If true, this function is called even if any inputs are INVALID
+     * Create the conic section through five points
+     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p2 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p3 Either the index or value of a TYPE_POINT
+     * @param {Number | Object} p4 Either the index or value of a TYPE_POINT
      * @returns {CreateInfo} The creation info
      */
-    static from(dependencies = {}, params = {}, ignoreInvalids = false) {
-        return CreateInfo.new("f", dependencies, params, ignoreInvalids);
+    static fromPoints(p0, p1, p2, p3, p4) {
+        return CreateInfo.new("ppppp", { p0, p1, p2, p3, p4 });
     }
 
     /**
-     * Computes the result of this.f on the given arguments
-     * @param {CreateInfo} createInfo The creation info
-     * @returns The result of this.f(dependencies, params)
+     * Compute the conic section
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} The conic of type TYPE_ELLIPSE, TYPE_PARABOLA or TYPE_HYPERBOLA or INVALID, if it is degenerate
      */
-    compute(createInfo) {
-        const { dependencies, params } = createInfo;
-        if (createInfo.name === "f") {
-            return this.f(dependencies, params);
+    compute(info) {
+        const { dependencies } = info;
+        if (info.name === "ppppp") {
+            const { p0, p1, p2, p3, p4 } = dependencies;
+            const points = [p0, p1, p2, p3, p4];
+            assertExistsAndNotOptional(...points);
+            for (const p of points) {
+                assertType(p, TYPE_POINT);
+            }
+
+            const implicit = calcConicFromPoints(points);
+            if (!implicit) {
+                return INVALID;
+            }
+            const conic = convertImplicitToConic(implicit);
+            if (!conic) {
+                return INVALID;
+            }
+            if (conic.type === TYPE_ELLIPSE) {
+                return conic;
+            }
+
+            // choose the parameter range to contain all points
+            let params;
+            if (conic.type === TYPE_PARABOLA) {
+                params = convertPointToLocalConic(points, conic.vertex, conic.rotation).map(q => q.y);
+            } else {
+                params = convertPointToLocalConic(points, conic.center, conic.rotation).map(q => Math.asinh(q.y / conic.b));
+            }
+            const min = Math.min(...params);
+            const max = Math.max(...params);
+            const ext = Math.max(max - min, 1E-3) * this.extend;
+            conic.tMin = min - ext;
+            conic.tMax = max + ext;
+            return conic;
         } else {
             throw new Error("No suitable constructor");
         }
@@ -8310,2111 +15943,2644 @@ class DefFunc {
 }
 
 /**
- * Definition of a line.
- * A line is defined by two points. The line might be extended to infinity for the first, second, neither or both of those two points
+ * Definition of the graph of a function y = f(x) over an x-interval
  */
-class DefLine {
-
+class DefFunctionGraph {
     /**
      * Default values
+     * @param {Function} f The function to be computed. 
+     * The function will be called like f(x, dependencies, params), where those parameters are specified by the creation info
      * @param {Object} params
-     * @param {{x:Number, y:Number}} p0 The first point on the line
-     * @param {{x:Number, y:Number}} p1 The second point on the line
-     * @param {Boolean} leftOpen Whether the line is extended from the first point
-     * @param {Boolean} rightOpen Whether the line is extended from the second point
+     * @param {Number} [params.xMin = -10] The start of the x-interval
+     * @param {Number} [params.xMax = 10] The end of the x-interval
      */
-    constructor({
-        p0 = { x: 0, y: 0 }, p1 = { x: 0, y: 0 },
-        leftOpen = false,
-        rightOpen = false,
+    constructor(f, {
+        xMin = -10,
+        xMax = 10,
     } = {}) {
-        this.p0 = p0;
-        this.p1 = p1;
-        this.leftOpen = leftOpen;
-        this.rightOpen = rightOpen;
-    }
-    /**
-     * Computes a line from a vector.
-     * The line is extended through the vector reference point and in its direction
-     * @param {Number | Object} v Either the index or value of a TYPE_VECTOR. The vector
-     * @returns {CreateInfo} The creation info
-     */
-    static fromVector(v) {
-        return CreateInfo.new("v", { v });
-    }
-    /**
-     * Computes a line from a point in the direction of a vector.
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The starting point
-     * @param {Number | Object} v Either the index or value of a TYPE_VECTOR. The vector direction
-     * @returns {CreateInfo} The creation info
-     */
-    static fromPointVector(p, v) {
-        return CreateInfo.new("pv", {
-            p, v
-        });
+        this.f = f;
+        this.xMin = xMin;
+        this.xMax = xMax;
     }
+
     /**
-     * Computes a line through two points
-     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The starting point
-     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The end point
+     * Create a function graph over an interval
+     * @param {Object} params
+     * @param {Number | Object} [params.xMin] Either the index or value of a TYPE_NUMBER. The start of the x-interval
+     * @param {Number | Object} [params.xMax] Either the index or value of a TYPE_NUMBER. The end of the x-interval
+     * @param {Object} [params.dependencies] Either the indices or values of additional objects the function depends on. 
+     * The names xMin and xMax are reserved
+     * @param {Object} [params.params] Additional parameters
      * @returns {CreateInfo} The creation info
      */
-    static fromPoints(p0, p1) {
-        return CreateInfo.new("pp", {
-            p0, p1
-        });
+    static fromInterval({
+        xMin = EMPTY,
+        xMax = EMPTY,
+        dependencies = {},
+        params = {},
+    } = {}) {
+        return CreateInfo.new("i", {
+            ...dependencies,
+            xMin,
+            xMax,
+        }, params);
     }
 
     /**
-     * Compute the line
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} An object of type TYPE_LINE
+     * Compute the function graph
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} The function graph of type TYPE_FUNCTION_GRAPH or INVALID, if the interval is empty
      */
-    compute(createInfo) {
+    compute(info) {
+        let {
+            xMin,
+            xMax,
+        } = this;
 
-        const { dependencies } = createInfo;
-        let { p0, p1, leftOpen, rightOpen } = this;
+        const { dependencies, params } = info;
+        if (info.name === "i") {
+            const {
+                xMin: xMinN,
+                xMax: xMaxN,
+            } = dependencies;
 
-        if (createInfo.name === "v") {
-            const { v } = dependencies;
-            if (v.type !== TYPE_VECTOR) {
-                throw new Error(`Require vector, got ${v.type} `);
+            if (!isParamEmpty(xMinN)) {
+                assertType(xMinN, TYPE_NUMBER);
+                xMin = xMinN.value;
             }
 
-            p0 = v.ref;
-            p1 = vAdd(p0, v);
-        } else if (createInfo.name === "pv") {
-            const { p, v } = dependencies;
-            if (p.type !== TYPE_POINT) {
-                throw new Error(`Require point, got ${p.type} `);
+            if (!isParamEmpty(xMaxN)) {
+                assertType(xMaxN, TYPE_NUMBER);
+                xMax = xMaxN.value;
             }
-            if (v.type !== TYPE_VECTOR) {
-                throw new Error(`Require vector, got ${v.type} `);
-            }
-
-            p0 = p;
-            p1 = vAdd(p0, v);
+        } else if (info !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
 
-        } else if (createInfo.name === "pp") {
-            const { p0: q0, p1: q1 } = dependencies;
-            if (q0.type !== TYPE_POINT) {
-                throw new Error(`Require point, got ${q0.type} `);
-            }
-            if (q1.type !== TYPE_POINT) {
-                throw new Error(`Require vector, got ${q1.type} `);
-            }
-            p0 = q0;
-            p1 = q1;
-        } else if (createInfo !== EMPTY_INFO) {
-            throw new Error("No suitable LineSegment constructor found");
+        if (!(xMin < xMax)) {
+            return INVALID;
         }
 
-        return makeLine({
-            p0, p1, leftOpen, rightOpen
+        return makeFunctionGraph({
+            f: x => this.f(x, dependencies, params),
+            xMin,
+            xMax,
         });
     }
 }
+
 /**
- * Definition of a line strip, defined by a sequence of points
+ * Definition of a parametric curve [x(t), y(t)] over a parameter interval
  */
-class DefLineStrip {
-
+class DefParametricCurve {
     /**
-     * Default value
-     * @param {Array<{x:Number, y:Number}>} points An array of points
+     * Default values
+     * @param {Function} fx The x-coordinate function. 
+     * The function will be called like fx(t, dependencies, params), where those parameters are specified by the creation info
+     * @param {Function} fy The y-coordinate function. 
+     * The function will be called like fy(t, dependencies, params), where those parameters are specified by the creation info
+     * @param {Object} params
+     * @param {Number} [params.tMin = 0] The start of the parameter interval
+     * @param {Number} [params.tMax = 1] The end of the parameter interval
      */
-    constructor(points = []) {
-        this.points = points;
+    constructor(fx, fy, {
+        tMin = 0,
+        tMax = 1,
+    } = {}) {
+        this.fx = fx;
+        this.fy = fy;
+        this.tMin = tMin;
+        this.tMax = tMax;
     }
 
     /**
-     * Computes a line strip from an array of points
-     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the line strip of
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this line strip
-     * @returns {CreateInfo} The creation info
-     */
-    static fromPoints(points, attach = false) {
-        return CreateInfo.new("p", points, { attach });
-    }
-    /**
-     * Computes a line strip from an array of points stored as a value
-     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this line strip
-     * @returns {CreateInfo} The creation info
-     */
-    static fromPointArray(pointArray, attach = false) {
-        return CreateInfo.new("pa", { pointArray }, { attach });
-    }
-    /**
-     * Computes a line strip from the points of a polygon
-     * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this line strip
+     * Create a parametric curve over an interval
+     * @param {Object} params
+     * @param {Number | Object} [params.tMin] Either the index or value of a TYPE_NUMBER. The start of the parameter interval
+     * @param {Number | Object} [params.tMax] Either the index or value of a TYPE_NUMBER. The end of the parameter interval
+     * @param {Object} [params.dependencies] Either the indices or values of additional objects the functions depend on. 
+     * The names tMin and tMax are reserved
+     * @param {Object} [params.params] Additional parameters
      * @returns {CreateInfo} The creation info
      */
-    static fromPolygon(poly, attach = false) {
-        return CreateInfo.new("poly", { poly }, { attach });
+    static fromInterval({
+        tMin = EMPTY,
+        tMax = EMPTY,
+        dependencies = {},
+        params = {},
+    } = {}) {
+        return CreateInfo.new("i", {
+            ...dependencies,
+            tMin,
+            tMax,
+        }, params);
     }
 
     /**
-     * Computes the line strip
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} A line strip of type TYPE_LINE_STRIP
+     * Compute the parametric curve
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} The parametric curve of type TYPE_PARAMETRIC_CURVE or INVALID, if the interval is empty
      */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        let { points } = this;
-        const { attach } = createInfo.params;
-
-        if (createInfo.name === "p") {
-            if (!attach) {
-                points = [];
-            } else {
-                points = [...points];
-            }
-            for (const p of dependencies) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-                points.push(p);
-            }
-        } else if (createInfo.name === "poly") {
-            const { poly } = dependencies;
-            assertExistsAndNotOptional(poly);
-            assertType(poly, TYPE_POLYGON);
-
-            if (!attach) {
-                points = [...poly.points];
-            } else {
-                points.push(...poly.points);
-            }
-        } else if (createInfo.name === "pa") {
-            const { pointArray } = dependencies;
-            assertExistsAndNotOptional(pointArray);
-            if (!Array.isArray(pointArray)) {
-                throw new Error("Expected array");
-            }
+    compute(info) {
+        let {
+            tMin,
+            tMax,
+        } = this;
 
-            for (const p of pointArray) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
+        const { dependencies, params } = info;
+        if (info.name === "i") {
+            const {
+                tMin: tMinN,
+                tMax: tMaxN,
+            } = dependencies;
+
+            if (!isParamEmpty(tMinN)) {
+                assertType(tMinN, TYPE_NUMBER);
+                tMin = tMinN.value;
             }
-            if (attach) {
-                points = [...points, ...pointArray];
-            } else {
-                points = pointArray;
+
+            if (!isParamEmpty(tMaxN)) {
+                assertType(tMaxN, TYPE_NUMBER);
+                tMax = tMaxN.value;
             }
-        } else if (createInfo !== EMPTY_INFO) {
+        } else if (info !== EMPTY_INFO) {
             throw new Error("No suitable constructor");
         }
 
-        return makeLineStrip({ points });
+        if (!(tMin < tMax)) {
+            return INVALID;
+        }
+
+        return makeParametricCurve({
+            fx: t => this.fx(t, dependencies, params),
+            fy: t => this.fy(t, dependencies, params),
+            tMin,
+            tMax,
+        });
     }
 }
+
 /**
- * Definition of a polyon.
- * A polygon is specified by its vertices and differs from a line strip in that it is closed
+ * Definition of an implicit curve f(x,y) = 0 inside of rectangular bounds
  */
-class DefPolygon {
+class DefImplicitCurve {
     /**
-     * Default value
-     * @param {Array<{x:Number, y:Number}>} points An array of points
-     */
-    constructor(points = []) {
-        this.points = points;
+     * Default values
+     * @param {Function} f The function to be computed. 
+     * The function will be called like f(x, y, dependencies, params), where those parameters are specified by the creation info
+     * @param {Object} params
+     * @param {Number} [params.xMin = -10] The minimum x-coordinate of the bounds
+     * @param {Number} [params.xMax = 10] The maximum x-coordinate of the bounds
+     * @param {Number} [params.yMin = -10] The minimum y-coordinate of the bounds
+     * @param {Number} [params.yMax = 10] The maximum y-coordinate of the bounds
+     */
+    constructor(f, {
+        xMin = -10,
+        xMax = 10,
+        yMin = -10,
+        yMax = 10,
+    } = {}) {
+        this.f = f;
+        this.xMin = xMin;
+        this.xMax = xMax;
+        this.yMin = yMin;
+        this.yMax = yMax;
     }
+
     /**
-     * Computes a polygon from an array of points
-     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the polygon of
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this polygon
+     * Create an implicit curve inside of a region
+     * @param {Object} params
+     * @param {Number | Object} [params.xMin] Either the index or value of a TYPE_NUMBER. The minimum x-coordinate of the bounds
+     * @param {Number | Object} [params.xMax] Either the index or value of a TYPE_NUMBER. The maximum x-coordinate of the bounds
+     * @param {Number | Object} [params.yMin] Either the index or value of a TYPE_NUMBER. The minimum y-coordinate of the bounds
+     * @param {Number | Object} [params.yMax] Either the index or value of a TYPE_NUMBER. The maximum y-coordinate of the bounds
+     * @param {Object} [params.dependencies] Either the indices or values of additional objects the function depends on. 
+     * The names xMin, xMax, yMin and yMax are reserved
+     * @param {Object} [params.params] Additional parameters
      * @returns {CreateInfo} The creation info
      */
-    static fromPoints(points, attach = false) {
-        return CreateInfo.new("p", points, { attach });
+    static fromRegion({
+        xMin = EMPTY,
+        xMax = EMPTY,
+        yMin = EMPTY,
+        yMax = EMPTY,
+        dependencies = {},
+        params = {},
+    } = {}) {
+        return CreateInfo.new("r", {
+            ...dependencies,
+            xMin,
+            xMax,
+            yMin,
+            yMax,
+        }, params);
     }
+
     /**
-     * Computes a polygon from an array of points stored as a value
-     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this polygon
-     * @returns {CreateInfo} The creation info
+     * Compute the implicit curve
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} The implicit curve of type TYPE_IMPLICIT_CURVE or INVALID, if the bounds are empty
      */
-    static fromPointArray(pointArray, attach = false) {
-        return CreateInfo.new("pa", { pointArray }, { attach });
+    compute(info) {
+        let {
+            xMin,
+            xMax,
+            yMin,
+            yMax,
+        } = this;
+
+        const { dependencies, params } = info;
+        if (info.name === "r") {
+            const {
+                xMin: xMinN,
+                xMax: xMaxN,
+                yMin: yMinN,
+                yMax: yMaxN,
+            } = dependencies;
+
+            if (!isParamEmpty(xMinN)) {
+                assertType(xMinN, TYPE_NUMBER);
+                xMin = xMinN.value;
+            }
+
+            if (!isParamEmpty(xMaxN)) {
+                assertType(xMaxN, TYPE_NUMBER);
+                xMax = xMaxN.value;
+            }
+
+            if (!isParamEmpty(yMinN)) {
+                assertType(yMinN, TYPE_NUMBER);
+                yMin = yMinN.value;
+            }
+
+            if (!isParamEmpty(yMaxN)) {
+                assertType(yMaxN, TYPE_NUMBER);
+                yMax = yMaxN.value;
+            }
+        } else if (info !== EMPTY_INFO) {
+            throw new Error("No suitable constructor");
+        }
+
+        if (!(xMin < xMax) || !(yMin < yMax)) {
+            return INVALID;
+        }
+
+        return makeImplicitCurve({
+            f: (x, y) => this.f(x, y, dependencies, params),
+            xMin,
+            xMax,
+            yMin,
+            yMax,
+        });
     }
+}
+
+/**
+ * Definition of a closest point to some given point.
+ * Supported types can be found at @see{ClosestPointRegistry}
+ */
+class DefClosestPoint {
     /**
-     * Computes a polygon from the points of a line strip
-     * @param {Number | Object} poly Either the index or value of a TYPE_LINE_STRIP. The line strip
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this polygon
+     * Compute the closest point on an object. 
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The query point
+     * @param {Number | Object} obj Either the index or value of an object. The object on which the closest point should be found
      * @returns {CreateInfo} The creation info
      */
-    static fromLineStrip(lineStrip, attach = false) {
-        return CreateInfo.new("ls", { lineStrip }, { attach });
+    static fromObject(p, obj) {
+        return CreateInfo.new("o", { p, obj });
     }
-
     /**
-     * Computes a polygon by clipping another polygon at a line
-     * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon to be clipped
-     * @param {Number | Object} line Either the index or value of a TYPE_LINE. The line to be clipped at
+     * Compute the closest point on a collection of object. Supported types can be found at @see{ClosestPointRegistry}.
+     * Be careful, as this might be slow to compute, depending on the number and types of the objects
+     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The query point
+     * @param {Array | Object} collection Either the indices or values of objects. The objects on which the closest point should be found
      * @returns {CreateInfo} The creation info
      */
-    static fromClipLine(poly, line) {
-        return CreateInfo.new("cl", { poly, line });
-    }
-    /**
-       * Computes a polygon by clipping another polygon at a line given by a point and normal
-       * If the point is not given, the vectors reference point is used
-       * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon to be clipped
-       * @param {Object} params
-       * @param {Number | Object} [params.p] Either the index or value of a TYPE_POINT. A point on the clipping line
-       * @param {Number | Object} params.n Either the index or value of a TYPE_VECTOR. The clipping line normal
-       * @returns {CreateInfo} The creation info
-       */
-    static fromClipPointNormal(poly, { p = EMPTY, n } = {}) {
-        return CreateInfo.new("cpn", { poly, p, n });
+    static fromCollection(p, collection) {
+        const obj = [p];
+        if (Array.isArray(collection)) {
+            obj.push(...collection);
+        } else {
+            // move all values inside
+            for (const key of Object.keys(collection)) {
+                obj.push(collection[key]);
+            }
+        }
+        return CreateInfo.new("mo", obj);
     }
 
     /**
-    * Computes a polygon by clipping another polygon at a convex clip polygon
-    * @param {Number | Object} poly Either the index or value of a TYPE_POLYGON. The polygon to be clipped
-    * @param {Number | Object} clipPoly Either the index or value of a TYPE_POLYGON. The polygon to be clipped at. Must be convex
-    * @returns {CreateInfo} The creation info
-    */
-    static fromClipPoly(poly, clipPoly) {
-        return CreateInfo.new("clp", { poly, clipPoly });
-    }
+     * Compute the closest point
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object} The closet point of type TYPE_POINT
+     */
+    compute(createInfo) {
+        const { dependencies } = createInfo;
+        let c = null;
+        if (createInfo.name === "o") {
+            const { p, obj } = dependencies;
+            assertExistsAndNotOptional(p, obj);
+            assertType(p, TYPE_POINT);
 
-    /**
-    * Computes a polygon by clipping another polygon at a convex clip polygon
-    * @param {Number | Object | Array<Number> | Array<Object>} points Either the index or value of a TYPE_POINT or array of TYPE_POINT values. Parameter can be an array of such values. The points form which to compute the convex hull
-    * @returns {CreateInfo} The creation info
-    */
-    static fromConvexHull(points) {
-        if (!Array.isArray(points)) {
-            points = [points];
+            c = ClosestPointRegistry.closestPoint(p, obj);
+
+        } else if (createInfo.name === "mo") {
+            const [p, ...collection] = dependencies;
+            assertExistsAndNotOptional(p, ...collection);
+            assertType(p, TYPE_POINT);
+            let minDist = Infinity;
+            for (const o of collection) {
+                assertExistsAndNotOptional(o);
+                const cp = ClosestPointRegistry.closestPoint(p, o);
+                if (!cp) {
+                    continue;
+                }
+                const d = vLen2(vSub(cp, p));
+                if (d < minDist) {
+                    minDist = d;
+                    c = cp;
+                }
+            }
+        } else {
+            throw new Error("No suitable constructor found");
         }
-        return CreateInfo.new("cnv", points);
+
+        if (!c) {
+            // there should always be a closest point, but there might be multiple ones or some other issues
+            return INVALID;
+        }
+        return c;
     }
+}
 
+/**
+ * Definition of the intersection of two objects.
+ * Supported types can be found at @see{IntersectionRegistry}
+ */
+class DefIntersection {
     /**
-     * Computes the polygon
+     * Compute the intersection points of two objects
+     * @param {Number | Object} obj0 Either the index or value of an object
+     * @param {Number | Object} obj1 Either the index or value of an object
+     * @param {Object} params
+     * @param {Number} [params.takeIndex] The index of the intersection to use. 
+     * If < 0, then the returned result will be used. 
+     * If = 0, either the first entry in an intersection array or the intersection point will be returned, depending on the return type of the intersector
+     * If > 0, the indicated index in an array of intersections
+     * 
+     * If any requested intersection does not exist (for example requesting the second point, when only one exists) will result in INVALID
+     * @returns {CreateInfo} The creation info
+     */
+    static fromObjects(obj0, obj1, {
+        takeIndex = -1,
+    } = {}) {
+        return CreateInfo.new("o", { obj0, obj1 }, { takeIndex });
+    }
+    /**
+     * Compute the intersection points
      * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} A polygon of type TYPE_POLYGON
+     * @returns {Object | Array} The intersection points. Some intersectors return a single point and others an array, if multiple intersections can exists. 
+     * Points are of type TYPE_POINT
      */
     compute(createInfo) {
-        const { dependencies } = createInfo;
-        let { points } = this;
-        const { attach } = createInfo.params;
+        const { dependencies, params } = createInfo;
 
-        if (createInfo.name === "p") {
-            if (!attach) {
-                points = [];
-            } else {
-                points = [...points];
-            }
-            for (const p of dependencies) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-                points.push(p);
-            }
-        } else if (createInfo.name === "ls") {
-            const { lineStrip } = dependencies;
-            assertExistsAndNotOptional(lineStrip);
-            assertType(lineStrip, TYPE_LINE_STRIP);
-            if (!attach) {
-                points = [...lineStrip.points];
-            } else {
-                points.push(...points);
-            }
-        } else if (createInfo.name === "pa") {
-            const { pointArray } = dependencies;
-            assertExistsAndNotOptional(pointArray);
-            if (!Array.isArray(pointArray)) {
-                throw new Error("Expected array");
-            }
+        if (createInfo.name === "o") {
+            const { obj0, obj1 } = dependencies;
+            const { takeIndex } = params;
+            assertExistsAndNotOptional(obj0, obj1);
 
-            for (const p of pointArray) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-            }
-            if (attach) {
-                points = [...points, ...pointArray];
-            } else {
-                points = pointArray;
-            }
-        } else if (createInfo.name === "cl") {
-            const { poly, line } = dependencies;
-            assertExistsAndNotOptional(poly, line);
-            assertType(poly, TYPE_POLYGON);
-            assertType(line, TYPE_LINE);
-            const { p0, p1 } = line;
-            const v = Vec2.sub(p1, p0);
-            const n = Vec2.normal2D(v);
-            const plane = computePlane(p0, n);
-            points = clipPolygonAtPlane(poly.points, plane);
+            let result = IntersectionRegistry.intersect(obj0, obj1);
+
+            if (!result) {
+                return INVALID;
+            }
 
-        } else if (createInfo.name === "cpn") {
-            const { poly, p, n } = dependencies;
-            assertExistsAndNotOptional(poly, n);
-            assertType(poly, TYPE_POLYGON);
-            assertType(n, TYPE_VECTOR);
-            let p0 = n.ref;
-            if (!isParamEmpty(p)) {
-                assertType(p, TYPE_POINT);
-                p0 = p;
+            if (!Array.isArray(result)) {
+                result = [result];
             }
-            const plane = computePlane(p0, n);
-            points = clipPolygonAtPlane(poly.points, plane);
 
-        } else if (createInfo.name === "clp") {
-            const { poly, clipPoly } = dependencies;
-            assertExistsAndNotOptional(poly, clipPoly);
-            assertType(poly, TYPE_POLYGON);
-            assertType(clipPoly, TYPE_POLYGON);
+            if (takeIndex >= 0) {
 
-            points = clipPolygonAtPolygon(poly.points, clipPoly.points);
-        } else if (createInfo.name === "cnv") {
-            const input = dependencies;
-            assertExistsAndNotOptional(input);
+                if (takeIndex >= result.length) {
+                    return INVALID;
+                }
 
-            // must be an array
-            if (!Array.isArray(input)) {
-                return INVALID;
+                return result[takeIndex];
             }
+            return result;
+        } else {
+            throw new Error("No suitable constructor found");
+        }
+    }
+}
 
-            const finalPoints = [];
-            for (let i = 0; i < input.length; i++) {
-                const pi = input[i];
-                if (Array.isArray(pi)) {
-                    for (let j = 0; j < pi.length; j++) {
-                        const pj = pi[j];
-                        assertExistsAndNotOptional(pj);
-                        assertType(pj, TYPE_POINT);
-                        finalPoints.push(pj);
-                    }
+/**
+ * Defines an array consisting of other object values
+ */
+class DefArray {
+    /**
+     * Make an array out of objects
+     * @param {Object | Array} objects Either the indices or values of objects stored in an array or shallow object
+     * @param {Object} params
+     * @param {Boolean} [params.filterOutInvalid] If true, INVALID values will not be included in the result
+     * @param {Boolean} [params.filterOutEmpty] If true, EMPTY values will not be included in the result
+     * @param {Boolean} [params.filterOutNull] If true, null values will not be included in the result
+     * @param {Boolean} [params.appendArrayDependencies] If true, arrays will not be treated as single elements, but the array elements will be appended to the results
+     * @param {Boolean} [params.ignoreInvalids] If true, the array will be constructed, even if there are any INVALID dependencies
+     * @returns {CreateInfo} The creation info
+     */
+    static fromObjects(objects, {
+        filterOutInvalid = true,
+        filterOutEmpty = true,
+        filterOutNull = true,
+        appendArrayDependencies = false,
+        ignoreInvalids = false } = {}) {
+        return CreateInfo.new("o", objects, {
+            filterOutInvalid, filterOutEmpty, filterOutNull,
+            appendArrayDependencies
+        }, ignoreInvalids);
+    }
+
+    /**
+     * Create the array value
+     * @param {CreateInfo} info The creation info
+     * @returns {Array} An array containing the specified objects
+     */
+    compute(info) {
+        const { dependencies } = info;
+        const { params } = info;
+
+        if (info.name === "o") {
+            const { filterOutInvalid, filterOutEmpty,
+                filterOutNull, appendArrayDependencies } = params;
+            const result = [];
+
+            for (const key of Object.keys(dependencies)) {
+                let o = dependencies[key];
+                if (o === null && filterOutNull) {
+                    continue;
+                }
+                if (o === EMPTY && filterOutEmpty) {
+                    continue;
+                }
+                if (o === INVALID && filterOutInvalid) {
+                    continue;
+                }
+                if (appendArrayDependencies && Array.isArray(o)) {
+                    result.push(...o);
                 } else {
-                    assertExistsAndNotOptional(pi);
-                    assertType(pi, TYPE_POINT);
-                    finalPoints.push(pi);
+                    result.push(o);
                 }
             }
-            points = calcConvexHull(finalPoints);
-            if (points.length < 3) {
-                return INVALID;
-            }
-        }
-        else if (createInfo !== EMPTY_INFO) {
+            return result;
+        } else {
             throw new Error("No suitable constructor");
         }
-
-        return makePolygon({ points });
     }
 }
+
 /**
- * Definition of a Bezier curve.
- * A Bezier curve is specified by its control points
+ * Definition of a linear interpolation between two objects of the same type by some parameter t.
+ * 
+ * Supported types are (type of interpolation in brackets):
+ * TYPE_NUMBER (value)
+ * TYPE_POINT (coordinates)
+ * TYPE_VECTOR (coordinates and reference point)
+ * TYPE_POLAR (coordinates)
+ * TYPE_ANGLE (angle, start and reference point)
+ * TYPE_ARC (center, radius, start angle, end angle)
+ * TYPE_ELLIPSE (center, eccentricities, start angle, end angle, rotation)
+ * TYPE_LINE (points, Opennness is determined by logical OR)
+ * TYPE_LINE_STRIP (points)
+ * TYPE_POLYGON (points)
+ * TYPE_BEZIER (points)
+ * TYPE_BEZIER_SPLINE (points)
  */
-class DefBezier {
+class DefInterpolate {
     /**
      * Default value
-     * @param {Array<{x:Number, y:Number}>} points An array of control points
+     * @param {Number} [t] 
      */
-    constructor(points = []) {
-        this.points = points;
+    constructor(t = 0.5) {
+        this.t = t;
     }
     /**
-     * Computes a Bezier curve from an array of control points
-     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the Bezier curve of
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier curve
+     * Compute the interpolation of two objects
+     * @param {Number | Object} obj0 Either the index or value of an object
+     * @param {Number | Object} obj1 Either the index or value of an object
+     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The interpolation parameter in [0,1]
      * @returns {CreateInfo} The creation info
      */
-    static fromPoints(points, attach = false) {
-        return CreateInfo.new("p", points, { attach });
+    static fromObjects(obj0, obj1, t = EMPTY) {
+        return CreateInfo.new("o", { obj0, obj1, t });
     }
     /**
-     * Computes a Bezier curve from an array of control points stored as a value
-     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier curve
-     * @returns {CreateInfo} The creation info
-     */
-    static fromPointArray(pointArray, attach = false) {
-        return CreateInfo.new("pa", { pointArray }, { attach });
+      * Compute the interpolation of an angle
+      * The interpolation interpolates from start to start + value
+      * @param {Number | Object} angle Either the index or value of a TYPE_ANGLE. The angle to be interpolated
+      * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The interpolation parameter in [0,1]
+      * @returns {CreateInfo} The creation info
+      */
+    static fromAngle(angle, t = EMPTY) {
+        return CreateInfo.new("ang", { angle, t });
     }
 
     /**
-     * Computes a Cubic Hermite Bezier curve
-     * @param {Number | Object} p0 Either the index or value of an array of points of type TYPE_POINT. The point array
-     * @param {Number | Object} t0 Either the index or value of an array of points of type TYPE_VECTOR. The point array
-     * @param {Number | Object} p1 Either the index or value of an array of points of type TYPE_POINT. The point array
-     * @param {Number | Object} t1 Either the index or value of an array of points of type TYPE_VECTOR. The point array
-     * @returns {CreateInfo} The creation info
+     * Compute the interpolation
+     * @param {CreateInfo} info The creation info
+     * @returns {Object} The interpolated object
      */
-    static fromHermite(p0, t0, p1, t1) {
-        return CreateInfo.new("hm", { p0, t0, p1, t1 });
+    compute(info) {
+        const { dependencies } = info;
+        let { t } = this;
+
+        if (info.name === "o") {
+            const { obj0, obj1, t: tN } = dependencies;
+
+            assertExistsAndNotOptional(obj0, obj1);
+
+            if (!isParamEmpty(tN)) {
+                assertType(tN, TYPE_NUMBER);
+                t = tN.value;
+            }
+
+            if (obj0.type !== obj1.type) {
+                throw new Error("Interpolation only defined for objects of same type");
+            }
+
+            const type = obj0.type;
+
+            const ti = 1 - t;
+            if (type === TYPE_NUMBER) {
+                return makeNumber(ti * obj0.value + t * obj1.vallue);
+            } else if (type === TYPE_POINT) {
+                const pt = vLerp(obj0, obj1, t);
+                return makePoint(pt);
+            } else if (type === TYPE_VECTOR) {
+                const vt = vLerp(obj0, obj1, t);
+                const pt = vLerp(obj0.ref, obj1.ref, t);
+                return makeVector({ x: vt.x, y: vt.y, ref: pt });
+            } else if (type === TYPE_POLAR) {
+                const rt = ti * obj0.r + t * obj1.r;
+                const at = ti * obj0.alpha + t * obj1.alpha;
+                return makePolarCoordinate({ r: rt, alpha: at });
+            } else if (type === TYPE_ANGLE) {
+                const vt = ti * obj0.value + t * obj1.value;
+                const st = ti * obj0.start + t * obj1.start;
+                const pt = vLerp(obj0.ref, obj1.ref, t);
+
+                return makeAngle({ value: vt, start: st, ref: pt });
+            } else if (type === TYPE_ARC) {
+                const rt = ti * obj0.r + t * obj1.r;
+                const startT = ti * obj0.startAngle + t * obj1.startAngle;
+                const endT = ti * obj0.endAngle + t * obj1.endAngle;
+                const pt = vLerp(obj0.center, obj1.center, t);
+
+                return makeArc({ r: rt, startAngle: startT, endAngle: endT, center: pt });
+            } else if (type === TYPE_ELLIPSE) {
+                const rxT = ti * obj0.rx + t * obj1.rx;
+                const ryT = ti * obj0.ry + t * obj1.ry;
+                const rotT = ti * obj0.rotation + t * obj1.rotation;
+                const startT = ti * obj0.startAngle + t * obj1.startAngle;
+                const endT = ti * obj0.endAngle + t * obj1.endAngle;
+                const pt = vLerp(obj0.center, obj1.center, t);
+
+                return makeEllipse({ center: pt, rx: rxT, ry: ryT, startAngle: startT, endAngle: endT, rotation: rotT });
+            } else if (type === TYPE_LINE) {
+                const p0 = vLerp(obj0.p0, obj1.p0, t);
+                const p1 = vLerp(obj0.p1, obj1.p1, t);
+                return makeLine({ p0, p1, leftOpen: (obj0.leftOpen || obj1.leftOpen), rightOpen: (obj0.rightOpen || obj1.rightOpen) });
+            } else if (type === TYPE_LINE_STRIP) {
+                const points0 = obj0.points;
+                const points1 = obj1.points;
+
+                if (points0.length !== points1.length) {
+                    throw new Error("Interpolated points number must be the same");
+                }
+
+                const result = new Array(points0.length);
+                points0.forEach((v, idx) => {
+                    result[idx] = vLerp(v, points1[idx]);
+                });
+                return makeLineStrip({ points: result });
+            } else if (type === TYPE_POLYGON) {
+                const points0 = obj0.points;
+                const points1 = obj1.points;
 
-    }
+                if (points0.length !== points1.length) {
+                    throw new Error("Interpolated points number must be the same");
+                }
 
-    /**
-     * Converts a hermite to a Bezier curve
-     * @param {{x:Number, y:Number}} p0 The first point
-     * @param {{x:Number, y:Number}} t0 The first tangent
-     * @param {{x:Number, y:Number}} p1 The second point
-     * @param {{x:Number, y:Number}} t1 The second tangent
-     * @returns {Array<{x:Number, y:Number}>} The equivalent cubic Bezier control points
-     */
-    static hermiteToCubic(p0, t0, p1, t1) {
-        const q0 = p0;
-        const q1 = Vec2.add(p0, Vec2.scale(t0, 1.0 / 3.0));
-        const q2 = Vec2.sub(p1, Vec2.scale(t1, 1.0 / 3.0));
-        const q3 = p1;
+                const result = new Array(points0.length);
+                points0.forEach((v, idx) => {
+                    result[idx] = vLerp(v, points1[idx]);
+                });
+                return makePolygon({ points: result });
+            } else if (type === TYPE_BEZIER) {
+                const points0 = obj0.points;
+                const points1 = obj1.points;
 
-        return [q0, q1, q2, q3];
-    }
+                if (points0.length !== points1.length) {
+                    throw new Error("Interpolated points number must be the same");
+                }
 
-    /**
-     * Computes the Bezier curve
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} A Bezier curve of type TYPE_BEZIER
-     */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        let { points } = this;
-        const { attach } = createInfo.params;
+                const result = new Array(points0.length);
+                points0.forEach((v, idx) => {
+                    result[idx] = vLerp(v, points1[idx]);
+                });
+                return makeBezier({ points: result });
+            } else if (type === TYPE_BEZIER_SPLINE) {
+                const points0 = obj0.points;
+                const points1 = obj1.points;
 
-        if (createInfo.name === "p") {
-            if (!attach) {
-                points = [];
+                if (points0.length !== points1.length) {
+                    throw new Error("Interpolated points number must be the same");
+                }
+
+                if (obj0.degree !== obj1.degree) {
+                    throw new Error("Interpolation of Bezier splines requires same degree");
+                }
+
+                const result = new Array(points0.length);
+                points0.forEach((v, idx) => {
+                    result[idx] = vLerp(v, points1[idx]);
+                });
+                return makeBezierSpline({ points: result, degree: obj0.degree });
             } else {
-                points = [...points];
-            }
-            for (const p of dependencies) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-                points.push(p);
-            }
-        } else if (createInfo.name === "pa") {
-            const { pointArray } = dependencies;
-            assertExistsAndNotOptional(pointArray);
-            if (!Array.isArray(pointArray)) {
-                throw new Error("Expected array");
+                throw new Error(`Interpolation of given type ${type} not supported`);
             }
 
-            for (const p of pointArray) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-            }
-            if (attach) {
-                points = [...points, ...pointArray];
-            } else {
-                points = pointArray;
+
+        } else if (info.name === "ang") {
+            const { angle, t: tN } = dependencies;
+            assertExistsAndNotOptional(angle);
+            assertType(angle, TYPE_ANGLE);
+
+            if (!isParamEmpty(tN)) {
+                assertType(tN, TYPE_NUMBER);
+                t = tN.value;
             }
-        } else if (createInfo.name === "hm") {
 
-            const { p0, t0, p1, t1 } = dependencies;
-            assertExistsAndNotOptional(p0, t0, p1, t1);
-            assertType(p0, TYPE_POINT);
-            assertType(t0, TYPE_VECTOR);
-            assertType(p1, TYPE_POINT);
-            assertType(t1, TYPE_VECTOR);
+            const { start, value, ref } = angle;
 
-            points = DefBezier.hermiteToCubic(p0, t0, p1, t1);
-        } else if (createInfo !== EMPTY_INFO) {
-            throw new Error("No suitable constructor");
-        }
+            const vt = t * value;
 
-        return makeBezier({ points });
+            return makeAngle({ value: vt, start, ref });
+
+        } else {
+            throw new Error("No suitable construcotr");
+        }
     }
 }
+
 /**
- * Definition of a Bezier spline.
- * A Bezier spline is specified by its control points and degree. It differs from a Bezier curve in that it is a sequence of connected curves.
- * The last control point of each segment is the first control point of the next one
+ * Definition of an affine transformation applied to an object.
+ * A transformation maps a point p to M * p + t, where M is a 2x2 matrix and t a translation.
+ * It can be constructed from translations, rotations, scalings, reflections, a coordinate system or a matrix.
+ * 
+ * Supported objects are:
+ * Point, vector, angle, coordinate system, line, line strip, polygon, arc, ellipse, Bezier, Bezier spline, rational Bezier, NURBS, text, collections and arrays of these.
+ * 
+ * The resulting object has the same type as the input, except for arcs that are transformed by a non-uniform scaling, which will result in an ellipse
  */
-class DefBezierSpline {
+class DefTransform {
+
     /**
-     * Default value
-     * @param {Object} params
-     * @param {Array<{x:Number, y:Number}>} [params.points] An array of control points
-     * @param {Number} [params.degree] The degree of the spline
+     * Translate an object by a vector
+     * @param {Number | Object} obj Either the index or value of an object. The object to transform
+     * @param {Number | Object} v Either the index or value of a TYPE_VECTOR. The translation
+     * @returns {CreateInfo} The creation info
      */
-    constructor({ points = [], degree = 1 } = {}) {
-        this.points = points;
-        this.degree = degree;
+    static fromTranslation(obj, v) {
+        return CreateInfo.new("t", { obj, v });
     }
+
     /**
-     * Computes a Bezier spline from an array of control points
-     * @param {Array<Number | Object>} points Either the indices or values of TYPE_POINT. The points from which to make the Bezier spline of
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier spline
+     * Translate an object by the vector from one point to another
+     * @param {Number | Object} obj Either the index or value of an object. The object to transform
+     * @param {Number | Object} from Either the index or value of a TYPE_POINT. The start of the translation
+     * @param {Number | Object} to Either the index or value of a TYPE_POINT. The end of the translation
      * @returns {CreateInfo} The creation info
      */
-    static fromPoints(points, attach = false) {
-        return CreateInfo.new("p", points, { attach });
+    static fromTranslationPoints(obj, from, to) {
+        return CreateInfo.new("tp", { obj, from, to });
     }
+
     /**
-     * Computes a Bezier spline from an array of control points stored as a value
-     * @param {Number | Object} pointArray Either the index or value of an array of points of type TYPE_POINT. The point array
-     * @param {Boolean} attach Whether the points should be attached to the points already specified for this Bezier spline
+     * Rotate an object around a center
+     * @param {Number | Object} obj Either the index or value of an object. The object to transform
+     * @param {Number | Object} angle Either the index or value of a TYPE_NUMBER or TYPE_ANGLE. The rotation angle. For angles, the angle value is used
+     * @param {Number | Object} [center] Either the index or value of a TYPE_POINT. The center of rotation. Defaults to the origin
      * @returns {CreateInfo} The creation info
      */
-    static fromPointArray(pointArray, attach = false) {
-        return CreateInfo.new("pa", { pointArray }, { attach });
+    static fromRotation(obj, angle, center = EMPTY) {
+        return CreateInfo.new("r", { obj, angle, center });
     }
 
     /**
-    * Computes a Catmull-Rom spline from an array of points. The curve will go through all points.
-    * @param {Array<Number | Object> | Number | Array} points Either the indices or values of TYPE_POINT or the index of value of an array containing points. The points from which to make the Bezier spline of
-    * @returns {CreateInfo} The creation info
-    */
-    static fromCatmullRom(points) {
-        if (!Array.isArray(points)) {
-            points = [points];
-        }
-        return CreateInfo.new("cm", points);
+     * Scale an object relative to a center
+     * @param {Number | Object} obj Either the index or value of an object. The object to transform
+     * @param {Number | Object} scale Either the index or value of a TYPE_NUMBER or TYPE_VECTOR. The scaling factor. A vector specifies separate factors for x and y
+     * @param {Number | Object} [center] Either the index or value of a TYPE_POINT. The center of scaling. Defaults to the origin
+     * @returns {CreateInfo} The creation info
+     */
+    static fromScaling(obj, scale, center = EMPTY) {
+        return CreateInfo.new("s", { obj, scale, center });
     }
 
     /**
-     * Computes the Bezier spline
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} A Bezier spline of type TYPE_BEZIER_SPLINE
+     * Reflect an object along a line or at a point
+     * @param {Number | Object} obj Either the index or value of an object. The object to transform
+     * @param {Number | Object} mirror Either the index or value of a TYPE_LINE, TYPE_VECTOR or TYPE_POINT.
+     * Lines and vectors (attached at their reference point) specify the mirror axis, a point results in a point reflection
+     * @returns {CreateInfo} The creation info
      */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        let { points } = this;
-        let { degree } = this;
-        const { attach } = createInfo.params;
-
-        if (createInfo.name === "p") {
-            if (!attach) {
-                points = [];
-            } else {
-                points = [...points];
-            }
-            for (const p of dependencies) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-                points.push(p);
-            }
-        } else if (createInfo.name === "pa") {
-            const { pointArray } = dependencies;
-            assertExistsAndNotOptional(pointArray);
-            if (!Array.isArray(pointArray)) {
-                throw new Error("Expected array");
-            }
-
-            for (const p of pointArray) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-            }
-            if (attach) {
-                points = [...points, ...pointArray];
-            } else {
-                points = pointArray;
-            }
-        } else if (createInfo.name === "cm") {
-
-            let input = dependencies;
-
-            // we allow the input to be either a number of points or an array containing the points
-            if (input.length === 1 && Array.isArray(input[0])) {
-                input = input[0];
-            }
-
-            for (const p of input) {
-                assertExistsAndNotOptional(p);
-                assertType(p, TYPE_POINT);
-            }
-
-            if (input.length < 2) {
-                throw new Error("Need at least two points for Catmull-Rom spline");
-            }
-            const tangents = [];
-            for (let i = 0; i < input.length; i++) {
-                // compute tangents
-                const il = Math.max(0, i - 1);
-                const ir = Math.min(input.length - 1, i + 1);
-                const t = Vec2.scale(
-                    Vec2.sub(input[ir], input[il]),
-                    0.5
-                );
-
-                tangents.push(t);
-            }
-
-            // convert to piecewise cubics
-            degree = 3;
-            // each curve segment is made from two points and a tangent
-            // the first point is added at the beginning and then ommited
-            points = [input[0]];
-            for (let i = 0; i < input.length - 1; i++) {
-                const p0 = input[i];
-                const t0 = tangents[i];
-                const p1 = input[i + 1];
-                const t1 = tangents[i + 1];
-
-                const [q0, q1, q2, q3] = DefBezier.hermiteToCubic(p0, t0, p1, t1);
-                points.push(q1, q2, q3);
-            }
-
-
-        } else if (createInfo !== EMPTY_INFO) {
-            throw new Error("No suitable constructor");
-        }
-
-        return makeBezierSpline({ points, degree });
+    static fromReflection(obj, mirror) {
+        return CreateInfo.new("m", { obj, mirror });
     }
-}
 
-/**
- * Definition of arc length
- * Computes the arc length of an arc
- */
-class DefArcLength {
     /**
-     * Compute arc length for an arc
-     * @param {Number | Object} arc Either the index or value of a TYPE_ARC
+     * Transform an object from the local coordinates of a coordinate system into world coordinates
+     * @param {Number | Object} obj Either the index or value of an object. The object to transform
+     * @param {Number | Object} coordSystem Either the index or value of a TYPE_COORD_SYSTEM. The coordinate system
      * @returns {CreateInfo} The creation info
      */
-    static fromArc(arc) {
-        return CreateInfo.new("arc", { arc });
+    static fromCoordSystem(obj, coordSystem) {
+        return CreateInfo.new("c", { obj, coordSystem });
     }
 
     /**
-     * Compute arc length for an arc
-     * @param {Number | Object} r Either the index or value of a TYPE_NUMBER. The arc radius
-     * @param {Number | Object} startAngle Either the index or value of a TYPE_NUMBER. The arc starting angle
-     * @param {Number | Object} endAngle Either the index or value of a TYPE_NUMBER. The arc end angle
+     * Transform an object by a 2x3 matrix [[m00, m01, m02], [m10, m11, m12]].
+     * The left 2x2 block is the linear part and the last column the translation
+     * @param {Number | Object} obj Either the index or value of an object. The object to transform
+     * @param {Array<Number[]>} matrix The matrix given as an array of rows
      * @returns {CreateInfo} The creation info
-     */
-    static fromValues(r, startAngle, endAngle) {
-        return CreateInfo.new("v", { r, startAngle, endAngle });
+     */
+    static fromMatrix(obj, matrix) {
+        return CreateInfo.new("mat", { obj }, { matrix });
     }
 
+    /**
+     * Creates an affine transformation
+     * @param {Number} a The first row, first column entry of the linear part
+     * @param {Number} b The first row, second column entry of the linear part
+     * @param {Number} c The second row, first column entry of the linear part
+     * @param {Number} d The second row, second column entry of the linear part
+     * @param {Number} tx The x translation
+     * @param {Number} ty The y translation
+     * @returns {{a:Number, b:Number, c:Number, d:Number, tx:Number, ty:Number}} The transformation
+     */
+    static makeAffine(a = 1, b = 0, c = 0, d = 1, tx = 0, ty = 0) {
+        return { a, b, c, d, tx, ty };
+    }
 
     /**
-     * Compute the arc length of an arc
-     * @param {Number} r The arc radius
-     * @param {Number} startAngle The arc starting angle
-     * @param {Number} endAngle The arc end angle
-     * @returns {Number} The arc length
+     * Creates a transformation that first applies the linear part around a center point
+     * @param {Number} a The first row, first column entry of the linear part
+     * @param {Number} b The first row, second column entry of the linear part
+     * @param {Number} c The second row, first column entry of the linear part
+     * @param {Number} d The second row, second column entry of the linear part
+     * @param {{x:Number, y:Number}} center The fixed point of the transformation
+     * @returns {{a:Number, b:Number, c:Number, d:Number, tx:Number, ty:Number}} The transformation
      */
-    static calcArcLength(r, startAngle, endAngle) {
-        startAngle = normalizeAngle(startAngle);
-        endAngle = normalizeAngle(endAngle);
-        // handle wrap around
-        if (endAngle < startAngle) {
-            endAngle += 2.0 * Math.PI;
-        }
-        const da = endAngle - startAngle;
-        return da * r;
+    static makeAffineAround(a, b, c, d, center) {
+        // M(p - c) + c = Mp + (c - Mc)
+        const tx = center.x - (a * center.x + b * center.y);
+        const ty = center.y - (c * center.x + d * center.y);
+        return DefTransform.makeAffine(a, b, c, d, tx, ty);
     }
 
     /**
-     * Compute the arc length
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The arc length as a TYPE_NUMBER
+     * Transforms a point
+     * @param {{a:Number, b:Number, c:Number, d:Number, tx:Number, ty:Number}} m The transformation
+     * @param {{x:Number, y:Number}} p The point
+     * @returns {{x:Number, y:Number}} The transformed point
      */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        if (createInfo.name === "arc") {
-            const { arc } = dependencies;
-            assertExistsAndNotOptional(arc);
-            assertType(arc, TYPE_ARC);
-            const { r, startAngle, endAngle } = arc;
-            return makeNumber(DefArcLength.calcArcLength(r, startAngle, endAngle));
-        } else if (createInfo.name === "v") {
-            const { r, startAngle, endAngle } = dependencies;
-            return makeNumber(DefArcLength.calcArcLength(r, startAngle, endAngle));
-        } else {
-            throw new Error("No suitable constructor");
-        }
+    static transformPoint(m, p) {
+        return {
+            x: m.a * p.x + m.b * p.y + m.tx,
+            y: m.c * p.x + m.d * p.y + m.ty
+        };
     }
-}
-/**
- * Definition of the squared length of a vector or between two points
- */
-class DefLengthSquared {
+
     /**
-     * Compute squared langth of a vector or the two points specifying a line
-     * @param {Number | Object} v Either the index or value of an object of one of [TYPE_VECTOR, TYPE_LINE]
-     * @returns {CreateInfo} The creation info
+     * Transforms a direction. Only the linear part is applied
+     * @param {{a:Number, b:Number, c:Number, d:Number, tx:Number, ty:Number}} m The transformation
+     * @param {{x:Number, y:Number}} v The direction
+     * @returns {{x:Number, y:Number}} The transformed direction
      */
-    static fromVectorOrLine(v) {
-        return CreateInfo.new("vl", { v });
+    static transformVector(m, v) {
+        return {
+            x: m.a * v.x + m.b * v.y,
+            y: m.c * v.x + m.d * v.y
+        };
     }
+
     /**
-     * Compute squared distance between two points
-     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The first point
-     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT. The second point
-     * @returns {CreateInfo} The creation info
+     * Decomposes a 2x2 matrix into R(theta) * diag(sx, sy) * R(phi), where R is a rotation matrix.
+     * sx is always non-negative, sy is negative, if the matrix contains a reflection
+     * @param {Number} a The first row, first column entry
+     * @param {Number} b The first row, second column entry
+     * @param {Number} c The second row, first column entry
+     * @param {Number} d The second row, second column entry
+     * @returns {{theta : Number, sx : Number, sy : Number, phi : Number}} The decomposition
      */
-    static fromPoints(p0, p1) {
-        return CreateInfo.new("pp", { p0, p1 });
+    static decomposeLinear(a, b, c, d) {
+        const e = (a + d) * 0.5;
+        const f = (a - d) * 0.5;
+        const g = (c + b) * 0.5;
+        const h = (c - b) * 0.5;
+
+        const q = Math.sqrt(e * e + h * h);
+        const r = Math.sqrt(f * f + g * g);
+
+        const a1 = Math.atan2(g, f);
+        const a2 = Math.atan2(h, e);
+
+        return {
+            theta: (a2 + a1) * 0.5,
+            sx: q + r,
+            sy: q - r,
+            phi: (a2 - a1) * 0.5,
+        };
     }
 
     /**
-     * Computes the squared length
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The squared length as a TYPE_NUMBER
+     * Transforms an ellipse.
+     * @param {{a:Number, b:Number, c:Number, d:Number, tx:Number, ty:Number}} m The transformation
+     * @param {Object} ellipse The ellipse of type TYPE_ELLIPSE
+     * @returns {Object} The transformed ellipse of type TYPE_ELLIPSE
      */
-    compute(createInfo) {
-        let dx = 0;
-        let dy = 0;
+    static transformEllipse(m, ellipse) {
+        const { center, rx, ry, rotation } = ellipse;
+        let { startAngle, endAngle } = ellipse;
 
-        const { dependencies } = createInfo;
+        // the ellipse is given as center + M * R(rotation) * diag(rx,ry) * (cos(alpha), sin(alpha))
+        const cr = Math.cos(rotation);
+        const sr = Math.sin(rotation);
+        const a = (m.a * cr + m.b * sr) * rx;
+        const b = (-m.a * sr + m.b * cr) * ry;
+        const c = (m.c * cr + m.d * sr) * rx;
+        const d = (-m.c * sr + m.d * cr) * ry;
 
-        if (createInfo.name === "vl") {
-            const { v } = dependencies;
-            assertExistsAndNotOptional(v);
+        const { theta, sx, sy, phi } = DefTransform.decomposeLinear(a, b, c, d);
 
-            assertType(v, TYPE_VECTOR, TYPE_LINE);
+        if (startAngle > endAngle) {
+            endAngle += 2.0 * Math.PI;
+        }
+        const full = endAngle - startAngle >= 2.0 * Math.PI - 1E-10;
+
+        // R(phi) * (cos(alpha), sin(alpha)) shifts the parameter by phi
+        let start = startAngle + phi;
+        let end = endAngle + phi;
+        if (sy < 0) {
+            // diag(sx,sy) with sy < 0 mirrors the parameter, which reverses the direction of the curve
+            [start, end] = [-end, -start];
+        }
 
-            if (v.type === TYPE_VECTOR) {
-                dx = v.x;
-                dy = v.y;
-            } else if (v.type === TYPE_LINE) {
-                const { p0, p1 } = v;
-                dx = p1.x - p0.x;
-                dy = p1.y - p0.y;
-            }
+        if (full) {
+            start = 0;
+            end = 2.0 * Math.PI;
+        } else {
+            start = normalizeAngle(start);
+            end = normalizeAngle(end);
+        }
 
-        } else if (createInfo.name === "pp") {
-            const { p0, p1 } = dependencies;
+        return makeEllipse({
+            center: makePoint(DefTransform.transformPoint(m, center)),
+            rx: sx,
+            ry: Math.abs(sy),
+            startAngle: start,
+            endAngle: end,
+            rotation: theta,
+        });
+    }
 
-            assertExistsAndNotOptional(p0, p1);
+    /**
+     * Transforms an object
+     * @param {{a:Number, b:Number, c:Number, d:Number, tx:Number, ty:Number}} m The transformation
+     * @param {Object | Array} obj The object. The supported types are specified at the documention of this class
+     * @param {Number} [eps] The epsilon value used to decide, whether an arc is still an arc after the transformation
+     * @returns {Object | Array} The transformed object
+     */
+    static transformObject(m, obj, eps = 1E-10) {
+        if (Array.isArray(obj)) {
+            return obj.map(o => DefTransform.transformObject(m, o, eps));
+        }
 
-            assertType(p0, TYPE_POINT);
-            assertType(p1, TYPE_POINT);
+        const tp = p => makePoint(DefTransform.transformPoint(m, p));
+        const type = obj.type;
 
-            dx = p1.x - p0.x;
-            dy = p1.y - p0.y;
+        if (type === TYPE_POINT) {
+            return tp(obj);
+        } else if (type === TYPE_VECTOR) {
+            const v = DefTransform.transformVector(m, obj);
+            return makeVector({ x: v.x, y: v.y, ref: tp(obj.ref) });
+        } else if (type === TYPE_ANGLE) {
+            const { start, value, ref } = obj;
+            let s = DefTransform.transformVector(m, vPolar(1, start));
+            let e = DefTransform.transformVector(m, vPolar(1, start + value));
+            // a reflection reverses the orientation
+            if (m.a * m.d - m.b * m.c < 0) {
+                [s, e] = [e, s];
+            }
+            const startAngle = Math.atan2(s.y, s.x);
+            const endAngle = Math.atan2(e.y, e.x);
+            return makeAngle({ value: endAngle - startAngle, start: startAngle, ref: tp(ref) });
+        } else if (type === TYPE_COORD_SYSTEM) {
+            const { origin, u, v } = obj;
+            return makeCoordinateSystem(tp(origin), DefTransform.transformVector(m, u), DefTransform.transformVector(m, v));
+        } else if (type === TYPE_LINE) {
+            const { p0, p1, leftOpen, rightOpen } = obj;
+            return makeLine({ p0: tp(p0), p1: tp(p1), leftOpen, rightOpen });
+        } else if (type === TYPE_LINE_STRIP) {
+            return makeLineStrip({ points: obj.points.map(tp) });
+        } else if (type === TYPE_POLYGON) {
+            return makePolygon({ points: obj.points.map(tp), holes: (obj.holes ?? []).map(h => h.map(tp)) });
+        } else if (type === TYPE_BEZIER) {
+            // Bezier curves are invariant under affine transformations, so it is enough to transform the control points
+            return makeBezier({ points: obj.points.map(tp) });
+        } else if (type === TYPE_BEZIER_SPLINE) {
+            return makeBezierSpline({ points: obj.points.map(tp), degree: obj.degree });
+        } else if (type === TYPE_RATIONAL_BEZIER) {
+            // the weights are unchanged by affine transformations
+            return makeRationalBezier({ points: obj.points.map(tp), weights: obj.weights });
+        } else if (type === TYPE_NURBS) {
+            const { weights, knots, degree } = obj;
+            return makeNurbs({ points: obj.points.map(tp), weights, knots, degree });
+        } else if (type === TYPE_ELLIPSE) {
+            return DefTransform.transformEllipse(m, obj);
+        } else if (type === TYPE_ARC) {
+            const { center, r, startAngle, endAngle } = obj;
+            const ellipse = DefTransform.transformEllipse(m, makeEllipse({ center, rx: r, ry: r, startAngle, endAngle }));
+            if (Math.abs(ellipse.rx - ellipse.ry) > eps * Math.max(1, ellipse.rx)) {
+                return ellipse;
+            }
+            const full = ellipse.endAngle - ellipse.startAngle >= 2.0 * Math.PI - eps;
+            return makeArc({
+                center: ellipse.center,
+                r: ellipse.rx,
+                startAngle: full ? 0 : normalizeAngle(ellipse.startAngle + ellipse.rotation),
+                endAngle: full ? 2.0 * Math.PI : normalizeAngle(ellipse.endAngle + ellipse.rotation),
+            });
+        } else if (type === TYPE_TEXT) {
+            return makeText({ text: obj.text, ref: tp(obj.ref) });
+        } else if (type === TYPE_COLLECTION) {
+            return makeCollection(obj.objects.map(o => DefTransform.transformObject(m, o, eps)), obj.properties);
+        }
+
+        throw new Error(`Transformation of type ${type} not supported`);
+    }
+
+    /**
+     * Computes the transformed object
+     * @param {CreateInfo} createInfo The creation info
+     * @returns {Object | Array} The transformed object. The type is the same as the input, except for arcs, that may become ellipses
+     */
+    compute(createInfo) {
+        const { dependencies, params } = createInfo;
+        const { obj } = dependencies;
+        assertExistsAndNotOptional(obj);
 
+        let m;
+        if (createInfo.name === "t") {
+            const { v } = dependencies;
+            assertExistsAndNotOptional(v);
+            assertType(v, TYPE_VECTOR);
+            m = DefTransform.makeAffine(1, 0, 0, 1, v.x, v.y);
+        } else if (createInfo.name === "tp") {
+            const { from, to } = dependencies;
+            assertExistsAndNotOptional(from, to);
+            assertType(from, TYPE_POINT);
+            assertType(to, TYPE_POINT);
+            const v = vSub(to, from);
+            m = DefTransform.makeAffine(1, 0, 0, 1, v.x, v.y);
+        } else if (createInfo.name === "r") {
+            const { angle, center } = dependencies;
+            assertExistsAndNotOptional(angle);
+            assertType(angle, TYPE_NUMBER, TYPE_ANGLE);
+            let c = { x: 0, y: 0 };
+            if (!isParamEmpty(center)) {
+                assertType(center, TYPE_POINT);
+                c = center;
+            }
+            const ca = Math.cos(angle.value);
+            const sa = Math.sin(angle.value);
+            m = DefTransform.makeAffineAround(ca, -sa, sa, ca, c);
+        } else if (createInfo.name === "s") {
+            const { scale, center } = dependencies;
+            assertExistsAndNotOptional(scale);
+            assertType(scale, TYPE_NUMBER, TYPE_VECTOR);
+            let c = { x: 0, y: 0 };
+            if (!isParamEmpty(center)) {
+                assertType(center, TYPE_POINT);
+                c = center;
+            }
+            const s = scale.type === TYPE_NUMBER ? { x: scale.value, y: scale.value } : scale;
+            m = DefTransform.makeAffineAround(s.x, 0, 0, s.y, c);
+        } else if (createInfo.name === "m") {
+            const { mirror } = dependencies;
+            assertExistsAndNotOptional(mirror);
+            assertType(mirror, TYPE_LINE, TYPE_VECTOR, TYPE_POINT);
+            if (mirror.type === TYPE_POINT) {
+                m = DefTransform.makeAffineAround(-1, 0, 0, -1, mirror);
+            } else {
+                const [p0, dir] = mirror.type === TYPE_LINE ? [mirror.p0, vSub(mirror.p1, mirror.p0)] : [mirror.ref, mirror];
+                const len2 = vLen2(dir);
+                if (len2 === 0) {
+                    return INVALID;
+                }
+                // householder reflection along the normal: I - 2nn^T = 2dd^T - I for the normalized direction d
+                const dx = dir.x * dir.x / len2;
+                const dy = dir.y * dir.y / len2;
+                const dxy = dir.x * dir.y / len2;
+                m = DefTransform.makeAffineAround(2 * dx - 1, 2 * dxy, 2 * dxy, 2 * dy - 1, p0);
+            }
+        } else if (createInfo.name === "c") {
+            const { coordSystem } = dependencies;
+            assertExistsAndNotOptional(coordSystem);
+            assertType(coordSystem, TYPE_COORD_SYSTEM);
+            const { origin, u, v } = coordSystem;
+            m = DefTransform.makeAffine(u.x, v.x, u.y, v.y, origin.x, origin.y);
+        } else if (createInfo.name === "mat") {
+            const { matrix } = params;
+            const [[a, b, tx], [c, d, ty]] = matrix;
+            m = DefTransform.makeAffine(a, b, c, d, tx, ty);
         } else {
-            throw new Error("No suitable constructor found")
+            throw new Error("No suitable constructor found");
         }
 
-        return makeNumber(dx * dx + dy * dy);
+        return DefTransform.transformObject(m, obj);
     }
 }
+
 /**
- * Definition of the length of a vector or between two points
+ * Registry for definition types and named functions used for serialization of a @see{GeometryScene}.
+ * Definitions are stored by a type name together with their own enumerable state.
+ * Functions, such as the ones used by DefFunc, DefMap or function parameters, can't be serialized directly.
+ * If they are registered with a name, they are stored by that name and resolved again when loading.
+ * 
+ * All built-in definition classes are registered under their class name.
  */
-class DefLength {
-    constructor() {
-        this.ds = new DefLengthSquared();
+class DefinitionRegistry {
+
+    static definitions = {};
+    static functions = {};
+
+    /**
+     * Register a definition class
+     * @param {String} name The name under which the class is stored
+     * @param {Function} defClass The definition class
+     */
+    static setDefinition(name, defClass) {
+        DefinitionRegistry.definitions[name] = defClass;
     }
+
     /**
-         * Compute squared langth of a vector or the two points specifying a line
-         * @param {Number | Object} v Either the index or value of an object of one of [TYPE_VECTOR, TYPE_LINE]
-         * @returns {CreateInfo} The creation info
-         */
-    static fromVectorOrLine(v) {
-        return DefLengthSquared.fromVectorOrLine(v);
+     * Get the definition class registered with the given name
+     * @param {String} name The name of the definition class
+     * @returns {undefined | Function} The definition class, if it exists
+     */
+    static getDefinition(name) {
+        return DefinitionRegistry.definitions[name];
     }
+
     /**
-    * Compute distance between two points
-    * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The first point
-    * @param {Number | Object} p1 Either the index or value of a TYPE_POINT. The second point
-    * @returns {CreateInfo} The creation info
-    */
-    static fromPoints(p0, p1) {
-        return DefLengthSquared.fromPoints(p0, p1);
+     * Get the name under which the class of a definition is registered
+     * @param {Object} def The definition object
+     * @returns {undefined | String} The registered name, if it exists
+     */
+    static getDefinitionName(def) {
+        if (!def || typeof def !== "object") {
+            return undefined;
+        }
+        const defs = DefinitionRegistry.definitions;
+        return Object.keys(defs).find(k => defs[k] === def.constructor);
     }
+
     /**
-    * Computes the length
-    * @param {CreateInfo} createInfo The creation info
-    * @returns {Object} The length as a TYPE_NUMBER
-    */
-    compute(createInfo) {
-        const sqr = this.ds.compute(createInfo);
-        sqr.value = Math.sqrt(sqr.value);
-        return sqr;
+     * Register a named function
+     * @param {String} name The name under which the function is stored
+     * @param {Function} f The function
+     */
+    static setFunction(name, f) {
+        DefinitionRegistry.functions[name] = f;
     }
-}
 
-/**
- * Select some key from a value and optionally transform it.
- * If the value does not exist, the definition is INVALID
- * Can be used to easily get elements of an array or some other storage where more information is bundled
- */
-class DefSelect {
     /**
-     * 
-     * @param {*} key The key to select
+     * Get the function registered with the given name
+     * @param {String} name The name of the function
+     * @returns {undefined | Function} The function, if it exists
      */
-    constructor(key) {
-        this.key = key;
+    static getFunction(name) {
+        return DefinitionRegistry.functions[name];
     }
 
     /**
-    * Select the key from a given object and optionally transforms it
-    * @param {Number | Object} obj Either the index or value of an object
-    * @param {Function} [transform] Function to transform the aquired key
-    * @returns {CreateInfo} The creation info
-    */
-    static fromObject(obj, transform = null) {
-        return CreateInfo.new("o", { obj }, { transform });
+     * Get the name under which a function is registered
+     * @param {Function} f The function
+     * @returns {undefined | String} The registered name, if it exists
+     */
+    static getFunctionName(f) {
+        const fs = DefinitionRegistry.functions;
+        return Object.keys(fs).find(k => fs[k] === f);
     }
 
     /**
-     * Computes the key selection
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {*} The value of the key or transformed object
+     * Converts a value into a JSON compatible representation.
+     * Registered definitions and functions are stored by their names.
+     * @param {*} value The value to convert
+     * @param {String} [path] Description of where the value is located, used for error messages
+     * @returns {*} The JSON compatible value
      */
-    compute(createInfo) {
+    static encode(value, path = "value") {
+        if (value === EMPTY) {
+            return { $empty: true };
+        }
+        if (value === INVALID) {
+            return { $invalid: true };
+        }
+        if (value === null || typeof value === "string" || typeof value === "boolean") {
+            return value;
+        }
+        if (value === undefined) {
+            return { $undefined: true };
+        }
+        if (typeof value === "number") {
+            // JSON does not support infinity or NaN
+            return Number.isFinite(value) ? value : { $number: String(value) };
+        }
+        if (typeof value === "function") {
+            const name = DefinitionRegistry.getFunctionName(value);
+            if (name === undefined) {
+                throw new Error(`Function at ${path} is not serializable. Register it with DefinitionRegistry.setFunction`);
+            }
+            return { $function: name };
+        }
+        if (Array.isArray(value)) {
+            return value.map((v, i) => DefinitionRegistry.encode(v, `${path}[${i}]`));
+        }
+        if (typeof value === "object") {
+            const proto = Object.getPrototypeOf(value);
+            if (proto === Object.prototype || proto === null) {
+                const result = {};
+                for (const k of Object.keys(value)) {
+                    result[k] = DefinitionRegistry.encode(value[k], `${path}.${k}`);
+                }
+                return result;
+            }
 
-        const { dependencies } = createInfo;
+            const name = DefinitionRegistry.getDefinitionName(value);
+            if (name === undefined) {
+                throw new Error(`Object of class ${value.constructor?.name} at ${path} is not serializable. Register it with DefinitionRegistry.setDefinition`);
+            }
+            return {
+                $definition: name,
+                state: DefinitionRegistry.encode(Object.assign({}, value), `${path}<${name}>`),
+            };
+        }
 
-        if (createInfo.name === "o") {
-            const { obj } = dependencies;
-            const { transform } = createInfo.params;
-            assertExistsAndNotOptional(obj);
-            let val = obj[this.key];
-            if (val === undefined) {
-                return INVALID;
+        throw new Error(`Value of type ${typeof value} at ${path} is not serializable`);
+    }
+
+    /**
+     * Converts a value created by @see{DefinitionRegistry.encode} back
+     * @param {*} value The JSON compatible value
+     * @returns {*} The decoded value
+     */
+    static decode(value) {
+        if (value === null || typeof value !== "object") {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => DefinitionRegistry.decode(v));
+        }
+        if (value.$empty) {
+            return EMPTY;
+        }
+        if (value.$invalid) {
+            return INVALID;
+        }
+        if (value.$undefined) {
+            return undefined;
+        }
+        if (value.$number !== undefined) {
+            return Number(value.$number);
+        }
+        if (value.$function !== undefined) {
+            const f = DefinitionRegistry.getFunction(value.$function);
+            if (!f) {
+                throw new Error(`No function registered with name ${value.$function}`);
             }
-            if (transform && transform instanceof Function) {
-                val = transform(val);
+            return f;
+        }
+        if (value.$definition !== undefined) {
+            const defClass = DefinitionRegistry.getDefinition(value.$definition);
+            if (!defClass) {
+                throw new Error(`No definition registered with name ${value.$definition}`);
             }
-            return val;
+            // definitions are restored from their state without calling the constructor, as the constructor signatures differ
+            return Object.assign(Object.create(defClass.prototype), DefinitionRegistry.decode(value.state));
+        }
 
-        } else {
-            throw new Error("No suitable constructor found");
+        const result = {};
+        for (const k of Object.keys(value)) {
+            result[k] = DefinitionRegistry.decode(value[k]);
+        }
+        return result;
+    }
+
+    static {
+        const defs = [
+            DefVector, DefVectorOps, DefCoordSystem, DefCoordSystemOps, DefNormalVector,
+            DefPerpendicularLine, DefParallelLine, DefReflection, DefRefraction, DefPolarVector,
+            DefNumber, DefBoolean, DefConditional, DefCurveParam, DefText, DefAngle, DefPolarCoord,
+            DefPoint, DefCurvePoint, DefCurveTangent, DefCurveNormal, DefTangentPoints, DefTangentLines,
+            DefMidPoint, DefEllipseFocus, DefFunc, DefLine, DefLineStrip, DefPolygon, DefBezier,
+            DefBezierSpline, DefArcLength, DefLengthSquared, DefLength, DefSelect, DefChainApply,
+            DefMap, DefArc, DefEllipse, DefClosestPoint, DefIntersection, DefArray, DefInterpolate,
+            DefTransform, DefTriangleCenter, DefAngleBisector, DefPerpendicularBisector,
+            DefParabola, DefHyperbola, DefConic, DefFunctionGraph, DefParametricCurve,
+            DefImplicitCurve, DefRationalBezier, DefNurbs, DefBSpline, DefPolygonBoolean,
+            DefArea, DefPerimeter, DefCentroid, DefWindingNumber, DefCurveLength,
+            DefCurvature, DefOsculatingCircle, DefCenterOfCurvature, DefEvolute, DefOffset, DefLocus,
+        ];
+
+        for (const d of defs) {
+            DefinitionRegistry.setDefinition(d.name, d);
         }
     }
-}
+}
+
+/**
+ * Event type handler
+ */
+class EventType {
+    #callbacks;
+    #id;
+    constructor(name) {
+        this.name = name;
+        this.#callbacks = [];
+        this.#id = 0;
+    }
+
+    /**
+     * Add a callback to this event type
+     * @param {function(Object) : (Boolean | undefined)} cb Callback function that may be called with an event object
+     * If true is returned, the event is considered consumed
+     * @returns {Number} The id for this callback. Can be used to remove the callback
+     */
+    addCallback(cb) {
+        const id = this.#id++;
+        this.#callbacks.push({
+            cb, id
+        });
+        return id;
+    }
 
-/**
- * Apply a series of transformations
- * This allows to process and convert any object into others by combining different steps
- * A special case of the general function type.
- * The type of CreateInfo that needs to be provided depends on the first function in the chain
- */
-class DefChainApply {
     /**
-     * @param {...(Function | {compute: Function})} args The chain to be applied
-     * If an object in the chain is a function, it is directly applied, otherwise the compute field is used as is used in other definitions
+     * Removes a callback
+     * @param {Number} id The id of the callback to be removed
      */
-    constructor(...args) {
-        this.chain = [...args];
+    removeCallback(id) {
+        const idx = this.#callbacks.findIndex(x => x.id === id);
+        if (idx >= 0) {
+            this.#callbacks.splice(idx, 1);
+        }
     }
 
     /**
-     * Applies the chain
-     * @param {CreateInfo} params The creation info
-     * @returns {*} The final result of the chain
+     * Notify all callbacks attached to this event
+     * @param {Object} event The event object
      */
-    compute(params) {
-        const c = this.chain;
-        let result = params;
-        for (let i = 0; i < c.length; i++) {
-            const ci = c[i];
-            if (ci instanceof Function) {
-                result = ci(result);
-            } else {
-                result = c[i].compute(result);
+    notify(event) {
+        for (let i = 0; i < this.#callbacks.length; i++) {
+            const { cb } = this.#callbacks[i];
+            const consumed = cb(event);
+            if (consumed) {
+                break;
             }
         }
-
-        return result;
     }
 }
 
 /**
- * Maps an array of values to an output using a function.
- * A special case of the general function type.
+ * Event that is fired when a definition is updated in a @see{GeometryScene}.
+ * This happens every time its value is computed
  */
-class DefMap {
-
+class DefinitionUpdateEvent {
     /**
      * 
-     * @param {Function | {compute: Function}} f The function to be applied
-     * If the object is a function, it is directly applied, otherwise the compute field is used as is used in other definitions
+     * @param {GeometryScene} scene The scene from which this event originated
+     * @param {Number} index The index of the changed object
      */
-    constructor(f) {
-        this.f = f;
+    constructor(scene, index) {
+        this.scene = scene;
+        this.index = index;
     }
+}
+/**
+ * Event that is fired when a definition is removed from a a @see{GeometryScene}.
+ */
+class DefinitionRemovedEvent {
     /**
-    * Map an array of values
-    * @param {Number | Object} array Either the index or value of objects
-    * @returns {CreateInfo} The creation info
-    */
-    static fromArray(array) {
-
-        return CreateInfo.new("a", array);
+     * 
+     * @param {GeometryScene} scene The scene from which this event originated
+     * @param {Number} index The index of the removed object
+     */
+    constructor(scene, index) {
+        this.scene = scene;
+        this.index = index;
     }
+}
+/**
+ * Event that is fired when a property is updated in a @see{GeometryScene}.
+ */
+class PropertyUpdateEvent {
     /**
-    * Map an array of values
-    * @param {...(Number | Object)} array Either the indices or values of objects
-    * @returns {CreateInfo} The creation info
-    */
-    static fromValues(...args) {
-        return CreateInfo.new("v", [...args]);
-    }
-
-    compute(input) {
-        const { dependencies } = input;
-
-        const result = new Array(dependencies.length);
-        const { f } = this;
-        for (let i = 0; i < dependencies.length; i++) {
-
-            if (f instanceof Function) {
-                result[i] = f(dependencies[i]);
-            } else {
-                result[i] = f.compute(dependencies[i]);
-            }
-        }
-
-        return result;
+     * 
+     * @param {GeometryScene} scene The scene from which this event originated
+     * @param {Number} index The index of the changed object
+     */
+    constructor(scene, index) {
+        this.scene = scene;
+        this.index = index;
     }
 }
 
-
 /**
- * Definition of an arc
+ * Event that is fired when a batch of updates is committed in a @see{GeometryScene}.
+ * All objects recomputed in the batch are reported at once, instead of single update events
  */
-class DefArc {
+class BatchUpdateEvent {
     /**
-     * Default values
-     * @param {Object} params
-     * @param {Number} [r=1] The radius
-     * @param {{x:Number, y:Number}} [center={x:0,y:0}] The center
-     * @param {Number} [startAngle = 0] The starting angle
-     * @param {Number} [endAngle = 2.0 * Math.PI] The end angle
+     * 
+     * @param {GeometryScene} scene The scene from which this event originated
+     * @param {Number[]} indices The indices of the changed objects in the order they were computed
      */
-    constructor({ r = 1, center = { x: 0, y: 0 }, startAngle = 0, endAngle = 2.0 * Math.PI } = {}) {
-        this.r = r;
-        this.center = center;
-        this.startAngle = startAngle;
-        this.endAngle = endAngle;
+    constructor(scene, indices) {
+        this.scene = scene;
+        this.indices = indices;
     }
+}
+
+/**
+ * Describes why the value of an object in a @see{GeometryScene} is INVALID
+ */
+class ValueDiagnostic {
+    /** The definition threw an exception while computing */
+    static REASON_EXCEPTION = "exception";
+    /** A dependency was INVALID, so the definition was not computed */
+    static REASON_INVALID_DEPENDENCY = "invalidDependency";
+    /** The definition computed INVALID, for example when two objects don't intersect */
+    static REASON_INVALID_RESULT = "invalidResult";
 
     /**
-     * Create an arc from individual values
+     * 
      * @param {Object} params
-     * @param {Number | Object} [params.r] Either the index or value of a TYPE_NUMBER. The radius
-     * @param {Number | Object} [params.center] Either the index or value of a TYPE_POINT. The center
-     * @param {Number | Object} [params.startAngle] Either the index or value of a TYPE_NUMBER. The starting angle
-     * @param {Number | Object} [params.endAngle] Either the index or value of a TYPE_NUMBER. The end angle
-     * @returns {CreateInfo} The creation info
+     * @param {Number} params.index The index of the object
+     * @param {Object} params.definition The definition of the object
+     * @param {CreateInfo} params.createInfo The creation info of the object
+     * @param {String} params.reason One of the REASON_* constants
+     * @param {*} [params.error] The thrown exception, if the reason is REASON_EXCEPTION
+     * @param {String | Number} [params.dependencyKey] The key of the invalid dependency in the creation info
+     * @param {Number} [params.dependencyIndex] The index of the invalid dependency
+     * @param {Number} [params.source] The index of the object, where the invalid value originated.
+     * Defaults to the index of the object itself
      */
-    static fromValues({
-        r = EMPTY,
-        center = EMPTY,
-        startAngle = EMPTY,
-        endAngle = EMPTY,
+    constructor({
+        index,
+        definition,
+        createInfo,
+        reason,
+        error = null,
+        dependencyKey = null,
+        dependencyIndex = -1,
+        source = index,
     }) {
-        return CreateInfo.new("v", { r, center, startAngle, endAngle });
+        this.index = index;
+        this.definition = definition;
+        this.createInfo = createInfo;
+        this.reason = reason;
+        this.error = error;
+        this.dependencyKey = dependencyKey;
+        this.dependencyIndex = dependencyIndex;
+        this.source = source;
     }
-    /**
-     * Create an arc from three points
-     * @param {Object} params
-     * @param {Number | Object} params.p0 Either the index or value of a TYPE_POINT. The first point
-     * @param {Number | Object} params.p10 Either the index or value of a TYPE_POINT. The second point
-     * @param {Number | Object} params.p2 Either the index or value of a TYPE_POINT. The third point
-     * @param {Boolean} [params.fullCircle] If true, the resulting arc will be a circle, otherwise the arc will only be the range specified by the points
-     * @returns {CreateInfo} The creation info
-     */
-    static fromPoints({ p0, p1, p2, fullCircle = false }) {
-        return CreateInfo.new("ppp", { p0, p1, p2 }, { fullCircle });
 
-    }
     /**
-     * Create an arc from a center and going through the segment specified by two points on the circle
-     * @param {Number | Object} center Either the index or value of a TYPE_POINT. The center
-     * @param {Number | Object} p0 Either the index or value of a TYPE_POINT. The first point
-     * @param {Number | Object} p1 Either the index or value of a TYPE_POINT. The second point
-     * @returns {CreateInfo} The creation info
+     * A readable description of the diagnostic
      */
-    static fromCenterAndPoints(center, p0, p1, useAngle = DefAngle.USE_COMPUTED_ANGLE) {
-        return CreateInfo.new("cap", { center, p0, p1 }, { useAngle });
+    get message() {
+        const name = `${this.definition?.constructor?.name ?? "Definition"}${this.createInfo && this.createInfo !== EMPTY_INFO ? "." + this.createInfo.name : ""}`;
+        if (this.reason === ValueDiagnostic.REASON_EXCEPTION) {
+            return `${name} at index ${this.index} threw: ${this.error?.message ?? this.error}`;
+        } else if (this.reason === ValueDiagnostic.REASON_INVALID_DEPENDENCY) {
+            return `${name} at index ${this.index} has invalid dependency ${this.dependencyKey} (index ${this.dependencyIndex}), originating at index ${this.source}`;
+        }
+        return `${name} at index ${this.index} computed an invalid value`;
     }
 
     /**
-     * Create an arc from three points
-     * @param {{x:Number, y:Number}} p0 The first point
-     * @param {{x:Number, y:Number}} p1 The second point
-     * @param {{x:Number, y:Number}} p2 The third point
-     * @param {Boolean} fullCircle If true, the resulting arc will be a circle, otherwise the arc will only be the range specified by the points
-     * @returns {{  r : Number, center : {x:Number,y:Number}, startAngle: Number, endAngle:Number} | null} The computed arc or null, if no such arc can exist
+     * Checks, whether another diagnostic describes the same cause
+     * @param {ValueDiagnostic | null} other The other diagnostic
+     * @returns {Boolean} True, if both have the same cause, false otherwise
      */
-    static computeParametersFromPoints(p0, p1, p2, fullCircle) {
-        // construct circle from points
-
-        // complex solution from https://math.stackexchange.com/questions/213658/get-the-equation-of-a-circle-when-given-3-points
-
-        // simple complex numbers
-
-        // check points
-        const z1 = [p0.x, p0.y];
-        const z2 = [p1.x, p1.y];
-        const z3 = [p2.x, p2.y];
-
-        if (cEquals(z1, z2) || cEquals(z2, z3) || cEquals(z3, z1)) {
-            return null;
-        }
-
-        const w = cDiv(cSub(z3, z1), cSub(z2, z1));
-        if (Math.abs(w[1]) < this.eps) {
-            // colinear points
-            return null;
+    equals(other) {
+        if (!other) {
+            return false;
         }
-        // c = (z2 - z1)*(w - abs(w)**2)     /   (2j*w.imag) + z1  # Simplified denominator
-        // r = abs(z1 - c)
-        const wabs2 = cMult(w, cConj(w));
-        const c = cAdd(
-            cDiv(cMult(
-                cSub(z2, z1),
-                cSub(w, wabs2)
-            ),
-                cMult([0, 2], [cImag(w), 0])
-            ),
-            z1
-        );
+        return this.reason === other.reason &&
+            this.definition === other.definition &&
+            this.dependencyKey === other.dependencyKey &&
+            this.dependencyIndex === other.dependencyIndex &&
+            this.source === other.source &&
+            (this.error?.message ?? this.error) === (other.error?.message ?? other.error);
+    }
+}
 
-        const r = cAbs(cSub(z1, c));
+/**
+ * Event that is fired when the value of an object in a @see{GeometryScene} becomes INVALID or the reason for it changes
+ */
+class DiagnosticEvent {
+    /**
+     * 
+     * @param {GeometryScene} scene The scene from which this event originated
+     * @param {Number} index The index of the invalid object
+     * @param {ValueDiagnostic} diagnostic The reason for the invalid value
+     */
+    constructor(scene, index, diagnostic) {
+        this.scene = scene;
+        this.index = index;
+        this.diagnostic = diagnostic;
+    }
+}
 
-        if (fullCircle) {
-            return {
-                r, center: { x: cReal(c), y: cImag(c) }, startAngle: 0, endAngle: 2.0 * Math.PI
-            };
-        } else {
-            const center = { x: cReal(c), y: cImag(c) };
-            const angles = [
-                calcAngle(p0.x - center.x, p0.y - center.y),
-                calcAngle(p1.x - center.x, p1.y - center.y),
-                calcAngle(p2.x - center.x, p2.y - center.y),
-            ];
+/**
+ * A reusable construction that can be added to a @see{GeometryScene} multiple times.
+ * A macro declares named inputs and outputs and a list of steps.
+ * Dependencies of steps reference inputs and previous steps by their names.
+ * Names not declared in the macro are resolved as object names in the scene.
+ * 
+ * Example:
+ * const bisector = new Macro(["p0", "p1"], ["line"]);
+ * bisector.add("mid", new DefMidPoint(), DefMidPoint.fromPoints("p0", "p1"));
+ * bisector.add("v", new DefVector(), DefVector.fromPoints("p0", "p1"), { invisible: true });
+ * ...
+ * const { outputs } = scene.addMacro(bisector, { p0: a, p1: b });
+ */
+class Macro {
+    /**
+     * 
+     * @param {String[]} inputs The names of the inputs
+     * @param {String[]} outputs The names of the steps that are returned as outputs
+     */
+    constructor(inputs = [], outputs = []) {
+        this.inputs = [...inputs];
+        this.outputs = [...outputs];
+        this.steps = [];
+    }
 
-            const startAngle = Math.min(...angles);
-            const endAngle = Math.max(...angles);
-            return {
-                r, center, startAngle, endAngle
-            };
+    /**
+     * Add a step to the macro
+     * @param {String} name The name of the step. Must be unique within this macro
+     * @param {Object} def The definition
+     * @param {CreateInfo} [createInfo] The creation info. Dependencies may be names of inputs, steps or scene objects
+     * @param {Object} [properties] Properties to associate with the created object. Each instance receives a copy
+     * @returns {Macro} This macro
+     */
+    add(name, def, createInfo = null, properties = {}) {
+        if (this.inputs.includes(name) || this.steps.some(x => x.name === name)) {
+            throw new Error(`Name ${name} is already used in the macro`);
         }
+        this.steps.push({ name, def, createInfo, properties });
+        return this;
     }
+}
 
+/**
+ * An instance of a @see{Macro} in a @see{GeometryScene}
+ */
+class MacroInstance {
     /**
-     * Compute the arc
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The arc of type TYPE_ARC
+     * 
+     * @param {Macro} macro The instantiated macro
+     * @param {Object<String,Number>} outputs The indices of the outputs by name
+     * @param {Number[]} indices The indices of all objects created for this instance in creation order
      */
-    compute(createInfo) {
-        let { r, center, startAngle, endAngle } = this;
-        const { dependencies, params } = createInfo;
-        if (createInfo.name === "v") {
-            const { r: rn, center: cn, startAngle: startAngleN, endAngle: endAngleN } = dependencies;
+    constructor(macro, outputs, indices) {
+        this.macro = macro;
+        this.outputs = outputs;
+        this.indices = indices;
+    }
+}
 
-            if (!isParamEmpty(rn)) {
-                assertType(rn, TYPE_NUMBER);
-                r = rn.value;
-            }
+/**
+ * Manages definitions of objects, properties, dependencies and correct updates
+ */
+class GeometryScene {
 
-            if (!isParamEmpty(cn)) {
-                assertType(cn, TYPE_POINT);
-                center = cn;
-            }
+    #values;
+    #definitions;
+    #createInfos;
+    #reverseDependencies;
+    #updateOrder;
+    #properties;
+    #freeList;
 
-            if (!isParamEmpty(startAngleN)) {
-                assertType(startAngleN, TYPE_NUMBER);
-                startAngle = startAngleN.value;
-            }
-            if (!isParamEmpty(endAngleN)) {
-                assertType(endAngleN, TYPE_NUMBER);
-                endAngle = endAngleN.value;
-            }
-        } else if (createInfo.name === "ppp") {
-            const { p0, p1, p2 } = dependencies;
-            assertExistsAndNotOptional(p0, p1, p2);
-            assertType(p0, TYPE_POINT);
-            assertType(p1, TYPE_POINT);
-            assertType(p2, TYPE_POINT);
-            const { fullCircle } = createInfo.params;
-            const result = DefArc.computeParametersFromPoints(p0, p1, p2, fullCircle);
-            if (!result) {
-                return INVALID;
-            }
-            ({ r, center, startAngle, endAngle } = result);
-        } else if (createInfo.name === "cap") {
-            const { center: cn, p0, p1 } = dependencies;
-            assertExistsAndNotOptional(cn, p0, p1);
-            assertType(cn, TYPE_POINT);
-            assertType(p0, TYPE_POINT);
-            assertType(p1, TYPE_POINT);
+    #eventHandlers;
 
-            const d0x = p0.x - cn.x;
-            const d0y = p0.y - cn.y;
-            const d02 = d0x * d0x + d0y * d0y;
-            const rn = Math.sqrt(d02);
-            const d1x = p1.x - cn.x;
-            const d1y = p1.y - cn.y;
-            const d12 = d1x * d1x + d1y * d1y;
+    #batchDepth;
+    #batchRoots;
 
-            if (Math.abs(d02 - d12) > 1E-7) {
-                // points can't lie on the same circle
-                return INVALID;
-            }
-            // find start and end angle
-            startAngle = calcAngle(p0.x - cn.x, p0.y - cn.y);
-            endAngle = calcAngle(p1.x - cn.x, p1.y - cn.y);
+    #history;
 
-            let a0 = startAngle;
-            let a1 = endAngle;
-            if (a1 < a0) {
-                a1 += 2.0 * Math.PI;
-            }
+    #names;
+    #indexNames;
 
-            const { useAngle } = params;
-            const adif = a1 - a0;
-            if (useAngle === DefAngle.USE_SMALLER_ANGLE) {
-                // angle is > 180° -> use the other side
-                if (adif > Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
-            } else if (useAngle === DefAngle.USE_LARGER_ANGLE) {
-                // angle is < 180° -> use other side
-                if (adif < Math.PI) {
-                    [a0, a1] = [a1, a0];
-                }
-            }
+    #diagnostics;
 
+    #danglingIndices;
 
-            startAngle = a0;
-            endAngle = a1;
+    #macroOwners;
+    #macroInstance;
 
-            center = cn;
-            r = rn;
-            // return makeArc({
-            //     r, center,
-            //     startAngle,
-            //     endAngle
-            // });
-        } else if (createInfo !== EMPTY_INFO) {
-            throw new Error("No suitable constructor found");
-        }
+    #dirty;
 
-        return makeArc({
-            r, center,
-            startAngle, endAngle,
-        });
+    static EVENT_UPDATE = "update";
+    static EVENT_PROPERTY = "property";
+    static EVENT_REMOVE = "remove";
+    static EVENT_BATCH = "batch";
+    static EVENT_ERROR = "error";
+
+    constructor() {
+        this.#values = [];
+        this.#definitions = [];
+        this.#createInfos = [];
+        this.#reverseDependencies = [];
+        this.#updateOrder = [];
+        this.#properties = [];
+        this.#freeList = [];
+        this.#eventHandlers = {};
+        this.#batchDepth = 0;
+        this.#batchRoots = [];
+        this.#history = null;
+        this.#names = new Map();
+        this.#indexNames = [];
+        this.#diagnostics = [];
+        this.#danglingIndices = new Set();
+        this.#dirty = [];
+        this.#macroOwners = [];
+        this.#macroInstance = null;
+
+        this.#eventHandlers[GeometryScene.EVENT_UPDATE] = new EventType(GeometryScene.EVENT_UPDATE);
+        this.#eventHandlers[GeometryScene.EVENT_PROPERTY] = new EventType(GeometryScene.EVENT_PROPERTY);
+        this.#eventHandlers[GeometryScene.EVENT_REMOVE] = new EventType(GeometryScene.EVENT_REMOVE);
+        this.#eventHandlers[GeometryScene.EVENT_BATCH] = new EventType(GeometryScene.EVENT_BATCH);
+        this.#eventHandlers[GeometryScene.EVENT_ERROR] = new EventType(GeometryScene.EVENT_ERROR);
+        this.validateLoopFree = true;
+        this.safeRemoval = false;
+        this.lazyEvaluation = false;
     }
-}
-/**
- * Definition of an ellipse
- */
-class DefEllipse {
+
     /**
-     * Default values
-     * @param {Object} params
-     * @param {{x:Number, y:Number}} [center={x:0,y:0}] The center
-     * @param {Number} [rx=1] The x-exxentricity
-     * @param {Number} [ry=1] The y-exxentricity
-     * @param {Number} [startAngle = 0] The starting angle
-     * @param {Number} [endAngle = 2.0 * Math.PI] The end angle
-     * @param {Number} [rotation = 0] The rotation angle of the ellipse
+     * Get the toggle for whether loops should be validated
      */
-    constructor({
-        center = { x: 0, y: 0 },
-        rx = 1,
-        ry = 1,
-        startAngle = 0,
-        endAngle = 2.0 * Math.PI,
-        rotation = 0,
-    } = {}) {
-        this.center = center;
-        this.rx = rx;
-        this.ry = ry;
-        this.startAngle = startAngle;
-        this.endAngle = endAngle;
-        this.rotation = rotation;
+    get validateLoopFree() {
+        return this._validateLoopFree;
     }
     /**
-     * Create an ellipse from individual values
-     * @param {Object} params
-     * @param {Number | Object} [params.center] Either the index or value of a TYPE_POINT. The center
-     * @param {Number | Object} [params.rx] Either the index or value of a TYPE_NUMBER. The x-eccentricity
-     * @param {Number | Object} [params.ry] Either the index or value of a TYPE_NUMBER. The y-eccentricity
-     * @param {Number | Object} [params.startAngle] Either the index or value of a TYPE_NUMBER. The starting angle
-     * @param {Number | Object} [params.endAngle] Either the index or value of a TYPE_NUMBER. The end angle
-     * @param {Number | Object} [params.rotation] Either the index or value of a TYPE_NUMBER. The ellipse rotation
-     * @returns {CreateInfo} The creation info
+     * Set the toggle for whether loops should be validated
+     * @param {Boolean} validate The toggle value
      */
-    static fromValues({
-        center = EMPTY,
-        rx = EMPTY,
-        ry = EMPTY,
-        startAngle = EMPTY,
-        endAngle = EMPTY,
-        rotation = EMPTY,
-    }) {
-        return CreateInfo.new("v", {
-            center,
-            rx,
-            ry,
-            startAngle,
-            endAngle,
-            rotation,
-        });
+    set validateLoopFree(validate) {
+        this._validateLoopFree = validate;
     }
 
     /**
-     * Compute the ellipse
-     * @param {CreateInfo} info The creation info
-     * @returns {Object} The ellipse of type TYPE_ELLIPSE
+     * Get the toggle for whether removed indices that are still referenced should be reused
      */
-    compute(info) {
-        let {
-            center,
-            rx,
-            ry,
-            startAngle,
-            endAngle,
-            rotation,
-        } = this;
+    get safeRemoval() {
+        return this._safeRemoval;
+    }
+    /**
+     * Set the toggle for whether removed indices that are still referenced should be reused.
+     * If true, the index of a removed object is only reused, once no other object depends on it anymore.
+     * Otherwise, a new object might take the place of the removed object in the dependencies of existing objects
+     * @param {Boolean} safe The toggle value
+     */
+    set safeRemoval(safe) {
+        this._safeRemoval = safe;
+    }
+
+    /**
+     * Get the toggle for whether values are only computed when they are requested
+     */
+    get lazyEvaluation() {
+        return this._lazyEvaluation;
+    }
+    /**
+     * Set the toggle for whether values are only computed when they are requested.
+     * If true, changed objects are only marked and computed once their value is read via get or view.
+     * Objects with the property "eager" set to true are still computed immediately.
+     * Update events are fired in both modes.
+     * Disabling lazy evaluation computes all outstanding values
+     * @param {Boolean} lazy The toggle value
+     */
+    set lazyEvaluation(lazy) {
+        this._lazyEvaluation = lazy;
+        if (!lazy) {
+            for (let i = 0; i < this.#dirty.length; i++) {
+                if (this.#dirty[i]) {
+                    this.#evaluate(i);
+                }
+            }
+        }
+    }
+    /**
+     * Register a callback.
+     * Event names are given as the static fields EVENT_UPDATE, EVENT_PROPERTY, EVENT_REMOVE, EVENT_BATCH, EVENT_ERROR
+     * @param {String} name The name of the callback
+     * @param {function(Object) : (Boolean|undefined)} cb The callback function
+     * @returns {Number} The id of the registered callback
+     */
+    registerCallback(name, cb) {
+        const type = this.#eventHandlers[name];
+        if (!type) {
+            return -1;
+        }
+
+        return type.addCallback(cb);
+    }
+
+    /**
+     * Remove a callback.
+     * Event names are given as the static fields EVENT_UPDATE, EVENT_PROPERTY, EVENT_REMOVE, EVENT_BATCH, EVENT_ERROR
+     * @param {String} name The name of the callback
+     * @param {Number} id The id of the callback to be removed
+     */
+    removeCallback(name, id) {
+        const type = this.#eventHandlers[name];
+        if (!type) {
+            return;
+        }
+
+        type.removeCallback(id);
+    }
+
+    #notify(name, event) {
+        const type = this.#eventHandlers[name];
+        if (!type) {
+            // should never happen
+            throw ("Trying to notify events that do not exist");
+        }
+        type.notify(event);
+    }
+
+    #resizeIfNeeded(arr, idx) {
+        const l = arr.length;
+        if (idx >= l) {
+            arr.length = idx + 1;
+        }
+    }
+
+    #wouldCreateLoop(index, createInfo) {
+        // find out, if the new index depends on itself along the way
+        const queue = [];
+        const createDeps = createInfo.dependencies;
 
-        const { dependencies } = info;
-        if (info.name === "v") {
-            const {
-                center: centerN,
-                rx: rxN,
-                ry: ryN,
-                startAngle: startAngleN,
-                endAngle: endAngleN,
-                rotation: rotationN,
-            } = dependencies;
+        Object.keys(createDeps).forEach(v => queue.push(createDeps[v]));
 
-            if (!isParamEmpty(centerN)) {
-                assertType(centerN, TYPE_POINT);
-                center = centerN;
+        while (queue.length > 0) {
+            const idx = queue.pop();
+            if (idx === EMPTY || idx < 0) {
+                continue;
             }
 
-            if (!isParamEmpty(rxN)) {
-                assertType(rxN, TYPE_NUMBER);
-                rx = rxN.value;
+            if (idx === index) {
+                return true;
             }
+            // get dependencies
+            const deps = this.#createInfos[idx].dependencies;
+            Object.keys(deps).forEach(v => queue.push(deps[v]));
+        }
 
-            if (!isParamEmpty(ryN)) {
-                assertType(ryN, TYPE_NUMBER);
-                ry = ryN.value;
-            }
+        return false;
+    }
 
-            if (!isParamEmpty(startAngleN)) {
-                assertType(startAngleN, TYPE_NUMBER);
-                startAngle = startAngleN.value;
-            }
+    /**
+     * Add a new definition
+     * @param {Object} def The definition
+     * @param {CreateInfo} createInfo The creation info.
+     * Dependencies specified here must use indices obtained via the GeometryScene class or names of objects to refer to other objects
+     * @param {Object} properties Properties to associate with this definition
+     * @param {String} [name] A unique name for the object. In contrast to the id, it will not be reused by other objects after removal
+     * @returns {Number} The id of the created object
+     * Ids are unique, while in use, but may be reused after removal
+     */
+    add(def, createInfo = null, properties = {}, name = null) {
 
-            if (!isParamEmpty(endAngleN)) {
-                assertType(endAngleN, TYPE_NUMBER);
-                endAngle = endAngleN.value;
-            }
+        // check before taking an index from the free list
+        this.#assertNameAvailable(name, -1);
 
-            if (!isParamEmpty(rotationN)) {
-                assertType(rotationN, TYPE_NUMBER);
-                rotation = rotationN.value;
-            }
-        } else if (info !== EMPTY_INFO) {
-            throw new Error("No suitable constructor");
+        let idx = this.#definitions.length;
+        if (this.#freeList.length > 0) {
+            idx = this.#freeList.pop();
         }
 
-        return makeEllipse({
-            center,
-            rx,
-            ry,
-            startAngle,
-            endAngle,
-            rotation,
-        });
+        return this.set(idx, def, createInfo, properties, name);
     }
-}
 
-/**
- * Definition of a closest point to some given point.
- * Supported types can be found at @see{ClosestPointRegistry}
- */
-class DefClosestPoint {
     /**
-     * Compute the closest point on an object. 
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The query point
-     * @param {Number | Object} obj Either the index or value of an object. The object on which the closest point should be found
-     * @returns {CreateInfo} The creation info
+     * Get the index of the object with the given name
+     * @param {String} name The name of the object
+     * @returns {Number} The index of the object or -1, if no object has that name
      */
-    static fromObject(p, obj) {
-        return CreateInfo.new("o", { p, obj });
+    indexOf(name) {
+        return this.#names.get(name) ?? -1;
     }
+
     /**
-     * Compute the closest point on a collection of object. Supported types can be found at @see{ClosestPointRegistry}.
-     * Be careful, as this might be slow to compute, depending on the number and types of the objects
-     * @param {Number | Object} p Either the index or value of a TYPE_POINT. The query point
-     * @param {Array | Object} collection Either the indices or values of objects. The objects on which the closest point should be found
-     * @returns {CreateInfo} The creation info
+     * Get the name of the object with the given index
+     * @param {Number} index The index of the object
+     * @returns {String | null} The name of the object or null, if it doesn't have one
      */
-    static fromCollection(p, collection) {
-        const obj = [p];
-        if (Array.isArray(collection)) {
-            obj.push(...collection);
-        } else {
-            // move all values inside
-            for (const key of Object.keys(collection)) {
-                obj.push(collection[key]);
-            }
+    nameOf(index) {
+        return this.#indexNames[index] ?? null;
+    }
+
+    /**
+     * Get the information about the object with the given name
+     * @param {String} name The name of the object
+     * @returns {{value: *, definition: Object, createInfo : CreateInfo, index : Number, properties : {}, name : String} | null} Information stored for the object or null, if it doesn't exist
+     */
+    getByName(name) {
+        const index = this.indexOf(name);
+        if (index < 0) {
+            return null;
         }
-        return CreateInfo.new("mo", obj);
+        return this.get(index);
     }
 
     /**
-     * Compute the closest point
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object} The closet point of type TYPE_POINT
+     * Adds all steps of a macro to the scene.
+     * The instance is recorded as a single step in the history
+     * @param {Macro} macro The macro
+     * @param {Number[] | Object<String,Number|String>} inputs The inputs either in the order declared in the macro or by their names.
+     * Inputs are given as indices or names of scene objects
+     * @returns {MacroInstance} The instance containing the output indices. Can be used to remove all created objects
      */
-    compute(createInfo) {
-        const { dependencies } = createInfo;
-        let c = null;
-        if (createInfo.name === "o") {
-            const { p, obj } = dependencies;
-            assertExistsAndNotOptional(p, obj);
-            assertType(p, TYPE_POINT);
+    addMacro(macro, inputs) {
+        const local = {};
+        for (let i = 0; i < macro.inputs.length; i++) {
+            const name = macro.inputs[i];
+            const input = Array.isArray(inputs) ? inputs[i] : inputs[name];
+            if (input === undefined) {
+                throw new Error(`Missing input ${name} for macro`);
+            }
+            local[name] = input;
+        }
 
-            c = ClosestPointRegistry.closestPoint(p, obj);
+        const missing = macro.outputs.find(o => !macro.steps.some(x => x.name === o));
+        if (missing !== undefined) {
+            throw new Error(`Macro output ${missing} is not defined by a step`);
+        }
 
-        } else if (createInfo.name === "mo") {
-            const [p, ...collection] = dependencies;
-            assertExistsAndNotOptional(p, ...collection);
-            assertType(p, TYPE_POINT);
-            let minDist = Infinity;
-            for (const o of collection) {
-                assertExistsAndNotOptional(o);
-                const cp = ClosestPointRegistry.closestPoint(p, o);
-                if (!cp) {
-                    continue;
+        const indices = [];
+        const outputs = {};
+        const instance = new MacroInstance(macro, outputs, indices);
+        const add = () => {
+            for (const { name, def, createInfo, properties } of macro.steps) {
+                let info = createInfo;
+                if (info) {
+                    const deps = info.dependencies;
+                    const resolved = Array.isArray(deps) ? [...deps] : { ...deps };
+                    for (const k of Object.keys(resolved)) {
+                        const di = resolved[k];
+                        if (typeof di === "string" && local[di] !== undefined) {
+                            resolved[k] = local[di];
+                        }
+                    }
+                    info = CreateInfo.new(info.name, resolved, info.params, info.ignoreInvalids);
                 }
-                const d = vLen2(vSub(cp, p));
-                if (d < minDist) {
-                    minDist = d;
-                    c = cp;
+                const idx = this.add(def, info, mergeObjectInto({}, properties));
+                local[name] = idx;
+                indices.push(idx);
+            }
+        };
+
+        this.historyGroup(() => {
+            // objects created in the meantime are owned by this instance
+            this.#macroInstance = instance;
+            try {
+                this.batch(add);
+            } catch (e) {
+                // don't leave a partial instance behind
+                for (let i = indices.length - 1; i >= 0; i--) {
+                    this.remove(indices[i]);
                 }
+                throw e;
+            } finally {
+                this.#macroInstance = null;
             }
-        } else {
-            throw new Error("No suitable constructor found");
-        }
+        });
 
-        if (!c) {
-            // there should always be a closest point, but there might be multiple ones or some other issues
-            return INVALID;
+        for (const o of macro.outputs) {
+            outputs[o] = local[o];
         }
-        return c;
+        return instance;
     }
-}
 
-/**
- * Definition of the intersection of two objects.
- * Supported types can be found at @see{IntersectionRegistry}
- */
-class DefIntersection {
     /**
-     * Compute the intersection points of two objects
-     * @param {Number | Object} obj0 Either the index or value of an object
-     * @param {Number | Object} obj1 Either the index or value of an object
-     * @param {Object} params
-     * @param {Number} [params.takeIndex] The index of the intersection to use. 
-     * If < 0, then the returned result will be used. 
-     * If = 0, either the first entry in an intersection array or the intersection point will be returned, depending on the return type of the intersector
-     * If > 0, the indicated index in an array of intersections
-     * 
-     * If any requested intersection does not exist (for example requesting the second point, when only one exists) will result in INVALID
-     * @returns {CreateInfo} The creation info
+     * Removes all objects created for a macro instance.
+     * Objects keep belonging to the instance, when they are updated, but not, when they were removed and their index reused
+     * @param {MacroInstance} instance The instance returned by addMacro
      */
-    static fromObjects(obj0, obj1, {
-        takeIndex = -1,
-    } = {}) {
-        return CreateInfo.new("o", { obj0, obj1 }, { takeIndex });
+    removeMacro(instance) {
+        const { indices } = instance;
+        this.historyGroup(() => this.batch(() => {
+            // remove in reverse, so dependent objects are removed first
+            for (let i = indices.length - 1; i >= 0; i--) {
+                // objects might have been removed separately and their index reused
+                if (this.#macroOwners[indices[i]] === instance) {
+                    this.remove(indices[i]);
+                }
+            }
+        }));
     }
-    /**
-     * Compute the intersection points
-     * @param {CreateInfo} createInfo The creation info
-     * @returns {Object | Array} The intersection points. Some intersectors return a single point and others an array, if multiple intersections can exists. 
-     * Points are of type TYPE_POINT
-     */
-    compute(createInfo) {
-        const { dependencies, params } = createInfo;
 
-        if (createInfo.name === "o") {
-            const { obj0, obj1 } = dependencies;
-            const { takeIndex } = params;
-            assertExistsAndNotOptional(obj0, obj1);
+    #assertNameAvailable(name, index) {
+        if (name !== null && this.#names.has(name) && this.#names.get(name) !== index) {
+            throw new Error(`Name ${name} is already used by object ${this.#names.get(name)}`);
+        }
+    }
 
-            let result = IntersectionRegistry.intersect(obj0, obj1);
+    #resolveNames(createInfo) {
+        const deps = createInfo.dependencies;
+        const named = Object.keys(deps).filter(k => typeof deps[k] === "string");
+        if (named.length === 0) {
+            return createInfo;
+        }
+        // don't change the given info, it might be used for other objects
+        const resolved = Array.isArray(deps) ? [...deps] : { ...deps };
+        for (const k of named) {
+            const idx = this.indexOf(deps[k]);
+            if (idx < 0) {
+                throw new Error(`Dependency ${k} references unknown name ${deps[k]}`);
+            }
+            resolved[k] = idx;
+        }
+        return CreateInfo.new(createInfo.name, resolved, createInfo.params, createInfo.ignoreInvalids);
+    }
 
-            if (!result) {
-                return INVALID;
-            }
+    /**
+     * Get the information about the specified object
+     * @param {Number} index The index of the registered object
+     * @returns {{value: *, definition: Object, createInfo : CreateInfo, index : Number, properties : {}, name : String | null} | null} Information stored for the object or null, if it doesn't exist
+     */
+    get(index) {
+        if (index >= this.#definitions.length) {
+            return null;
+        }
 
-            if (!Array.isArray(result)) {
-                result = [result];
-            }
+        // maybe copy?
+        const value = this.#currentValue(index);
+        const definition = this.#definitions[index];
+        const createInfo = this.#createInfos[index];
+        const properties = this.#properties[index];
+        const name = this.#indexNames[index] ?? null;
 
-            if (takeIndex >= 0) {
+        return {
+            value, definition, createInfo, index, properties, name
+        };
+    }
 
-                if (takeIndex >= result.length) {
-                    return INVALID;
-                }
+    /**
+     * Get the reason, why an object's value is INVALID
+     * @param {Number} index The index of the object
+     * @returns {ValueDiagnostic | null} The diagnostic or null, if the value is valid
+     */
+    getDiagnostics(index) {
+        this.#currentValue(index);
+        return this.#diagnostics[index] ?? null;
+    }
 
-                return result[takeIndex];
-            }
-            return result;
-        } else {
-            throw new Error("No suitable constructor found");
+    #currentValue(index) {
+        if (this.#dirty[index]) {
+            this.#evaluate(index);
         }
+        return this.#values[index];
     }
-}
 
-/**
- * Defines an array consisting of other object values
- */
-class DefArray {
-    /**
-     * Make an array out of objects
-     * @param {Object | Array} objects Either the indices or values of objects stored in an array or shallow object
-     * @param {Object} params
-     * @param {Boolean} [params.filterOutInvalid] If true, INVALID values will not be included in the result
-     * @param {Boolean} [params.filterOutEmpty] If true, EMPTY values will not be included in the result
-     * @param {Boolean} [params.filterOutNull] If true, null values will not be included in the result
-     * @param {Boolean} [params.appendArrayDependencies] If true, arrays will not be treated as single elements, but the array elements will be appended to the results
-     * @param {Boolean} [params.ignoreInvalids] If true, the array will be constructed, even if there are any INVALID dependencies
-     * @returns {CreateInfo} The creation info
-     */
-    static fromObjects(objects, {
-        filterOutInvalid = true,
-        filterOutEmpty = true,
-        filterOutNull = true,
-        appendArrayDependencies = false,
-        ignoreInvalids = false } = {}) {
-        return CreateInfo.new("o", objects, {
-            filterOutInvalid, filterOutEmpty, filterOutNull,
-            appendArrayDependencies
-        }, ignoreInvalids);
+    #exists(index) {
+        return index >= 0 && index < this.#definitions.length && !!this.#definitions[index];
+    }
+
+    #directDependencies(index) {
+        const createInfo = this.#createInfos[index];
+        if (!createInfo) {
+            return [];
+        }
+        const deps = createInfo.dependencies;
+        const result = [];
+        for (const k of Object.keys(deps)) {
+            const di = deps[k];
+            if (di === EMPTY || di < 0 || result.includes(di)) {
+                continue;
+            }
+            result.push(di);
+        }
+        return result;
     }
 
-    /**
-     * Create the array value
-     * @param {CreateInfo} info The creation info
-     * @returns {Array} An array containing the specified objects
-     */
-    compute(info) {
-        const { dependencies } = info;
-        const { params } = info;
-
-        if (info.name === "o") {
-            const { filterOutInvalid, filterOutEmpty,
-                filterOutNull, appendArrayDependencies } = params;
-            const result = [];
+    #directDependents(index) {
+        // reverse dependencies may contain an index multiple times, if it is used for multiple parameters
+        return [...new Set(this.#reverseDependencies[index] ?? [])];
+    }
 
-            for (const key of Object.keys(dependencies)) {
-                let o = dependencies[key];
-                if (o === null && filterOutNull) {
-                    continue;
-                }
-                if (o === EMPTY && filterOutEmpty) {
-                    continue;
-                }
-                if (o === INVALID && filterOutInvalid) {
-                    continue;
-                }
-                if (appendArrayDependencies && Array.isArray(o)) {
-                    result.push(...o);
-                } else {
-                    result.push(o);
-                }
+    #collectTransitive(index, next) {
+        const visited = new Set();
+        const result = [];
+        const queue = [...next(index)];
+        while (queue.length > 0) {
+            const idx = queue.shift();
+            if (visited.has(idx)) {
+                continue;
             }
-            return result;
-        } else {
-            throw new Error("No suitable constructor");
+            visited.add(idx);
+            result.push(idx);
+            queue.push(...next(idx));
         }
+        return result;
     }
-}
 
-/**
- * Definition of a linear interpolation between two objects of the same type by some parameter t.
- * 
- * Supported types are (type of interpolation in brackets):
- * TYPE_NUMBER (value)
- * TYPE_POINT (coordinates)
- * TYPE_VECTOR (coordinates and reference point)
- * TYPE_POLAR (coordinates)
- * TYPE_ANGLE (angle, start and reference point)
- * TYPE_ARC (center, radius, start angle, end angle)
- * TYPE_ELLIPSE (center, eccentricities, start angle, end angle, rotation)
- * TYPE_LINE (points, Opennness is determined by logical OR)
- * TYPE_LINE_STRIP (points)
- * TYPE_POLYGON (points)
- * TYPE_BEZIER (points)
- * TYPE_BEZIER_SPLINE (points)
- */
-class DefInterpolate {
     /**
-     * Default value
-     * @param {Number} [t] 
+     * Get the objects that the given object depends on
+     * @param {Number} index The index of the object
+     * @param {Object} params
+     * @param {Boolean} [params.transitive] If true, the dependencies of dependencies are included as well
+     * @returns {Number[]} The indices of the dependencies
      */
-    constructor(t = 0.5) {
-        this.t = t;
+    getDependencies(index, { transitive = false } = {}) {
+        if (!transitive) {
+            return this.#directDependencies(index);
+        }
+        return this.#collectTransitive(index, i => this.#directDependencies(i));
     }
+
     /**
-     * Compute the interpolation of two objects
-     * @param {Number | Object} obj0 Either the index or value of an object
-     * @param {Number | Object} obj1 Either the index or value of an object
-     * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The interpolation parameter in [0,1]
-     * @returns {CreateInfo} The creation info
+     * Get the objects that depend on the given object
+     * @param {Number} index The index of the object
+     * @param {Object} params
+     * @param {Boolean} [params.transitive] If true, the dependents of dependents are included as well
+     * @returns {Number[]} The indices of the dependents
      */
-    static fromObjects(obj0, obj1, t = EMPTY) {
-        return CreateInfo.new("o", { obj0, obj1, t });
+    getDependents(index, { transitive = false } = {}) {
+        if (!transitive) {
+            return this.#directDependents(index);
+        }
+        return this.#collectTransitive(index, i => this.#directDependents(i));
     }
+
     /**
-      * Compute the interpolation of an angle
-      * The interpolation interpolates from start to start + value
-      * @param {Number | Object} angle Either the index or value of a TYPE_ANGLE. The angle to be interpolated
-      * @param {Number | Object} [t] Either the index or value of a TYPE_NUMBER. The interpolation parameter in [0,1]
-      * @returns {CreateInfo} The creation info
-      */
-    static fromAngle(angle, t = EMPTY) {
-        return CreateInfo.new("ang", { angle, t });
+     * Get all objects without dependencies, such as freely movable points or numbers.
+     * These are the inputs of all constructions in the scene
+     * @returns {Number[]} The indices of the free objects
+     */
+    getFreeObjects() {
+        const result = [];
+        for (let i = 0; i < this.#definitions.length; i++) {
+            if (this.#exists(i) && this.#directDependencies(i).length === 0) {
+                result.push(i);
+            }
+        }
+        return result;
     }
 
     /**
-     * Compute the interpolation
-     * @param {CreateInfo} info The creation info
-     * @returns {Object} The interpolated object
+     * Get all objects of the scene in an order, where every object comes after its dependencies
+     * @returns {Number[]} The indices of all objects in topological order
      */
-    compute(info) {
-        const { dependencies } = info;
-        let { t } = this;
-
-        if (info.name === "o") {
-            const { obj0, obj1, t: tN } = dependencies;
-
-            assertExistsAndNotOptional(obj0, obj1);
-
-            if (!isParamEmpty(tN)) {
-                assertType(tN, TYPE_NUMBER);
-                t = tN.value;
+    getTopologicalOrder() {
+        const indegrees = [];
+        const queue = [];
+        for (let i = 0; i < this.#definitions.length; i++) {
+            if (!this.#exists(i)) {
+                continue;
             }
-
-            if (obj0.type !== obj1.type) {
-                throw new Error("Interpolation only defined for objects of same type");
+            // dependencies on removed objects don't need to be waited for
+            indegrees[i] = this.#directDependencies(i).filter(d => this.#exists(d)).length;
+            if (indegrees[i] === 0) {
+                queue.push(i);
             }
+        }
 
-            const type = obj0.type;
-
-            const ti = 1 - t;
-            if (type === TYPE_NUMBER) {
-                return makeNumber(ti * obj0.value + t * obj1.vallue);
-            } else if (type === TYPE_POINT) {
-                const pt = vLerp(obj0, obj1, t);
-                return makePoint(pt);
-            } else if (type === TYPE_VECTOR) {
-                const vt = vLerp(obj0, obj1, t);
-                const pt = vLerp(obj0.ref, obj1.ref, t);
-                return makeVector({ x: vt.x, y: vt.y, ref: pt });
-            } else if (type === TYPE_POLAR) {
-                const rt = ti * obj0.r + t * obj1.r;
-                const at = ti * obj0.alpha + t * obj1.alpha;
-                return makePolarCoordinate({ r: rt, alpha: at });
-            } else if (type === TYPE_ANGLE) {
-                const vt = ti * obj0.value + t * obj1.value;
-                const st = ti * obj0.start + t * obj1.start;
-                const pt = vLerp(obj0.ref, obj1.ref, t);
-
-                return makeAngle({ value: vt, start: st, ref: pt });
-            } else if (type === TYPE_ARC) {
-                const rt = ti * obj0.r + t * obj1.r;
-                const startT = ti * obj0.startAngle + t * obj1.startAngle;
-                const endT = ti * obj0.endAngle + t * obj1.endAngle;
-                const pt = vLerp(obj0.center, obj1.center, t);
-
-                return makeArc({ r: rt, startAngle: startT, endAngle: endT, center: pt });
-            } else if (type === TYPE_ELLIPSE) {
-                const rxT = ti * obj0.rx + t * obj1.rx;
-                const ryT = ti * obj0.ry + t * obj1.ry;
-                const rotT = ti * obj0.rotation + t * obj1.rotation;
-                const startT = ti * obj0.startAngle + t * obj1.startAngle;
-                const endT = ti * obj0.endAngle + t * obj1.endAngle;
-                const pt = vLerp(obj0.center, obj1.center, t);
-
-                return makeEllipse({ center: pt, rx: rxT, ry: ryT, startAngle: startT, endAngle: endT, rotation: rotT });
-            } else if (type === TYPE_LINE) {
-                const p0 = vLerp(obj0.p0, obj1.p0, t);
-                const p1 = vLerp(obj0.p1, obj1.p1, t);
-                return makeLine({ p0, p1, leftOpen: (obj0.leftOpen || obj1.leftOpen), rightOpen: (obj0.rightOpen || obj1.rightOpen) });
-            } else if (type === TYPE_LINE_STRIP) {
-                const points0 = obj0.points;
-                const points1 = obj1.points;
-
-                if (points0.length !== points1.length) {
-                    throw new Error("Interpolated points number must be the same");
+        const order = [];
+        while (queue.length > 0) {
+            const idx = queue.shift();
+            order.push(idx);
+            for (const di of this.#directDependents(idx)) {
+                if (!this.#exists(di)) {
+                    continue;
                 }
-
-                const result = new Array(points0.length);
-                points0.forEach((v, idx) => {
-                    result[idx] = vLerp(v, points1[idx]);
-                });
-                return makeLineStrip({ points: result });
-            } else if (type === TYPE_POLYGON) {
-                const points0 = obj0.points;
-                const points1 = obj1.points;
-
-                if (points0.length !== points1.length) {
-                    throw new Error("Interpolated points number must be the same");
+                indegrees[di]--;
+                if (indegrees[di] === 0) {
+                    queue.push(di);
                 }
+            }
+        }
+        return order;
+    }
 
-                const result = new Array(points0.length);
-                points0.forEach((v, idx) => {
-                    result[idx] = vLerp(v, points1[idx]);
-                });
-                return makePolygon({ points: result });
-            } else if (type === TYPE_BEZIER) {
-                const points0 = obj0.points;
-                const points1 = obj1.points;
-
-                if (points0.length !== points1.length) {
-                    throw new Error("Interpolated points number must be the same");
+    /**
+     * Export the dependency graph in the Graphviz DOT format.
+     * Edges point from a dependency to its dependent
+     * @param {Object} params
+     * @param {String} [params.graphName] The name of the graph
+     * @param {function(Object) : String} [params.label] Function computing the label of a node from the object info returned by get.
+     * By default, index, name, definition class and constructor name are shown
+     * @returns {String} The graph as a DOT string
+     */
+    toDot({ graphName = "scene", label = null } = {}) {
+        // line breaks are kept as DOT line breaks
+        const escape = str => String(str).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+        const defaultLabel = ({ index, name, definition, createInfo }) => {
+            let l = name !== null ? `${index}: ${name}` : `${index}`;
+            l += `\n${definition.constructor?.name ?? "?"}`;
+            if (createInfo && createInfo !== EMPTY_INFO) {
+                l += `.${createInfo.name}`;
+            }
+            return l;
+        };
+        const labelFunc = label ?? defaultLabel;
+
+        const lines = [`digraph "${escape(graphName)}" {`];
+        const order = this.getTopologicalOrder();
+        for (const i of order) {
+            const info = this.get(i);
+            const style = isParamValid(info.value) ? "" : ", style=dashed";
+            lines.push(`    n${i} [label="${escape(labelFunc(info))}"${style}];`);
+        }
+        for (const i of order) {
+            for (const di of this.#directDependencies(i)) {
+                if (this.#exists(di)) {
+                    lines.push(`    n${di} -> n${i};`);
                 }
+            }
+        }
+        lines.push("}");
+        return lines.join("\n");
+    }
 
-                const result = new Array(points0.length);
-                points0.forEach((v, idx) => {
-                    result[idx] = vLerp(v, points1[idx]);
-                });
-                return makeBezier({ points: result });
-            } else if (type === TYPE_BEZIER_SPLINE) {
-                const points0 = obj0.points;
-                const points1 = obj1.points;
+    #computeUpdateOrder(...indicesStart) {
+        // we do a breadth first update, otherwise the following could happen:
+        // Imagine the simple dependencty setup:
+        //   d
+        //  / \
+        // b   c
+        //  \ /
+        //   a
+        // When we update a and then recursively update all dependencies, we would update d twice: a -> (b -> d, c -> d)
+        // Instead we want to do: a -> (b , c)  -> d
+        // This still ensures that every dependency is updated before it is needed and we always stay in a valid state
 
-                if (points0.length !== points1.length) {
-                    throw new Error("Interpolated points number must be the same");
-                }
+        // do a topological sort
+        // multiple start indices are merged into one order, so that shared dependents are only updated once
 
-                if (obj0.degree !== obj1.degree) {
-                    throw new Error("Interpolation of Bezier splines requires same degree");
-                }
+        const adjacency = {};
 
-                const result = new Array(points0.length);
-                points0.forEach((v, idx) => {
-                    result[idx] = vLerp(v, points1[idx]);
-                });
-                return makeBezierSpline({ points: result, degree: obj0.degree });
-            } else {
-                throw new Error(`Interpolation of given type ${type} not supported`);
-            }
+        // use object keys to represent edges
+        for (const indexStart of indicesStart) {
+            adjacency[indexStart] = { idx: indexStart, entries: {} };
+        }
 
+        const dependentQueue = [...indicesStart];
+        // build up graph
+        while (dependentQueue.length > 0) {
+            const idx = dependentQueue.shift();
 
-        } else if (info.name === "ang") {
-            const { angle, t: tN } = dependencies;
-            assertExistsAndNotOptional(angle);
-            assertType(angle, TYPE_ANGLE);
+            // gather dependant
+            const dependentIndices = this.#reverseDependencies[idx] ?? [];
 
-            if (!isParamEmpty(tN)) {
-                assertType(tN, TYPE_NUMBER);
-                t = tN.value;
+            const adj = adjacency[idx] ?? { idx, entries: {} };
+            for (let di of dependentIndices) {
+                // put into graph
+                adj.entries[di] = di;
             }
+            dependentQueue.push(...dependentIndices);
+            adjacency[idx] = adj;
+        }
+        const indegrees = {};
 
-            const { start, value, ref } = angle;
-
-            const vt = t * value;
+        for (const indexStart of indicesStart) {
+            indegrees[indexStart] = 0;
+        }
+        // convert adjacency to indegrees
+        for (const ki of Object.keys(adjacency)) {
+            const { idx, entries } = adjacency[ki];
+            for (const ka of Object.keys(entries)) {
+                const deg = indegrees[ka] ?? 0;
+                indegrees[ka] = deg + 1;
+            }
+        }
 
-            return makeAngle({ value: vt, start, ref });
+        // do linear time topological sort
+        const deg0Indices = [];
+        for (const ki of Object.keys(indegrees)) {
+            if (indegrees[ki] === 0) {
+                deg0Indices.push(ki);
+            }
+        }
+        const order = [];
 
-        } else {
-            throw new Error("No suitable construcotr");
+        while (deg0Indices.length > 0) {
+            const i0 = deg0Indices.shift();
+            const { idx, entries } = adjacency[i0];
+            order.push(idx);
+            for (let ai of Object.keys(entries)) {
+                let deg = indegrees[ai];
+                deg--;
+                if (deg < 1) {
+                    deg0Indices.push(ai);
+                }
+                indegrees[ai] = deg;
+            }
         }
-    }
-}
 
-/**
- * Event type handler
- */
-class EventType {
-    #callbacks;
-    #id;
-    constructor(name) {
-        this.name = name;
-        this.#callbacks = [];
-        this.#id = 0;
+        return order;
     }
 
-    /**
-     * Add a callback to this event type
-     * @param {function(Object) : (Boolean | undefined)} cb Callback function that may be called with an event object
-     * If true is returned, the event is considered consumed
-     * @returns {Number} The id for this callback. Can be used to remove the callback
-     */
-    addCallback(cb) {
-        const id = this.#id++;
-        this.#callbacks.push({
-            cb, id
-        });
-        return id;
-    }
+    #updateValue(indexStart) {
 
-    /**
-     * Removes a callback
-     * @param {Number} id The id of the callback to be removed
-     */
-    removeCallback(id) {
-        const idx = this.#callbacks.findIndex(x => x.id === id);
-        if (idx >= 0) {
-            this.#callbacks.splice(idx, 1);
+        if (this.#batchDepth > 0) {
+            // values are computed, when the batch is committed
+            this.#batchRoots.push(indexStart);
+            return;
         }
+
+        this.#computeValues(this.#updateOrder[indexStart], true);
     }
 
-    /**
-     * Notify all callbacks attached to this event
-     * @param {Object} event The event object
-     */
-    notify(event) {
-        for (let i = 0; i < this.#callbacks.length; i++) {
-            const { cb } = this.#callbacks[i];
-            const consumed = cb(event);
-            if (consumed) {
-                break;
+    #computeValues(order, notifyEach) {
+        // update in order
+        for (const index of order) {
+            if (this.lazyEvaluation && !this.#isEager(index)) {
+                // computed, when the value is requested
+                this.#dirty[index] = true;
+            } else {
+                this.#evaluate(index);
+            }
+
+            if (notifyEach) {
+                this.#notify("update", new DefinitionUpdateEvent(this, index));
             }
         }
     }
-}
 
-/**
- * Event that is fired when a definition is updated in a @see{GeometryScene}.
- * This happens every time its value is computed
- */
-class DefinitionUpdateEvent {
-    /**
-     * 
-     * @param {GeometryScene} scene The scene from which this event originated
-     * @param {Number} index The index of the changed object
-     */
-    constructor(scene, index) {
-        this.scene = scene;
-        this.index = index;
-    }
-}
-/**
- * Event that is fired when a definition is removed from a a @see{GeometryScene}.
- */
-class DefinitionRemovedEvent {
-    /**
-     * 
-     * @param {GeometryScene} scene The scene from which this event originated
-     * @param {Number} index The index of the removed object
-     */
-    constructor(scene, index) {
-        this.scene = scene;
-        this.index = index;
-    }
-}
-/**
- * Event that is fired when a property is updated in a @see{GeometryScene}.
- */
-class PropertyUpdateEvent {
-    /**
-     * 
-     * @param {GeometryScene} scene The scene from which this event originated
-     * @param {Number} index The index of the changed object
-     */
-    constructor(scene, index) {
-        this.scene = scene;
-        this.index = index;
+    #isEager(index) {
+        return this.#properties[index]?.eager === true;
     }
-}
-
-/**
- * Manages definitions of objects, properties, dependencies and correct updates
- */
-class GeometryScene {
 
-    #values;
-    #definitions;
-    #createInfos;
-    #reverseDependencies;
-    #updateOrder;
-    #properties;
-    #freeList;
+    #evaluate(index) {
+        this.#dirty[index] = false;
 
-    #eventHandlers;
+        this.#values[index] = INVALID;
 
-    static EVENT_UPDATE = "update";
-    static EVENT_PROPERTY = "property";
-    static EVENT_REMOVE = "remove";
+        const prevDiagnostic = this.#diagnostics[index] ?? null;
 
-    constructor() {
-        this.#values = [];
-        this.#definitions = [];
-        this.#createInfos = [];
-        this.#reverseDependencies = [];
-        this.#updateOrder = [];
-        this.#properties = [];
-        this.#freeList = [];
-        this.#eventHandlers = {};
+        const { value, diagnostic } = this.#computeWith(index, di => this.#currentValue(di));
+        this.#values[index] = value;
+        this.#diagnostics[index] = diagnostic;
 
-        this.#eventHandlers[GeometryScene.EVENT_UPDATE] = new EventType(GeometryScene.EVENT_UPDATE);
-        this.#eventHandlers[GeometryScene.EVENT_PROPERTY] = new EventType(GeometryScene.EVENT_PROPERTY);
-        this.#eventHandlers[GeometryScene.EVENT_REMOVE] = new EventType(GeometryScene.EVENT_REMOVE);
-        this.validateLoopFree = true;
+        // only report changes, as objects might stay invalid for many updates
+        if (diagnostic && !diagnostic.equals(prevDiagnostic)) {
+            this.#notify("error", new DiagnosticEvent(this, index, diagnostic));
+        }
     }
 
-    /**
-     * Get the toggle for whether loops should be validated
-     */
-    get validateLoopFree() {
-        return this._validateLoopFree;
-    }
-    /**
-     * Set the toggle for whether loops should be validated
-     * @param {Boolean} validate The toggle value
-     */
-    set validateLoopFree(validate) {
-        this._validateLoopFree = validate;
-    }
-    /**
-     * Register a callback.
-     * Event names are given as the static fields EVENT_UPDATE, EVENT_PROPERTY, EVENT_REMOVE
-     * @param {String} name The name of the callback
-     * @param {function(Object) : (Boolean|undefined)} cb The callback function
-     * @returns {Number} The id of the registered callback
-     */
-    registerCallback(name, cb) {
-        const type = this.#eventHandlers[name];
-        if (!type) {
-            return -1;
+    #computeWith(index, valueOf) {
+        const createInfo = this.#createInfos[index];
+        const def = this.#definitions[index];
+
+        if (!def) {
+            return { value: INVALID, diagnostic: null };
         }
 
-        return type.addCallback(cb);
+        let inputInfo = EMPTY_INFO;
+        if (createInfo !== EMPTY_INFO) {
+            const { dependencies } = createInfo;
+            inputInfo = {
+                name: createInfo.name,
+                dependencies: Array.isArray(dependencies) ? [] : {},
+                params: createInfo.params,
+                ignoreInvalids: createInfo.ignoreInvalids
+            };
+            const inputDeps = inputInfo.dependencies;
+            // gather dependencies for current
+            for (const key of Object.keys(dependencies)) {
+                const di = dependencies[key];
+                if (di === EMPTY || di < 0) {
+                    inputDeps[key] = EMPTY;
+                } else {
+                    let val = valueOf(di);
+                    if (!isParamValid(val)) {
+                        if (createInfo.ignoreInvalids) {
+                            val = INVALID;
+                        } else {
+                            return {
+                                value: INVALID,
+                                diagnostic: new ValueDiagnostic({
+                                    index, definition: def, createInfo,
+                                    reason: ValueDiagnostic.REASON_INVALID_DEPENDENCY,
+                                    dependencyKey: key,
+                                    dependencyIndex: di,
+                                    // follow the chain to the object that originally became invalid
+                                    source: this.#diagnostics[di]?.source ?? di,
+                                }),
+                            };
+                        }
+                    }
+                    inputDeps[key] = val;
+                }
+            }
+        }
+        // only update, if inputs are valid
+        try {
+            // most definitions only need their inputs, but some, like loci, evaluate parts of the scene themselves
+            const value = def.compute(inputInfo, { scene: this, index });
+            if (!isParamValid(value)) {
+                return {
+                    value,
+                    diagnostic: new ValueDiagnostic({
+                        index, definition: def, createInfo,
+                        reason: ValueDiagnostic.REASON_INVALID_RESULT,
+                    }),
+                };
+            }
+            return { value, diagnostic: null };
+        } catch (error) {
+            return {
+                value: INVALID,
+                diagnostic: new ValueDiagnostic({
+                    index, definition: def, createInfo,
+                    reason: ValueDiagnostic.REASON_EXCEPTION,
+                    error,
+                }),
+            };
+        }
     }
 
     /**
-     * Remove a callback.
-     * Event names are given as the static fields EVENT_UPDATE, EVENT_PROPERTY, EVENT_REMOVE
-     * @param {String} name The name of the callback
-     * @param {Number} id The id of the callback to be removed
+     * Computes the value an object would have, if some objects had different values.
+     * Only objects depending on the overridden ones are recomputed. The stored values of the scene are not changed and no events are fired
+     * @param {Number} index The index of the object
+     * @param {Map<Number,*>} overrides The values used for the given indices instead of their stored ones
+     * @returns {*} The value of the object
      */
-    removeCallback(name, id) {
-        const type = this.#eventHandlers[name];
-        if (!type) {
-            return;
-        }
-
-        type.removeCallback(id);
+    evaluateWith(index, overrides) {
+        return this.#evaluateAffected(index, overrides, this.#collectAffected([...overrides.keys()]));
     }
 
-    #notify(name, event) {
-        const type = this.#eventHandlers[name];
-        if (!type) {
-            // should never happen
-            throw ("Trying to notify events that do not exist");
-        }
-        type.notify(event);
+    /**
+     * Computes the values an object would have for multiple values of another object.
+     * This is the same as calling @see{evaluateWith} for each value, but the objects to recompute are only determined once
+     * @param {Number} index The index of the object
+     * @param {Number} source The index of the object, whose value is replaced
+     * @param {Array} values The values used for the source object instead of its stored one
+     * @returns {Array} The values of the object in the same order as the given values
+     */
+    evaluateWithSamples(index, source, values) {
+        const affected = this.#collectAffected([source]);
+        return values.map(v => this.#evaluateAffected(index, new Map([[source, v]]), affected));
     }
 
-    #resizeIfNeeded(arr, idx) {
-        const l = arr.length;
-        if (idx >= l) {
-            arr.length = idx + 1;
+    #collectAffected(indices) {
+        const affected = new Set();
+        for (const i of indices) {
+            for (const d of this.#collectTransitive(i, j => this.#directDependents(j))) {
+                affected.add(d);
+            }
         }
+        return affected;
     }
 
-    #wouldCreateLoop(index, createInfo) {
-        // find out, if the new index depends on itself along the way
-        const queue = [];
-        const createDeps = createInfo.dependencies;
-
-        Object.keys(createDeps).forEach(v => queue.push(createDeps[v]));
-
-        while (queue.length > 0) {
-            const idx = queue.pop();
-            if (idx === EMPTY || idx < 0) {
-                continue;
+    #evaluateAffected(index, overrides, affected) {
+        const values = new Map(overrides);
+        const valueOf = (i) => {
+            if (values.has(i)) {
+                return values.get(i);
             }
-
-            if (idx === index) {
-                return true;
+            if (!affected.has(i)) {
+                return this.#currentValue(i);
             }
-            // get dependencies
-            const deps = this.#createInfos[idx].dependencies;
-            Object.keys(deps).forEach(v => queue.push(deps[v]));
-        }
+            values.set(i, INVALID);
+            const { value } = this.#computeWith(i, valueOf);
+            values.set(i, value);
+            return value;
+        };
+        return valueOf(index);
+    }
 
-        return false;
+    /**
+     * Starts a batch of changes.
+     * While a batch is active, changed objects are only recorded and their values are not recomputed.
+     * When the outermost batch is committed, all affected objects are recomputed exactly once.
+     * Batches may be nested
+     */
+    beginBatch() {
+        this.#batchDepth++;
     }
 
     /**
-     * Add a new definition
-     * @param {Object} def The definition
-     * @param {CreateInfo} createInfo The creation info.
-     * Dependencies specified here must use indices obtained via the GeometryScene class to refer to other objects
-     * @param {Object} properties Properties to associate with this definition
-     * @returns {Number} The id of the created object
-     * Ids are unique, while in use, but may be reused after removal
+     * Commits a batch started with beginBatch.
+     * If this ends the outermost batch, all affected objects are recomputed once in a dependency preserving order.
+     * Instead of single update events, one event of type EVENT_BATCH is fired with all recomputed indices
      */
-    add(def, createInfo = null, properties = {}) {
+    commitBatch() {
+        if (this.#batchDepth === 0) {
+            throw new Error("Trying to commit a batch that was not started");
+        }
+        this.#batchDepth--;
 
-        let idx = this.#definitions.length;
-        if (this.#freeList.length > 0) {
-            idx = this.#freeList.pop();
+        if (this.#batchDepth > 0) {
+            return;
+        }
+
+        const roots = [...new Set(this.#batchRoots)];
+        this.#batchRoots = [];
+
+        if (roots.length === 0) {
+            return;
         }
 
-        return this.set(idx, def, createInfo, properties);
+        const order = this.#computeUpdateOrder(...roots);
+        this.#computeValues(order, false);
+
+        // objects removed during the batch were already reported by their remove event
+        const indices = order.filter(i => this.#definitions[i]);
+        this.#notify("batch", new BatchUpdateEvent(this, indices));
     }
 
     /**
-     * Get the information about the specified object
-     * @param {Number} index The index of the registered object
-     * @returns {{value: *, definition: Object, createInfo : CreateInfo, index : Number, properties : {}} | null} Information stored for the object or null, if it doesn't exist
+     * Runs the given function as a batch.
+     * All changes done in the function are computed and reported once, after it has finished
+     * @param {function(GeometryScene) : *} f The function applying the changes. Receives this scene
+     * @returns {*} The return value of f
      */
-    get(index) {
-        if (index >= this.#definitions.length) {
-            return null;
+    batch(f) {
+        this.beginBatch();
+        try {
+            return f(this);
+        } finally {
+            this.commitBatch();
         }
+    }
 
-        // maybe copy?
-        const value = this.#values[index];
-        const definition = this.#definitions[index];
-        const createInfo = this.#createInfos[index];
-        const properties = this.#properties[index];
+    /**
+     * Enables recording of changes, so that they can be undone and redone.
+     * Recorded operations are add, set, update, remove, setProperties and updateProperties.
+     * If the history is already enabled, only the depth is changed
+     * @param {Object} params
+     * @param {Number} [params.maxDepth] The maximum number of undoable steps. Older steps are discarded
+     */
+    enableHistory({ maxDepth = 100 } = {}) {
+        if (!this.#history) {
+            this.#history = {
+                undoStack: [],
+                redoStack: [],
+                group: [],
+                groupDepth: 0,
+                paused: false,
+            };
+        }
+        this.#history.maxDepth = maxDepth;
+        this.#trimHistory();
+    }
 
-        return {
-            value, definition, createInfo, index, properties
-        };
+    /**
+     * Disables the recording of changes and discards the recorded history
+     */
+    disableHistory() {
+        this.#history = null;
     }
 
-    #computeUpdateOrder(indexStart) {
-        // we do a breadth first update, otherwise the following could happen:
-        // Imagine the simple dependencty setup:
-        //   d
-        //  / \
-        // b   c
-        //  \ /
-        //   a
-        // When we update a and then recursively update all dependencies, we would update d twice: a -> (b -> d, c -> d)
-        // Instead we want to do: a -> (b , c)  -> d
-        // This still ensures that every dependency is updated before it is needed and we always stay in a valid state
+    /**
+     * Check, whether changes are currently recorded
+     * @returns {Boolean} True, if the history is enabled, false otherwise
+     */
+    isHistoryEnabled() {
+        return this.#history !== null;
+    }
 
-        // do a topological sort
+    /**
+     * Discards all recorded steps
+     */
+    clearHistory() {
+        const h = this.#history;
+        if (!h) {
+            return;
+        }
+        h.undoStack = [];
+        h.redoStack = [];
+        h.group = [];
+        h.groupDepth = 0;
+    }
 
-        // the current nodes to update
-        let queue = [indexStart];
+    /**
+     * Starts a group of operations, that will be undone and redone as a single step, for example a whole drag gesture.
+     * Groups may be nested, only the outermost group creates a step.
+     * Does nothing, if the history is not enabled
+     */
+    beginHistoryGroup() {
+        const h = this.#history;
+        if (!h) {
+            return;
+        }
+        h.groupDepth++;
+    }
 
-        const adjacency = {};
+    /**
+     * Ends a group of operations started with beginHistoryGroup.
+     * Does nothing, if the history is not enabled
+     */
+    endHistoryGroup() {
+        const h = this.#history;
+        if (!h || h.groupDepth === 0) {
+            return;
+        }
+        h.groupDepth--;
+        if (h.groupDepth > 0) {
+            return;
+        }
+        const commands = h.group;
+        h.group = [];
+        if (commands.length > 0) {
+            this.#pushHistory(commands);
+        }
+    }
 
-        // use object keys to represent edges
-        adjacency[indexStart] = { idx: indexStart, entries: {} };
+    /**
+     * Runs the given function as a history group.
+     * All recorded operations in the function are undone and redone as a single step
+     * @param {function(GeometryScene) : *} f The function applying the changes. Receives this scene
+     * @returns {*} The return value of f
+     */
+    historyGroup(f) {
+        this.beginHistoryGroup();
+        try {
+            return f(this);
+        } finally {
+            this.endHistoryGroup();
+        }
+    }
 
-        const dependentQueue = [indexStart];
-        // build up graph
-        while (dependentQueue.length > 0) {
-            const idx = dependentQueue.shift();
+    /**
+     * Check, whether there is a step that can be undone
+     * @returns {Boolean} True, if undo is possible, false otherwise
+     */
+    canUndo() {
+        return this.#history !== null && this.#history.undoStack.length > 0;
+    }
 
-            // gather dependant
-            const dependentIndices = this.#reverseDependencies[idx] ?? [];
+    /**
+     * Check, whether there is a step that can be redone
+     * @returns {Boolean} True, if redo is possible, false otherwise
+     */
+    canRedo() {
+        return this.#history !== null && this.#history.redoStack.length > 0;
+    }
 
-            const adj = adjacency[idx] ?? { idx, entries: {} };
-            for (let di of dependentIndices) {
-                // put into graph
-                adj.entries[di] = di;
-            }
-            dependentQueue.push(...dependentIndices);
-            adjacency[idx] = adj;
+    /**
+     * Undo the last recorded step
+     * @returns {Boolean} True, if a step was undone, false otherwise
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false;
         }
-        const indegrees = {};
-
-        indegrees[indexStart] = 0;
-        // convert adjacency to indegrees
-        for (const ki of Object.keys(adjacency)) {
-            const { idx, entries } = adjacency[ki];
-            for (const ka of Object.keys(entries)) {
-                const deg = indegrees[ka] ?? 0;
-                indegrees[ka] = deg + 1;
-            }
+        const h = this.#history;
+        if (h.groupDepth > 0) {
+            throw new Error("Trying to undo while a history group is active");
         }
-
-        // do linear time topological sort
-        const deg0Indices = [];
-        for (const ki of Object.keys(indegrees)) {
-            if (indegrees[ki] === 0) {
-                deg0Indices.push(ki);
+        const commands = h.undoStack.pop();
+        // undo in reverse order of recording
+        this.#replayHistory(() => {
+            for (let i = commands.length - 1; i >= 0; i--) {
+                commands[i].undo();
             }
-        }
-        const order = [];
+        });
+        h.redoStack.push(commands);
+        return true;
+    }
 
-        while (deg0Indices.length > 0) {
-            const i0 = deg0Indices.shift();
-            const { idx, entries } = adjacency[i0];
-            order.push(idx);
-            for (let ai of Object.keys(entries)) {
-                let deg = indegrees[ai];
-                deg--;
-                if (deg < 1) {
-                    deg0Indices.push(ai);
-                }
-                indegrees[ai] = deg;
+    /**
+     * Redo the last undone step
+     * @returns {Boolean} True, if a step was redone, false otherwise
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+        const h = this.#history;
+        if (h.groupDepth > 0) {
+            throw new Error("Trying to redo while a history group is active");
+        }
+        const commands = h.redoStack.pop();
+        this.#replayHistory(() => {
+            for (const c of commands) {
+                c.redo();
             }
+        });
+        h.undoStack.push(commands);
+        return true;
+    }
+
+    #replayHistory(f) {
+        // changes made while replaying must not be recorded themselves
+        const h = this.#history;
+        h.paused = true;
+        try {
+            this.batch(f);
+        } finally {
+            h.paused = false;
         }
-
-        return order;
     }
 
-    #updateValue(indexStart) {
+    #record(undo, redo) {
+        const h = this.#history;
+        if (!h || h.paused) {
+            return;
+        }
+        const command = { undo, redo };
+        if (h.groupDepth > 0) {
+            h.group.push(command);
+        } else {
+            this.#pushHistory([command]);
+        }
+    }
 
-        const order = this.#updateOrder[indexStart];
-        // update in order
-        for (const index of order) {
-            const createInfo = this.#createInfos[index];
-            const def = this.#definitions[index];
+    #pushHistory(commands) {
+        const h = this.#history;
+        h.undoStack.push(commands);
+        // a new step invalidates everything that was undone before
+        h.redoStack = [];
+        this.#trimHistory();
+    }
 
-            this.#values[index] = INVALID;
+    #trimHistory() {
+        const h = this.#history;
+        const excess = h.undoStack.length - h.maxDepth;
+        if (excess > 0) {
+            h.undoStack.splice(0, excess);
+        }
+    }
 
-            if (def) {
-                if (createInfo === EMPTY_INFO) {
-                    this.#values[index] = def.compute(EMPTY_INFO);
-                }
-                else {
-                    const { dependencies } = createInfo;
-                    const inputInfo = {
-                        name: createInfo.name,
-                        dependencies: Array.isArray(dependencies) ? [] : {},
-                        params: createInfo.params,
-                        ignoreInvalids: createInfo.ignoreInvalids
-                    };
-                    const inputDeps = inputInfo.dependencies;
-                    let validInput = true;
-                    // gather dependencies for current
-                    for (const key of Object.keys(dependencies)) {
-                        const di = dependencies[key];
-                        if (di === EMPTY || di < 0) {
-                            inputDeps[key] = EMPTY;
-                        } else {
-                            let val = this.#values[di];
-                            if (!isParamValid(val)) {
-                                if (createInfo.ignoreInvalids) {
-                                    val = INVALID;
-                                } else {
-                                    validInput = false;
-                                    break;
-                                }
-                            }
-                            inputDeps[key] = val;
-                        }
-                    }
-                    // only update, if inputs are valid
-                    if (validInput) {
-                        this.#values[index] = def.compute(inputInfo);
-                    }
-                    else {
-                        this.#values[index] = INVALID;
-                    }
-                }
+    #captureEntry(index) {
+        const def = this.#definitions[index];
+        if (!def) {
+            return null;
+        }
+        return {
+            def,
+            createInfo: this.#createInfos[index],
+            properties: this.#properties[index],
+            name: this.#indexNames[index] ?? null,
+            macroOwner: this.#macroOwners[index] ?? null,
+        };
+    }
 
+    #restoreEntry(index, entry) {
+        if (!entry) {
+            if (this.#definitions[index]) {
+                this.remove(index);
             }
-
-            this.#notify("update", new DefinitionUpdateEvent(this, index));
+            return;
         }
-
+        // the index might have been freed in the meantime
+        const fi = this.#freeList.indexOf(index);
+        if (fi >= 0) {
+            this.#freeList.splice(fi, 1);
+        }
+        this.#danglingIndices.delete(index);
+        // set keeps the current name, if none is given
+        const currentName = this.#indexNames[index] ?? null;
+        if (currentName !== null && currentName !== entry.name) {
+            this.#names.delete(currentName);
+            this.#indexNames[index] = null;
+        }
+        this.set(index, entry.def, entry.createInfo, entry.properties, entry.name);
+        this.#macroOwners[index] = entry.macroOwner;
     }
 
     #computeUpdateOrderChain(idx) {
         this.#updateOrder[idx] = this.#computeUpdateOrder(idx);
-        const deps = this.#createInfos[idx].dependencies;
+        const createInfo = this.#createInfos[idx];
+        if (!createInfo) {
+            // removed objects may still be referenced
+            return;
+        }
+        const deps = createInfo.dependencies;
 
         for (const k of Object.keys(deps)) {
             const di = deps[k];
@@ -10433,15 +18599,20 @@ class GeometryScene {
      * @param {Number} index The index of the object
      * @param {Object} def The definition
      * @param {CreateInfo} [createInfo] The creation info
-     * Dependencies specified here must use indices obtained via the GeometryScene class to refer to other objects
+     * Dependencies specified here must use indices obtained via the GeometryScene class or names of objects to refer to other objects
      * @param {{}} [properties] The properties
+     * @param {String} [name] A unique name for the object. If not specified, an existing name at the index is kept
      * @returns {Number} The index
      */
-    set(index, def, createInfo = null, properties = {}) {
+    set(index, def, createInfo = null, properties = {}, name = null) {
 
         if (!createInfo) {
             createInfo = EMPTY_INFO;
         }
+        createInfo = this.#resolveNames(createInfo);
+
+        this.#assertNameAvailable(name, index);
+        const prevEntry = this.#history ? this.#captureEntry(index) : null;
         // remove previous create infos, if they exist
         const prevCreateInfo = this.#createInfos[index];
 
@@ -10463,10 +18634,25 @@ class GeometryScene {
         this.#resizeIfNeeded(this.#values, index);
         this.#resizeIfNeeded(this.#properties, index);
 
+        this.#resizeIfNeeded(this.#indexNames, index);
+
         this.#createInfos[index] = createInfo;
         this.#definitions[index] = def;
         this.#properties[index] = properties;
 
+        if (this.#macroInstance) {
+            this.#macroOwners[index] = this.#macroInstance;
+        }
+
+        if (name !== null) {
+            const prevName = this.#indexNames[index];
+            if (prevName !== undefined && prevName !== null) {
+                this.#names.delete(prevName);
+            }
+            this.#indexNames[index] = name;
+            this.#names.set(name, index);
+        }
+
 
         const deps = createInfo.dependencies;
         for (const k of Object.keys(deps)) {
@@ -10485,6 +18671,11 @@ class GeometryScene {
         this.#computeUpdateOrderChain(index);
 
         this.#updateValue(index);
+
+        if (this.#history) {
+            const entry = this.#captureEntry(index);
+            this.#record(() => this.#restoreEntry(index, prevEntry), () => this.#restoreEntry(index, entry));
+        }
         return index;
     }
 
@@ -10499,6 +18690,9 @@ class GeometryScene {
             throw new Error(`Trying to update non - existent definition at index ${index} `);
         }
 
+        const prevDef = this.#definitions[index];
+        this.#record(() => this.update(index, prevDef), () => this.update(index, def));
+
         this.#definitions[index] = def;
 
         this.#updateValue(index);
@@ -10514,7 +18708,7 @@ class GeometryScene {
             throw new Error(`Trying to update non - existent property at index ${index} `);
         }
 
-        this.#properties[index] = properties;
+        this.#recordProperties(index, () => this.#properties[index] = properties);
         this.#notify("property", new PropertyUpdateEvent(this, index));
     }
 
@@ -10528,16 +18722,30 @@ class GeometryScene {
             throw new Error(`Trying to update non - existent property at index ${index} `);
         }
 
-        mergeObjectInto(this.#properties[index], properties);
+        this.#recordProperties(index, () => mergeObjectInto(this.#properties[index], properties));
         this.#notify("property", new PropertyUpdateEvent(this, index));
     }
 
+    #recordProperties(index, change) {
+        if (!this.#history) {
+            change();
+            return;
+        }
+        // properties are copied, as they may be changed in place later on
+        const prev = mergeObjectInto({}, this.#properties[index]);
+        change();
+        const next = mergeObjectInto({}, this.#properties[index]);
+        this.#record(() => this.setProperties(index, mergeObjectInto({}, prev)),
+            () => this.setProperties(index, mergeObjectInto({}, next)));
+    }
+
     #removeDependencies(index) {
         const createInfo = this.#createInfos[index];
         const deps = createInfo.dependencies;
 
         this.#createInfos[index] = null;
         this.#values[index] = INVALID;
+        this.#dirty[index] = false;
 
         // update everything that depends on this
         const idxReverseDeps = this.#reverseDependencies[index] ?? [];
@@ -10562,6 +18770,7 @@ class GeometryScene {
                 throw new Error(`Trying to remove dependency ${index} from ${di} `);
             }
             rdi.splice(findex, 1);
+            this.#releaseIfUnreferenced(di);
 
             // compute update order of removed index
             this.#computeUpdateOrderChain(di);
@@ -10569,11 +18778,27 @@ class GeometryScene {
 
     }
 
+    #hasDependents(index) {
+        return (this.#reverseDependencies[index] ?? []).some(i => this.#exists(i));
+    }
+
+    #releaseIfUnreferenced(index) {
+        // removed indices are held back as long as they are referenced
+        if (this.#danglingIndices.has(index) && !this.#hasDependents(index)) {
+            this.#danglingIndices.delete(index);
+            this.#freeList.push(index);
+        }
+    }
+
     /**
-     * Remove an object
+     * Remove an object.
+     * Without cascading, objects depending on the removed one stay in the scene with INVALID values.
+     * See safeRemoval for how their references to the removed index are handled
      * @param {Number} index The index of the object
+     * @param {Object} params
+     * @param {Boolean} [params.cascade] If true, all objects that directly or indirectly depend on this one are removed as well
      */
-    remove(index) {
+    remove(index, { cascade = false } = {}) {
         if (index >= this.#definitions.length) {
             throw new Error(`Trying to delete non - existent definition at index ${index} `);
         }
@@ -10582,6 +18807,24 @@ class GeometryScene {
             throw new Error(`Trying to delete non - existent definition at index ${index} `);
         }
 
+        if (cascade) {
+            const dependents = new Set(this.getDependents(index, { transitive: true }).filter(i => this.#exists(i)));
+            if (dependents.size > 0) {
+                const order = this.getTopologicalOrder().filter(i => dependents.has(i));
+                this.historyGroup(() => this.batch(() => {
+                    // remove dependents first, so no object is left with a missing dependency
+                    for (let i = order.length - 1; i >= 0; i--) {
+                        this.remove(order[i]);
+                    }
+                    this.remove(index);
+                }));
+                return;
+            }
+        }
+
+        const prevEntry = this.#history ? this.#captureEntry(index) : null;
+        this.#record(() => this.#restoreEntry(index, prevEntry), () => this.remove(index));
+
         this.#notify("remove", new DefinitionUpdateEvent(this, index));
 
         // remove dependencies
@@ -10591,28 +18834,45 @@ class GeometryScene {
         this.#updateOrder[index] = null;
         this.#definitions[index] = null;
         this.#properties[index] = null;
+        this.#diagnostics[index] = null;
+        this.#macroOwners[index] = null;
+
+        // names are not reused together with the index
+        const name = this.#indexNames[index];
+        if (name !== undefined && name !== null) {
+            this.#names.delete(name);
+            this.#indexNames[index] = null;
+        }
 
-        this.#freeList.push(index);
+        if (this.safeRemoval && this.#hasDependents(index)) {
+            this.#danglingIndices.add(index);
+        } else {
+            this.#freeList.push(index);
+        }
     }
 
     /**
      * Creates an iterable view of the scene
      * @param {Object} params
      * @param {Boolean} [skipInvalidValues] If true, invalid values will be skipped, otherwise not
+     * @param {function(Number, Object) : Boolean} [filter] If given, only objects for which filter(index, properties) returns true are included.
+     * The filter is applied before values are computed, so with lazy evaluation, excluded objects are not computed
      * @returns {Symbol.iterator} An iterator for this scne
      */
-    view({ skipInvalidValues = true } = {}) {
+    view({ skipInvalidValues = true, filter = null } = {}) {
 
         let index = 0;
         let defs = this.#definitions;
-        let vals = this.#values;
+        let props = this.#properties;
         let scene = this;
 
+        const skip = (i) => !defs[i] || (filter && !filter(i, props[i])) || (skipInvalidValues && !isParamValid(scene.#currentValue(i)));
+
         return {
             *[Symbol.iterator]() {
                 while (index < defs.length) {
                     // skip over null entries
-                    while ((!defs[index] || (skipInvalidValues && !isParamValid(vals[index]))) && index < defs.length) {
+                    while (index < defs.length && skip(index)) {
                         index++;
                     }
                     if (index < defs.length) {
@@ -10623,6 +18883,197 @@ class GeometryScene {
             }
         };
     }
+
+    /**
+     * Converts the scene into a JSON compatible object.
+     * Definitions, creation infos and properties are stored together with their indices, so dependencies stay valid.
+     * Functions can only be stored, if they are registered in the @see{DefinitionRegistry}, otherwise an error is thrown
+     * @returns {{objects : Array<Object>, freeList : Array<Number>}} The JSON compatible representation
+     */
+    toJSON() {
+        const objects = [];
+        for (let index = 0; index < this.#definitions.length; index++) {
+            const def = this.#definitions[index];
+            if (!def) {
+                continue;
+            }
+            const createInfo = this.#createInfos[index];
+            const path = `object ${index}`;
+
+            const name = DefinitionRegistry.getDefinitionName(def);
+            if (name === undefined) {
+                throw new Error(`Definition of class ${def.constructor?.name} at ${path} is not registered in the DefinitionRegistry`);
+            }
+
+            let info = null;
+            if (createInfo !== EMPTY_INFO) {
+                info = {
+                    name: createInfo.name,
+                    dependencies: DefinitionRegistry.encode(createInfo.dependencies, `${path}.dependencies`),
+                    params: DefinitionRegistry.encode(createInfo.params, `${path}.params`),
+                    ignoreInvalids: createInfo.ignoreInvalids,
+                };
+            }
+
+            objects.push({
+                index,
+                definition: DefinitionRegistry.encode(def, `${path}.definition`),
+                createInfo: info,
+                properties: DefinitionRegistry.encode(this.#properties[index], `${path}.properties`),
+                name: this.#indexNames[index] ?? null,
+            });
+        }
+
+        return {
+            objects,
+            freeList: [...this.#freeList],
+        };
+    }
+
+    /**
+     * Creates a scene from a representation created by @see{GeometryScene.toJSON}.
+     * All objects keep their indices.
+     * Functions and definition classes are resolved with the @see{DefinitionRegistry}
+     * @param {String | {objects : Array<Object>, freeList : Array<Number>}} json The JSON string or the already parsed object
+     * @returns {GeometryScene} The restored scene
+     */
+    static fromJSON(json) {
+        if (typeof json === "string") {
+            json = JSON.parse(json);
+        }
+
+        const { objects = [], freeList = [] } = json;
+
+        const entries = {};
+        for (const obj of objects) {
+            const { index, definition, createInfo, properties, name = null } = obj;
+            let info = EMPTY_INFO;
+            if (createInfo) {
+                info = CreateInfo.new(createInfo.name,
+                    DefinitionRegistry.decode(createInfo.dependencies),
+                    DefinitionRegistry.decode(createInfo.params),
+                    createInfo.ignoreInvalids);
+            }
+            entries[index] = {
+                def: DefinitionRegistry.decode(definition),
+                createInfo: info,
+                properties: DefinitionRegistry.decode(properties) ?? {},
+                name,
+            };
+        }
+
+        return GeometryScene.#fromEntries(entries, freeList);
+    }
+
+    static #fromEntries(entries, freeList) {
+        const scene = new GeometryScene();
+
+        // objects have to be set after their dependencies, as indices may have been reused
+        const visited = {};
+        const visit = (index) => {
+            if (visited[index]) {
+                return;
+            }
+            visited[index] = true;
+            const entry = entries[index];
+            if (!entry) {
+                // dependency on a removed object
+                return;
+            }
+            const deps = entry.createInfo.dependencies;
+            for (const k of Object.keys(deps)) {
+                const di = deps[k];
+                if (di === EMPTY || di < 0) {
+                    continue;
+                }
+                visit(di);
+            }
+            scene.set(index, entry.def, entry.createInfo, entry.properties, entry.name);
+        };
+
+        for (const k of Object.keys(entries)) {
+            visit(parseInt(k));
+        }
+
+        // unused indices in between should still be reused
+        scene.#freeList = [...freeList];
+
+        return scene;
+    }
+
+    static #copy(value) {
+        // sentinels and functions are shared, as they can't be copied
+        if (value === null || typeof value !== "object" || value === EMPTY || value === INVALID || value === EMPTY_INFO) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => GeometryScene.#copy(v));
+        }
+        const result = Object.create(Object.getPrototypeOf(value));
+        for (const k of Object.keys(value)) {
+            result[k] = GeometryScene.#copy(value[k]);
+        }
+        return result;
+    }
+
+    /**
+     * Creates a deep copy of this scene.
+     * Definitions, creation infos and properties are copied, functions contained in them are shared.
+     * Callbacks and the history are not copied
+     * @returns {GeometryScene} The copy
+     */
+    clone() {
+        const entries = {};
+        for (let index = 0; index < this.#definitions.length; index++) {
+            const def = this.#definitions[index];
+            if (!def) {
+                continue;
+            }
+            entries[index] = {
+                def: GeometryScene.#copy(def),
+                createInfo: GeometryScene.#copy(this.#createInfos[index]),
+                properties: GeometryScene.#copy(this.#properties[index]),
+                name: this.#indexNames[index] ?? null,
+            };
+        }
+        const scene = GeometryScene.#fromEntries(entries, this.#freeList);
+        scene.#danglingIndices = new Set(this.#danglingIndices);
+        scene.#macroOwners = [...this.#macroOwners];
+        scene.validateLoopFree = this.validateLoopFree;
+        scene.safeRemoval = this.safeRemoval;
+        scene.lazyEvaluation = this.lazyEvaluation;
+        return scene;
+    }
+
+    /**
+     * Captures the definitions of all free objects, such as DefPoint or DefNumber.
+     * As all other values are computed from those, this is enough to reset a scene to a previous state, as long as its structure didn't change
+     * @returns {{definitions : Array<{index : Number, definition : Object}>}} The snapshot
+     */
+    snapshot() {
+        const definitions = this.getFreeObjects().map(index => ({
+            index,
+            definition: GeometryScene.#copy(this.#definitions[index]),
+        }));
+        return { definitions };
+    }
+
+    /**
+     * Restores the definitions captured by snapshot.
+     * Objects that were removed or are not free anymore are skipped.
+     * All changes are applied as a batch and a single history step
+     * @param {{definitions : Array<{index : Number, definition : Object}>}} snapshot The snapshot
+     */
+    restore(snapshot) {
+        this.historyGroup(() => this.batch(() => {
+            for (const { index, definition } of snapshot.definitions) {
+                if (!this.#exists(index) || this.#directDependencies(index).length > 0) {
+                    continue;
+                }
+                this.update(index, GeometryScene.#copy(definition));
+            }
+        }));
+    }
 }
 
 export {
@@ -10639,8 +19090,15 @@ export {
     TYPE_POLYGON,
     TYPE_ARC,
     TYPE_ELLIPSE,
+    TYPE_PARABOLA,
+    TYPE_HYPERBOLA,
+    TYPE_FUNCTION_GRAPH,
+    TYPE_PARAMETRIC_CURVE,
+    TYPE_IMPLICIT_CURVE,
     TYPE_BEZIER,
     TYPE_BEZIER_SPLINE,
+    TYPE_RATIONAL_BEZIER,
+    TYPE_NURBS,
     TYPE_TEXT,
     TYPE_COLLECTION,
     INVALID,
@@ -10661,6 +19119,29 @@ export {
     subdivideBezierControlPoints,
     subintervalBezierControlPoints,
     subdivideBezierAdaptive,
+    convertToHomogeneousPoints,
+    convertFromHomogeneousPoints,
+    deCasteljauHomogeneous,
+    deCasteljauRational,
+    calcRationalBezierDerivative,
+    subdivideRationalBezierControlPoints,
+    subdivideHomogeneousControlPoints,
+    subdivideRationalBezierAdaptive,
+    calcClampedUniformKnots,
+    calcNurbsDomain,
+    findNurbsKnotSpan,
+    deBoorHomogeneous,
+    calcNurbsPoint,
+    calcNurbsDerivative,
+    insertNurbsKnot,
+    convertNurbsToRationalBeziers,
+    convertEllipseToNurbs,
+    calcUniformKnots,
+    deBoor,
+    insertBSplineKnot,
+    calcBSplineBlossom,
+    elevateBSplineDegree,
+    convertBSplineToBezierSpline,
     makeBoolean,
     makeNumber,
     makePoint,
@@ -10672,8 +19153,15 @@ export {
     makePolygon,
     makeBezier,
     makeBezierSpline,
+    makeRationalBezier,
+    makeNurbs,
     makeArc,
     makeEllipse,
+    makeParabola,
+    makeHyperbola,
+    makeFunctionGraph,
+    makeParametricCurve,
+    makeImplicitCurve,
     makeText,
     makeCollection,
     objectToString,
@@ -10704,6 +19192,47 @@ export {
     isAngleInRange,
     intersectArcArc,
     intersectEllipseEllipse,
+    convertPointToLocalConic,
+    convertPointFromLocalConic,
+    getHyperbolaBranches,
+    calcHyperbolaLocalParam,
+    calcHyperbolaCurveParam,
+    calcConicImplicit,
+    calcConicRationalParam,
+    intersectRationalQuadraticImplicit,
+    isPointInConicRange,
+    intersectConicObject,
+    calcConicFromPoints,
+    convertImplicitToConic,
+    convertParabolaToBezier,
+    sampleHyperbola,
+    calcFunctionDerivative,
+    calcFunctionRoots,
+    calcGaussLegendreRule,
+    integrateGaussLegendre,
+    integrateAdaptive,
+    sampleFunctionGraph,
+    intersectFunctionGraphObject,
+    calcParametricCurvePoint,
+    calcParametricCurveDerivative,
+    sampleParametricCurve,
+    calcParametricCurveClosestParams,
+    intersectParametricCurveObject,
+    calcImplicitGradient,
+    projectPointImplicitCurve,
+    traceImplicitCurve,
+    intersectImplicitCurveObject,
+    convertRationalBezierToParametric,
+    convertNurbsToParametric,
+    calcCurvePieceParams,
+    calcCurveDerivative,
+    calcCurveLength,
+    calcCurveParamFromLength,
+    calcCurveCurvature,
+    sampleCurveEvolute,
+    intersectLineRationalBezier,
+    intersectRationalBezierObject,
+    intersectNurbsObject,
     calcCirclePointTangentPoints,
     isPointDirectionValidOnArc,
     calcOuterTangentPoints,
@@ -10713,10 +19242,37 @@ export {
     closestPointLine,
     closestPointArc,
     closestPointBezier,
+    closestPointParabola,
+    closestPointHyperbola,
+    closestPointFunctionGraph,
+    closestPointParametricCurve,
+    closestPointImplicitCurve,
+    closestPointRationalBezier,
+    closestPointNurbs,
     assertType,
     computePlane,
     clipPolygonAtPlane,
     clipPolygonAtPolygon,
+    calcPolygonWindingNumber,
+    isPointInPolygonRegion,
+    calcPolygonBoolean,
+    calcPolygonSignedArea,
+    isPolygonSimple,
+    isPolygonConvex,
+    calcRegionBoundary,
+    calcRegionSignedArea,
+    calcRegionPerimeter,
+    calcRegionCentroid,
+    calcRegionWindingNumber,
+    isPointInRegion,
+    flattenRegionBoundary,
+    isRegionConvex,
+    isRegionSimple,
+    offsetLineStrip,
+    bufferPolygon,
+    approximateOffsetCurve,
+    offsetBezier,
+    offsetEllipse,
     removeZeroSegments,
     // classes
     Vec2,
@@ -10724,6 +19280,7 @@ export {
     Roots,
     IntersectionRegistry,
     ClosestPointRegistry,
+    DefinitionRegistry,
     CreateInfo,
     DefVector,
     DefCoordSystem,
@@ -10732,6 +19289,8 @@ export {
     DefVectorOps,
     DefPerpendicularLine,
     DefParallelLine,
+    DefAngleBisector,
+    DefPerpendicularBisector,
     DefReflection,
     DefRefraction,
     DefPolarVector,
@@ -10749,6 +19308,7 @@ export {
     DefTangentPoints,
     DefTangentLines,
     DefMidPoint,
+    DefTriangleCenter,
     DefEllipseFocus,
     DefFunc,
     DefLine,
@@ -10756,6 +19316,21 @@ export {
     DefPolygon,
     DefBezier,
     DefBezierSpline,
+    DefRationalBezier,
+    DefNurbs,
+    DefBSpline,
+    DefPolygonBoolean,
+    DefArea,
+    DefPerimeter,
+    DefCentroid,
+    DefWindingNumber,
+    DefCurveLength,
+    DefCurvature,
+    DefOsculatingCircle,
+    DefCenterOfCurvature,
+    DefEvolute,
+    DefOffset,
+    DefLocus,
     DefArcLength,
     DefLengthSquared,
     DefLength,
@@ -10764,13 +19339,25 @@ export {
     DefMap,
     DefArc,
     DefEllipse,
+    DefParabola,
+    DefHyperbola,
+    DefConic,
+    DefFunctionGraph,
+    DefParametricCurve,
+    DefImplicitCurve,
     DefClosestPoint,
     DefIntersection,
     DefArray,
     DefInterpolate,
+    DefTransform,
     EventType,
     DefinitionUpdateEvent,
     DefinitionRemovedEvent,
     PropertyUpdateEvent,
+    BatchUpdateEvent,
+    ValueDiagnostic,
+    DiagnosticEvent,
+    Macro,
+    MacroInstance,
     GeometryScene,
 };
\ No newline at end of file
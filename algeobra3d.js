@@ -1666,6 +1666,7 @@ class AlgeobraThreeScene {
         this.#callbacks.push(algeobraScene.registerCallback(GeometryScene.EVENT_UPDATE, (e) => this.#updateObject(e.index)));
         this.#callbacks.push(algeobraScene.registerCallback(GeometryScene.EVENT_REMOVE, (e) => this.#removeObject(e.index)));
         this.#callbacks.push(algeobraScene.registerCallback(GeometryScene.EVENT_PROPERTY, (e) => this.#updateProps(e.index)));
+        this.#callbacks.push(algeobraScene.registerCallback(GeometryScene.EVENT_BATCH, (e) => e.indices.forEach(i => this.#updateObject(i))));
 
         // update each object in the beginning
         for (const obj of algeobraScene.view({ skipInvalidValues: true })) {
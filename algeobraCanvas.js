@@ -22,8 +22,15 @@ import {
     TYPE_POLYGON,
     TYPE_ARC,
     TYPE_ELLIPSE,
+    TYPE_PARABOLA,
+    TYPE_HYPERBOLA,
+    TYPE_FUNCTION_GRAPH,
+    TYPE_PARAMETRIC_CURVE,
+    TYPE_IMPLICIT_CURVE,
     TYPE_BEZIER,
     TYPE_BEZIER_SPLINE,
+    TYPE_RATIONAL_BEZIER,
+    TYPE_NURBS,
     TYPE_TEXT,
     TYPE_COLLECTION,
     DefPoint,
@@ -36,6 +43,13 @@ import {
     subdivideBezierAdaptive,
     Vec2,
     normalizeAngle,
+    convertParabolaToBezier,
+    sampleHyperbola,
+    sampleFunctionGraph,
+    sampleParametricCurve,
+    traceImplicitCurve,
+    subdivideRationalBezierAdaptive,
+    convertNurbsToRationalBeziers,
 } from "./algeobra.js";
 
 /**
@@ -522,7 +536,7 @@ class PointManipulator {
         this.#stateData.lastPos = null;
         this.#stateData.lastDownPos = null;
 
-        this.#state = PointManipulator.#STATE_BASE;
+        this.#releaseGrab();
     }
 
     /**
@@ -548,6 +562,13 @@ class PointManipulator {
 
     }
 
+    #releaseGrab() {
+        if (this.#state === PointManipulator.#STATE_GRABBING) {
+            this.scene.endHistoryGroup();
+        }
+        this.#state = PointManipulator.#STATE_BASE;
+    }
+
     #addListener(type, handler) {
         this.#removeListener(type);
         this.canvas.addEventListener(type, handler);
@@ -582,6 +603,8 @@ class PointManipulator {
             if (mIdx >= 0) {
                 // found point, set as grab
                 this.#state = PointManipulator.#STATE_GRABBING;
+                // a whole drag gesture is one step in the scene history
+                this.scene.beginHistoryGroup();
                 this.#stateData.idx = mIdx;
             }
 
@@ -599,7 +622,7 @@ class PointManipulator {
         this.#stateData.lastPos = pos;
         this.#stateData.lastDownPos = null;
 
-        this.#state = PointManipulator.#STATE_BASE;
+        this.#releaseGrab();
     }
     #handleTouchMove(e) {
 
@@ -618,7 +641,7 @@ class PointManipulator {
                 this.#stateData.down = false;
                 this.#stateData.lastDownPos = null;
 
-                this.#state = PointManipulator.#STATE_BASE;
+                this.#releaseGrab();
 
                 return;
             }
@@ -645,7 +668,7 @@ class PointManipulator {
         this.#stateData.lastPos = pos;
         this.#stateData.lastDownPos = null;
 
-        this.#state = PointManipulator.#STATE_BASE;
+        this.#releaseGrab();
     }
 
     #findClosest(pos) {
@@ -687,6 +710,8 @@ class PointManipulator {
             if (mIdx >= 0) {
                 // found point, set as grab
                 this.#state = PointManipulator.#STATE_GRABBING;
+                // a whole drag gesture is one step in the scene history
+                this.scene.beginHistoryGroup();
                 this.#stateData.idx = mIdx;
             }
         }
@@ -699,7 +724,7 @@ class PointManipulator {
         this.#stateData.lastPos = pos;
         this.#stateData.lastDownPos = null;
 
-        this.#state = PointManipulator.#STATE_BASE;
+        this.#releaseGrab();
     }
 
     #handleMouseleave(e) {
@@ -709,7 +734,7 @@ class PointManipulator {
         this.#stateData.lastPos = pos;
         this.#stateData.lastDownPos = null;
 
-        this.#state = PointManipulator.#STATE_BASE;
+        this.#releaseGrab();
     }
 
     #handleMousemove(e) {
@@ -2479,8 +2504,9 @@ class DiagramCanvas {
      * Style options and defaults can be found at styles.geo.polygon
      * @param {Array<{x:Number, y:Number}>} points Point coordinates in local space
      * @param {Object} style 
+     * @param {Array<Array<{x:Number, y:Number}>>} [holes] Point coordinates in local space of holes cut out of the polygon
      */
-    drawPolygon(points, style = {}) {
+    drawPolygon(points, style = {}, holes = []) {
 
         if (points.length < 2) {
             return;
@@ -2511,6 +2537,33 @@ class DiagramCanvas {
 
         path.close();
 
+        const orientation = ring => {
+            let a = 0;
+            for (let i = 0; i < ring.length; i++) {
+                const p = ring[i];
+                const q = ring[(i + 1) % ring.length];
+                a += p.x * q.y - q.x * p.y;
+            }
+            return Math.sign(a);
+        };
+        const outerOrientation = orientation(points);
+        for (let hole of holes) {
+            if (hole.length < 2) {
+                continue;
+            }
+            // holes need to be oriented opposite to the polygon to be cut out with the nonzero rule
+            if (orientation(hole) === outerOrientation) {
+                hole = [...hole].reverse();
+            }
+            const h0 = cMap.convertLocalToSurface(hole[0].x, hole[0].y);
+            path.moveTo(h0.x, h0.y);
+            for (let i = 1; i < hole.length; i++) {
+                const hi = cMap.convertLocalToSurface(hole[i].x, hole[i].y);
+                path.lineTo(hi.x, hi.y);
+            }
+            path.close();
+        }
+
         output.drawPath(path, { fill: true, stroke: true, style: drawStyle });
     }
 
@@ -2610,6 +2663,7 @@ class ScenePainter {
     #updateId = -1;
     #removeId = -1;
     #propId = -1;
+    #batchId = -1;
 
     #requestId = -1;
 
@@ -2650,6 +2704,10 @@ class ScenePainter {
             this.#propUpdates.push(e.index);
             this.requestDraw();
         });
+        this.#batchId = this.scene.registerCallback(GeometryScene.EVENT_BATCH, (e) => {
+            this.#updates.push(...e.indices);
+            this.requestDraw();
+        });
 
         this.requestDraw();
     }
@@ -2707,10 +2765,12 @@ class ScenePainter {
         this.scene.removeCallback(GeometryScene.EVENT_UPDATE, this.#updateId);
         this.scene.removeCallback(GeometryScene.EVENT_REMOVE, this.#removeId);
         this.scene.removeCallback(GeometryScene.EVENT_PROPERTY, this.#propId);
+        this.scene.removeCallback(GeometryScene.EVENT_BATCH, this.#batchId);
 
         this.#updateId = -1;
         this.#removeId = -1;
         this.#propId = -1;
+        this.#batchId = -1;
 
     }
 }
@@ -2723,11 +2783,9 @@ class ScenePainter {
  */
 function sortDrawables(scene) {
     const drawables = [];
-    for (const obj of scene.view({ skipInvalidValues: true })) {
+    // invisible objects are filtered first, so they don't need to be computed in lazy scenes
+    for (const obj of scene.view({ skipInvalidValues: true, filter: (i, properties) => !properties?.["invisible"] })) {
         const { value, properties = {} } = obj;
-        if (properties["invisible"]) {
-            continue;
-        }
         const { z = 0 } = properties;
 
         if (value.type === TYPE_COLLECTION) {
@@ -2853,8 +2911,8 @@ function createDiagramCanvasDrawFuncRegistry() {
         diagram.drawLineStrip(points, props.style);
     };
     tf[TYPE_POLYGON] = (diagram, obj, props) => {
-        const { points } = obj;
-        diagram.drawPolygon(points, props.style);
+        const { points, holes } = obj;
+        diagram.drawPolygon(points, props.style, holes ?? []);
     };
     tf[TYPE_BEZIER] = (diagram, obj, props) => {
         const { points } = obj;
@@ -2875,6 +2933,77 @@ function createDiagramCanvasDrawFuncRegistry() {
             startAngle, endAngle,
             rotation, props.style);
     }
+    tf[TYPE_PARABOLA] = (diagram, obj, props) => {
+        // a parabola segment is exactly a quadratic Bezier curve
+        diagram.drawBezier(convertParabolaToBezier(obj), props.style);
+    };
+    tf[TYPE_HYPERBOLA] = (diagram, obj, props) => {
+        const branches = sampleHyperbola(obj);
+        for (const points of branches) {
+            diagram.drawLineStrip(points, props.style);
+        }
+    };
+
+    tf[TYPE_FUNCTION_GRAPH] = (diagram, obj, props) => {
+        // only sample the visible part of the graph
+        const cMap = diagram.coordinateMapper;
+        // error metric is adjustable, but can go down to a pixel
+        const tolerance = Math.max(1, diagram.subdivisionThreshold) * cMap.scalingSurfaceToLocal();
+        const parts = sampleFunctionGraph(obj, {
+            xMin: Math.min(cMap.x0, cMap.x1),
+            xMax: Math.max(cMap.x0, cMap.x1),
+            yMin: Math.min(cMap.y0, cMap.y1),
+            yMax: Math.max(cMap.y0, cMap.y1),
+            tolerance,
+        });
+        for (const points of parts) {
+            diagram.drawLineStrip(points, props.style);
+        }
+    };
+
+    tf[TYPE_PARAMETRIC_CURVE] = (diagram, obj, props) => {
+        // error metric is adjustable, but can go down to a pixel
+        const tolerance = Math.max(1, diagram.subdivisionThreshold) * diagram.coordinateMapper.scalingSurfaceToLocal();
+        const parts = sampleParametricCurve(obj, { tolerance });
+        for (const points of parts) {
+            diagram.drawLineStrip(points, props.style);
+        }
+    };
+
+    tf[TYPE_IMPLICIT_CURVE] = (diagram, obj, props) => {
+        // only trace the visible part of the curve
+        const cMap = diagram.coordinateMapper;
+        const xMin = Math.min(cMap.x0, cMap.x1);
+        const xMax = Math.max(cMap.x0, cMap.x1);
+        const yMin = Math.min(cMap.y0, cMap.y1);
+        const yMax = Math.max(cMap.y0, cMap.y1);
+        // grid cells of a few pixels are enough, as the curve points are refined
+        const cellSize = 2 * Math.max(1, diagram.subdivisionThreshold) * cMap.scalingSurfaceToLocal();
+        const resolution = Math.ceil(Math.max(xMax - xMin, yMax - yMin) / cellSize);
+        const parts = traceImplicitCurve(obj, { xMin, xMax, yMin, yMax, resolution });
+        for (const points of parts) {
+            diagram.drawLineStrip(points, props.style);
+        }
+    };
+
+    tf[TYPE_RATIONAL_BEZIER] = (diagram, obj, props) => {
+        // error metric is adjustable, but can go down to a pixel
+        const eps = Math.max(1, diagram.subdivisionThreshold) * diagram.coordinateMapper.scalingSurfaceToLocal();
+        const points = subdivideRationalBezierAdaptive(obj.points, obj.weights, eps);
+        diagram.drawLineStrip(points, props.style);
+    };
+
+    tf[TYPE_NURBS] = (diagram, obj, props) => {
+        // error metric is adjustable, but can go down to a pixel
+        const eps = Math.max(1, diagram.subdivisionThreshold) * diagram.coordinateMapper.scalingSurfaceToLocal();
+        const points = [];
+        for (const segment of convertNurbsToRationalBeziers(obj)) {
+            const segmentPoints = subdivideRationalBezierAdaptive(segment.points, segment.weights, eps);
+            // each segment starts at the end of the previous one
+            points.push(...(points.length > 0 ? segmentPoints.slice(1) : segmentPoints));
+        }
+        diagram.drawLineStrip(points, props.style);
+    };
 
     const reg = new DrawFuncRegistry({ typedDrawFuncs: tf });
 